@@ -0,0 +1,12 @@
+// Config/db.js
+// Postgres pool for the API, the worker and migrate.js (DATABASE_URL)
+const { Pool } = require('pg');
+
+function createPool(connectionString = process.env.DATABASE_URL){
+  return new Pool({
+    connectionString,
+    ssl: { rejectUnauthorized: false }
+  });
+}
+
+module.exports = { createPool };
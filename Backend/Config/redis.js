@@ -1,16 +1,36 @@
-const Redis = require('ioredis');
+// Config/redis.js
+// The one place Redis and the BullMQ job queue are set up, for the API (server.js) and the worker
+// (Workers/job worker.js). REDIS_URL, or REDIS_HOST/REDIS_PORT; without either the API runs with
+// in-process timers and no queue, and the worker refuses to start.
+const IORedis = require('ioredis');
+const { Queue, Worker } = require('bullmq');
 
-const redis = new Redis({
-  host: '127.0.0.1',
-  port: 6379,
-});
+const REDIS_URL = process.env.REDIS_URL || (process.env.REDIS_HOST ? `redis://${process.env.REDIS_HOST}:${process.env.REDIS_PORT || 6379}` : null);
+const QUEUE_NAME = 'wireconnect-job-queue';
 
-redis.on('connect', () => {
-  console.log('Redis connected');
-});
+// null when Redis isn't configured
+function createRedis(url = REDIS_URL){
+  if(!url) return null;
+  const redis = new IORedis(url, {
+    maxRetriesPerRequest: null // required by BullMQ workers
+  });
+  redis.on('error', (err) => console.error('Redis error:', err && err.message ? err.message : err));
+  return redis;
+}
 
-redis.on('error', (err) => {
-  console.error('Redis error:', err);
-});
+function createQueue(redis){
+  if(!redis) return null;
+  return new Queue(QUEUE_NAME, { connection: redis, defaultJobOptions: { removeOnComplete: true, attempts: 3 } });
+}
 
-module.exports = redis;
\ No newline at end of file
+// processor: async (job) => result, see Queues/jobHandlers.js
+function createWorker(redis, processor){
+  if(!redis) return null;
+  const worker = new Worker(QUEUE_NAME, processor, { connection: redis });
+  worker.on('failed', (job, err) => {
+    console.error(`Job ${job && job.id} (${job && job.name}) failed:`, err && err.message ? err.message : err);
+  });
+  return worker;
+}
+
+module.exports = { REDIS_URL, QUEUE_NAME, createRedis, createQueue, createWorker };
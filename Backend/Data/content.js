@@ -0,0 +1,45 @@
+// Data/content.js
+// Dashboard content: announcements, articles and the technician / client leaderboards
+const { PRIOR_MEAN, PRIOR_COUNT } = require('../Services/reviews');
+
+async function announcements(db, limit = 10){
+  return (await db.query(`SELECT id,title,body,created_at FROM announcements ORDER BY created_at DESC LIMIT $1`, [limit])).rows;
+}
+
+async function articles(db, limit = 10){
+  return (await db.query(`SELECT id,title,excerpt,created_at FROM articles ORDER BY created_at DESC LIMIT $1`, [limit])).rows;
+}
+
+// completed jobs per technician; byRating weighs them by the smoothed rating (see Services/reviews.js)
+async function techLeaderboard(db, { byRating = false, limit = 10 } = {}){
+  return (await db.query(`
+    SELECT id, username, fullname, rating_avg, rating_count, jobs_completed,
+           ROUND(smoothed_rating, 2) AS smoothed_rating, ROUND(jobs_completed * smoothed_rating / 5, 2) AS score
+    FROM (
+      SELECT u.id,u.username,u.fullname, u.rating_avg, COALESCE(u.rating_count,0) AS rating_count,
+             COUNT(j.*)::int as jobs_completed,
+             ($1::numeric * $2 + COALESCE(u.rating_avg,0) * COALESCE(u.rating_count,0)) / ($2 + COALESCE(u.rating_count,0)) AS smoothed_rating
+      FROM users u
+      LEFT JOIN job_assignments a ON a.tech_id = u.id AND a.status = 'accepted'
+      LEFT JOIN jobs j ON j.id = a.job_id AND j.status = 'confirmed_by_client'
+      WHERE u.role = 'worker'
+      GROUP BY u.id
+    ) t
+    ORDER BY ${byRating ? 'score DESC, jobs_completed DESC' : 'jobs_completed DESC'}
+    LIMIT $3
+  `, [PRIOR_MEAN, PRIOR_COUNT, limit])).rows;
+}
+
+async function clientLeaderboard(db, { limit = 10 } = {}){
+  return (await db.query(`
+    SELECT u.id,u.username,u.fullname, COUNT(j.*) as jobs_posted
+    FROM users u
+    LEFT JOIN jobs j ON j.client_id = u.id
+    WHERE u.role = 'client'
+    GROUP BY u.id
+    ORDER BY jobs_posted DESC
+    LIMIT $1
+  `, [limit])).rows;
+}
+
+module.exports = { announcements, articles, techLeaderboard, clientLeaderboard };
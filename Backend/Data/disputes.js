@@ -0,0 +1,18 @@
+// Data/disputes.js
+// Admin overview of disputes with party names; the workflow itself is Services/disputes.js
+
+async function listWithNames(db, { status = null, limit = 50, offset = 0 } = {}){
+  return (await db.query(`
+    SELECT d.id, d.job_id, d.claimant_id, d.defendant_id, d.reason, d.details, d.status, d.assigned_to, d.outcome,
+           d.resolved_at, d.created_at, d.updated_at,
+           c.fullname as claimant_name, def.fullname as defendant_name
+    FROM disputes d
+    LEFT JOIN users c ON c.id = d.claimant_id
+    LEFT JOIN users def ON def.id = d.defendant_id
+    WHERE ($3::text IS NULL OR d.status = $3)
+    ORDER BY d.created_at DESC
+    LIMIT $1 OFFSET $2
+  `, [limit, offset, status])).rows;
+}
+
+module.exports = { listWithNames };
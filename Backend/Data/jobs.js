@@ -0,0 +1,78 @@
+// Data/jobs.js
+// Queries on jobs used by the routes and Services/booking.js. Status changes don't belong here:
+// they go through Services/jobStateMachine.js transitionJob().
+const { uid } = require('./users');
+
+async function insert(db, j){
+  const id = uid();
+  await db.query(`
+    INSERT INTO jobs
+    (id, client_id, state, city, address, lat, lng, job_type, description, price, status, workers_needed, estimated_days, lga, preferred_tech_id)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,'created',$11,$12,$13,$14)
+  `, [
+    id,
+    j.client_id,
+    j.state,
+    j.city || null,
+    j.address || null,
+    j.lat || null,
+    j.lng || null,
+    j.job_type || null,
+    j.description || null,
+    j.price,
+    j.workers_needed,
+    j.estimated_days,
+    j.lga || null,
+    j.preferred_tech_id || null
+  ]);
+  return id;
+}
+
+async function findById(db, id){
+  return (await db.query(`SELECT * FROM jobs WHERE id=$1`, [id])).rows[0] || null;
+}
+
+// enough to decide who may see the job (routes' canAccessJob)
+async function parties(db, id){
+  return (await db.query(`SELECT id, client_id, assigned_tech_id FROM jobs WHERE id=$1`, [id])).rows[0] || null;
+}
+
+async function statusOf(db, id){
+  return (await db.query(`SELECT id,client_id,status,assigned_tech_id,assigned_at,expires_at, estimated_days, workers_needed FROM jobs WHERE id=$1`, [id])).rows[0] || null;
+}
+
+// open offers for a technician (one job can be offered to several crew members)
+async function openOffersFor(db, techId){
+  return (await db.query(
+    `SELECT j.*, a.offered_at, a.expires_at AS offer_expires_at
+     FROM job_assignments a JOIN jobs j ON j.id = a.job_id
+     WHERE a.tech_id = $1 AND a.status = 'offered' AND j.status IN ('pending_assignment','pending_accept')
+     ORDER BY a.offered_at DESC`, [techId])).rows;
+}
+
+// jobs a technician is on the way to / working on (their clients follow the technician's location)
+async function activeForTech(db, techId){
+  return (await db.query(
+    `SELECT j.id, j.client_id FROM job_assignments a JOIN jobs j ON j.id = a.job_id
+     WHERE a.tech_id=$1 AND a.status='accepted' AND j.status IN ('accepted','en_route','in_progress')`, [techId])).rows;
+}
+
+async function acceptedCrewIds(db, jobId){
+  return (await db.query(`SELECT tech_id FROM job_assignments WHERE job_id=$1 AND status='accepted'`, [jobId])).rows.map(r => r.tech_id);
+}
+
+// admin job log with client and technician names
+async function logs(db, { limit = 50, offset = 0 } = {}){
+  return (await db.query(`
+    SELECT j.id, j.job_type, j.price, j.status, j.created_at,
+           c.id as client_id, c.fullname as client_name, c.avatar_url as client_avatar,
+           t.id as tech_id, t.fullname as tech_name, t.avatar_url as tech_avatar
+    FROM jobs j
+    LEFT JOIN users c ON c.id = j.client_id
+    LEFT JOIN users t ON t.id = j.assigned_tech_id
+    ORDER BY j.created_at DESC
+    LIMIT $1 OFFSET $2
+  `, [limit, offset])).rows;
+}
+
+module.exports = { insert, findById, parties, statusOf, openOffersFor, activeForTech, acceptedCrewIds, logs };
@@ -0,0 +1,43 @@
+// Data/kycRequests.js
+// Queries on kyc_requests used by the KYC routes. The review workflow keeps its own queries in
+// Services/kycReview.js, files are kyc_documents rows (Services/kycDocuments.js).
+
+async function findById(db, id){
+  return (await db.query(`SELECT * FROM kyc_requests WHERE id=$1`, [Number(id) || 0])).rows[0] || null;
+}
+
+// pending, or sent back for resubmission: a new submission continues it instead
+async function openForUser(db, userId){
+  return (await db.query(
+    `SELECT id, status FROM kyc_requests WHERE user_id=$1 AND status IN ('pending','resubmission_requested') ORDER BY id DESC LIMIT 1`,
+    [userId])).rows[0] || null;
+}
+
+async function insert(db, { userId, idType, idNumber, notes }){
+  return (await db.query(
+    `INSERT INTO kyc_requests (user_id, id_type, id_number, id_images, notes, status)
+     VALUES ($1,$2,$3,'{}',$4,'pending') RETURNING id, submitted_at`,
+    [userId, idType, idNumber, notes || null])).rows[0];
+}
+
+async function latestForUser(db, userId){
+  return (await db.query(
+    `SELECT id, id_type, id_number, id_images, work_video, notes, status, admin_note, resubmit_kinds, submitted_at, decided_at
+     FROM kyc_requests
+     WHERE user_id = $1
+     ORDER BY submitted_at DESC
+     LIMIT 1`, [userId])).rows[0] || null;
+}
+
+// newest first, with the user's name and avatar
+async function logs(db, { limit = 50, offset = 0 } = {}){
+  return (await db.query(`
+    SELECT k.id, k.user_id, k.id_type, k.id_number, k.id_images, k.status, k.notes, k.submitted_at, u.username, u.fullname, u.avatar_url
+    FROM kyc_requests k
+    JOIN users u ON u.id = k.user_id
+    ORDER BY k.submitted_at DESC
+    LIMIT $1 OFFSET $2
+  `, [limit, offset])).rows;
+}
+
+module.exports = { findById, openForUser, insert, latestForUser, logs };
@@ -0,0 +1,35 @@
+// Data/messages.js
+// Job chat messages and their attachments (Services/chat.js)
+const crypto = require('crypto');
+const { toRow } = require('../Services/storage');
+
+async function listForJob(db, jobId){
+  return (await db.query(
+    `SELECT id, job_id, sender_id, text, metadata, created_at
+     FROM messages
+     WHERE job_id = $1
+     ORDER BY created_at ASC`, [jobId])).rows;
+}
+
+async function insert(db, { jobId, senderId, text, metadata }){
+  return (await db.query(
+    `INSERT INTO messages (job_id, sender_id, text, metadata) VALUES ($1,$2,$3,$4) RETURNING id, job_id, sender_id, text, metadata, created_at`,
+    [jobId, senderId, text || '', metadata || null])).rows[0];
+}
+
+// file: a Services/storage descriptor
+async function insertAttachment(db, { messageId, jobId, uploadedBy, fileName, file }){
+  const c = toRow(file);
+  await db.query(
+    `INSERT INTO message_attachments (id, message_id, job_id, uploaded_by, file_name, storage, storage_key, resource_type, format, mimetype, size)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)`,
+    [crypto.randomUUID(), messageId, jobId, uploadedBy, fileName || null, c.storage, c.storage_key, c.resource_type, c.format, c.mimetype, c.size]);
+}
+
+async function attachmentsFor(db, messageIds){
+  if(!messageIds.length) return [];
+  return (await db.query(
+    `SELECT * FROM message_attachments WHERE message_id = ANY($1::int[]) ORDER BY created_at, id`, [messageIds])).rows;
+}
+
+module.exports = { listForJob, insert, insertAttachment, attachmentsFor };
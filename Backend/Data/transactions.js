@@ -0,0 +1,30 @@
+// Data/transactions.js
+// Read-side queries on transactions for the routes; money only moves through Services/escrow.js,
+// Services/wallet.js and the ledger (Services/ledger.js).
+
+// escrow journal by its id (the payment reference handed to the provider)
+async function findEscrow(db, reference){
+  return (await db.query(`SELECT id, amount, status, provider_ref FROM transactions WHERE id=$1 AND kind='escrow'`, [reference])).rows[0] || null;
+}
+
+// { transaction_id, status, amount } of a job's latest escrow, or null
+async function latestEscrowForJob(db, jobId){
+  const row = (await db.query(`SELECT id, status, amount FROM transactions WHERE job_id=$1 AND kind='escrow' ORDER BY created_at DESC LIMIT 1`, [jobId])).rows[0];
+  return row ? { transaction_id: row.id, status: row.status, amount: Number(row.amount) } : null;
+}
+
+// admin listing with client and technician names
+async function list(db, { limit = 50, offset = 0 } = {}){
+  return (await db.query(`
+    SELECT tr.id, tr.job_id, tr.amount, tr.currency, tr.status, tr.method, tr.kind, tr.provider, tr.provider_ref, tr.parent_id, tr.created_at,
+           c.id as client_id, c.fullname as client_name,
+           t.id as tech_id, t.fullname as tech_name
+    FROM transactions tr
+    LEFT JOIN users c ON c.id = tr.client_id
+    LEFT JOIN users t ON t.id = tr.tech_id
+    ORDER BY tr.created_at DESC
+    LIMIT $1 OFFSET $2
+  `, [limit, offset])).rows;
+}
+
+module.exports = { findEscrow, latestEscrowForJob, list };
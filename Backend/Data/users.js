@@ -0,0 +1,154 @@
+// Data/users.js
+// Queries on users (clients and technicians) used by the routes and Services/users.js.
+// Like Services/ledger.js, every function takes the pool or a transaction client first.
+const { hashOf } = require('../Services/geo');
+
+// what other signed-in users may see of someone (GET /api/user/:id)
+const PROFILE_COLUMNS = 'id, fullname, username, avatar_url, lat, lng, phone, email, state, city';
+// the client / technician cards on a job
+const CONTACT_COLUMNS = 'id, fullname, username, phone, email, lat, lng, state, city';
+
+function uid(){ return Math.floor(1000000000 + Math.random()*9000000000).toString(); }
+
+async function findById(db, id){
+  return (await db.query(`SELECT * FROM users WHERE id=$1`, [id])).rows[0] || null;
+}
+
+// email, username or phone
+async function findByLogin(db, login){
+  return (await db.query(`SELECT * FROM users WHERE email=$1 OR username=$1 OR phone=$1 LIMIT 1`, [login])).rows[0] || null;
+}
+
+async function findDuplicate(db, { email, username, phone }){
+  return (await db.query(`SELECT email, username, phone FROM users WHERE email = $1 OR username = $2 OR phone = $3 LIMIT 1`, [email, username, phone])).rows[0] || null;
+}
+
+async function insert(db, u){
+  await db.query(
+    `INSERT INTO users (id, role, email, phone, fullname, username, state, lga, city, gender, specializations, password_hash, kyc_status)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)`,
+    [u.id, u.role, u.email, u.phone, u.fullname, u.username, u.state, u.lga, u.city, u.gender, u.specializations, u.password_hash, u.kyc_status]);
+  return u;
+}
+
+async function profile(db, id){
+  return (await db.query(`SELECT ${PROFILE_COLUMNS} FROM users WHERE id=$1`, [id])).rows[0] || null;
+}
+
+async function contact(db, id){
+  return (await db.query(`SELECT ${CONTACT_COLUMNS} FROM users WHERE id=$1`, [id])).rows[0] || null;
+}
+
+// who a payment is charged to
+async function billingContact(db, id){
+  return (await db.query(`SELECT id, email FROM users WHERE id=$1`, [id])).rows[0] || null;
+}
+
+async function accountDetails(db, id){
+  const row = (await db.query(`SELECT account_details FROM users WHERE id=$1`, [id])).rows[0];
+  return row ? row.account_details : null;
+}
+
+async function technician(db, id){
+  const row = (await db.query(`SELECT id, role, lat, lng FROM users WHERE id=$1`, [String(id)])).rows[0];
+  return row && ['worker', 'technician'].includes(String(row.role).toLowerCase()) ? row : null;
+}
+
+async function updateProfile(db, id, { fullname, avatarUrl, accountDetails, profileComplete, dropAvatarFile }){
+  await db.query(
+    `UPDATE users SET fullname=$1, avatar_url=$2, account_details=$3, profile_complete=$4, avatar_file=CASE WHEN $6 THEN NULL ELSE avatar_file END WHERE id=$5`,
+    [fullname, avatarUrl, accountDetails ? JSON.stringify(accountDetails) : null, profileComplete, id, !!dropAvatarFile]);
+  return (await db.query(`SELECT id,fullname,avatar_url,account_details,profile_complete FROM users WHERE id=$1`, [id])).rows[0];
+}
+
+async function avatarFile(db, id){
+  const row = (await db.query(`SELECT avatar_file FROM users WHERE id=$1`, [id])).rows[0];
+  return row ? row.avatar_file : null;
+}
+
+async function setAvatar(db, id, { file, url, profileComplete }){
+  return (await db.query(
+    `UPDATE users SET avatar_file=$1, avatar_url=$2, profile_complete=$3 WHERE id=$4
+     RETURNING id, fullname, avatar_url, account_details, profile_complete`,
+    [JSON.stringify(file), url, profileComplete, id])).rows[0];
+}
+
+// online flag + last position; suspended accounts can only go offline. null when refused
+// the geohash follows lat/lng for the radius search (Services/matching.js)
+async function setPresence(db, id, { online, lat, lng }){
+  const r = await db.query(
+    `UPDATE users SET online=$1, lat=$2, lng=$3, geohash=$5 WHERE id=$4 AND (suspended_at IS NULL OR $1 = false) RETURNING id`,
+    [!!online, lat, lng, id, hashOf(lat, lng)]);
+  return r.rows[0] || null;
+}
+
+async function kycSummary(db, id){
+  return (await db.query(
+    `SELECT id, fullname, username, email, kyc_status, kyc_submitted_at
+     FROM users WHERE id = $1`, [id])).rows[0] || null;
+}
+
+// locks the row for a KYC submission
+async function lockForKyc(db, id){
+  return (await db.query(`SELECT id FROM users WHERE id=$1 FOR UPDATE`, [id])).rows[0] || null;
+}
+
+// users.kyc_documents holds document ids (links come from /api/kyc/requests/:reqId/documents)
+async function markKycPending(db, id, documentIds){
+  await db.query(`UPDATE users SET kyc_status='pending', kyc_documents=$1, kyc_submitted_at=now() WHERE id=$2`, [documentIds, id]);
+}
+
+// admin listing: role=worker|client, online=true|false
+async function list(db, { role = null, online = null, limit = 50, offset = 0 } = {}){
+  const clauses = [];
+  const params = [];
+  let idx = 1;
+  if(role){ clauses.push(`role = $${idx++}`); params.push(role); }
+  if(online !== null){ clauses.push(`online = $${idx++}`); params.push(online); }
+  const where = clauses.length ? ('WHERE ' + clauses.join(' AND ')) : '';
+  params.push(limit, offset);
+  return (await db.query(
+    `SELECT id, role, fullname, username, email, phone, state, city, lga, avatar_url, online, lat, lng, created_at,
+            suspended_at, suspended_reason
+     FROM users
+     ${where}
+     ORDER BY created_at DESC
+     LIMIT $${idx++} OFFSET $${idx++}`, params)).rows;
+}
+
+async function presenceCounts(db){
+  return (await db.query(`
+    SELECT COUNT(*) FILTER (WHERE role='worker' AND online = true)::int AS online_tech_count,
+           COUNT(*) FILTER (WHERE role='worker' AND (online = false OR online IS NULL))::int AS offline_tech_count,
+           COUNT(*) FILTER (WHERE role='client' AND online = true)::int AS online_client_count,
+           COUNT(*) FILTER (WHERE role='client' AND (online = false OR online IS NULL))::int AS offline_client_count,
+           COUNT(*)::int AS active_users_count
+    FROM users`)).rows[0];
+}
+
+// exists and is not suspended (checked on every request by Middleware/auth.js)
+async function isActive(db, id){
+  return (await db.query(`SELECT 1 FROM users WHERE id=$1 AND suspended_at IS NULL`, [id])).rows.length > 0;
+}
+
+async function lockForSuspension(db, id){
+  return (await db.query(`SELECT id, role, online, suspended_at, suspended_reason FROM users WHERE id=$1 FOR UPDATE`, [id])).rows[0] || null;
+}
+
+async function suspend(db, id, { by, reason }){
+  return (await db.query(
+    `UPDATE users SET suspended_at=now(), suspended_by=$2, suspended_reason=$3, online=false WHERE id=$1
+     RETURNING id, role, online, suspended_at, suspended_reason`, [id, by, reason])).rows[0];
+}
+
+async function reactivate(db, id){
+  return (await db.query(
+    `UPDATE users SET suspended_at=NULL, suspended_by=NULL, suspended_reason=NULL WHERE id=$1
+     RETURNING id, role, online, suspended_at, suspended_reason`, [id])).rows[0];
+}
+
+module.exports = {
+  uid, findById, findByLogin, findDuplicate, insert, profile, contact, billingContact, accountDetails, technician,
+  updateProfile, avatarFile, setAvatar, setPresence, kycSummary, lockForKyc, markKycPending, list, presenceCounts,
+  isActive, lockForSuspension, suspend, reactivate
+};
@@ -0,0 +1,145 @@
+// Middleware/auth.js
+// JWT access/refresh tokens + route guards.
+// Access tokens are short lived; refresh tokens are tracked in the refresh_tokens table so they
+// can be rotated and revoked on logout. A suspended account is refused even with a live token.
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+
+const ACCESS_TTL = process.env.JWT_ACCESS_TTL || '1h';
+const REFRESH_TTL_DAYS = Number(process.env.JWT_REFRESH_TTL_DAYS || 30);
+
+let ACCESS_SECRET = process.env.JWT_SECRET;
+let REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+if (!ACCESS_SECRET) {
+  // tokens will not survive a restart (or work across instances) without a configured secret
+  console.warn('JWT_SECRET not set: using a random per-process secret.');
+  ACCESS_SECRET = crypto.randomBytes(32).toString('hex');
+  REFRESH_SECRET = REFRESH_SECRET || ACCESS_SECRET;
+}
+
+function hashToken(token){ return crypto.createHash('sha256').update(String(token)).digest('hex'); }
+
+function signAccessToken(subject){
+  return jwt.sign({ role: subject.role, typ: 'access' }, ACCESS_SECRET, { subject: String(subject.id), expiresIn: ACCESS_TTL });
+}
+
+// issue an access + refresh pair; the refresh token's hash is persisted so it can be rotated/revoked
+async function issueTokens(db, subject){
+  const jti = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + REFRESH_TTL_DAYS * 24 * 60 * 60 * 1000);
+  const refreshToken = jwt.sign({ role: subject.role, typ: 'refresh' }, REFRESH_SECRET, {
+    subject: String(subject.id),
+    jwtid: jti,
+    expiresIn: REFRESH_TTL_DAYS * 24 * 60 * 60
+  });
+  await db.query(
+    `INSERT INTO refresh_tokens (id, subject_id, role, token_hash, expires_at) VALUES ($1,$2,$3,$4,$5)`,
+    [jti, String(subject.id), subject.role, hashToken(refreshToken), expiresAt.toISOString()]
+  );
+  return { token: signAccessToken(subject), refreshToken, expiresIn: ACCESS_TTL };
+}
+
+// verify + rotate a refresh token; returns new pair or null when invalid/revoked
+async function rotateRefreshToken(db, refreshToken){
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken, REFRESH_SECRET);
+  } catch (e) {
+    return null;
+  }
+  if (payload.typ !== 'refresh' || !payload.jti) return null;
+
+  const r = await db.query(
+    `UPDATE refresh_tokens SET revoked_at=now()
+     WHERE id=$1 AND token_hash=$2 AND revoked_at IS NULL AND expires_at > now()
+     RETURNING subject_id, role`,
+    [payload.jti, hashToken(refreshToken)]
+  );
+  if (!r.rows.length) return null;
+  const row = r.rows[0];
+  return issueTokens(db, { id: row.subject_id, role: row.role });
+}
+
+async function revokeRefreshToken(db, refreshToken){
+  await db.query(`UPDATE refresh_tokens SET revoked_at=now() WHERE token_hash=$1 AND revoked_at IS NULL`, [hashToken(refreshToken)]);
+}
+
+// logs a subject out everywhere (password reset, suspension)
+async function revokeAllRefreshTokens(db, subjectId){
+  await db.query(`UPDATE refresh_tokens SET revoked_at=now() WHERE subject_id=$1 AND revoked_at IS NULL`, [String(subjectId)]);
+}
+
+function readBearer(req){
+  const h = req.headers && req.headers.authorization;
+  if (!h) return null;
+  const m = /^Bearer\s+(.+)$/i.exec(h);
+  return m ? m[1].trim() : null;
+}
+
+// Populates req.auth = { id, role } from the access token; 401 when missing/invalid
+function authenticate(req, res, next){
+  return verifyInto(readBearer(req), req, res, next);
+}
+
+// Same as authenticate, but also accepts ?access_token= because EventSource cannot send headers
+function authenticateStream(req, res, next){
+  const token = readBearer(req) || (req.query && typeof req.query.access_token === 'string' ? req.query.access_token : null);
+  return verifyInto(token, req, res, next);
+}
+
+function verifyInto(token, req, res, next){
+  if (!token) return next(new HttpError(401, 'Authentication required'));
+  let payload;
+  try {
+    payload = jwt.verify(token, ACCESS_SECRET);
+  } catch (e) {
+    const expired = e && e.name === 'TokenExpiredError';
+    return next(new HttpError(401, expired ? 'Token expired' : 'Invalid token', { code: expired ? 'token_expired' : 'invalid_token' }));
+  }
+  if (payload.typ !== 'access') return next(new HttpError(401, 'Invalid token', { code: 'invalid_token' }));
+  req.auth = { id: payload.sub, role: payload.role };
+  return checkAccount(req).then(next, next);
+}
+
+// Clients and technicians are looked up on every request (Services/users.js isActive) so a
+// suspension locks them out before their access token expires; staff get the same check from
+// Middleware/permissions.js, the env admin has no account to check.
+async function checkAccount(req){
+  if (['admin', 'staff'].includes(req.auth.role)) return undefined;
+  const services = req.app && req.app.locals.services;
+  if (!services || (await services.users.isActive(req.auth.id))) return undefined;
+  return new HttpError(401, 'Account not found or suspended', { code: 'account_suspended' });
+}
+
+// role guard, use after authenticate: requireRole('admin', 'staff')
+function requireRole(...roles){
+  const guard = (req, res, next) => {
+    if (!req.auth) return next(new HttpError(401, 'Authentication required'));
+    if (!roles.includes(req.auth.role)) return next(new HttpError(403, 'Forbidden'));
+    return next();
+  };
+  // listed in the OpenAPI document (Routes/openapi.js)
+  guard.roles = roles;
+  return guard;
+}
+
+// Resolve the acting user id from the token. A client-supplied id (legacy body/query field)
+// is tolerated only when it matches the caller; returns null on mismatch.
+function actingUserId(req, claimedId){
+  if (!req.auth) return null;
+  if (claimedId !== undefined && claimedId !== null && claimedId !== '' && String(claimedId) !== String(req.auth.id)) return null;
+  return req.auth.id;
+}
+
+module.exports = {
+  signAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+  authenticate,
+  authenticateStream,
+  requireRole,
+  actingUserId
+};
@@ -0,0 +1,85 @@
+// Middleware/errors.js
+// One error envelope for every API failure:
+//   { success: false, code, message, fields }
+// code is a stable machine-readable string ('validation_failed', 'not_found', ...), fields maps a
+// request field to what's wrong with it (null when the error isn't about a field). Some errors carry
+// extra keys next to these (e.g. requestId on a KYC conflict). Handlers throw HttpError (or pass it
+// to next); anything else is a 500 whose details are logged, never sent, in production.
+
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  429: 'rate_limited',
+  500: 'server_error',
+  502: 'upstream_error',
+  503: 'unavailable'
+};
+
+const codeFor = status => STATUS_CODES[status] || (status >= 500 ? 'server_error' : 'bad_request');
+
+class HttpError extends Error {
+  /**
+   * extra: more keys for the envelope (kept next to code/message/fields)
+   */
+  constructor(status, message, { code = null, fields = null, extra = null } = {}){
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code || codeFor(status);
+    this.fields = fields;
+    this.extra = extra;
+  }
+}
+
+// a failed service result { ok:false, status, message, ...extra } as an HttpError
+function fail(result, fallbackStatus = 400){
+  const { ok, status, message, code, fields, ...extra } = result || {};
+  return new HttpError(status || fallbackStatus, message || 'Request failed', { code, fields, extra: Object.keys(extra).length ? extra : null });
+}
+
+// async route handler: a rejection goes to the error middleware
+function handle(fn){
+  return (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+}
+
+// unknown /api routes
+function notFound(req, res, next){
+  next(new HttpError(404, `No route for ${req.method} ${req.path}`));
+}
+
+// errors thrown by express.json, multer and Services/storage createUploader, as HttpErrors
+function normalize(err){
+  if(err instanceof HttpError) return err;
+  if(err && err.type === 'entity.parse.failed') return new HttpError(400, 'Request body is not valid JSON', { code: 'invalid_json' });
+  if(err && err.type === 'entity.too.large') return new HttpError(413, 'Request body too large');
+  if(err && (err.name === 'MulterError' || err.code === 'UNSUPPORTED_TYPE')){
+    return new HttpError(400, err.message || 'Upload error', {
+      code: 'upload_error',
+      fields: err.field ? { [err.field]: err.message } : null,
+      extra: err.code ? { upload_code: err.code } : null
+    });
+  }
+  return null;
+}
+
+function errorHandler({ production = process.env.NODE_ENV === 'production' } = {}){
+  return async (err, req, res, next) => {
+    const known = normalize(err);
+    if(!known) console.error(`${req.method} ${req.originalUrl}`, err);
+    // files stored for this request are dropped unless the handler handed them on (res.locals.keepUploads)
+    if(req.discardUploads && !res.locals.keepUploads) await req.discardUploads().catch(() => {});
+    if(res.headersSent) return res.end();
+
+    const e = known || new HttpError(500, 'Server error');
+    const body = Object.assign({ success: false, code: e.code, message: e.message, fields: e.fields || null }, e.extra || {});
+    if(!known && !production) Object.assign(body, { detail: err && err.message, stack: err && err.stack });
+    return res.status(e.status).json(body);
+  };
+}
+
+module.exports = { HttpError, STATUS_CODES, fail, handle, notFound, errorHandler };
@@ -0,0 +1,89 @@
+// Middleware/permissions.js
+// Staff permission model. Staff sign in against the `staff` table (role 'staff' in the token);
+// what they may do comes from their staff.role, looked up on every guarded request so a role
+// change takes effect straight away. The env admin (role 'admin') holds every permission.
+//
+// Permissions:
+//   metrics:view  users:view  users:suspend  jobs:view  logs:view  audit:view  transactions:view
+//   kyc:review  withdrawals:review  wallets:view  wallets:adjust  payments:manage
+//   disputes:view  disputes:handle  disputes:resolve  reviews:moderate
+//   prices:manage  staff:manage
+
+const { HttpError } = require('./errors');
+
+const ROLE_PERMISSIONS = {
+  'customer-support': ['users:view', 'users:suspend', 'jobs:view', 'disputes:view', 'disputes:handle', 'disputes:resolve', 'reviews:moderate'],
+  'transaction-review': ['transactions:view', 'withdrawals:review', 'wallets:view', 'payments:manage', 'disputes:view'],
+  'kyc': ['kyc:review', 'users:view'],
+  'fraud': ['users:view', 'users:suspend', 'jobs:view', 'transactions:view', 'wallets:view', 'disputes:view', 'reviews:moderate', 'logs:view', 'audit:view'],
+  'log': ['logs:view', 'jobs:view'],
+  'notification': ['users:view'],
+  'scaling': ['metrics:view'],
+  'api-manager': ['metrics:view', 'logs:view'],
+  'developer': ['metrics:view', 'logs:view'],
+  'super-admin': ['*']
+};
+
+// 'Transaction review', 'API manager', 'KYC' ... -> the keys above
+function normalizeStaffRole(role){
+  return String(role || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+function permissionsFor(role, staffRole){
+  if(role === 'admin') return ['*'];
+  if(role !== 'staff') return [];
+  return ROLE_PERMISSIONS[normalizeStaffRole(staffRole)] || [];
+}
+
+// auth must have been through resolve() (req.auth.permissions set)
+function has(auth, ...permissions){
+  const granted = (auth && auth.permissions) || [];
+  return granted.includes('*') || permissions.some(p => granted.includes(p));
+}
+
+function createAccessControl({ pool }){
+
+  // adds permissions (and staffRole for staff) to req.auth; once per request
+  async function resolve(req){
+    if(!req.auth) return null;
+    if(req.auth.permissions) return req.auth;
+    if(req.auth.role === 'staff'){
+      // suspended/deleted staff lose access at once, whatever their token says
+      const r = await pool.query(`SELECT id, role FROM staff WHERE id=$1 AND status='active'`, [req.auth.id]);
+      const staff = r.rows[0];
+      req.auth.staffRole = staff ? normalizeStaffRole(staff.role) : null;
+      req.auth.staffMissing = !staff;
+      req.auth.permissions = staff ? permissionsFor('staff', staff.role) : [];
+    } else {
+      req.auth.permissions = permissionsFor(req.auth.role);
+    }
+    return req.auth;
+  }
+
+  async function can(req, ...permissions){
+    await resolve(req);
+    return has(req.auth, ...permissions);
+  }
+
+  // route guard, use after authenticate: requirePermission('kyc:review') (any of several when given more)
+  function requirePermission(...permissions){
+    const guard = async (req, res, next) => {
+      if(!req.auth) return next(new HttpError(401, 'Authentication required'));
+      try{
+        await resolve(req);
+      }catch(e){
+        return next(e);
+      }
+      if(req.auth.staffMissing) return next(new HttpError(401, 'Staff account not found or inactive'));
+      if(!has(req.auth, ...permissions)) return next(new HttpError(403, 'Forbidden', { extra: { required: permissions } }));
+      return next();
+    };
+    // listed in the OpenAPI document (Routes/openapi.js)
+    guard.permissions = permissions;
+    return guard;
+  }
+
+  return { resolve, can, requirePermission };
+}
+
+module.exports = { ROLE_PERMISSIONS, normalizeStaffRole, permissionsFor, has, createAccessControl };
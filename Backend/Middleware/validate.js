@@ -0,0 +1,203 @@
+// Middleware/validate.js
+// Declarative request validation. Schemas are a JSON Schema subset (the same objects go into the
+// OpenAPI document, Routes/openapi.js):
+//   type (string|integer|number|boolean|array|object, or [type, 'null']), enum, default,
+//   minLength, maxLength, pattern, format (email|phone|date|date-time|uuid),
+//   minimum, maximum, items, minItems, maxItems, properties, required, description
+// plus two of our own, left out of the document: trim (strip surrounding whitespace first) and
+// message (the error message to show for this field instead of the generic one).
+// Values are coerced: query strings, path params and multipart fields arrive as text, so '5'
+// becomes 5 for an integer, 'true' true for a boolean, 'a,b' (or a JSON array) an array, and a
+// JSON string an object; enum matches text case-insensitively and gives back the listed spelling.
+// Coerced values replace req.params / req.query / req.body.
+// Failures become one HttpError: 400, code 'validation_failed', fields { name: problem }.
+const { HttpError } = require('./errors');
+
+const realDate = re => v => re.test(v) && !Number.isNaN(Date.parse(v));
+
+// format -> [test (RegExp or function), problem]
+const FORMATS = {
+  email: [/^\S+@\S+\.\S+$/, 'must be a valid email address'],
+  // Nigerian numbers: 0XXXXXXXXXX, +234XXXXXXXXXX or the 10 digits alone (spaces ignored)
+  phone: [v => /^(?:\+234|0)?\d{10}$/.test(v.replace(/\s+/g, '')), 'must be a valid phone number'],
+  date: [realDate(/^\d{4}-\d{2}-\d{2}$/), 'must be a date (YYYY-MM-DD)'],
+  'date-time': [realDate(/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/), 'must be an ISO date/time'],
+  uuid: [/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, 'must be a UUID']
+};
+
+const typesOf = schema => schema.type ? [].concat(schema.type) : [];
+const isMissing = v => v === undefined || v === null || v === '';
+
+function coerce(type, v){
+  if(type === 'integer' || type === 'number'){
+    if(typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v))) return Number(v);
+    return v;
+  }
+  if(type === 'boolean'){
+    if(v === 'true' || v === '1' || v === 1) return true;
+    if(v === 'false' || v === '0' || v === 0) return false;
+    return v;
+  }
+  if(type === 'string'){
+    return (typeof v === 'number' || typeof v === 'boolean') ? String(v) : v;
+  }
+  if(type === 'array'){
+    if(Array.isArray(v)) return v;
+    if(typeof v === 'string'){
+      const s = v.trim();
+      if(s.startsWith('[')){ try { return JSON.parse(s); } catch(e){ return v; } }
+      return s.split(',').map(x => x.trim()).filter(Boolean);
+    }
+    return [v];
+  }
+  if(type === 'object' && typeof v === 'string'){
+    try { return JSON.parse(v); } catch(e){ return v; }
+  }
+  return v;
+}
+
+function matchesType(type, v){
+  switch(type){
+    case 'string': return typeof v === 'string';
+    case 'integer': return Number.isInteger(v);
+    case 'number': return typeof v === 'number' && Number.isFinite(v);
+    case 'boolean': return typeof v === 'boolean';
+    case 'array': return Array.isArray(v);
+    case 'object': return !!v && typeof v === 'object' && !Array.isArray(v);
+    case 'null': return v === null;
+    default: return true;
+  }
+}
+
+const TYPE_NAMES = { string: 'a string', integer: 'a whole number', number: 'a number', boolean: 'true or false', array: 'a list', object: 'an object' };
+
+/**
+ * Validate and coerce value against schema. Problems are added to errors as { path, message };
+ * returns the (coerced) value.
+ */
+function check(schema, value, path, errors){
+  const problem = generic => { errors.push({ path, message: schema.message || (path ? `${path} ${generic}` : generic) }); return value; };
+  if(value === undefined && schema.default !== undefined) return JSON.parse(JSON.stringify(schema.default));
+  if(value === undefined) return value;
+
+  const types = typesOf(schema);
+  if(value === null || (value === '' && !types.includes('string'))){
+    if(types.includes('null') || !types.length) return value === '' ? undefined : null;
+    if(value === '') return schema.default !== undefined ? JSON.parse(JSON.stringify(schema.default)) : undefined;
+    return problem(`must be ${TYPE_NAMES[types[0]] || types[0]}`);
+  }
+
+  let v = value;
+  const wanted = types.filter(t => t !== 'null');
+  let type = wanted.find(t => matchesType(t, value));
+  if(!type && wanted.length){
+    for(const t of wanted){
+      const c = coerce(t, value);
+      if(matchesType(t, c)){ type = t; v = c; break; }
+    }
+    if(!type) return problem(`must be ${wanted.map(t => TYPE_NAMES[t] || t).join(' or ')}`);
+  }
+
+  if(type === 'string'){
+    if(schema.trim) v = v.trim();
+    if(schema.format && FORMATS[schema.format]){
+      const [test, msg] = FORMATS[schema.format];
+      if(!(typeof test === 'function' ? test(v) : test.test(v))) return problem(msg);
+    }
+    if(schema.minLength != null && v.length < schema.minLength) return problem(`must be at least ${schema.minLength} characters`);
+    if(schema.maxLength != null && v.length > schema.maxLength) return problem(`must be at most ${schema.maxLength} characters`);
+    if(schema.pattern && !new RegExp(schema.pattern).test(v)) return problem('has an invalid format');
+  }
+  if(type === 'integer' || type === 'number'){
+    if(schema.minimum != null && v < schema.minimum) return problem(`must be at least ${schema.minimum}`);
+    if(schema.maximum != null && v > schema.maximum) return problem(`must be at most ${schema.maximum}`);
+  }
+  if(schema.enum){
+    const hit = schema.enum.find(e => e === v || (typeof v === 'string' && typeof e === 'string' && e.toLowerCase() === v.toLowerCase()));
+    if(hit === undefined) return problem(`must be one of ${schema.enum.join(', ')}`);
+    v = hit;
+  }
+  if(type === 'array'){
+    if(schema.minItems != null && v.length < schema.minItems) return problem(`must have at least ${schema.minItems} items`);
+    if(schema.maxItems != null && v.length > schema.maxItems) return problem(`must have at most ${schema.maxItems} items`);
+    if(schema.items) v = v.map((item, i) => check(schema.items, item, `${path}[${i}]`, errors));
+  }
+  if(type === 'object' && (schema.properties || schema.required)){
+    v = checkObject(schema, v, path, errors);
+  }
+  return v;
+}
+
+// properties in the order they're declared, so the first error is the first field on the form
+function checkObject(schema, obj, path, errors){
+  const out = Object.assign({}, obj);
+  const props = schema.properties || {};
+  const required = schema.required || [];
+  const names = Object.keys(props).concat(required.filter(n => !props[n]));
+  for(const name of names){
+    const s = props[name] || {};
+    const field = path ? `${path}.${name}` : name;
+    if(required.includes(name) && isMissing(out[name])){
+      errors.push({ path: field, message: s.message || `${field} is required` });
+      continue;
+    }
+    const v = check(s, out[name], field, errors);
+    if(v === undefined) delete out[name]; else out[name] = v;
+  }
+  return out;
+}
+
+const objectSchema = s => (s && !s.type && !s.properties) ? { type: 'object', properties: s } : s;
+
+/**
+ * validate({ params, query, body, summary, description, multipart })
+ * params/query/body: an object schema, or a plain { name: schema } map (then nothing is required
+ * unless a property says required: true). multipart lists the file fields of a multipart body,
+ * { id_front: { maxCount: 1, required: true, description } }; the uploader runs before validate(),
+ * which only checks that required files came. summary/description only go to the OpenAPI document.
+ */
+function validate(spec){
+  const parts = {};
+  for(const where of ['params', 'query', 'body']){
+    if(!spec[where]) continue;
+    const s = objectSchema(spec[where]);
+    // `required: true` on a property is shorthand for listing it in required
+    const required = (s.required || []).concat(Object.entries(s.properties || {}).filter(([, p]) => p.required === true).map(([n]) => n));
+    const properties = {};
+    for(const [n, p] of Object.entries(s.properties || {})){
+      const { required: r, ...rest } = p;
+      properties[n] = rest;
+    }
+    parts[where] = Object.assign({}, s, { properties, required: [...new Set(required)] });
+  }
+
+  const middleware = (req, res, next) => {
+    const errors = [];
+    for(const [where, s] of Object.entries(parts)){
+      const v = checkObject(s, req[where] || {}, '', errors);
+      if(where === 'query') Object.defineProperty(req, 'query', { value: v, writable: true, configurable: true, enumerable: true });
+      else req[where] = v;
+    }
+    for(const [name, f] of Object.entries(spec.multipart || {})){
+      const got = Array.isArray(req.files) ? req.files.some(x => x.fieldname === name) : !!(req.files && req.files[name] && req.files[name].length);
+      if(f.required && !got) errors.push({ path: name, message: f.message || `${name} file required` });
+    }
+    if(!errors.length) return next();
+    const fields = {};
+    for(const e of errors) if(!fields[e.path]) fields[e.path] = e.message;
+    return next(new HttpError(400, errors[0].message, { code: 'validation_failed', fields }));
+  };
+  // read by Routes/openapi.js
+  middleware.schema = Object.assign({}, spec, parts);
+  return middleware;
+}
+
+// limit/offset query params; limit capped at max
+function paging({ max = 200, limit = 50 } = {}){
+  return {
+    limit: { type: 'integer', minimum: 1, maximum: max, default: limit, description: `page size (max ${max})` },
+    offset: { type: 'integer', minimum: 0, default: 0 }
+  };
+}
+
+module.exports = { validate, check, paging, FORMATS };
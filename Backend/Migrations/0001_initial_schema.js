@@ -0,0 +1,319 @@
+// Migrations/0001_initial_schema.js
+// Tables as they were first created. Later columns and tables are separate migrations; on a
+// database set up before migrations existed every statement here is a no-op (IF NOT EXISTS).
+module.exports = {
+  up: `
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  role TEXT NOT NULL,
+  email TEXT NOT NULL UNIQUE,
+  phone TEXT NOT NULL UNIQUE,
+  fullname TEXT NOT NULL,
+  username TEXT NOT NULL UNIQUE,
+  state TEXT NOT NULL,
+  lga TEXT NOT NULL,
+  city TEXT NOT NULL,
+  gender TEXT,
+  specializations TEXT[],
+  password_hash TEXT NOT NULL,
+  kyc_status TEXT DEFAULT 'Unverified',
+  avatar_url TEXT,
+  profile_complete boolean DEFAULT false,
+  account_details JSONB,
+  kyc_documents TEXT[],
+  kyc_submitted_at TIMESTAMP WITH TIME ZONE,
+  online boolean DEFAULT false,
+  lat double precision,
+  lng double precision,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+CREATE TABLE IF NOT EXISTS jobs (
+  id TEXT PRIMARY KEY,
+  client_id TEXT NOT NULL REFERENCES users(id),
+  role_required TEXT NOT NULL DEFAULT 'technician',
+  state TEXT NOT NULL,
+  city TEXT,
+  address TEXT,
+  lat DOUBLE PRECISION,
+  lng DOUBLE PRECISION,
+  job_type TEXT,
+  description TEXT,
+  price NUMERIC,
+  status TEXT NOT NULL DEFAULT 'created',
+  assigned_tech_id TEXT REFERENCES users(id),
+  assigned_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  workers_needed INTEGER DEFAULT 1,
+  estimated_days INTEGER DEFAULT 1,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+CREATE TABLE IF NOT EXISTS announcements (
+  id SERIAL PRIMARY KEY,
+  title TEXT NOT NULL,
+  body TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS articles (
+  id SERIAL PRIMARY KEY,
+  title TEXT NOT NULL,
+  excerpt TEXT,
+  body TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS transactions (
+  id TEXT PRIMARY KEY,
+  job_id TEXT REFERENCES jobs(id),
+  client_id TEXT REFERENCES users(id),
+  tech_id TEXT REFERENCES users(id),
+  amount NUMERIC,
+  currency TEXT DEFAULT 'NGN',
+  method TEXT,
+  status TEXT,
+  metadata JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+-- double-entry postings for transactions (see Services/ledger.js); debit +, credit -
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  id BIGSERIAL PRIMARY KEY,
+  transaction_id TEXT NOT NULL REFERENCES transactions(id),
+  account TEXT NOT NULL,
+  amount NUMERIC(14,2) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS ledger_entries_account_idx ON ledger_entries (account);
+CREATE INDEX IF NOT EXISTS ledger_entries_transaction_idx ON ledger_entries (transaction_id);
+
+-- provider webhooks we've applied (de-duplication + audit)
+CREATE TABLE IF NOT EXISTS payment_webhooks (
+  id SERIAL PRIMARY KEY,
+  provider TEXT NOT NULL,
+  event_id TEXT NOT NULL,
+  type TEXT,
+  reference TEXT,
+  payload JSONB,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  UNIQUE (provider, event_id)
+);
+
+CREATE TABLE IF NOT EXISTS disputes (
+  id TEXT PRIMARY KEY,
+  job_id TEXT REFERENCES jobs(id),
+  claimant_id TEXT REFERENCES users(id),
+  defendant_id TEXT REFERENCES users(id),
+  reason TEXT,
+  details TEXT,
+  status TEXT DEFAULT 'open',
+  admin_note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+-- dispute thread, evidence and step history (see Services/disputes.js)
+CREATE TABLE IF NOT EXISTS dispute_messages (
+  id SERIAL PRIMARY KEY,
+  dispute_id TEXT NOT NULL REFERENCES disputes(id) ON DELETE CASCADE,
+  author_id TEXT NOT NULL,
+  author_role TEXT NOT NULL,
+  body TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+CREATE TABLE IF NOT EXISTS dispute_evidence (
+  id SERIAL PRIMARY KEY,
+  dispute_id TEXT NOT NULL REFERENCES disputes(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL,              -- 'chat' (excerpt) | 'file'
+  uploaded_by TEXT NOT NULL,
+  note TEXT,
+  excerpt JSONB,
+  file_name TEXT,
+  mimetype TEXT,
+  size INTEGER,
+  location TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+CREATE TABLE IF NOT EXISTS dispute_events (
+  id SERIAL PRIMARY KEY,
+  dispute_id TEXT NOT NULL REFERENCES disputes(id) ON DELETE CASCADE,
+  actor_id TEXT,
+  actor_role TEXT NOT NULL,
+  action TEXT NOT NULL,
+  before JSONB,
+  after JSONB,
+  ip TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS dispute_messages_dispute_idx ON dispute_messages (dispute_id);
+CREATE INDEX IF NOT EXISTS dispute_evidence_dispute_idx ON dispute_evidence (dispute_id);
+CREATE INDEX IF NOT EXISTS dispute_events_dispute_idx ON dispute_events (dispute_id);
+-- one review per reviewer -> reviewee per job (see Services/reviews.js)
+CREATE TABLE IF NOT EXISTS reviews (
+  id SERIAL PRIMARY KEY,
+  job_id TEXT NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  reviewer_id TEXT NOT NULL REFERENCES users(id),
+  reviewee_id TEXT NOT NULL REFERENCES users(id),
+  reviewee_role TEXT NOT NULL,
+  stars SMALLINT NOT NULL CHECK (stars BETWEEN 1 AND 5),
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  comment TEXT,
+  status TEXT NOT NULL DEFAULT 'published',
+  moderated_by TEXT,
+  moderated_at TIMESTAMP WITH TIME ZONE,
+  moderation_note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  UNIQUE (job_id, reviewer_id, reviewee_id)
+);
+CREATE INDEX IF NOT EXISTS reviews_reviewee_idx ON reviews (reviewee_id, status);
+CREATE TABLE IF NOT EXISTS review_reports (
+  id SERIAL PRIMARY KEY,
+  review_id INTEGER NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+  reporter_id TEXT NOT NULL REFERENCES users(id),
+  reason TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  UNIQUE (review_id, reporter_id)
+);
+-- staff accounts (see Services/staff.js); email is unique among non-deleted rows (0007_staff_columns)
+CREATE TABLE IF NOT EXISTS staff (
+  id TEXT PRIMARY KEY,
+  fullname TEXT NOT NULL,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL,
+  password_hash TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active',
+  must_change_password BOOLEAN NOT NULL DEFAULT false,
+  temp_password_expires_at TIMESTAMP WITH TIME ZONE,
+  password_changed_at TIMESTAMP WITH TIME ZONE,
+  last_login_at TIMESTAMP WITH TIME ZONE,
+  last_login_ip TEXT,
+  suspended_at TIMESTAMP WITH TIME ZONE,
+  suspended_by TEXT,
+  suspended_reason TEXT,
+  deleted_at TIMESTAMP WITH TIME ZONE,
+  deleted_by TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+-- single-use password tokens; only the sha256 is stored
+CREATE TABLE IF NOT EXISTS staff_password_resets (
+  id TEXT PRIMARY KEY,
+  staff_id TEXT NOT NULL REFERENCES staff(id),
+  token_hash TEXT NOT NULL UNIQUE,
+  purpose TEXT NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_by TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+-- append-only trail of privileged actions (see Services/audit.js)
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  actor_id TEXT,
+  actor_role TEXT NOT NULL,
+  actor_staff_role TEXT,
+  action TEXT NOT NULL,
+  target_type TEXT NOT NULL,
+  target_id TEXT,
+  before JSONB,
+  after JSONB,
+  ip TEXT,
+  note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS audit_log_target_idx ON audit_log (target_type, target_id);
+CREATE INDEX IF NOT EXISTS audit_log_actor_idx ON audit_log (actor_id);
+CREATE INDEX IF NOT EXISTS audit_log_created_idx ON audit_log (created_at);
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+DROP TRIGGER IF EXISTS audit_log_no_change ON audit_log;
+CREATE TRIGGER audit_log_no_change BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+
+
+CREATE TABLE IF NOT EXISTS kyc_requests (
+  id SERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id),
+  id_type TEXT,
+  id_number TEXT,
+  id_images TEXT[],
+  selfie TEXT,                 -- ✅ ADDED HERE
+  work_video TEXT,
+  notes TEXT,
+  status TEXT DEFAULT 'pending',
+  admin_note TEXT,
+  submitted_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  decided_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS job_events (
+  id SERIAL PRIMARY KEY,
+  job_id TEXT NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  actor_id TEXT,
+  actor_role TEXT NOT NULL,
+  note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS job_events_job_id_idx ON job_events (job_id);
+
+-- one row per technician offered a job: offered -> accepted | declined | expired | withdrawn
+CREATE TABLE IF NOT EXISTS job_assignments (
+  id SERIAL PRIMARY KEY,
+  job_id TEXT NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  tech_id TEXT NOT NULL REFERENCES users(id),
+  status TEXT NOT NULL DEFAULT 'offered',
+  offered_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  responded_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (job_id, tech_id)
+);
+CREATE INDEX IF NOT EXISTS job_assignments_tech_idx ON job_assignments (tech_id, status);
+
+CREATE TABLE IF NOT EXISTS service_prices (
+  job_type TEXT PRIMARY KEY,
+  label TEXT,
+  base_price NUMERIC NOT NULL DEFAULT 0,
+  per_day_rate NUMERIC NOT NULL DEFAULT 0,
+  per_worker_multiplier NUMERIC NOT NULL DEFAULT 1,
+  required_specialization TEXT,
+  active boolean DEFAULT true,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+ALTER TABLE service_prices ADD COLUMN IF NOT EXISTS required_specialization TEXT;
+
+-- city = '' means the surcharge applies state-wide
+CREATE TABLE IF NOT EXISTS price_surcharges (
+  id SERIAL PRIMARY KEY,
+  state TEXT NOT NULL,
+  city TEXT NOT NULL DEFAULT '',
+  amount NUMERIC NOT NULL DEFAULT 0,
+  percent NUMERIC NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  UNIQUE (state, city)
+);
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id TEXT PRIMARY KEY,
+  subject_id TEXT NOT NULL,
+  role TEXT NOT NULL,
+  token_hash TEXT NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+`,
+  down: `
+DROP TABLE IF EXISTS refresh_tokens, price_surcharges, service_prices, job_assignments, job_events,
+  kyc_requests, audit_log, staff_password_resets, staff, review_reports, reviews, dispute_events,
+  dispute_evidence, dispute_messages, disputes, payment_webhooks, ledger_entries, transactions,
+  articles, announcements, jobs, users;
+DROP FUNCTION IF EXISTS audit_log_append_only();
+`
+};
@@ -0,0 +1,34 @@
+// Migrations/0002_users_profile_columns.js
+// Avatar, rating, offer counters and suspension columns on users
+module.exports = {
+  up: `
+ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_url TEXT;
+-- uploaded avatar (Services/storage descriptor); avatar_url then points at GET /api/users/:id/avatar
+ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_file JSONB;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS profile_complete boolean DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS account_details JSONB;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS kyc_documents TEXT[];
+ALTER TABLE users ADD COLUMN IF NOT EXISTS kyc_submitted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS online boolean DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS lat double precision;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS lng double precision;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS created_at TIMESTAMP WITH TIME ZONE DEFAULT now();
+ALTER TABLE users ADD COLUMN IF NOT EXISTS rating_avg NUMERIC;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS rating_count INTEGER DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS offers_received INTEGER DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS offers_accepted INTEGER DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_by TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_reason TEXT;
+`,
+  down: `
+ALTER TABLE users DROP COLUMN IF EXISTS avatar_file;
+ALTER TABLE users DROP COLUMN IF EXISTS rating_avg;
+ALTER TABLE users DROP COLUMN IF EXISTS rating_count;
+ALTER TABLE users DROP COLUMN IF EXISTS offers_received;
+ALTER TABLE users DROP COLUMN IF EXISTS offers_accepted;
+ALTER TABLE users DROP COLUMN IF EXISTS suspended_at;
+ALTER TABLE users DROP COLUMN IF EXISTS suspended_by;
+ALTER TABLE users DROP COLUMN IF EXISTS suspended_reason;
+`
+};
@@ -0,0 +1,96 @@
+// Migrations/0003_kyc_documents_and_review.js
+// KYC: private documents, review workflow, pre-checks and identity verification
+module.exports = {
+  up: `
+ALTER TABLE kyc_requests ADD COLUMN IF NOT EXISTS selfie TEXT;
+ALTER TABLE kyc_requests ADD COLUMN IF NOT EXISTS reviewed_by TEXT;
+ALTER TABLE kyc_requests ADD COLUMN IF NOT EXISTS reviewer_role TEXT;
+-- one row per uploaded KYC file; kyc_requests.id_images/selfie/work_video are only kept for old rows
+-- until they are moved behind signed links (kycDocuments.privatizeLegacy)
+CREATE TABLE IF NOT EXISTS kyc_documents (
+  id UUID PRIMARY KEY,
+  request_id INTEGER NOT NULL REFERENCES kyc_requests(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL REFERENCES users(id),
+  kind TEXT NOT NULL CHECK (kind IN ('id_image','selfie','work_video')),
+  storage TEXT NOT NULL,
+  storage_key TEXT NOT NULL,
+  resource_type TEXT,
+  format TEXT,
+  mimetype TEXT,
+  size BIGINT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+  purged_at TIMESTAMP WITH TIME ZONE
+);
+CREATE INDEX IF NOT EXISTS kyc_documents_request_idx ON kyc_documents (request_id);
+-- storage is a Services/storage driver name; 'disk' rows predate it and live under the local root's kyc/
+ALTER TABLE kyc_documents DROP CONSTRAINT IF EXISTS kyc_documents_storage_check;
+UPDATE kyc_documents SET storage='local', storage_key='kyc/' || storage_key WHERE storage='disk';
+ALTER TABLE kyc_documents ADD CONSTRAINT kyc_documents_storage_check CHECK (storage IN ('local','cloudinary','s3'));
+-- review workflow (see Services/kycReview.js): claims, SLA clock, per-document decisions, resubmissions
+ALTER TABLE kyc_requests ADD COLUMN IF NOT EXISTS claimed_by TEXT;
+ALTER TABLE kyc_requests ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE kyc_requests ADD COLUMN IF NOT EXISTS queued_at TIMESTAMP WITH TIME ZONE;
+UPDATE kyc_requests SET queued_at = submitted_at WHERE queued_at IS NULL;
+ALTER TABLE kyc_requests ALTER COLUMN queued_at SET DEFAULT now();
+ALTER TABLE kyc_requests ADD COLUMN IF NOT EXISTS resubmit_kinds TEXT[];
+CREATE INDEX IF NOT EXISTS kyc_requests_status_queued_idx ON kyc_requests (status, queued_at);
+ALTER TABLE kyc_documents DROP CONSTRAINT IF EXISTS kyc_documents_kind_check;
+ALTER TABLE kyc_documents ADD CONSTRAINT kyc_documents_kind_check CHECK (kind IN ('id_front','id_back','id_image','selfie','work_video'));
+ALTER TABLE kyc_documents ADD COLUMN IF NOT EXISTS review_status TEXT NOT NULL DEFAULT 'pending';
+ALTER TABLE kyc_documents DROP CONSTRAINT IF EXISTS kyc_documents_review_status_check;
+ALTER TABLE kyc_documents ADD CONSTRAINT kyc_documents_review_status_check CHECK (review_status IN ('pending','accepted','rejected'));
+ALTER TABLE kyc_documents ADD COLUMN IF NOT EXISTS reason_code TEXT;
+ALTER TABLE kyc_documents ADD COLUMN IF NOT EXISTS review_note TEXT;
+ALTER TABLE kyc_documents ADD COLUMN IF NOT EXISTS reviewed_by TEXT;
+ALTER TABLE kyc_documents ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE kyc_documents ADD COLUMN IF NOT EXISTS superseded_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE kyc_documents ADD COLUMN IF NOT EXISTS replaces UUID REFERENCES kyc_documents(id);
+CREATE TABLE IF NOT EXISTS kyc_request_events (
+  id SERIAL PRIMARY KEY,
+  request_id INTEGER NOT NULL REFERENCES kyc_requests(id) ON DELETE CASCADE,
+  actor_id TEXT,
+  actor_role TEXT,
+  action TEXT NOT NULL,
+  detail JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS kyc_request_events_request_idx ON kyc_request_events (request_id, created_at);
+-- automated pre-checks (see Services/kycChecks.js)
+ALTER TABLE kyc_requests ADD COLUMN IF NOT EXISTS risk_flags JSONB;
+ALTER TABLE kyc_requests ADD COLUMN IF NOT EXISTS risk_level TEXT;
+ALTER TABLE kyc_requests ADD COLUMN IF NOT EXISTS precheck_status TEXT;
+ALTER TABLE kyc_requests ADD COLUMN IF NOT EXISTS prechecked_at TIMESTAMP WITH TIME ZONE;
+CREATE INDEX IF NOT EXISTS kyc_requests_id_number_idx ON kyc_requests ((upper(regexp_replace(id_number, '[\\s-]', '', 'g'))));
+ALTER TABLE kyc_documents ADD COLUMN IF NOT EXISTS detected_mimetype TEXT;
+ALTER TABLE kyc_documents ADD COLUMN IF NOT EXISTS phash BIGINT;
+-- identity-verification provider result (see Services/kycVerification.js)
+ALTER TABLE kyc_requests ADD COLUMN IF NOT EXISTS idv_provider TEXT;
+ALTER TABLE kyc_requests ADD COLUMN IF NOT EXISTS idv_reference TEXT;
+ALTER TABLE kyc_requests ADD COLUMN IF NOT EXISTS idv_status TEXT;
+ALTER TABLE kyc_requests ADD COLUMN IF NOT EXISTS idv_score NUMERIC(5,2);
+ALTER TABLE kyc_requests ADD COLUMN IF NOT EXISTS idv_outcome TEXT;
+ALTER TABLE kyc_requests ADD COLUMN IF NOT EXISTS idv_checked_at TIMESTAMP WITH TIME ZONE;
+`,
+  down: `
+ALTER TABLE kyc_requests DROP COLUMN IF EXISTS idv_provider;
+ALTER TABLE kyc_requests DROP COLUMN IF EXISTS idv_reference;
+ALTER TABLE kyc_requests DROP COLUMN IF EXISTS idv_status;
+ALTER TABLE kyc_requests DROP COLUMN IF EXISTS idv_score;
+ALTER TABLE kyc_requests DROP COLUMN IF EXISTS idv_outcome;
+ALTER TABLE kyc_requests DROP COLUMN IF EXISTS idv_checked_at;
+DROP INDEX IF EXISTS kyc_requests_id_number_idx;
+ALTER TABLE kyc_requests DROP COLUMN IF EXISTS risk_flags;
+ALTER TABLE kyc_requests DROP COLUMN IF EXISTS risk_level;
+ALTER TABLE kyc_requests DROP COLUMN IF EXISTS precheck_status;
+ALTER TABLE kyc_requests DROP COLUMN IF EXISTS prechecked_at;
+DROP TABLE IF EXISTS kyc_request_events;
+DROP INDEX IF EXISTS kyc_requests_status_queued_idx;
+ALTER TABLE kyc_requests DROP COLUMN IF EXISTS claimed_by;
+ALTER TABLE kyc_requests DROP COLUMN IF EXISTS claimed_at;
+ALTER TABLE kyc_requests DROP COLUMN IF EXISTS queued_at;
+ALTER TABLE kyc_requests DROP COLUMN IF EXISTS resubmit_kinds;
+DROP TABLE IF EXISTS kyc_documents;
+ALTER TABLE kyc_requests DROP COLUMN IF EXISTS reviewed_by;
+ALTER TABLE kyc_requests DROP COLUMN IF EXISTS reviewer_role;
+`
+};
@@ -0,0 +1,10 @@
+// Migrations/0004_jobs_crew_columns.js
+// Crew size and duration on jobs (part of the jobs table since; kept for databases that predate them)
+module.exports = {
+  up: `
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS workers_needed INTEGER DEFAULT 1;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS estimated_days INTEGER DEFAULT 1;
+`,
+  // the columns are in the jobs table of 0001, so there is nothing to take back here
+  down: ''
+};
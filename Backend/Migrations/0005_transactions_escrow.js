@@ -0,0 +1,22 @@
+// Migrations/0005_transactions_escrow.js
+// Escrow columns on transactions (see Services/escrow.js)
+module.exports = {
+  up: `
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS kind TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS provider TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS provider_ref TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS parent_id TEXT REFERENCES transactions(id);
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT now();
+CREATE INDEX IF NOT EXISTS transactions_job_id_idx ON transactions (job_id);
+CREATE UNIQUE INDEX IF NOT EXISTS transactions_one_payout_per_tech ON transactions (parent_id, tech_id) WHERE kind = 'payout';
+`,
+  down: `
+DROP INDEX IF EXISTS transactions_one_payout_per_tech;
+DROP INDEX IF EXISTS transactions_job_id_idx;
+ALTER TABLE transactions DROP COLUMN IF EXISTS kind;
+ALTER TABLE transactions DROP COLUMN IF EXISTS provider;
+ALTER TABLE transactions DROP COLUMN IF EXISTS provider_ref;
+ALTER TABLE transactions DROP COLUMN IF EXISTS parent_id;
+ALTER TABLE transactions DROP COLUMN IF EXISTS updated_at;
+`
+};
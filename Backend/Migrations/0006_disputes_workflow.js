@@ -0,0 +1,31 @@
+// Migrations/0006_disputes_workflow.js
+// Dispute workflow columns and evidence storage descriptors (see Services/disputes.js)
+module.exports = {
+  up: `
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS assigned_to TEXT;
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS outcome TEXT;
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS outcome_detail JSONB;
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS resolved_by TEXT;
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP WITH TIME ZONE;
+CREATE UNIQUE INDEX IF NOT EXISTS disputes_one_open_per_job ON disputes (job_id) WHERE status NOT IN ('resolved','dismissed');
+-- evidence files are kept by Services/storage; older ones were uploads/disputes/<name> (location)
+ALTER TABLE dispute_evidence ADD COLUMN IF NOT EXISTS storage TEXT;
+ALTER TABLE dispute_evidence ADD COLUMN IF NOT EXISTS storage_key TEXT;
+ALTER TABLE dispute_evidence ADD COLUMN IF NOT EXISTS resource_type TEXT;
+ALTER TABLE dispute_evidence ADD COLUMN IF NOT EXISTS format TEXT;
+UPDATE dispute_evidence SET storage='local', storage_key='disputes/' || regexp_replace(location, '^.*/', '')
+  WHERE kind='file' AND storage_key IS NULL AND location IS NOT NULL;
+`,
+  down: `
+ALTER TABLE dispute_evidence DROP COLUMN IF EXISTS storage;
+ALTER TABLE dispute_evidence DROP COLUMN IF EXISTS storage_key;
+ALTER TABLE dispute_evidence DROP COLUMN IF EXISTS resource_type;
+ALTER TABLE dispute_evidence DROP COLUMN IF EXISTS format;
+DROP INDEX IF EXISTS disputes_one_open_per_job;
+ALTER TABLE disputes DROP COLUMN IF EXISTS assigned_to;
+ALTER TABLE disputes DROP COLUMN IF EXISTS outcome;
+ALTER TABLE disputes DROP COLUMN IF EXISTS outcome_detail;
+ALTER TABLE disputes DROP COLUMN IF EXISTS resolved_by;
+ALTER TABLE disputes DROP COLUMN IF EXISTS resolved_at;
+`
+};
@@ -0,0 +1,30 @@
+// Migrations/0007_staff_columns.js
+// Staff account columns, and email uniqueness among live accounts. (Defined as alterStaffSql in
+// server.js before migrations existed, but never run, so older databases have no unique email.)
+module.exports = {
+  up: `
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS fullname TEXT;
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS email TEXT;
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS role TEXT;
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS password_hash TEXT;
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS created_at TIMESTAMP WITH TIME ZONE DEFAULT now();
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active';
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS temp_password_expires_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS last_login_ip TEXT;
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS suspended_by TEXT;
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS suspended_reason TEXT;
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT now();
+-- deleted staff keep their row (and email) for history, so uniqueness only covers live accounts
+ALTER TABLE staff DROP CONSTRAINT IF EXISTS staff_email_key;
+CREATE UNIQUE INDEX IF NOT EXISTS staff_email_live ON staff (email) WHERE status <> 'deleted';
+`,
+  down: `
+DROP INDEX IF EXISTS staff_email_live;
+`
+};
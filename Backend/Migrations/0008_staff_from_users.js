@@ -0,0 +1,16 @@
+// Migrations/0008_staff_from_users.js
+// Staff used to live in users (role='staff', staff role in specializations[1]); move them to the staff
+// table, keeping id and password, so they sign in like everyone else on the staff side
+module.exports = {
+  up: `
+INSERT INTO staff (id, fullname, email, role, password_hash, created_at)
+SELECT u.id, u.fullname, lower(u.email),
+       lower(regexp_replace(COALESCE(u.specializations[1], 'customer-support'), '[[:space:]_]+', '-', 'g')),
+       u.password_hash, COALESCE(u.created_at, now())
+FROM users u
+WHERE lower(u.role) = 'staff'
+ON CONFLICT DO NOTHING;
+`,
+  // data only: the copied rows stay
+  down: ''
+};
@@ -0,0 +1,17 @@
+// Migrations/0009_staff_events_to_audit_log.js
+// staff_events (per-account history) was folded into audit_log
+module.exports = {
+  up: `
+DO $$
+BEGIN
+  IF to_regclass('staff_events') IS NOT NULL THEN
+    INSERT INTO audit_log (actor_id, actor_role, action, target_type, target_id, before, after, ip, created_at)
+    SELECT actor_id, actor_role, 'staff.' || action, 'staff', staff_id, before, after, ip, created_at
+    FROM staff_events ORDER BY id;
+    DROP TABLE staff_events;
+  END IF;
+END $$;
+`,
+  // data only: the copied rows stay
+  down: ''
+};
@@ -0,0 +1,34 @@
+// Migrations/0010_messages.js
+// Job chat messages and their attachments (Services/storage)
+module.exports = {
+  up: `
+CREATE TABLE IF NOT EXISTS messages (
+  id SERIAL PRIMARY KEY,
+  job_id TEXT NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  sender_id TEXT NOT NULL REFERENCES users(id),
+  text TEXT NOT NULL,
+  metadata JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+-- files sent with a chat message (Services/storage); handed out as signed links in the message list
+CREATE TABLE IF NOT EXISTS message_attachments (
+  id UUID PRIMARY KEY,
+  message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  job_id TEXT NOT NULL,
+  uploaded_by TEXT NOT NULL,
+  file_name TEXT,
+  storage TEXT NOT NULL,
+  storage_key TEXT NOT NULL,
+  resource_type TEXT,
+  format TEXT,
+  mimetype TEXT,
+  size BIGINT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS message_attachments_message_idx ON message_attachments (message_id);
+`,
+  down: `
+DROP TABLE IF EXISTS message_attachments;
+DROP TABLE IF EXISTS messages;
+`
+};
@@ -0,0 +1,18 @@
+// Migrations/0011_backfill_job_assignments.js
+// Carry single-technician jobs from before job_assignments existed over to the crew table
+module.exports = {
+  up: `
+INSERT INTO job_assignments (job_id, tech_id, status, offered_at, responded_at, expires_at)
+SELECT id, assigned_tech_id,
+       CASE WHEN status = 'pending_accept' THEN 'offered' ELSE 'accepted' END,
+       COALESCE(assigned_at, created_at),
+       CASE WHEN status = 'pending_accept' THEN NULL ELSE assigned_at END,
+       CASE WHEN status = 'pending_accept' THEN expires_at ELSE NULL END
+FROM jobs
+WHERE assigned_tech_id IS NOT NULL
+  AND status IN ('pending_accept','accepted','en_route','in_progress','completed_by_tech','confirmed_by_client')
+ON CONFLICT (job_id, tech_id) DO NOTHING;
+`,
+  // data only: the copied rows stay
+  down: ''
+};
@@ -0,0 +1,37 @@
+// Migrations/0012_job_and_lookup_indexes.js
+// Constraints and indexes the schema was missing: job and KYC statuses limited to the ones the code
+// knows (Services/jobStateMachine.js, Services/kycReview.js), and indexes for the per-user lookups
+// (a technician's jobs, a client's jobs, a user's KYC requests and payments, a job's chat).
+// The CHECKs validate existing rows, so this fails (and rolls back) if a row has an unknown status.
+module.exports = {
+  up: `
+ALTER TABLE jobs ADD CONSTRAINT jobs_status_check CHECK (status IN (
+  'created','pending_assignment','pending_accept','accepted','en_route','in_progress',
+  'completed_by_tech','confirmed_by_client','cancelled','expired'));
+ALTER TABLE kyc_requests ADD CONSTRAINT kyc_requests_status_check CHECK (status IN (
+  'pending','approved','declined','resubmission_requested'));
+ALTER TABLE job_assignments ADD CONSTRAINT job_assignments_status_check CHECK (status IN (
+  'offered','accepted','declined','expired','withdrawn'));
+CREATE INDEX IF NOT EXISTS jobs_assigned_tech_idx ON jobs (assigned_tech_id);
+CREATE INDEX IF NOT EXISTS jobs_client_idx ON jobs (client_id, created_at);
+CREATE INDEX IF NOT EXISTS jobs_status_idx ON jobs (status);
+CREATE INDEX IF NOT EXISTS kyc_requests_user_idx ON kyc_requests (user_id, submitted_at);
+CREATE INDEX IF NOT EXISTS transactions_client_idx ON transactions (client_id);
+CREATE INDEX IF NOT EXISTS transactions_tech_idx ON transactions (tech_id);
+CREATE INDEX IF NOT EXISTS messages_job_idx ON messages (job_id, created_at);
+CREATE INDEX IF NOT EXISTS refresh_tokens_subject_idx ON refresh_tokens (subject_id);
+`,
+  down: `
+DROP INDEX IF EXISTS refresh_tokens_subject_idx;
+DROP INDEX IF EXISTS messages_job_idx;
+DROP INDEX IF EXISTS transactions_tech_idx;
+DROP INDEX IF EXISTS transactions_client_idx;
+DROP INDEX IF EXISTS kyc_requests_user_idx;
+DROP INDEX IF EXISTS jobs_status_idx;
+DROP INDEX IF EXISTS jobs_client_idx;
+DROP INDEX IF EXISTS jobs_assigned_tech_idx;
+ALTER TABLE job_assignments DROP CONSTRAINT IF EXISTS job_assignments_status_check;
+ALTER TABLE kyc_requests DROP CONSTRAINT IF EXISTS kyc_requests_status_check;
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_status_check;
+`
+};
@@ -0,0 +1,26 @@
+// Migrations/0013_geohash_search.js
+// Radius search for matching (Services/matching.js): technicians' positions get a geohash
+// (Services/geo.js) with a prefix index, backfilled from the stored lat/lng. Jobs get the LGA
+// they are in, for matching without coordinates, and the radius their search has widened to.
+const { hashOf } = require('../Services/geo');
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+ALTER TABLE users ADD COLUMN IF NOT EXISTS geohash TEXT;
+CREATE INDEX IF NOT EXISTS users_worker_geohash_idx ON users (geohash text_pattern_ops) WHERE role = 'worker';
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS lga TEXT;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS search_radius_m INTEGER;
+`);
+    const rows = (await db.query(`SELECT id, lat, lng FROM users WHERE lat IS NOT NULL AND lng IS NOT NULL`)).rows;
+    for(const u of rows){
+      await db.query(`UPDATE users SET geohash=$2 WHERE id=$1`, [u.id, hashOf(u.lat, u.lng)]);
+    }
+  },
+  down: `
+ALTER TABLE jobs DROP COLUMN IF EXISTS search_radius_m;
+ALTER TABLE jobs DROP COLUMN IF EXISTS lga;
+DROP INDEX IF EXISTS users_worker_geohash_idx;
+ALTER TABLE users DROP COLUMN IF EXISTS geohash;
+`
+};
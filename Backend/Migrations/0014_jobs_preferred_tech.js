@@ -0,0 +1,11 @@
+// Migrations/0014_jobs_preferred_tech.js
+// A priced job is only offered once its escrow is funded (Services/booking.js), so the technician a
+// client picked (POST /api/book-assign) is kept on the job until then.
+module.exports = {
+  up: `
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS preferred_tech_id TEXT REFERENCES users(id);
+`,
+  down: `
+ALTER TABLE jobs DROP COLUMN IF EXISTS preferred_tech_id;
+`
+};
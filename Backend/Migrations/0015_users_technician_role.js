@@ -0,0 +1,10 @@
+// Migrations/0015_users_technician_role.js
+// Sign-ups that chose 'technician' were stored with that role, which matching and the location
+// index (role = 'worker') never see; registration now stores 'worker' (Services/users.js)
+module.exports = {
+  up: `
+UPDATE users SET role = 'worker' WHERE lower(role) = 'technician';
+`,
+  // data only: the accounts stay technicians
+  down: ''
+};
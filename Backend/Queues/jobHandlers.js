@@ -0,0 +1,37 @@
+// Queues/jobHandlers.js
+// What each queued job does. The in-process worker (server.js) and Workers/job worker.js both run
+// this, so a job behaves the same whichever process picks it up. Handlers throw on DB/provider
+// errors so BullMQ retries them; the services make a repeated run a no-op.
+
+/**
+ * services: from Services/index.js createServices()
+ */
+function createJobProcessor({ assignment, escrow, kycDocs, kycChecks, kycVerification }){
+  const handlers = {
+    // technician didn't answer in time -> revert and offer to the next candidate
+    'accept-expiry': async (data) => ({ ok: true, reassigned: await assignment.handleAcceptExpiry(data) }),
+    releasePayment: (data) => escrow.releaseJob(data.jobId),
+    refundPayment: (data) => escrow.refundJob(data.jobId),
+    kycRetention: async () => ({ ok: true, purged: await kycDocs.purgeExpired() }),
+    kycPrecheck: (data) => kycChecks.run(data.requestId),
+    kycVerifyIdentity: (data) => kycVerification.run(data.requestId),
+    // placeholder until push notifications exist
+    'notify-tech': async (data) => {
+      console.log('Simulated notify-tech:', data);
+      return { ok: true };
+    }
+  };
+  // the name Workers/job worker.js used for it
+  handlers.notifyTechnician = handlers['notify-tech'];
+
+  return async (job) => {
+    const handler = handlers[job.name];
+    if(!handler){
+      console.warn('No handler for queued job', job.name);
+      return { ok: false, message: `unknown job ${job.name}` };
+    }
+    return handler(job.data || {});
+  };
+}
+
+module.exports = { createJobProcessor };
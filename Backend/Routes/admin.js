@@ -0,0 +1,166 @@
+// Routes/admin.js
+// Admin console: overview and logs, user suspension, payment retries, wallets and the audit log.
+//   GET /api/admin/metrics
+//   GET /api/admin/users
+//   GET /api/admin/kyc-logs
+//   GET /api/admin/job-logs
+//   GET /api/admin/transactions
+//   GET /api/admin/disputes
+//   GET /api/admin/audit        -- audit log (+ /export for CSV)
+// app.js puts the admin-or-staff check in front of /api/admin/*; each route adds its permission
+// (Middleware/permissions.js).
+const express = require('express');
+const { fail, handle } = require('../Middleware/errors');
+const { validate, paging: pagingQuery } = require('../Middleware/validate');
+const ledger = require('../Services/ledger');
+const users = require('../Data/users');
+const jobs = require('../Data/jobs');
+const kycRequests = require('../Data/kycRequests');
+const transactions = require('../Data/transactions');
+const disputesData = require('../Data/disputes');
+const { clientIp, paging } = require('./helpers');
+
+// audit log filters (GET /api/admin/audit and /export)
+const AUDIT_FILTERS = {
+  actor_id: { type: 'string' },
+  actor_role: { type: 'string' },
+  action: { type: 'string', description: "exact, or a prefix as 'kyc.*'" },
+  target_type: { type: 'string' },
+  target_id: { type: 'string' },
+  from: { type: 'string', format: 'date-time', message: 'from/to must be dates' },
+  to: { type: 'string', format: 'date-time', message: 'from/to must be dates' }
+};
+const auditFilters = query => Object.keys(AUDIT_FILTERS).reduce((f, k) => (query[k] ? Object.assign(f, { [k]: query[k] }) : f), {});
+const DISPUTE_STATUSES = ['open', 'under_review', 'awaiting_info', 'resolved', 'dismissed'];
+
+function createAdminRouter({ pool, services }){
+  const { access, audit, escrow, wallet, kycDocs } = services;
+  const { requirePermission } = access;
+  const router = express.Router();
+
+  router.get('/api/admin/metrics', requirePermission('metrics:view'), handle(async (req, res) => {
+    return res.json({ success: true, metrics: await users.presenceCounts(pool) });
+  }));
+
+  // filters: role=worker|client, online=1|0, limit, offset
+  router.get('/api/admin/users', requirePermission('users:view'), validate({
+    summary: 'Clients and technicians',
+    query: Object.assign({
+      role: { type: 'string', enum: ['client', 'worker'] },
+      online: { type: 'boolean' }
+    }, pagingQuery())
+  }), handle(async (req, res) => {
+    const { role = null, online = null } = req.query;
+    return res.json({ success:true, users: await users.list(pool, Object.assign({ role, online }, paging(req.query))) });
+  }));
+
+  // Suspend / reactivate a client or technician: { reason } (Services/users.js setSuspension)
+  function suspensionRoute(suspend){
+    return [validate({
+      summary: suspend ? 'Suspend a client or technician' : 'Reactivate a suspended user',
+      params: { id: { type: 'string', description: 'user id' } },
+      body: { reason: { type: 'string', trim: true, maxLength: 1000 } }
+    }), handle(async (req, res) => {
+      const result = await services.users.setSuspension(req.params.id, req.auth, suspend, req.body.reason, clientIp(req));
+      if(!result.ok) throw fail(result);
+      return res.json({ success:true, user: result.user });
+    })];
+  }
+  router.post('/api/admin/users/:id/suspend', requirePermission('users:suspend'), suspensionRoute(true));
+  router.post('/api/admin/users/:id/reactivate', requirePermission('users:suspend'), suspensionRoute(false));
+
+  router.get('/api/admin/kyc-logs', requirePermission('logs:view', 'kyc:review'), validate({ summary: 'KYC requests, newest first', query: pagingQuery() }), handle(async (req,res) => {
+    const rows = await kycRequests.logs(pool, paging(req.query));
+    res.setHeader('Cache-Control', 'no-store');
+    return res.json({ success:true, logs: await kycDocs.present(rows) });
+  }));
+
+  router.get('/api/admin/job-logs', requirePermission('logs:view'), validate({ summary: 'Jobs, newest first', query: pagingQuery() }), handle(async (req,res) => {
+    return res.json({ success:true, jobs: await jobs.logs(pool, paging(req.query)) });
+  }));
+
+  router.get('/api/admin/transactions', requirePermission('transactions:view'), validate({ summary: 'Transactions, newest first', query: pagingQuery() }), handle(async (req,res) => {
+    return res.json({ success:true, transactions: await transactions.list(pool, paging(req.query)) });
+  }));
+
+  // Retry a stuck escrow: release or refund
+  router.post('/api/admin/payments/:jobId/:action', requirePermission('payments:manage'), validate({
+    summary: 'Retry a stuck escrow release or refund',
+    params: {
+      jobId: { type: 'string' },
+      action: { type: 'string', enum: ['release', 'refund'], message: 'action must be release or refund' }
+    }
+  }), handle(async (req,res) => {
+    const { jobId, action } = req.params;
+    const before = await transactions.latestEscrowForJob(pool, jobId);
+    const result = action === 'release' ? await escrow.releaseJob(jobId) : await escrow.refundJob(jobId);
+    await audit.record(pool, {
+      actor: req.auth, action: `payment.${action}`, targetType: 'job', targetId: jobId,
+      before, after: Object.assign({ result }, await transactions.latestEscrowForJob(pool, jobId)), ip: clientIp(req)
+    });
+    return res.json(Object.assign({ success:true }, result));
+  }));
+
+  // Technician wallet as seen by admins, and manual ledger adjustments (+ credit / - debit)
+  router.get('/api/admin/wallets/:techId', requirePermission('wallets:view'), validate({
+    summary: 'A technician\'s wallet and ledger history',
+    params: { techId: { type: 'string' } },
+    query: pagingQuery()
+  }), handle(async (req,res) => {
+    const techId = req.params.techId;
+    const summary = await ledger.walletSummary(pool, techId);
+    const history = await ledger.walletHistory(pool, techId, paging(req.query));
+    return res.json({ success:true, wallet: summary, history });
+  }));
+
+  router.post('/api/admin/wallets/:techId/adjust', requirePermission('wallets:adjust'), validate({
+    summary: 'Credit (+) or debit (-) a technician\'s wallet',
+    params: { techId: { type: 'string' } },
+    body: {
+      amount: { type: 'number', required: true, message: 'amount must be a non-zero number' },
+      reason: { type: 'string', trim: true, maxLength: 1000, required: true, message: 'reason required' }
+    }
+  }), handle(async (req,res) => {
+    const { amount, reason } = req.body;
+    const result = await wallet.adjust(req.params.techId, amount, reason, req.auth, clientIp(req));
+    if(!result.ok) throw fail(result);
+    return res.json({ success:true, adjustment: result.adjustment });
+  }));
+
+  router.get('/api/admin/disputes', requirePermission('disputes:view'), validate({
+    summary: 'Disputes with party names',
+    query: Object.assign({ status: { type: 'string', enum: DISPUTE_STATUSES } }, pagingQuery())
+  }), handle(async (req,res) => {
+    const rows = await disputesData.listWithNames(pool, Object.assign({ status: req.query.status || null }, paging(req.query)));
+    return res.json({ success:true, disputes: rows });
+  }));
+
+  // ---------- Audit log (Services/audit.js) ----------
+  router.get('/api/admin/audit', requirePermission('audit:view'), validate({
+    summary: 'Audit log, newest first',
+    query: Object.assign({}, AUDIT_FILTERS, pagingQuery({ max: 500, limit: 100 }))
+  }), handle(async (req, res) => {
+    return res.json({ success:true, entries: await audit.list(auditFilters(req.query), paging(req.query)) });
+  }));
+
+  // same filters, oldest first, streamed as CSV
+  router.get('/api/admin/audit/export', requirePermission('audit:view'), validate({
+    summary: 'Audit log as CSV, oldest first',
+    query: AUDIT_FILTERS
+  }), handle(async (req, res) => {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+    // stop querying if the download is abandoned (the error middleware ends a response already under way)
+    await audit.exportCsv(auditFilters(req.query), chunk => new Promise((resolve, reject) => {
+      if (res.destroyed) return reject(new Error('audit export aborted by client'));
+      if (res.write(chunk)) return resolve();
+      res.once('drain', resolve);
+      res.once('close', resolve);
+    }));
+    return res.end();
+  }));
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
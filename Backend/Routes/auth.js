@@ -0,0 +1,148 @@
+// Routes/auth.js
+// Registration, sign-in (admin from env, staff, clients and technicians), token refresh and logout
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { normalizeStaffRole, permissionsFor } = require('../Middleware/permissions');
+const { issueTokens, rotateRefreshToken, revokeRefreshToken } = require('../Middleware/auth');
+const { HttpError, fail, handle } = require('../Middleware/errors');
+const { validate } = require('../Middleware/validate');
+const { SELF_SERVICE_ROLES } = require('../Services/users');
+const { clientIp } = require('./helpers');
+
+// the registration form; the messages are the ones the sign-up page shows
+const registration = validate({
+  summary: 'Create a client or technician account',
+  body: {
+    email: { type: 'string', format: 'email', trim: true, required: true, message: 'Invalid email' },
+    phone: { type: 'string', format: 'phone', trim: true, required: true, message: 'Invalid phone' },
+    fullname: { type: 'string', trim: true, minLength: 3, maxLength: 120, required: true, message: 'Invalid full name' },
+    username: { type: 'string', trim: true, minLength: 3, maxLength: 60, required: true, message: 'Invalid username' },
+    state: { type: 'string', trim: true, required: true, message: 'State/LGA/City required' },
+    lga: { type: 'string', trim: true, required: true, message: 'State/LGA/City required' },
+    city: { type: 'string', trim: true, required: true, message: 'State/LGA/City required' },
+    password: { type: 'string', minLength: 6, required: true, message: 'Password must be at least 6 characters' },
+    role: { type: 'string', enum: SELF_SERVICE_ROLES, default: 'client', message: 'Invalid role' },
+    gender: { type: 'string', trim: true, maxLength: 20 },
+    specializations: { type: 'array', items: { type: 'string', trim: true }, maxItems: 20 }
+  }
+});
+
+function createAuthRouter({ pool, services }){
+  const { users, staffAccounts } = services;
+  const router = express.Router();
+
+  // Registration
+  router.post('/api/register', registration, handle(async (req, res) => {
+    const result = await users.register(req.body);
+    if(!result.ok) throw fail(result);
+    return res.json({ success:true, message:'Account created successfully', userId: result.userId });
+  }));
+
+  // Login (admin via env, staff with redirect, and normal users)
+  router.post('/api/login', validate({
+    summary: 'Sign in (env admin, staff, clients and technicians)',
+    body: {
+      type: 'object',
+      required: ['login', 'password'],
+      properties: {
+        login: { type: 'string', trim: true, description: 'email, username or phone', message: 'Login and password required' },
+        password: { type: 'string', message: 'Login and password required' },
+        email: { type: 'string', trim: true }
+      }
+    }
+  }), handle(async (req, res) => {
+    const { login, password, email } = req.body;
+
+    const loginValue = login;
+    const payloadEmail = email || null;
+
+    // ---------- ADMIN (env-driven) ----------
+    // Set ADMIN_USERNAME and ADMIN_PASSWORD_HASH (bcrypt hash) in your environment
+    const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
+    const ADMIN_PASSWORD_HASH = process.env.ADMIN_PASSWORD_HASH || null;
+
+    if (loginValue === ADMIN_USERNAME || (payloadEmail && payloadEmail === ADMIN_USERNAME)) {
+      if (ADMIN_PASSWORD_HASH && await bcrypt.compare(password, ADMIN_PASSWORD_HASH)) {
+        const tokens = await issueTokens(pool, { id: 'admin', role: 'admin' });
+        return res.json(Object.assign({
+          success: true,
+          message: 'Admin login successful',
+          role: 'admin',
+          user: null
+        }, tokens));
+      }
+      throw new HttpError(401, 'Invalid credentials');
+    }
+
+    // ---------- STAFF (staff table, see /api/admin/staff/create) ----------
+    const staffLogin = await staffAccounts.authenticate(loginValue, password, clientIp(req));
+    if (staffLogin) {
+      if (!staffLogin.ok) throw fail(staffLogin);
+      // first sign-in: no session until the temporary password is replaced (POST /api/staff/password/reset)
+      if (staffLogin.changeRequired) {
+        return res.json({
+          success: true,
+          message: 'Choose a new password to finish signing in',
+          role: 'staff',
+          password_change_required: true,
+          change_token: staffLogin.changeToken,
+          change_token_expires_at: staffLogin.expiresAt
+        });
+      }
+      const staffRow = staffLogin.staff;
+      const BASE = process.env.ADMIN_UI_BASE || 'https://your-admin-ui.example.com';
+      const ROLE_ROUTES = {
+        'customer-support': `${BASE}/support`,
+        'transaction-review': `${BASE}/review`,
+        'scaling': `${BASE}/scaling`,
+        'api-manager': `${BASE}/api-manager`,
+        'developer': `${BASE}/developer`,
+        'kyc': `${BASE}/kyc`,
+        'fraud': `${BASE}/fraud`,
+        'log': `${BASE}/logs`,
+        'notification': `${BASE}/notifications`
+      };
+      const staffRole = normalizeStaffRole(staffRow.role);
+      const tokens = await issueTokens(pool, { id: staffRow.id, role: 'staff' });
+      return res.json(Object.assign({
+        success: true,
+        message: 'Staff login successful',
+        role: 'staff',
+        user: {
+          id: staffRow.id, role: 'staff', staff_role: staffRole, fullname: staffRow.fullname, email: staffRow.email,
+          permissions: permissionsFor('staff', staffRole)
+        },
+        redirect: ROLE_ROUTES[staffRole] || `${BASE}/staff`
+      }, tokens));
+    }
+
+    // ---------- CLIENTS / TECHNICIANS ----------
+    const signedIn = await users.signIn(loginValue, password);
+    if (!signedIn.ok) throw fail(signedIn);
+    const tokens = await issueTokens(pool, { id: signedIn.user.id, role: signedIn.role });
+    return res.json(Object.assign({ success: true, message: 'Login successful', role: signedIn.role, user: signedIn.user }, tokens));
+  }));
+
+  // Exchange a refresh token for a new access/refresh pair (the old refresh token is revoked)
+  router.post('/api/auth/refresh', validate({
+    summary: 'Exchange a refresh token for a new token pair',
+    body: { refreshToken: { type: 'string', required: true } }
+  }), handle(async (req, res) => {
+    const tokens = await rotateRefreshToken(pool, req.body.refreshToken);
+    if (!tokens) throw new HttpError(401, 'Invalid or expired refresh token', { code: 'invalid_token' });
+    return res.json(Object.assign({ success:true }, tokens));
+  }));
+
+  router.post('/api/logout', validate({
+    summary: 'Revoke a refresh token',
+    body: { refreshToken: { type: 'string' } }
+  }), handle(async (req, res) => {
+    const { refreshToken } = req.body;
+    if (refreshToken) await revokeRefreshToken(pool, refreshToken);
+    return res.json({ success:true, message:'Logged out' });
+  }));
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,59 @@
+// Routes/chat.js
+// Job chat between the client and the crew (Services/chat.js)
+const express = require('express');
+const { authenticate, actingUserId } = require('../Middleware/auth');
+const { HttpError, fail, handle } = require('../Middleware/errors');
+const { validate } = require('../Middleware/validate');
+const jobs = require('../Data/jobs');
+const { jobAccess } = require('./helpers');
+
+const jobId = { id: { type: 'string', description: 'job id' } };
+
+function createChatRouter({ pool, services }){
+  const { chat } = services;
+  const canAccessJob = jobAccess(services);
+  const router = express.Router();
+
+  router.get('/api/job/:id/messages', authenticate, validate({ summary: 'A job\'s chat messages with attachment links', params: jobId }), handle(async (req, res) => {
+    const job = await jobs.parties(pool, req.params.id);
+    if(!job) throw new HttpError(404, 'Job not found');
+    if(!(await canAccessJob(req, job))) throw new HttpError(403, 'Forbidden');
+
+    return res.json({ success:true, messages: await chat.list(job.id) });
+  }));
+
+  // before any attachment is stored: only the job's client and crew may post (send checks again)
+  const participantOnly = handle(async (req, res, next) => {
+    const check = await chat.participant(req.params.id, req.auth.id);
+    if(!check.ok) throw fail(check);
+    next();
+  });
+
+  // JSON { text, metadata }, or multipart with up to 4 `attachments` (then text may be empty)
+  router.post('/api/job/:id/message', authenticate, participantOnly, chat.upload.array('attachments', 4), validate({
+    summary: 'Post a chat message, optionally with attachments',
+    multipart: { attachments: { maxCount: 4, description: 'photos, pdf, short video/audio; 20MB each' } },
+    params: jobId,
+    body: {
+      text: { type: 'string', maxLength: 5000 },
+      metadata: { type: ['object', 'null'], message: 'metadata must be JSON' },
+      senderId: { type: 'string', description: 'legacy field; if sent it must be the signed-in user' }
+    }
+  }), handle(async (req, res) => {
+    const files = req.files || [];
+    const { text, metadata } = req.body;
+    const senderId = actingUserId(req, req.body.senderId);
+    if(!senderId) throw new HttpError(403, 'Cannot send as another user');
+    if(!text && !files.length) throw new HttpError(400, 'text required', { code: 'validation_failed', fields: { text: 'text required' } });
+
+    // from here the service owns the files: it deletes them again unless the message is saved
+    res.locals.keepUploads = true;
+    const result = await chat.send(req.params.id, senderId, { text, metadata, files });
+    if(!result.ok) throw fail(result);
+    return res.json({ success:true, message: result.message });
+  }));
+
+  return router;
+}
+
+module.exports = { createChatRouter };
@@ -0,0 +1,31 @@
+// Routes/dashboard.js
+// Home screen: announcements, articles and the leaderboard for the caller's side
+const express = require('express');
+const { authenticate } = require('../Middleware/auth');
+const { handle } = require('../Middleware/errors');
+const { validate } = require('../Middleware/validate');
+const content = require('../Data/content');
+
+function createDashboardRouter({ pool }){
+  const router = express.Router();
+
+  router.get('/api/dashboard', authenticate, validate({
+    summary: 'Announcements, articles and the leaderboard',
+    query: {
+      role: { type: 'string', enum: ['client', 'worker'], default: 'client', description: 'whose leaderboard' },
+      rank: { type: 'string', enum: ['jobs', 'rating'], default: 'jobs' }
+    }
+  }), handle(async (req,res)=>{
+    const announcements = await content.announcements(pool);
+    const articles = await content.articles(pool);
+    // ?rank=rating orders by completed jobs weighted by the (smoothed) rating, see Services/reviews.js
+    const leaderboard = req.query.role === 'worker'
+      ? await content.techLeaderboard(pool, { byRating: req.query.rank === 'rating' })
+      : await content.clientLeaderboard(pool);
+    return res.json({ success:true, announcements, articles, leaderboard });
+  }));
+
+  return router;
+}
+
+module.exports = { createDashboardRouter };
@@ -0,0 +1,167 @@
+// Routes/disputes.js
+// Disputes raised by clients/technicians and the staff dispute queue (Services/disputes.js)
+const express = require('express');
+const { createUploader, fromRow } = require('../Services/storage');
+const { OPEN_STATUSES, OUTCOMES } = require('../Services/disputes');
+const { authenticate, requireRole } = require('../Middleware/auth');
+const { HttpError, fail, handle } = require('../Middleware/errors');
+const { validate, paging: pagingQuery } = require('../Middleware/validate');
+const { clientIp, paging } = require('./helpers');
+
+// photos, pdf, short video/audio (see GET /api/disputes/:id/evidence/:evidenceId)
+const EVIDENCE_TYPES = /^(image\/(jpeg|png|webp|gif)|application\/pdf|video\/mp4|audio\/(mpeg|mp4|ogg))$/;
+
+const disputeId = { id: { type: 'string', description: 'dispute id' } };
+
+function createDisputesRouter({ storage, services }){
+  const { disputes, access } = services;
+  const { requirePermission } = access;
+  const uploadEvidence = createUploader(storage, {
+    prefix: req => `disputes/${req.params.id}`,
+    limits: { fileSize: 20 * 1024 * 1024, files: 6 },
+    types: EVIDENCE_TYPES,
+    typeError: 'Unsupported evidence file type'
+  });
+  const router = express.Router();
+
+  // the dispute, or 404 / 403 for callers who aren't a party or staff
+  async function viewableDispute(req){
+    await access.resolve(req);
+    const dispute = await disputes.detail(req.params.id);
+    if(!dispute) throw new HttpError(404, 'Dispute not found');
+    if(!(await disputes.canView(dispute, req.auth))) throw new HttpError(403, 'Forbidden');
+    return dispute;
+  }
+
+  // raise a dispute against a job: { reason, details }
+  router.post('/api/job/:id/dispute', authenticate, requireRole('client', 'worker'), validate({
+    summary: 'Raise a dispute against a job',
+    params: { id: { type: 'string', description: 'job id' } },
+    body: {
+      reason: { type: 'string', trim: true, maxLength: 200, required: true, message: 'reason required' },
+      details: { type: 'string', trim: true, maxLength: 5000 }
+    }
+  }), handle(async (req,res)=>{
+    const { reason, details } = req.body;
+    const result = await disputes.open(req.params.id, req.auth, { reason, details }, clientIp(req));
+    if(!result.ok) throw fail(result);
+    return res.json({ success:true, dispute: result.dispute });
+  }));
+
+  router.get('/api/disputes', authenticate, handle(async (req,res)=>{
+    return res.json({ success:true, disputes: await disputes.listForUser(req.auth.id) });
+  }));
+
+  router.get('/api/disputes/:id', authenticate, validate({ summary: 'Dispute detail', params: disputeId }), handle(async (req,res)=>{
+    const dispute = await viewableDispute(req);
+    // internal notes stay with staff
+    if(!(await access.can(req, 'disputes:view'))){ delete dispute.admin_note; delete dispute.history; }
+    return res.json({ success:true, dispute });
+  }));
+
+  router.post('/api/disputes/:id/messages', authenticate, validate({
+    summary: 'Post a message on a dispute',
+    params: disputeId,
+    body: { body: { type: 'string', trim: true, maxLength: 5000, required: true, message: 'body required' } }
+  }), handle(async (req,res)=>{
+    await access.resolve(req);
+    const result = await disputes.addMessage(req.params.id, req.auth, req.body.body, clientIp(req));
+    if(!result.ok) throw fail(result);
+    return res.json({ success:true, message: result.message });
+  }));
+
+  // evidence: multipart `files` (photos, pdf, short video/audio) and/or `message_ids` from the job's chat, plus an optional `note`
+  router.post('/api/disputes/:id/evidence', authenticate, uploadEvidence.array('files', 6), validate({
+    summary: 'Add evidence: uploaded files and/or chat messages from the job',
+    multipart: { files: { maxCount: 6 } },
+    params: disputeId,
+    body: {
+      message_ids: { type: 'array', items: { type: 'integer' }, default: [] },
+      note: { type: 'string', trim: true, maxLength: 1000 }
+    }
+  }), handle(async (req,res)=>{
+    const files = (req.files || []).map(f => ({ name: f.originalname, file: f.stored }));
+    await access.resolve(req);
+    const result = await disputes.addEvidence(req.params.id, req.auth, { messageIds: req.body.message_ids, files, note: req.body.note }, clientIp(req));
+    if(!result.ok) throw fail(result);
+    res.locals.keepUploads = true;
+    return res.json({ success:true, evidence: result.evidence });
+  }));
+
+  router.get('/api/disputes/:id/evidence/:evidenceId', authenticate, validate({
+    summary: 'Download an evidence file',
+    params: Object.assign({ evidenceId: { type: 'integer' } }, disputeId)
+  }), handle(async (req,res)=>{
+    await viewableDispute(req);
+    const file = await disputes.evidenceFile(req.params.id, req.params.evidenceId);
+    const stored = fromRow(file);
+    if(!stored) throw new HttpError(404, 'Evidence not found');
+    const obj = stored.driver === storage.name ? await storage.get(stored) : null;
+    if(!obj) throw new HttpError(404, 'Evidence file missing');
+    res.setHeader('Content-Type', file.mimetype || obj.contentType || 'application/octet-stream');
+    if(obj.size != null) res.setHeader('Content-Length', obj.size);
+    res.setHeader('Content-Disposition', `inline; filename="${String(file.file_name || 'evidence').replace(/"/g, '')}"`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    obj.stream.on('error', (err) => { console.error('evidence stream', err.message); res.destroy(err); });
+    return obj.stream.pipe(res);
+  }));
+
+  // ----------------- Staff: dispute queue -----------------
+  router.get('/api/staff/disputes', authenticate, requirePermission('disputes:view'), validate({
+    summary: 'Dispute queue',
+    query: Object.assign({
+      status: { type: 'string', enum: OPEN_STATUSES.concat('resolved', 'dismissed') },
+      assigned: { type: 'string', enum: ['me'], description: 'only disputes assigned to the caller' },
+      assigned_to: { type: 'string', description: 'staff id' }
+    }, pagingQuery())
+  }), handle(async (req,res)=>{
+    const assignedTo = req.query.assigned === 'me' ? req.auth.id : (req.query.assigned_to || null);
+    return res.json({ success:true, disputes: await disputes.list(Object.assign({ status: req.query.status || null, assignedTo }, paging(req.query))) });
+  }));
+
+  // { staff_id } (defaults to the caller)
+  router.post('/api/staff/disputes/:id/assign', authenticate, requirePermission('disputes:handle'), validate({
+    summary: 'Assign a dispute to a staff member (the caller by default)',
+    params: disputeId,
+    body: { staff_id: { type: 'string' } }
+  }), handle(async (req,res)=>{
+    const result = await disputes.assign(req.params.id, req.auth, req.body.staff_id, clientIp(req));
+    if(!result.ok) throw fail(result);
+    return res.json({ success:true, dispute: result.dispute });
+  }));
+
+  // { status, admin_note }
+  router.post('/api/staff/disputes/:id/update', authenticate, requirePermission('disputes:handle'), validate({
+    summary: 'Move an open dispute between open states and/or set the internal note',
+    params: disputeId,
+    body: {
+      status: { type: 'string', enum: OPEN_STATUSES },
+      admin_note: { type: ['string', 'null'], maxLength: 5000 }
+    }
+  }), handle(async (req,res)=>{
+    const { status, admin_note } = req.body;
+    const result = await disputes.update(req.params.id, req.auth, { status, adminNote: admin_note }, clientIp(req));
+    if(!result.ok) throw fail(result);
+    return res.json({ success:true, dispute: result.dispute });
+  }));
+
+  // { outcome: refund|release|split|dismiss, client_amount (split), admin_note }
+  router.post('/api/staff/disputes/:id/resolve', authenticate, requirePermission('disputes:resolve'), validate({
+    summary: 'Resolve a dispute and move the escrow accordingly',
+    params: disputeId,
+    body: {
+      outcome: { type: 'string', enum: OUTCOMES, required: true },
+      client_amount: { type: 'number', minimum: 0, description: 'refunded to the client on a split; the rest is released' },
+      admin_note: { type: 'string', maxLength: 5000 }
+    }
+  }), handle(async (req,res)=>{
+    const { outcome, client_amount, admin_note } = req.body;
+    const result = await disputes.resolve(req.params.id, req.auth, { outcome, clientAmount: client_amount, adminNote: admin_note }, clientIp(req));
+    if(!result.ok) throw fail(result);
+    return res.json({ success:true, dispute: result.dispute, payment: result.payment });
+  }));
+
+  return router;
+}
+
+module.exports = { createDisputesRouter };
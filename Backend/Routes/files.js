@@ -0,0 +1,35 @@
+// Routes/files.js
+// Local-driver file behind a signed link (Services/storage/local.js). No session: the expiring
+// signature is the credential, so it works in <img>/<video> tags. Other drivers sign their own URLs.
+const express = require('express');
+const { HttpError, handle } = require('../Middleware/errors');
+const { validate } = require('../Middleware/validate');
+
+function createFilesRouter({ storage }){
+  const router = express.Router();
+
+  router.get('/api/files/*', validate({
+    summary: 'A stored file behind a signed link (local storage driver)',
+    query: {
+      expires: { type: 'integer', required: true, description: 'unix seconds' },
+      sig: { type: 'string', required: true },
+      type: { type: 'string', description: 'content type to serve it as' },
+      name: { type: 'string', description: 'download file name' }
+    }
+  }), handle(async (req, res) => {
+    if (!storage.openSigned) throw new HttpError(404, 'Not found');
+    const file = await storage.openSigned(req.params[0], req.query);
+    if (!file) throw new HttpError(403, 'Link invalid or expired');
+    res.setHeader('Content-Type', file.contentType || 'application/octet-stream');
+    if (file.size != null) res.setHeader('Content-Length', file.size);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Content-Disposition', file.downloadName ? `attachment; filename="${file.downloadName.replace(/["\\\r\n]/g, '')}"` : 'inline');
+    file.stream.on('error', (err) => { console.error('/api/files stream', err.message); res.destroy(err); });
+    return file.stream.pipe(res);
+  }));
+
+  return router;
+}
+
+module.exports = { createFilesRouter };
@@ -0,0 +1,32 @@
+// Routes/helpers.js
+// Small request helpers shared by the routers
+
+// caller's address for audit trails (Render puts the client first in x-forwarded-for)
+function clientIp(req){
+  const fwd = req.headers['x-forwarded-for'];
+  return (fwd ? String(fwd).split(',')[0].trim() : null) || req.ip || null;
+}
+
+// absolute base for links kept in the DB (set PUBLIC_API_URL when the Host header isn't the public one)
+function publicBaseUrl(req){
+  if (process.env.PUBLIC_API_URL) return process.env.PUBLIC_API_URL.replace(/\/+$/, '');
+  const proto = String(req.headers['x-forwarded-proto'] || req.protocol).split(',')[0].trim();
+  return `${proto}://${req.get('host')}`;
+}
+
+// limit/offset of a query checked with validate's paging() (Middleware/validate.js)
+function paging(query){
+  return { limit: query.limit, offset: query.offset };
+}
+
+// canAccessJob(req, job): the job's client, a technician on (or offered) its crew, or admin/staff allowed to view jobs
+function jobAccess({ access, assignment }){
+  return async function canAccessJob(req, job){
+    if(!req.auth || !job) return false;
+    if(await access.can(req, 'jobs:view')) return true;
+    if(job.client_id === req.auth.id || job.assigned_tech_id === req.auth.id) return true;
+    return assignment.isCrewMember(job.id, req.auth.id, ['accepted', 'offered']);
+  };
+}
+
+module.exports = { clientIp, publicBaseUrl, paging, jobAccess };
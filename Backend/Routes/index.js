@@ -0,0 +1,28 @@
+// Routes/index.js
+// Every router, in the order app.js mounts them
+const { createAuthRouter } = require('./auth');
+const { createJobsRouter } = require('./jobs');
+const { createPaymentsRouter } = require('./payments');
+const { createDisputesRouter } = require('./disputes');
+const { createReviewsRouter } = require('./reviews');
+const { createUsersRouter } = require('./users');
+const { createKycRouter } = require('./kyc');
+const { createFilesRouter } = require('./files');
+const { createAdminRouter } = require('./admin');
+const { createPricesRouter } = require('./prices');
+const { createStaffRouter } = require('./staff');
+const { createChatRouter } = require('./chat');
+const { createDashboardRouter } = require('./dashboard');
+
+const ROUTERS = [
+  createAuthRouter, createJobsRouter, createPaymentsRouter, createDisputesRouter, createReviewsRouter,
+  createUsersRouter, createKycRouter, createFilesRouter, createAdminRouter, createPricesRouter,
+  createStaffRouter, createChatRouter, createDashboardRouter
+];
+
+// ctx: { pool, storage, services }
+function createRouters(ctx){
+  return ROUTERS.map(create => create(ctx));
+}
+
+module.exports = { createRouters };
@@ -0,0 +1,212 @@
+// Routes/jobs.js
+// Booking, technician offers and presence, job detail and the lifecycle transitions
+// (Services/jobStateMachine.js). Technicians may only move jobs whose crew they are on, clients
+// only their own jobs.
+const express = require('express');
+const { canTransition, transitionJob, jobEvents } = require('../Services/jobStateMachine');
+const { withTransaction } = require('../Services/ledger');
+const { authenticate, requireRole, actingUserId } = require('../Middleware/auth');
+const { HttpError, fail, handle } = require('../Middleware/errors');
+const { validate } = require('../Middleware/validate');
+const jobs = require('../Data/jobs');
+const users = require('../Data/users');
+const { jobAccess } = require('./helpers');
+
+const jobParams = { id: { type: 'string', description: 'job id' } };
+
+// what a client sends to book (POST /api/book, /api/book-assign)
+const bookingBody = {
+  type: 'object',
+  required: ['state'],
+  properties: {
+    clientId: { type: 'string', description: 'legacy field; if sent it must be the signed-in client' },
+    state: { type: 'string', trim: true, message: 'state required' },
+    lga: { type: ['string', 'null'], trim: true },
+    city: { type: ['string', 'null'], trim: true },
+    address: { type: 'string', trim: true, maxLength: 500 },
+    lat: { type: ['number', 'null'], minimum: -90, maximum: 90 },
+    lng: { type: ['number', 'null'], minimum: -180, maximum: 180 },
+    job_type: { type: 'string', trim: true },
+    description: { type: 'string', maxLength: 5000 },
+    workers_needed: { type: 'integer', minimum: 1, maximum: 50, default: 1 },
+    estimated_days: { type: 'integer', minimum: 1, maximum: 365, default: 1 }
+  }
+};
+
+function createJobsRouter({ pool, services }){
+  const { assignment, escrow, booking } = services;
+  const canAccessJob = jobAccess(services);
+  const router = express.Router();
+
+  // the job, or 404 / 403 for callers who aren't on it
+  async function accessibleJob(req, find){
+    const job = await find(pool, req.params.id);
+    if(!job) throw new HttpError(404, 'Not found');
+    if(!(await canAccessJob(req, job))) throw new HttpError(403, 'Forbidden');
+    return job;
+  }
+
+  // Assigned jobs for technician (initial load / fallback when the event stream is unavailable)
+  router.get('/api/assigned-jobs', authenticate, requireRole('worker'), validate({
+    summary: 'Open offers and jobs for a technician',
+    query: { techId: { type: 'string' } }
+  }), handle(async (req,res)=>{
+    const techId = actingUserId(req, req.query.techId);
+    if(!techId) throw new HttpError(403, 'Cannot act for another technician');
+    const rows = await jobs.openOffersFor(pool, techId);
+    for(const row of rows) row.crew = await assignment.crewFor(row.id);
+    return res.json({ success:true, jobs: rows });
+  }));
+
+  // Respond to job (accept/decline)
+  router.post('/api/job/:id/respond', authenticate, requireRole('worker'), validate({
+    summary: 'Accept or decline a job offer',
+    params: jobParams,
+    body: {
+      action: { type: 'string', enum: ['accept', 'decline'], required: true },
+      techId: { type: 'string' }
+    }
+  }), handle(async (req,res)=>{
+    const techId = actingUserId(req, req.body.techId);
+    if(!techId) throw new HttpError(403, 'Cannot act for another technician');
+
+    const result = await assignment.respond(req.params.id, techId, req.body.action);
+    if(!result.ok) throw fail(result, 409);
+    return res.json({ success:true, message: result.message, job: result.job });
+  }));
+
+  // Job status (client)
+  router.get('/api/job/:id/status', authenticate, validate({ summary: 'Job status', params: jobParams }), handle(async (req,res)=>{
+    const job = await accessibleJob(req, jobs.statusOf);
+    return res.json({ success:true, job });
+  }));
+
+  // Full job detail (client or technician can call) -> includes client and tech profiles with lat/lng
+  router.get('/api/job/:id', authenticate, validate({ summary: 'Job detail with client, technician and crew', params: jobParams }), handle(async (req,res)=>{
+    const job = await accessibleJob(req, jobs.findById);
+
+    const client = await users.contact(pool, job.client_id);
+    // crew lead; the full crew is in `crew`
+    const technician = job.assigned_tech_id ? await users.contact(pool, job.assigned_tech_id) : null;
+    const crew = await assignment.crewFor(job.id);
+
+    return res.json({ success:true, job, client, technician, crew });
+  }));
+
+  // Transition history (who moved the job, and when)
+  router.get('/api/job/:id/events', authenticate, validate({ summary: 'Job transition history', params: jobParams }), handle(async (req,res)=>{
+    const job = await accessibleJob(req, jobs.parties);
+    return res.json({ success:true, events: await jobEvents(pool, job.id) });
+  }));
+
+  // ----------------- Job lifecycle transitions -----------------
+  function jobTransitionRoute(to, roles){
+    return [validate({
+      summary: `Move a job to ${to} (${roles.join(', ')})`,
+      params: jobParams,
+      body: { reason: { type: 'string', trim: true } }
+    }), handle(async (req, res) => {
+      const jobId = req.params.id;
+      const role = req.auth.role;
+      if(!roles.includes(role)) throw new HttpError(403, 'Forbidden');
+
+      const job = await jobs.findById(pool, jobId);
+      if(!job) throw new HttpError(404, 'Job not found');
+      // an offer alone doesn't make a technician crew: they answer it through /respond
+      if(role === 'worker' && !(await assignment.isCrewMember(jobId, req.auth.id, ['accepted']))) throw new HttpError(403, 'Not assigned to this technician');
+      if(role === 'client' && job.client_id !== req.auth.id) throw new HttpError(403, 'Not your job');
+
+      const opts = { note: req.body.reason ? req.body.reason.slice(0, 500) : null };
+      // a technician cancelling only takes themselves off the crew; the job is offered again
+      if(to === 'cancelled' && role === 'worker'){
+        const left = await assignment.leaveCrew(jobId, req.auth.id, opts.note);
+        if(!left.ok) throw fail(left);
+        return res.json({ success:true, message: left.message, job: left.job });
+      }
+
+      if(!canTransition(job.status, to, role)){
+        throw new HttpError(409, `Cannot move job from ${job.status} to ${to}`, { code: 'invalid_transition' });
+      }
+
+      if(to === 'cancelled') opts.set = { expires_at: null };
+
+      // the follow-up work is queued before the transition commits (the release/refund waits on the
+      // job row and checks its status, see Services/escrow.js), so a committed move always has it
+      let withdrawn = [];
+      const updated = await withTransaction(pool, async (db) => {
+        const moved = await transitionJob(db, jobId, to, { id: req.auth.id, role }, opts);
+        if(!moved) return null;
+        if(to === 'cancelled' || to === 'expired'){
+          withdrawn = await assignment.withdrawOffers(db, jobId);
+          await escrow.scheduleRefund(jobId);
+        }
+        if(to === 'confirmed_by_client') await escrow.scheduleRelease(jobId);
+        return moved;
+      });
+      if(!updated) throw new HttpError(409, 'Job status changed, please refresh');
+      await assignment.notifyWithdrawn(jobId, withdrawn);
+      await assignment.publishJobStatus(jobId);
+
+      return res.json({ success:true, message:`Job ${to}`, job: updated });
+    })];
+  }
+
+  router.post('/api/job/:id/en-route', authenticate, jobTransitionRoute('en_route', ['worker']));
+  router.post('/api/job/:id/start', authenticate, jobTransitionRoute('in_progress', ['worker']));
+  router.post('/api/job/:id/complete', authenticate, jobTransitionRoute('completed_by_tech', ['worker']));
+  router.post('/api/job/:id/confirm', authenticate, jobTransitionRoute('confirmed_by_client', ['client', 'admin']));
+  router.post('/api/job/:id/cancel', authenticate, jobTransitionRoute('cancelled', ['client', 'worker', 'admin']));
+  router.post('/api/job/:id/expire', authenticate, jobTransitionRoute('expired', ['admin']));
+
+  // ----------------- Booking (Services/booking.js) -----------------
+  router.post('/api/book', authenticate, requireRole('client'), validate({
+    summary: 'Book a job (priced server-side, offered to the nearest technicians once paid)',
+    body: bookingBody
+  }), handle(async (req,res)=>{
+    const clientId = actingUserId(req, req.body.clientId);
+    if(!clientId) throw new HttpError(403, 'Cannot book for another client');
+
+    const result = await booking.book(clientId, req.body);
+    if(!result.ok) throw fail(result);
+    const { ok, ...out } = result;
+    return res.json(Object.assign({ success:true }, out));
+  }));
+
+  // Book a specific technician (rebook / picked from search)
+  router.post('/api/book-assign', authenticate, requireRole('client'), validate({
+    summary: 'Book a job with a chosen technician first in line',
+    body: Object.assign({}, bookingBody, {
+      required: bookingBody.required.concat('techId'),
+      properties: Object.assign({ techId: { type: 'string', message: 'techId required' } }, bookingBody.properties)
+    })
+  }), handle(async (req,res)=>{
+    const clientId = actingUserId(req, req.body.clientId);
+    if(!clientId) throw new HttpError(403, 'Cannot book for another client');
+
+    const result = await booking.bookTechnician(clientId, req.body.techId, req.body);
+    if(!result.ok) throw fail(result);
+    const { ok, ...out } = result;
+    return res.json(Object.assign({ success:true }, out));
+  }));
+
+  // Tech status update: { online, lat, lng }
+  router.post('/api/tech/status', authenticate, requireRole('worker'), validate({
+    summary: 'Technician goes online/offline with their position',
+    body: {
+      online: { type: 'boolean', default: false },
+      lat: { type: ['number', 'null'], minimum: -90, maximum: 90 },
+      lng: { type: ['number', 'null'], minimum: -180, maximum: 180 },
+      techId: { type: 'string' }
+    }
+  }), handle(async (req,res) => {
+    const techId = actingUserId(req, req.body.techId);
+    if(!techId) throw new HttpError(403, 'Cannot update another technician');
+    const result = await services.users.setPresence(techId, req.body);
+    if(!result.ok) throw fail(result);
+    return res.json({ success:true, message:'Status updated' });
+  }));
+
+  return router;
+}
+
+module.exports = { createJobsRouter };
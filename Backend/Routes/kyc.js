@@ -0,0 +1,208 @@
+// Routes/kyc.js
+// KYC submission and resubmission, document links, status/history, and the reviewer queue
+// (Services/kycDocuments.js, Services/kycReview.js; automated checks in kycChecks/kycVerification)
+const express = require('express');
+const { REASON_CODES: KYC_REASON_CODES, RESUBMIT_FIELDS: KYC_RESUBMIT_FIELDS } = require('../Services/kycReview');
+const { authenticate, actingUserId } = require('../Middleware/auth');
+const { HttpError, fail, handle } = require('../Middleware/errors');
+const { validate } = require('../Middleware/validate');
+const users = require('../Data/users');
+const kycRequests = require('../Data/kycRequests');
+const { clientIp } = require('./helpers');
+
+const SUBMIT_FILES = {
+  id_front: { maxCount: 1 },
+  id_back: { maxCount: 1 },
+  id_images: { maxCount: 6, description: 'older clients: the ID pictures in one field' },
+  selfie: { maxCount: 1 },
+  work_videos: { maxCount: 2 }
+};
+const RESUBMIT_FILES = {};
+for(const name of Object.values(KYC_RESUBMIT_FIELDS)) RESUBMIT_FILES[name] = { maxCount: (SUBMIT_FILES[name] || {}).maxCount || 1 };
+const uploadSpec = files => Object.entries(files).map(([name, f]) => ({ name, maxCount: f.maxCount }));
+
+const requestId = { reqId: { type: 'integer', description: 'KYC request id' } };
+const userId = { userId: { type: 'string' } };
+
+function createKycRouter({ pool, services }){
+  const { kycDocs, kycReview, kycChecks, access, audit } = services;
+  const { requirePermission } = access;
+  const router = express.Router();
+
+  // KYC submit: multipart id_type, id_number, notes + id_front and id_back (or id_images, 1-6, from older
+  // clients), selfie, work_videos (0-2). Files go to private storage and are registered in kyc_documents;
+  // nothing here returns their location.
+  router.post('/api/kyc/submit', authenticate, kycDocs.upload.fields(uploadSpec(SUBMIT_FILES)), validate({
+    summary: 'Submit ID documents for review',
+    multipart: SUBMIT_FILES,
+    body: {
+      userId: { type: 'string', description: 'legacy field; if sent it must be the signed-in user' },
+      id_type: { type: 'string', trim: true, maxLength: 40, required: true },
+      id_number: { type: 'string', trim: true, maxLength: 40, required: true },
+      notes: { type: 'string', trim: true, maxLength: 2000 }
+    }
+  }), handle(async (req, res) => {
+    const { id_type, id_number, notes } = req.body;
+    const userId = actingUserId(req, req.body.userId);
+    if (!userId) throw new HttpError(403, 'Cannot submit KYC for another user');
+
+    const idFiles = ['id_front', 'id_back', 'id_images'].flatMap(f => (req.files && req.files[f]) || []);
+    if (idFiles.length === 0) {
+      throw new HttpError(400, 'The ID pictures (id_front/id_back or id_images) are required', {
+        code: 'validation_failed', fields: { id_front: 'id_front file required', id_back: 'id_back file required' }
+      });
+    }
+
+    const result = await kycReview.submit(userId, { idType: id_type, idNumber: id_number, notes }, req.files);
+    // a request already open: its id and status come back with the 409
+    if (!result.ok) throw new HttpError(result.status, result.message, { extra: result.requestId ? { requestId: result.requestId, status: result.requestStatus } : null });
+    res.locals.keepUploads = true;
+    await kycChecks.enqueue(result.requestId).catch(e => console.error('kyc precheck enqueue', e));
+
+    return res.json({
+      success: true,
+      message: 'KYC submitted and pending review',
+      requestId: result.requestId,
+      documents: result.documents.map(d => ({ id: d.id, kind: d.kind, mimetype: d.mimetype, size: Number(d.size) }))
+    });
+  }));
+
+  // Short-lived links to a KYC request's files: the owner, or staff with kyc:review (logged)
+  router.get('/api/kyc/requests/:reqId/documents', authenticate, validate({ summary: 'Signed links to a KYC request\'s files', params: requestId }), handle(async (req, res) => {
+    const k = await kycRequests.findById(pool, req.params.reqId);
+    if (!k) throw new HttpError(404, 'KYC request not found');
+    const owner = !!actingUserId(req, k.user_id);
+    if (!owner && !(await access.can(req, 'kyc:review'))) throw new HttpError(403, 'Forbidden');
+    const request = await kycDocs.present(k);
+    if (!owner) {
+      await audit.record(pool, {
+        actor: req.auth, action: 'kyc.documents_viewed', targetType: 'kyc_request', targetId: k.id,
+        after: { documents: request.documents.map(d => d.id) }, ip: clientIp(req)
+      });
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    return res.json({ success: true, request_id: k.id, documents: request.documents, expires_at: request.documents_expire_at, purged: request.documents_purged });
+  }));
+
+  // The owner re-uploads the documents a reviewer sent back: multipart with only the requested
+  // fields (resubmit_fields in the history, e.g. id_back, selfie)
+  router.post('/api/kyc/requests/:reqId/resubmit', authenticate, kycDocs.upload.fields(uploadSpec(RESUBMIT_FILES)), validate({
+    summary: 'Re-upload the documents a reviewer sent back',
+    multipart: RESUBMIT_FILES,
+    params: requestId
+  }), handle(async (req, res) => {
+    const result = await kycReview.resubmit(req.params.reqId, req.auth, req.files || {});
+    if (!result.ok) throw fail(result);
+    res.locals.keepUploads = true;
+    await kycChecks.enqueue(result.request.id).catch(e => console.error('kyc precheck enqueue', e));
+    return res.json({
+      success: true,
+      message: 'Documents resubmitted and pending review',
+      requestId: result.request.id,
+      documents: result.documents.map(d => ({ id: d.id, kind: d.kind, mimetype: d.mimetype, size: Number(d.size), replaces: d.replaces || null }))
+    });
+  }));
+
+  // Every KYC request of a user with its documents (replaced ones too), review reasons and steps
+  router.get('/api/kyc/history/:userId', authenticate, validate({ summary: 'A user\'s KYC requests, documents and review steps', params: userId }), handle(async (req, res) => {
+    const userId = req.params.userId;
+    const owner = !!actingUserId(req, userId);
+    if (!owner && !(await access.can(req, 'kyc:review'))) throw new HttpError(403, 'Forbidden');
+    const requests = await kycReview.history(userId);
+    if (!owner && requests.length) {
+      await audit.record(pool, {
+        actor: req.auth, action: 'kyc.documents_viewed', targetType: 'user', targetId: userId,
+        after: { requests: requests.map(k => k.id) }, ip: clientIp(req)
+      });
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    return res.json({ success: true, requests });
+  }));
+
+  router.get('/api/kyc/reason-codes', (req, res) => res.json({ success: true, reasons: KYC_REASON_CODES }));
+
+  // Get user's KYC status + latest KYC request (includes admin_note)
+  router.get('/api/kyc/status/:userId', authenticate, validate({ summary: 'A user\'s KYC status and latest request', params: userId }), handle(async (req, res) => {
+    const userId = req.params.userId;
+    if (!actingUserId(req, userId) && !(await access.can(req, 'kyc:review', 'users:view'))) throw new HttpError(403, 'Forbidden');
+    const user = await users.kycSummary(pool, userId);
+    if (!user) throw new HttpError(404, 'User not found');
+
+    // file references become short-lived signed links
+    const latest = await kycRequests.latestForUser(pool, userId);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.json({
+      success: true,
+      user,
+      latest_request: latest ? await kycDocs.present(latest) : null
+    });
+  }));
+
+  // Admin: pending KYC requests, oldest first, with SLA ageing and claims. ?filter=mine|unclaimed|flagged
+  router.get('/api/kyc/pending', authenticate, requirePermission('kyc:review'), validate({
+    summary: 'KYC review queue',
+    query: { filter: { type: 'string', enum: ['mine', 'unclaimed', 'flagged'] } }
+  }), handle(async (req,res)=>{
+    const { requests, summary } = await kycReview.queue(req.auth, { filter: req.query.filter });
+    res.setHeader('Cache-Control', 'no-store');
+    return res.json({ success:true, requests: await kycDocs.present(requests), summary });
+  }));
+
+  // claim a pending request before reviewing it (lapses after KYC_CLAIM_TTL_MINUTES); release gives it back
+  router.post('/api/kyc/:reqId/claim', authenticate, requirePermission('kyc:review'), validate({ summary: 'Claim a KYC request for review', params: requestId }), handle(async (req,res)=>{
+    const result = await kycReview.claim(req.params.reqId, req.auth, clientIp(req));
+    if(!result.ok) throw fail(result);
+    return res.json({ success:true, request: result.request, claim_expires_at: result.claim_expires_at });
+  }));
+  router.post('/api/kyc/:reqId/release', authenticate, requirePermission('kyc:review'), validate({ summary: 'Give a claimed KYC request back', params: requestId }), handle(async (req,res)=>{
+    const result = await kycReview.release(req.params.reqId, req.auth, clientIp(req));
+    if(!result.ok) throw fail(result);
+    return res.json({ success:true, request: result.request });
+  }));
+
+  // { status: accepted|rejected, reason_code (see /api/kyc/reason-codes), note }
+  router.post('/api/kyc/:reqId/documents/:docId/review', authenticate, requirePermission('kyc:review'), validate({
+    summary: 'Accept or reject one document',
+    params: Object.assign({ docId: { type: 'string', format: 'uuid' } }, requestId),
+    body: {
+      status: { type: 'string', enum: ['accepted', 'rejected'], required: true },
+      reason_code: { type: 'string', enum: Object.keys(KYC_REASON_CODES), description: 'required when rejecting' },
+      note: { type: 'string', trim: true, maxLength: 1000, description: 'required with reason OTHER' }
+    }
+  }), handle(async (req,res)=>{
+    const { status, reason_code, note } = req.body;
+    const result = await kycReview.reviewDocument(req.params.reqId, req.params.docId, req.auth, { status, reasonCode: reason_code, note }, clientIp(req));
+    if(!result.ok) throw fail(result);
+    return res.json({ success:true, document: result.document });
+  }));
+
+  // send the rejected documents back to the user: { note }
+  router.post('/api/kyc/:reqId/request-resubmission', authenticate, requirePermission('kyc:review'), validate({
+    summary: 'Send the rejected documents back to the user',
+    params: requestId,
+    body: { note: { type: 'string', trim: true, maxLength: 1000 } }
+  }), handle(async (req,res)=>{
+    const result = await kycReview.requestResubmission(req.params.reqId, req.auth, { note: req.body.note }, clientIp(req));
+    if(!result.ok) throw fail(result);
+    return res.json({ success:true, request: result.request });
+  }));
+
+  // approve/decline a KYC request (not while another reviewer holds its claim)
+  router.post('/api/kyc/:reqId/decision', authenticate, requirePermission('kyc:review'), validate({
+    summary: 'Approve or decline a KYC request',
+    params: requestId,
+    body: {
+      decision: { type: 'string', enum: ['approve', 'decline'], required: true, message: 'decision (approve|decline) required' },
+      adminNote: { type: 'string', trim: true, maxLength: 1000 }
+    }
+  }), handle(async (req,res)=>{
+    const { decision, adminNote } = req.body;
+    const result = await kycReview.decide(req.params.reqId, req.auth, { decision, adminNote }, clientIp(req));
+    if(!result.ok) throw fail(result);
+    return res.json({ success:true, message:`KYC ${result.request.status}` });
+  }));
+
+  return router;
+}
+
+module.exports = { createKycRouter };
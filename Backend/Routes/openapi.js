@@ -0,0 +1,164 @@
+// Routes/openapi.js
+// GET /api/openapi.json: an OpenAPI 3 document built from the mounted routes. Request schemas come
+// from validate() (Middleware/validate.js, kept on the middleware as .schema); a route needs a
+// bearer token when authenticate is in its stack (and everything under /api/admin does, see
+// app.js); requireRole/requirePermission guards are listed with the operation.
+const express = require('express');
+const { authenticate, authenticateStream } = require('../Middleware/auth');
+const { STATUS_CODES } = require('../Middleware/errors');
+const { version } = require('../package.json');
+
+// our own schema keys, not OpenAPI
+const LOCAL_KEYS = ['trim', 'message', 'required'];
+
+function clean(schema){
+  if(Array.isArray(schema)) return schema.map(clean);
+  if(!schema || typeof schema !== 'object') return schema;
+  const out = {};
+  for(const [k, v] of Object.entries(schema)){
+    if(LOCAL_KEYS.includes(k) && !(k === 'required' && Array.isArray(v))) continue;
+    out[k] = (k === 'properties') ? Object.fromEntries(Object.entries(v).map(([n, p]) => [n, clean(p)])) : clean(v);
+  }
+  if(Array.isArray(out.required) && !out.required.length) delete out.required;
+  // OpenAPI 3.0 has no type lists: [t, 'null'] is t + nullable
+  if(Array.isArray(out.type)){
+    const types = out.type.filter(t => t !== 'null');
+    if(types.length < out.type.length) out.nullable = true;
+    if(types.length === 1) out.type = types[0];
+    else { delete out.type; out.oneOf = types.map(type => ({ type })); }
+  }
+  return out;
+}
+
+// /api/job/:id/respond -> /api/job/{id}/respond, /api/files/* -> /api/files/{path}
+const toOpenApiPath = p => p.replace(/:(\w+)/g, '{$1}').replace(/\*/g, '{path}');
+
+function parameters(where, schema){
+  if(!schema || !schema.properties) return [];
+  const required = schema.required || [];
+  return Object.entries(schema.properties).map(([name, s]) => {
+    const { description, ...rest } = clean(s);
+    return Object.assign({ name, in: where, required: where === 'path' || required.includes(name), schema: rest }, description ? { description } : {});
+  });
+}
+
+function requestBody(spec){
+  const body = spec.body ? clean(spec.body) : null;
+  if(spec.multipart){
+    const form = body || { type: 'object', properties: {} };
+    form.properties = Object.assign({}, form.properties);
+    const requiredFiles = [];
+    for(const [name, f] of Object.entries(spec.multipart)){
+      const file = { type: 'string', format: 'binary' };
+      form.properties[name] = (f.maxCount || 1) > 1
+        ? { type: 'array', items: file, maxItems: f.maxCount, description: f.description }
+        : Object.assign(file, f.description ? { description: f.description } : {});
+      if(f.required) requiredFiles.push(name);
+    }
+    if(requiredFiles.length) form.required = (form.required || []).concat(requiredFiles);
+    return { required: true, content: { 'multipart/form-data': { schema: form } } };
+  }
+  if(!body) return null;
+  return { required: !!(body.required && body.required.length), content: { 'application/json': { schema: body } } };
+}
+
+const errorResponse = status => ({ description: STATUS_CODES[status], content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } });
+
+function operation(path, method, handlers){
+  const spec = (handlers.find(h => h.schema) || {}).schema || {};
+  const roles = handlers.filter(h => h.roles).flatMap(h => h.roles);
+  const permissions = handlers.filter(h => h.permissions).flatMap(h => h.permissions);
+  const admin = path.startsWith('/api/admin');
+  const secured = admin || handlers.some(h => h === authenticate || h === authenticateStream);
+
+  const params = parameters('path', spec.params).concat(parameters('query', spec.query));
+  // path params without a schema (and the * of /api/files/*)
+  for(const m of toOpenApiPath(path).matchAll(/\{(\w+)\}/g)){
+    if(!params.some(p => p.in === 'path' && p.name === m[1])) params.push({ name: m[1], in: 'path', required: true, schema: { type: 'string' } });
+  }
+
+  const notes = [];
+  if(roles.length) notes.push(`Roles: ${roles.join(', ')}.`);
+  else if(admin) notes.push('Roles: admin, staff.');
+  if(permissions.length) notes.push(`Permission: ${permissions.join(' or ')}.`);
+  const description = [spec.description].concat(notes).filter(Boolean).join(' ');
+
+  const responses = { 200: { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } } } };
+  if(spec.params || spec.query || spec.body || spec.multipart) responses[400] = errorResponse(400);
+  if(secured) Object.assign(responses, { 401: errorResponse(401), 403: errorResponse(403) });
+  responses.default = { description: 'Error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+
+  const segment = path.split('/').filter(Boolean)[1] || 'root';
+  return Object.assign(
+    { tags: [segment], operationId: `${method}_${path.replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '')}` },
+    spec.summary ? { summary: spec.summary } : {},
+    description ? { description } : {},
+    params.length ? { parameters: params } : {},
+    requestBody(spec) ? { requestBody: requestBody(spec) } : {},
+    secured ? { security: [{ bearerAuth: [] }] } : {},
+    { responses }
+  );
+}
+
+// every route on the app: [{ path, method, handlers }]
+function routesOf(app){
+  const out = [];
+  const walk = stack => {
+    for(const layer of stack){
+      if(layer.route){
+        const handlers = layer.route.stack.map(l => l.handle);
+        for(const method of Object.keys(layer.route.methods)) out.push({ path: layer.route.path, method, handlers });
+      }else if(layer.name === 'router' && layer.handle.stack){
+        walk(layer.handle.stack);
+      }
+    }
+  };
+  walk((app._router && app._router.stack) || []);
+  return out;
+}
+
+function buildDocument(app){
+  const paths = {};
+  for(const { path, method, handlers } of routesOf(app)){
+    if(typeof path !== 'string' || !path.startsWith('/api/')) continue;
+    const p = toOpenApiPath(path);
+    paths[p] = paths[p] || {};
+    paths[p][method] = operation(path, method, handlers);
+  }
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'WireConnect API',
+      version,
+      description: 'Every failure is { success: false, code, message, fields } (Middleware/errors.js).'
+    },
+    paths,
+    components: {
+      securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } },
+      schemas: {
+        Success: { type: 'object', properties: { success: { type: 'boolean', enum: [true] } }, additionalProperties: true },
+        Error: {
+          type: 'object',
+          required: ['success', 'code', 'message'],
+          properties: {
+            success: { type: 'boolean', enum: [false] },
+            code: { type: 'string', description: `${Object.values(STATUS_CODES).join(', ')}, validation_failed, invalid_json, upload_error, ...` },
+            message: { type: 'string' },
+            fields: { type: 'object', nullable: true, additionalProperties: { type: 'string' }, description: 'request field -> what is wrong with it' }
+          },
+          additionalProperties: true
+        }
+      }
+    }
+  };
+}
+
+// mount after the other routers: the document is built on first request from what's mounted then
+function createOpenApiRouter(app){
+  const router = express.Router();
+  let doc = null;
+  router.get('/api/openapi.json', (req, res) => res.json(doc || (doc = buildDocument(app))));
+  return router;
+}
+
+module.exports = { createOpenApiRouter, buildDocument };
@@ -0,0 +1,134 @@
+// Routes/payments.js
+// Escrow for a job (Services/escrow.js), provider webhooks, the technician wallet and the
+// transaction-review queue for withdrawals (Services/wallet.js)
+const express = require('express');
+const ledger = require('../Services/ledger');
+const { authenticate, requireRole } = require('../Middleware/auth');
+const { HttpError, fail, handle } = require('../Middleware/errors');
+const { validate, paging: pagingQuery } = require('../Middleware/validate');
+const jobs = require('../Data/jobs');
+const users = require('../Data/users');
+const transactions = require('../Data/transactions');
+const { clientIp, paging, jobAccess } = require('./helpers');
+
+const WITHDRAWAL_STATUSES = ['requested', 'approved', 'paid', 'rejected', 'failed'];
+
+function createPaymentsRouter({ pool, services }){
+  const { escrow, wallet, paymentProvider, access, booking } = services;
+  const { requirePermission } = access;
+  const canAccessJob = jobAccess(services);
+  const router = express.Router();
+
+  // Escrow + payouts/refunds for a job
+  router.get('/api/job/:id/payment', authenticate, validate({ summary: 'Escrow, payouts and refunds for a job', params: { id: { type: 'string' } } }), handle(async (req,res)=>{
+    const job = await jobs.parties(pool, req.params.id);
+    if(!job) throw new HttpError(404, 'Not found');
+    if(!(await canAccessJob(req, job))) throw new HttpError(403, 'Forbidden');
+    const payments = await escrow.jobPayments(job.id);
+    return res.json(Object.assign({ success:true }, payments));
+  }));
+
+  // (Re)start funding, e.g. after a failed or abandoned checkout
+  router.post('/api/job/:id/fund', authenticate, requireRole('client'), validate({ summary: 'Start (or retry) funding a job into escrow', params: { id: { type: 'string' } } }), handle(async (req,res)=>{
+    const job = await jobs.findById(pool, req.params.id);
+    if(!job) throw new HttpError(404, 'Not found');
+    if(job.client_id !== req.auth.id) throw new HttpError(403, 'Not your job');
+    if(job.price == null) throw new HttpError(400, 'Job has no agreed price yet');
+    if(['cancelled', 'expired'].includes(job.status)) throw new HttpError(409, `Job is ${job.status}`);
+    const payment = await escrow.openEscrow(job, await users.billingContact(pool, job.client_id));
+    // paid on the spot: the job can go to technicians now
+    if(payment && payment.status === 'held') await booking.offerFunded(job.id);
+    return res.json({ success:true, payment });
+  }));
+
+  // Provider webhooks: verified against the raw body by the provider adapter, applied idempotently
+  router.post('/api/payments/webhook/:provider', validate({
+    summary: 'Payment provider webhook (signed; the body is the provider\'s own format)',
+    params: { provider: { type: 'string' } }
+  }), handle(async (req,res)=>{
+    if(req.params.provider !== paymentProvider.name) throw new HttpError(404, 'Unknown provider');
+    const result = await escrow.handleWebhook(req.rawBody, req.headers);
+    if(!result.ok) throw fail(result);
+    return res.json({ success:true, duplicate: !!result.duplicate });
+  }));
+
+  // Offline checkout for the fake provider: the client "pays" (or fails) and we feed a signed webhook
+  // through the same verification path a real gateway would use. Like a hosted checkout page, the
+  // escrow reference (a random UUID) is the only credential. Only mounted when NODE_ENV is
+  // test or development.
+  if(paymentProvider.name === 'fake' && ['test', 'development'].includes(process.env.NODE_ENV)){
+    router.get('/api/payments/fake/checkout/:reference', async (req,res)=>{
+      const row = await transactions.findEscrow(pool, req.params.reference).catch(() => null);
+      if(!row) return res.status(404).send('Unknown payment reference');
+      const action = `/api/payments/fake/${encodeURIComponent(row.id)}/complete`;
+      return res.send(`<!doctype html><meta charset="utf-8"><title>Fake checkout</title>
+        <h3>Fake checkout: NGN ${Number(row.amount).toLocaleString()} (${row.status})</h3>
+        <form method="post" action="${action}"><input type="hidden" name="outcome" value="success"><button>Pay</button></form>
+        <form method="post" action="${action}"><input type="hidden" name="outcome" value="failed"><button>Fail payment</button></form>`);
+    });
+
+    router.post('/api/payments/fake/:reference/complete', express.urlencoded({ extended: false }), validate({
+      summary: 'Fake provider: settle a checkout (development only)',
+      params: { reference: { type: 'string' } },
+      body: { outcome: { type: 'string', enum: ['success', 'failed'], default: 'success' } }
+    }), handle(async (req,res)=>{
+      const row = await transactions.findEscrow(pool, req.params.reference);
+      if(!row) throw new HttpError(404, 'Not found');
+      const failed = req.body.outcome === 'failed';
+      const hook = paymentProvider.signWebhook({ type: failed ? 'charge.failed' : 'charge.succeeded', reference: row.id, amount: Number(row.amount), providerRef: row.provider_ref });
+      const result = await escrow.handleWebhook(hook.rawBody, hook.headers);
+      return res.json({ success: !!result.ok, type: result.type });
+    }));
+  }
+
+  // ----------------- Technician wallet -----------------
+  // Balance and earnings come from the ledger (Services/ledger.js); withdrawals go through
+  // the transaction-review staff queue before any money leaves (Services/wallet.js).
+  router.get('/api/wallet', authenticate, requireRole('worker'), handle(async (req,res)=>{
+    const summary = await ledger.walletSummary(pool, req.auth.id);
+    return res.json({ success:true, wallet: Object.assign(summary, { account_details: await users.accountDetails(pool, req.auth.id) }) });
+  }));
+
+  router.get('/api/wallet/history', authenticate, requireRole('worker'), validate({ summary: 'Wallet ledger history', query: pagingQuery() }), handle(async (req,res)=>{
+    return res.json({ success:true, history: await ledger.walletHistory(pool, req.auth.id, paging(req.query)) });
+  }));
+
+  router.get('/api/wallet/withdrawals', authenticate, requireRole('worker'), handle(async (req,res)=>{
+    return res.json({ success:true, withdrawals: await wallet.listWithdrawals(req.auth.id) });
+  }));
+
+  router.post('/api/wallet/withdrawals', authenticate, requireRole('worker'), validate({
+    summary: 'Request a withdrawal to the saved bank account',
+    body: { amount: { type: 'number', minimum: 0.01, required: true, message: 'amount must be a positive number' } }
+  }), handle(async (req,res)=>{
+    const result = await wallet.requestWithdrawal(req.auth.id, req.body.amount);
+    if(!result.ok) throw fail(result);
+    return res.json({ success:true, message:'Withdrawal requested; it will be paid once reviewed', withdrawal: result.withdrawal });
+  }));
+
+  // ----------------- Staff: transaction review queue -----------------
+  router.get('/api/staff/transaction-review/withdrawals', authenticate, requirePermission('withdrawals:review'), validate({
+    summary: 'Withdrawals awaiting (or past) review',
+    query: Object.assign({ status: { type: 'string', enum: WITHDRAWAL_STATUSES, default: 'requested' } }, pagingQuery())
+  }), handle(async (req,res)=>{
+    return res.json({ success:true, withdrawals: await wallet.reviewQueue(Object.assign({ status: req.query.status }, paging(req.query))) });
+  }));
+
+  router.post('/api/staff/transaction-review/withdrawals/:id/decision', authenticate, requirePermission('withdrawals:review'), validate({
+    summary: 'Approve (pay out) or reject a withdrawal',
+    params: { id: { type: 'string' } },
+    body: {
+      decision: { type: 'string', enum: ['approve', 'reject'], required: true, message: 'decision must be approve or reject' },
+      note: { type: 'string', trim: true, maxLength: 1000 }
+    }
+  }), handle(async (req,res)=>{
+    const { decision, note } = req.body;
+    const result = await wallet.decide(req.params.id, req.auth, decision, note, clientIp(req));
+    if(!result.ok) throw fail(result);
+    return res.json({ success:true, withdrawal: result.withdrawal });
+  }));
+
+  return router;
+}
+
+module.exports = { createPaymentsRouter };
@@ -0,0 +1,114 @@
+// Routes/prices.js
+// Public price catalogue and quotes, and the admin catalogue/surcharge editor (Services/pricing.js)
+const express = require('express');
+const pricing = require('../Services/pricing');
+const { HttpError, handle } = require('../Middleware/errors');
+const { validate } = require('../Middleware/validate');
+const { clientIp } = require('./helpers');
+
+const money = { type: 'number', minimum: 0 };
+
+function createPricesRouter({ pool, services }){
+  const { audit, access } = services;
+  const { requirePermission } = access;
+  const router = express.Router();
+
+  // prices: { <job_type>: base_price } for simple consumers, catalogue: full rows
+  router.get('/api/prices', handle(async (req, res) => {
+    const catalogue = await pricing.listCatalogue(pool);
+    const surcharges = await pricing.listSurcharges(pool);
+    const prices = {};
+    catalogue.forEach(c => { prices[c.job_type] = c.base_price; });
+    return res.json({ success:true, prices, catalogue, surcharges });
+  }));
+
+  // GET /api/prices/quote?job_type=&workers_needed=&estimated_days=&state=&city=
+  router.get('/api/prices/quote', validate({
+    summary: 'Price quote for a job',
+    query: {
+      job_type: { type: 'string', trim: true, required: true, message: 'job_type required' },
+      workers_needed: { type: 'integer', minimum: 1, maximum: 50, default: 1 },
+      estimated_days: { type: 'integer', minimum: 1, maximum: 365, default: 1 },
+      state: { type: 'string', trim: true },
+      city: { type: 'string', trim: true }
+    }
+  }), handle(async (req, res) => {
+    const { job_type, workers_needed, estimated_days, state, city } = req.query;
+    const q = await pricing.quote(pool, { job_type, workers_needed, estimated_days, state, city });
+    if (!q) throw new HttpError(404, 'No price configured for this job type');
+    return res.json(Object.assign({ success:true }, q));
+  }));
+
+  // ---------- Admin: price catalogue ----------
+  router.get('/api/admin/prices', requirePermission('prices:manage'), handle(async (req, res) => {
+    const catalogue = await pricing.listCatalogue(pool, { includeInactive: true });
+    const surcharges = await pricing.listSurcharges(pool);
+    return res.json({ success:true, catalogue, surcharges });
+  }));
+
+  // create or update a service type: { job_type, label, base_price, per_day_rate, per_worker_multiplier, required_specialization, active }
+  router.post('/api/admin/prices', requirePermission('prices:manage'), validate({
+    summary: 'Create or update a service type and its price',
+    body: {
+      job_type: { type: 'string', trim: true, maxLength: 60, required: true, message: 'job_type required' },
+      label: { type: 'string', trim: true, maxLength: 120 },
+      required_specialization: { type: ['string', 'null'], trim: true },
+      base_price: Object.assign({ required: true }, money),
+      per_day_rate: Object.assign({ default: 0 }, money),
+      per_worker_multiplier: Object.assign({ default: 1 }, money),
+      active: { type: 'boolean', default: true }
+    }
+  }), handle(async (req, res) => {
+    const b = req.body;
+    const before = await pricing.getServicePrice(pool, b.job_type);
+    const row = await pricing.upsertServicePrice(pool, {
+      job_type: b.job_type,
+      label: b.label,
+      required_specialization: b.required_specialization,
+      base_price: b.base_price,
+      per_day_rate: b.per_day_rate == null ? 0 : b.per_day_rate,
+      per_worker_multiplier: b.per_worker_multiplier == null ? 1 : b.per_worker_multiplier,
+      active: b.active !== false
+    });
+    await audit.record(pool, { actor: req.auth, action: 'price.saved', targetType: 'service_price', targetId: row.job_type, before, after: row, ip: clientIp(req) });
+    return res.json({ success:true, message:'Price saved', price: row });
+  }));
+
+  router.delete('/api/admin/prices/:jobType', requirePermission('prices:manage'), validate({
+    summary: 'Remove a service type',
+    params: { jobType: { type: 'string' } }
+  }), handle(async (req, res) => {
+    const removed = await pricing.deleteServicePrice(pool, req.params.jobType);
+    if (removed) await audit.record(pool, { actor: req.auth, action: 'price.removed', targetType: 'service_price', targetId: removed.job_type, before: removed, ip: clientIp(req) });
+    return res.json({ success:true, message:'Price removed' });
+  }));
+
+  // create or update a surcharge: { state, city?, amount, percent } (no city = state-wide)
+  router.post('/api/admin/price-surcharges', requirePermission('prices:manage'), validate({
+    summary: 'Create or update a state (or city) surcharge',
+    body: {
+      state: { type: 'string', trim: true, required: true, message: 'state required' },
+      city: { type: ['string', 'null'], trim: true, description: 'left out for a state-wide surcharge' },
+      amount: { type: 'number', default: 0 },
+      percent: { type: 'number', default: 0 }
+    }
+  }), handle(async (req, res) => {
+    const b = req.body;
+    const row = await pricing.upsertSurcharge(pool, { state: b.state, city: b.city, amount: b.amount || 0, percent: b.percent || 0 });
+    await audit.record(pool, { actor: req.auth, action: 'surcharge.saved', targetType: 'price_surcharge', targetId: row.id, after: row, ip: clientIp(req) });
+    return res.json({ success:true, message:'Surcharge saved', surcharge: row });
+  }));
+
+  router.delete('/api/admin/price-surcharges/:id', requirePermission('prices:manage'), validate({
+    summary: 'Remove a surcharge',
+    params: { id: { type: 'integer' } }
+  }), handle(async (req, res) => {
+    const removed = await pricing.deleteSurcharge(pool, req.params.id);
+    if (removed) await audit.record(pool, { actor: req.auth, action: 'surcharge.removed', targetType: 'price_surcharge', targetId: removed.id, before: removed, ip: clientIp(req) });
+    return res.json({ success:true, message:'Surcharge removed' });
+  }));
+
+  return router;
+}
+
+module.exports = { createPricesRouter };
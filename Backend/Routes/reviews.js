@@ -0,0 +1,91 @@
+// Routes/reviews.js
+// Ratings & reviews after a job, and staff moderation (Services/reviews.js)
+const express = require('express');
+const { TAGS: REVIEW_TAGS, MAX_COMMENT } = require('../Services/reviews');
+const { authenticate, requireRole } = require('../Middleware/auth');
+const { HttpError, fail, handle } = require('../Middleware/errors');
+const { validate, paging: pagingQuery } = require('../Middleware/validate');
+const jobs = require('../Data/jobs');
+const { clientIp, paging, jobAccess } = require('./helpers');
+
+const reviewId = { id: { type: 'integer', description: 'review id' } };
+
+function createReviewsRouter({ pool, services }){
+  const { reviews, access } = services;
+  const { requirePermission } = access;
+  const canAccessJob = jobAccess(services);
+  const router = express.Router();
+
+  router.get('/api/reviews/tags', (req,res)=> res.json({ success:true, tags: REVIEW_TAGS }));
+
+  // { revieweeId, stars, tags, comment }
+  router.post('/api/job/:id/review', authenticate, requireRole('client', 'worker'), validate({
+    summary: 'Rate the other side of a confirmed job',
+    params: { id: { type: 'string', description: 'job id' } },
+    body: {
+      revieweeId: { type: 'string', description: 'required when the client rates a crew of several' },
+      stars: { type: 'integer', minimum: 1, maximum: 5, required: true, message: 'stars must be a whole number from 1 to 5' },
+      tags: { type: 'array', items: { type: 'string', trim: true }, maxItems: 10, description: 'see GET /api/reviews/tags' },
+      comment: { type: 'string', trim: true, maxLength: MAX_COMMENT }
+    }
+  }), handle(async (req,res)=>{
+    const result = await reviews.submit(req.params.id, req.auth, req.body);
+    if(!result.ok) throw fail(result);
+    return res.json({ success:true, review: result.review });
+  }));
+
+  router.get('/api/job/:id/reviews', authenticate, validate({ summary: 'Reviews on a job', params: { id: { type: 'string', description: 'job id' } } }), handle(async (req,res)=>{
+    const job = await jobs.parties(pool, req.params.id);
+    if(!job) throw new HttpError(404, 'Not found');
+    if(!(await canAccessJob(req, job))) throw new HttpError(403, 'Forbidden');
+    const out = await reviews.forJob(job.id, req.auth);
+    return res.json(Object.assign({ success:true }, out));
+  }));
+
+  router.get('/api/user/:id/reviews', authenticate, validate({
+    summary: 'A user\'s rating and published reviews',
+    params: { id: { type: 'string', description: 'user id' } },
+    query: pagingQuery({ max: 100, limit: 20 })
+  }), handle(async (req,res)=>{
+    const summary = await reviews.summary(req.params.id);
+    if(!summary) throw new HttpError(404, 'Not found');
+    return res.json({ success:true, rating: summary, reviews: await reviews.forUser(req.params.id, paging(req.query)) });
+  }));
+
+  router.post('/api/reviews/:id/report', authenticate, validate({
+    summary: 'Report a review to the moderators',
+    params: reviewId,
+    body: { reason: { type: 'string', trim: true, maxLength: 500, required: true, message: 'reason required' } }
+  }), handle(async (req,res)=>{
+    const result = await reviews.report(req.params.id, req.auth, req.body.reason);
+    if(!result.ok) throw fail(result);
+    return res.json({ success:true, message:'Thanks, a moderator will look at this review' });
+  }));
+
+  // ----------------- Staff: review moderation -----------------
+  router.get('/api/staff/reviews', authenticate, requirePermission('reviews:moderate'), validate({
+    summary: 'Review moderation queue',
+    query: Object.assign({ status: { type: 'string', enum: ['flagged', 'hidden', 'published'], default: 'flagged' } }, pagingQuery())
+  }), handle(async (req,res)=>{
+    return res.json({ success:true, reviews: await reviews.moderationQueue(Object.assign({ status: req.query.status }, paging(req.query))) });
+  }));
+
+  // { action: hide|restore, note }
+  router.post('/api/staff/reviews/:id/moderate', authenticate, requirePermission('reviews:moderate'), validate({
+    summary: 'Hide or restore a review',
+    params: reviewId,
+    body: {
+      action: { type: 'string', enum: ['hide', 'restore'], required: true, message: 'action must be hide or restore' },
+      note: { type: 'string', trim: true, maxLength: 1000 }
+    }
+  }), handle(async (req,res)=>{
+    const { action, note } = req.body;
+    const result = await reviews.moderate(req.params.id, req.auth, action, note, clientIp(req));
+    if(!result.ok) throw fail(result);
+    return res.json({ success:true, review: result.review });
+  }));
+
+  return router;
+}
+
+module.exports = { createReviewsRouter };
@@ -0,0 +1,145 @@
+// Routes/staff.js
+// Staff accounts managed by admins, and staff password self-service (Services/staff.js)
+const express = require('express');
+const { permissionsFor } = require('../Middleware/permissions');
+const { MIN_PASSWORD_LENGTH } = require('../Services/staff');
+const { authenticate, requireRole } = require('../Middleware/auth');
+const { fail, handle } = require('../Middleware/errors');
+const { validate } = require('../Middleware/validate');
+const { clientIp } = require('./helpers');
+
+const staffId = { id: { type: 'string', description: 'staff id' } };
+const newPassword = { type: 'string', minLength: MIN_PASSWORD_LENGTH, required: true, message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+
+function createStaffRouter({ services }){
+  const { staffAccounts, access } = services;
+  const { requirePermission } = access;
+  const router = express.Router();
+
+  /**
+   * Create staff (admin)
+   * Returns generated_password in response (show once to admin). It expires after
+   * STAFF_TEMP_PASSWORD_TTL_HOURS and has to be replaced at first sign-in.
+   */
+  router.post('/api/admin/staff/create', requirePermission('staff:manage'), validate({
+    summary: 'Create a staff account with a temporary password',
+    body: {
+      fullname: { type: 'string', trim: true, maxLength: 120 },
+      name: { type: 'string', trim: true, maxLength: 120, description: 'same as fullname (Admin/staff.html sends this)' },
+      email: { type: 'string', trim: true, format: 'email', required: true },
+      role: { type: 'string', trim: true, required: true, description: 'staff role (Middleware/permissions.js)' }
+    }
+  }), handle(async (req, res) => {
+    const body = req.body;
+    // Admin/staff.html sends `name`
+    const result = await staffAccounts.create({ fullname: body.fullname || body.name, email: body.email, role: body.role }, req.auth, clientIp(req));
+    if (!result.ok) throw fail(result);
+    return res.json({
+      success: true,
+      message: 'Staff created',
+      generated_password: result.generatedPassword,
+      password_expires_at: result.expiresAt,
+      staff: Object.assign({ permissions: permissionsFor('staff', result.staff.role) }, result.staff)
+    });
+  }));
+
+  /**
+   * List staff (?status=active|suspended|deleted; deleted are left out by default)
+   */
+  router.get('/api/admin/staff/list', requirePermission('staff:manage'), validate({
+    summary: 'Staff accounts',
+    query: { status: { type: 'string', enum: ['active', 'suspended', 'deleted'] } }
+  }), handle(async (req, res) => {
+    return res.json({ success:true, staff: await staffAccounts.list({ status: req.query.status || null }) });
+  }));
+
+  router.get('/api/admin/staff/:id/history', requirePermission('staff:manage'), validate({ summary: 'A staff account\'s history', params: staffId }), handle(async (req, res) => {
+    return res.json({ success:true, events: await staffAccounts.history(req.params.id) });
+  }));
+
+  /**
+   * Edit staff: { role, fullname }
+   */
+  router.patch('/api/admin/staff/:id', requirePermission('staff:manage'), validate({
+    summary: 'Change a staff member\'s role or name',
+    params: staffId,
+    body: {
+      role: { type: 'string', trim: true },
+      fullname: { type: 'string', trim: true, maxLength: 120 }
+    }
+  }), handle(async (req, res) => {
+    const { role, fullname } = req.body;
+    const result = await staffAccounts.update(req.params.id, { role, fullname }, req.auth, clientIp(req));
+    if (!result.ok) throw fail(result);
+    return res.json({ success:true, staff: result.staff });
+  }));
+
+  // { reason }
+  router.post('/api/admin/staff/:id/suspend', requirePermission('staff:manage'), validate({
+    summary: 'Suspend a staff account',
+    params: staffId,
+    body: { reason: { type: 'string', trim: true, maxLength: 1000 } }
+  }), handle(async (req, res) => {
+    const result = await staffAccounts.suspend(req.params.id, req.body.reason, req.auth, clientIp(req));
+    if (!result.ok) throw fail(result);
+    return res.json({ success:true, staff: result.staff });
+  }));
+
+  router.post('/api/admin/staff/:id/reactivate', requirePermission('staff:manage'), validate({ summary: 'Reactivate a staff account', params: staffId }), handle(async (req, res) => {
+    const result = await staffAccounts.reactivate(req.params.id, req.auth, clientIp(req));
+    if (!result.ok) throw fail(result);
+    return res.json({ success:true, staff: result.staff });
+  }));
+
+  /**
+   * Admin-initiated password reset. Returns the single-use token (show once to admin);
+   * the staff member sets a new password with it at POST /api/staff/password/reset.
+   */
+  router.post('/api/admin/staff/:id/reset-password', requirePermission('staff:manage'), validate({ summary: 'Issue a single-use password reset token', params: staffId }), handle(async (req, res) => {
+    const result = await staffAccounts.issueReset(req.params.id, req.auth, clientIp(req));
+    if (!result.ok) throw fail(result);
+    return res.json({ success:true, reset_token: result.token, expires_at: result.expiresAt, staff: result.staff });
+  }));
+
+  /**
+   * Remove staff. The row is kept (status 'deleted') so history that names them still resolves.
+   */
+  router.delete('/api/admin/staff/:id', requirePermission('staff:manage'), validate({ summary: 'Remove a staff account', params: staffId }), handle(async (req, res) => {
+    const result = await staffAccounts.remove(req.params.id, req.auth, clientIp(req));
+    if (!result.ok) throw fail(result);
+    return res.json({ success:true, message: 'Staff removed' });
+  }));
+
+  // ---------------- STAFF SELF-SERVICE ----------------
+  // { token, password }: token from a first sign-in (change_token) or an admin reset
+  router.post('/api/staff/password/reset', validate({
+    summary: 'Set a staff password with a first sign-in or reset token',
+    body: {
+      token: { type: 'string', required: true, message: 'token required' },
+      password: newPassword
+    }
+  }), handle(async (req, res) => {
+    const { token, password } = req.body;
+    const result = await staffAccounts.resetPassword(token, password, clientIp(req));
+    if (!result.ok) throw fail(result);
+    return res.json({ success:true, message: 'Password updated, sign in with your new password' });
+  }));
+
+  // { current_password, password }
+  router.post('/api/staff/password', authenticate, requireRole('staff'), validate({
+    summary: 'Change the signed-in staff member\'s password',
+    body: {
+      current_password: { type: 'string', required: true },
+      password: newPassword
+    }
+  }), handle(async (req, res) => {
+    const { current_password, password } = req.body;
+    const result = await staffAccounts.changePassword(req.auth.id, current_password, password, clientIp(req));
+    if (!result.ok) throw fail(result);
+    return res.json({ success:true, message: 'Password changed' });
+  }));
+
+  return router;
+}
+
+module.exports = { createStaffRouter };
@@ -0,0 +1,83 @@
+// Routes/users.js
+// Profiles: update, avatar upload and the public avatar link, and another user's profile card
+const express = require('express');
+const { createUploader } = require('../Services/storage');
+const { authenticate, actingUserId } = require('../Middleware/auth');
+const { HttpError, fail, handle } = require('../Middleware/errors');
+const { validate } = require('../Middleware/validate');
+const users = require('../Data/users');
+const { publicBaseUrl } = require('./helpers');
+
+const AVATAR_URL_TTL_SECONDS = 60 * 60;
+
+const userId = { id: { type: 'string', description: 'user id' } };
+
+function createUsersRouter({ pool, storage, services }){
+  const { reviews } = services;
+  const uploadAvatar = createUploader(storage, {
+    prefix: req => `avatars/${req.auth.id}`,
+    limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+    types: /^image\/(jpeg|png|webp|gif)$/,
+    typeError: 'Avatar must be a JPEG, PNG, WebP or GIF image'
+  });
+  const router = express.Router();
+
+  // Profile update: avatar_url, fullname (optional), account_details { bank, account_number, account_name }
+  router.post('/api/profile/update', authenticate, validate({
+    summary: 'Update the signed-in user\'s name, avatar link or payout account',
+    body: {
+      userId: { type: 'string', description: 'legacy field; if sent it must be the signed-in user' },
+      fullname: { type: 'string', trim: true, minLength: 3, maxLength: 120, message: 'Invalid full name' },
+      avatarUrl: { type: 'string', trim: true, maxLength: 2000 },
+      account: {
+        type: 'object',
+        properties: {
+          bank: { type: 'string', trim: true, maxLength: 100 },
+          account_number: { type: 'string', trim: true, pattern: '^\\d{10}$', message: 'account_number must be 10 digits' },
+          account_name: { type: 'string', trim: true, maxLength: 120 }
+        }
+      }
+    }
+  }), handle(async (req,res)=>{
+    const { avatarUrl, fullname, account } = req.body;
+    const userId = actingUserId(req, req.body.userId);
+    if(!userId) throw new HttpError(403, 'Cannot update another user');
+
+    const result = await services.users.updateProfile(userId, { avatarUrl, fullname, account });
+    if(!result.ok) throw fail(result);
+    return res.json({ success:true, message:'Profile updated', user: result.user });
+  }));
+
+  // Avatar upload: multipart `avatar` (JPEG/PNG/WebP/GIF, 5MB). The file is kept in storage and
+  // avatar_url becomes a stable link to GET /api/users/:id/avatar (v= changes with every upload).
+  router.post('/api/profile/avatar', authenticate, uploadAvatar.fields([{ name: 'avatar', maxCount: 1 }]), validate({
+    summary: 'Upload an avatar image',
+    multipart: { avatar: { maxCount: 1, required: true, description: 'JPEG, PNG, WebP or GIF, up to 5MB', message: 'avatar file required' } }
+  }), handle(async (req, res) => {
+    const avatarUrl = `${publicBaseUrl(req)}/api/users/${encodeURIComponent(req.auth.id)}/avatar?v=${Date.now().toString(36)}`;
+    const result = await services.users.setAvatar(req.auth.id, req.files.avatar[0].stored, avatarUrl);
+    if (!result.ok) throw fail(result);
+    res.locals.keepUploads = true;
+    return res.json({ success: true, message: 'Avatar updated', user: result.user });
+  }));
+
+  // Uploaded avatar: redirect to a signed link (public like avatar_url always was; no session needed for <img>)
+  router.get('/api/users/:id/avatar', validate({ summary: 'Redirect to the user\'s uploaded avatar', params: userId }), handle(async (req, res) => {
+    const file = await users.avatarFile(pool, req.params.id);
+    if (!file || file.driver !== storage.name) throw new HttpError(404, 'No avatar');
+    res.setHeader('Cache-Control', `private, max-age=${AVATAR_URL_TTL_SECONDS - 300}`);
+    return res.redirect(302, storage.signedUrl(file, { expiresIn: AVATAR_URL_TTL_SECONDS }));
+  }));
+
+  router.get('/api/user/:id', authenticate, validate({ summary: 'A user\'s profile card with their rating', params: userId }), handle(async (req,res)=> {
+    const id = req.params.id;
+    const user = await users.profile(pool, id);
+    if(!user) throw new HttpError(404, 'User not found');
+    const rating = await reviews.summary(id);
+    return res.json({ success:true, user: Object.assign(user, { rating }) });
+  }));
+
+  return router;
+}
+
+module.exports = { createUsersRouter };
@@ -0,0 +1,310 @@
+// Services/assignment.js
+// Technician offers + accept-expiry handling (candidate ranking lives in Services/matching.js).
+// A job needs workers_needed technicians. Each offer is a job_assignments row
+// (offered -> accepted | declined | expired | withdrawn) and we keep offering until the
+// crew is full. The job row mirrors the crew: status pending_accept while offers are out,
+// accepted once the crew is full, pending_assignment otherwise; assigned_tech_id is the
+// crew lead (first to accept, or the first outstanding offer before anyone has accepted).
+// Offers expire through delayed BullMQ jobs ('accept-expiry') so a restart does not lose them;
+// without a queue (no REDIS_URL) we fall back to an in-process timer. sweepExpiredOffers()
+// recovers anything that expired while no process was watching.
+// When an `events` publisher (Services/realtime.js) is given, offers and job status changes are
+// pushed to the client, the crew and admins.
+const { SYSTEM, transitionJob } = require('./jobStateMachine');
+const { SEARCH_RADIUS, nextRadius, hasCoords, eligibleTechs, scoreCandidate, noteOffer, noteAccept } = require('./matching');
+const { safePublish } = require('./realtime');
+
+const ACCEPT_TIMEOUT_MS = Number(process.env.ASSIGN_ACCEPT_TIMEOUT_MS || 60 * 1000);
+
+// job statuses in which the crew can still change
+const OPEN_STATUSES = ['created', 'pending_assignment', 'pending_accept'];
+// ... and in which an accepted technician may still leave it (leaveCrew)
+const LEAVABLE_STATUSES = OPEN_STATUSES.concat(['accepted', 'en_route']);
+
+// Recompute the job's status / lead / expiry from its assignments. `job` must be the row
+// locked (FOR UPDATE) by the caller's transaction.
+async function syncJobStatus(db, job, actor, note){
+  if(!OPEN_STATUSES.includes(job.status)) return job;
+  const rows = (await db.query(
+    `SELECT tech_id, status, expires_at FROM job_assignments WHERE job_id=$1 ORDER BY responded_at ASC NULLS LAST, offered_at ASC, id ASC`,
+    [job.id])).rows;
+  const accepted = rows.filter(r => r.status === 'accepted').map(r => r.tech_id);
+  const offered = rows.filter(r => r.status === 'offered');
+  const needed = Math.max(1, Number(job.workers_needed) || 1);
+
+  const target = accepted.length >= needed ? 'accepted' : (offered.length ? 'pending_accept' : 'pending_assignment');
+  let lead = null;
+  if(accepted.length) lead = accepted.includes(job.assigned_tech_id) ? job.assigned_tech_id : accepted[0];
+  else if(offered.length) lead = offered.some(r => r.tech_id === job.assigned_tech_id) ? job.assigned_tech_id : offered[0].tech_id;
+
+  const expiries = offered.map(r => new Date(r.expires_at).getTime()).filter(Number.isFinite);
+  const set = {
+    assigned_tech_id: lead,
+    assigned_at: lead === job.assigned_tech_id ? job.assigned_at : (lead ? new Date().toISOString() : null),
+    expires_at: target === 'pending_accept' && expiries.length ? new Date(Math.min(...expiries)).toISOString() : null
+  };
+
+  if(target !== job.status){
+    const moved = await transitionJob(db, job.id, target, actor || SYSTEM, { from: [job.status], set, note });
+    if(moved) return moved;
+  }
+  const r = await db.query(
+    `UPDATE jobs SET assigned_tech_id=$2, assigned_at=$3, expires_at=$4 WHERE id=$1 RETURNING *`,
+    [job.id, set.assigned_tech_id, set.assigned_at, set.expires_at]);
+  return r.rows[0] || job;
+}
+
+// run fn(client, job) in a transaction holding the job row lock
+async function withLockedJob(pool, jobId, fn){
+  const client = await pool.connect();
+  try{
+    await client.query('BEGIN');
+    const job = (await client.query(`SELECT * FROM jobs WHERE id=$1 FOR UPDATE`, [jobId])).rows[0] || null;
+    const out = await fn(client, job);
+    await client.query('COMMIT');
+    return out;
+  }catch(e){
+    await client.query('ROLLBACK').catch(()=>{});
+    throw e;
+  }finally{
+    client.release();
+  }
+}
+
+function createAssignment({ pool, queue = null, acceptTimeoutMs = ACCEPT_TIMEOUT_MS, weights = null, events = null }){
+
+  // current job status -> client, every technician offered/on the crew, admins
+  async function publishJobStatus(jobId){
+    if(!events) return;
+    const job = (await pool.query(
+      `SELECT id, client_id, status, assigned_tech_id, assigned_at, expires_at, workers_needed FROM jobs WHERE id=$1`, [jobId])).rows[0];
+    if(!job) return;
+    const crew = (await pool.query(`SELECT tech_id FROM job_assignments WHERE job_id=$1 AND status IN ('offered','accepted')`, [jobId])).rows;
+    await safePublish(events, 'job.status', { job }, { users: [job.client_id].concat(crew.map(r => r.tech_id)), roles: ['admin'] });
+  }
+
+  // eligible technicians for the job within one search ring (see Services/matching.js), best score first
+  // job: { id?, state, city?, lga?, lat, lng, job_type, search_radius_m? } - when id is given, techs
+  // already offered the job are skipped
+  // opts.excludeIds: technicians to skip; opts.radiusM: the ring (default the job's current one)
+  async function findCandidates(job, opts = {}){
+    const exclude = (opts.excludeIds || []).slice();
+    if(job.id){
+      const taken = (await pool.query(`SELECT tech_id FROM job_assignments WHERE job_id=$1`, [job.id])).rows;
+      taken.forEach(r => exclude.push(r.tech_id));
+    }
+    const techs = (await eligibleTechs(pool, job, { excludeIds: exclude, radiusM: opts.radiusM })).map(t => {
+      const distance = t.distance == null ? Number.POSITIVE_INFINITY : Number(t.distance);
+      const c = Object.assign({}, t, { distance });
+      return { id: t.id, lat: t.lat, lng: t.lng, distance, score: scoreCandidate(c, weights) };
+    });
+    techs.sort((a,b)=>(b.score - a.score) || (a.distance - b.distance));
+    return techs;
+  }
+
+  // findCandidates, widening the job's search ring by ring while nobody in it is left to offer.
+  // The ring reached is kept on the job (jobs.search_radius_m), so later refills start from there.
+  async function searchCandidates(job, opts = {}){
+    if(!hasCoords(job)) return findCandidates(job, opts);
+    let radius = Number(job.search_radius_m) || SEARCH_RADIUS.initial;
+    let techs = await findCandidates(job, Object.assign({}, opts, { radiusM: radius }));
+    for(let next = nextRadius(radius); !techs.length && next; next = nextRadius(radius)){
+      radius = next;
+      techs = await findCandidates(job, Object.assign({}, opts, { radiusM: radius }));
+    }
+    if(job.id && radius !== Number(job.search_radius_m)){
+      await pool.query(`UPDATE jobs SET search_radius_m=$2 WHERE id=$1`, [job.id, radius]);
+    }
+    return techs;
+  }
+
+  async function scheduleAcceptExpiry(data, delayMs){
+    const delay = Math.max(0, delayMs);
+    if(queue){
+      // one queue job per offer; re-arming the same offer is a no-op
+      const id = `accept-expiry-${data.jobId}-${data.techId}-${new Date(data.expiresAt).getTime()}`;
+      await queue.add('accept-expiry', data, { delay, jobId: id, removeOnComplete: true, removeOnFail: 100 });
+      return;
+    }
+    // unref'd so a pending offer doesn't hold the process open; sweepExpiredOffers re-arms it on the next start
+    setTimeout(()=>{
+      handleAcceptExpiry(data).catch(e => console.error('accept-expiry handler error', e));
+    }, delay).unref();
+  }
+
+  // Offer the job to as many of `techs` (in order) as there are open crew slots.
+  // Returns the first newly offered technician's profile, or false when nobody was offered.
+  // techs: array [{id, lat, lng, distance}, ...]
+  async function attemptAssign(jobId, techs){
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + acceptTimeoutMs);
+
+    const offered = await withLockedJob(pool, jobId, async (client, job) => {
+      if(!job || !OPEN_STATUSES.includes(job.status)) return [];
+      const rows = (await client.query(`SELECT tech_id, status FROM job_assignments WHERE job_id=$1`, [jobId])).rows;
+      const taken = new Set(rows.map(r => r.tech_id));
+      const busy = rows.filter(r => r.status === 'accepted' || r.status === 'offered').length;
+      let slots = Math.max(1, Number(job.workers_needed) || 1) - busy;
+
+      const ids = [];
+      for(const t of (Array.isArray(techs) ? techs : [])){
+        if(slots <= 0) break;
+        if(taken.has(t.id)) continue;
+        await client.query(
+          `INSERT INTO job_assignments (job_id, tech_id, status, offered_at, expires_at) VALUES ($1,$2,'offered',$3,$4)
+           ON CONFLICT (job_id, tech_id) DO NOTHING`,
+          [jobId, t.id, now.toISOString(), expiresAt.toISOString()]);
+        taken.add(t.id);
+        ids.push(t.id);
+        slots--;
+      }
+      await syncJobStatus(client, job, SYSTEM, ids.length ? `offered to ${ids.join(', ')}` : null);
+      return ids;
+    });
+
+    for(const techId of offered){
+      await noteOffer(pool, techId);
+      // expire the offer (and refill the slot) if the technician doesn't respond
+      await scheduleAcceptExpiry({ jobId, techId, expiresAt: expiresAt.toISOString() }, acceptTimeoutMs);
+    }
+    if(offered.length && events){
+      const job = (await pool.query(`SELECT * FROM jobs WHERE id=$1`, [jobId])).rows[0];
+      await safePublish(events, 'job.offer', { job: Object.assign({}, job, { offer_expires_at: expiresAt.toISOString() }) }, { users: offered });
+    }
+    await publishJobStatus(jobId);
+    if(!offered.length) return false;
+
+    // fetch technician profile to return so frontend can display immediately
+    const trow = (await pool.query(`SELECT id, fullname, username, avatar_url, phone, email, lat, lng FROM users WHERE id=$1`, [offered[0]])).rows[0] || null;
+    return trow || { id: offered[0] };
+  }
+
+  // refill open crew slots with fresh candidates
+  async function refill(jobId){
+    const job = (await pool.query(`SELECT * FROM jobs WHERE id=$1`, [jobId])).rows[0];
+    if(!job || !OPEN_STATUSES.includes(job.status)) return false;
+    return attemptAssign(jobId, await searchCandidates(job));
+  }
+
+  // Technician answers an offer. Returns { ok, status?, message, job? }
+  async function respond(jobId, techId, action){
+    const actor = { id: techId, role: 'worker' };
+    const result = await withLockedJob(pool, jobId, async (client, job) => {
+      if(!job) return { ok: false, status: 404, message: 'Job not found' };
+      const mine = (await client.query(`SELECT status FROM job_assignments WHERE job_id=$1 AND tech_id=$2`, [jobId, techId])).rows[0];
+      if(!mine) return { ok: false, status: 403, message: 'Not assigned to this technician' };
+
+      const upd = await client.query(
+        `UPDATE job_assignments SET status=$3, responded_at=now()
+         WHERE job_id=$1 AND tech_id=$2 AND status='offered' AND (expires_at IS NULL OR expires_at > now())
+         RETURNING id`, [jobId, techId, action === 'accept' ? 'accepted' : 'declined']);
+      if(!upd.rows.length) return { ok: false, status: 409, message: `Offer is no longer open (${mine.status})` };
+
+      const synced = await syncJobStatus(client, job, actor, action === 'accept' ? `accepted by ${techId}` : `declined by ${techId}`);
+      return { ok: true, job: synced };
+    });
+    if(!result.ok) return result;
+
+    if(action === 'accept'){
+      await noteAccept(pool, techId);
+      await publishJobStatus(jobId);
+      return Object.assign(result, { message: result.job.status === 'accepted' ? 'Job accepted' : 'Offer accepted; waiting for the rest of the crew' });
+    }
+    await refill(jobId);
+    return Object.assign(result, { message: 'Job declined; assigning next technician' });
+  }
+
+  // Expire an unanswered offer and refill the slot.
+  // data: { jobId, techId, expiresAt? } - expiresAt pins the exact offer so a stale timer is a no-op
+  async function handleAcceptExpiry(data){
+    const params = [data.jobId, data.techId];
+    let pin = '';
+    if(data.expiresAt){ params.push(data.expiresAt); pin = 'AND expires_at=$3'; }
+    const r = await pool.query(
+      `UPDATE job_assignments SET status='expired', responded_at=now()
+       WHERE job_id=$1 AND tech_id=$2 AND status='offered' ${pin} RETURNING id`, params);
+    if(!r.rows.length) return false; // already accepted/declined/withdrawn
+    await safePublish(events, 'job.offer.expired', { jobId: data.jobId }, { users: [data.techId] });
+
+    // attemptAssign re-syncs the job even when nobody new can be offered
+    await refill(data.jobId);
+    return true;
+  }
+
+  /**
+   * An accepted technician drops out of a job that hasn't started. Only their assignment is
+   * withdrawn: a full crew's job goes back to pending_assignment and the slot is offered again,
+   * the rest of the crew stays on. Returns { ok, status?, message, job? }
+   */
+  async function leaveCrew(jobId, techId, reason){
+    const actor = { id: techId, role: 'worker' };
+    const note = `left by ${techId}` + (reason ? `: ${reason}` : '');
+    const result = await withLockedJob(pool, jobId, async (client, job) => {
+      if(!job) return { ok: false, status: 404, message: 'Job not found' };
+      if(!LEAVABLE_STATUSES.includes(job.status)) return { ok: false, status: 409, message: `Cannot leave a job that is ${job.status}` };
+      const upd = await client.query(
+        `UPDATE job_assignments SET status='withdrawn', responded_at=now()
+         WHERE job_id=$1 AND tech_id=$2 AND status='accepted' RETURNING id`, [jobId, techId]);
+      if(!upd.rows.length) return { ok: false, status: 403, message: 'Not assigned to this technician' };
+
+      const cur = OPEN_STATUSES.includes(job.status)
+        ? job
+        : await transitionJob(client, jobId, 'pending_assignment', actor, { from: [job.status], note });
+      return { ok: true, job: await syncJobStatus(client, cur, actor, note) };
+    });
+    if(!result.ok) return result;
+
+    await refill(jobId);
+    return Object.assign(result, { message: 'You left the job; the slot is offered to another technician' });
+  }
+
+  // withdraw outstanding offers (job cancelled / expired) in the caller's transaction -> the
+  // technicians whose offer went, for notifyWithdrawn() once it has committed
+  async function withdrawOffers(db, jobId){
+    const r = await db.query(`UPDATE job_assignments SET status='withdrawn', responded_at=now() WHERE job_id=$1 AND status='offered' RETURNING tech_id`, [jobId]);
+    return r.rows.map(x => x.tech_id);
+  }
+
+  function notifyWithdrawn(jobId, techIds){
+    if(!techIds || !techIds.length) return Promise.resolve();
+    return safePublish(events, 'job.offer.withdrawn', { jobId }, { users: techIds });
+  }
+
+  // offered + accepted technicians with their profiles
+  async function crewFor(jobId){
+    const r = await pool.query(`
+      SELECT a.tech_id, a.status, a.offered_at, a.responded_at, a.expires_at,
+             u.fullname, u.username, u.avatar_url, u.phone, u.email, u.lat, u.lng
+      FROM job_assignments a JOIN users u ON u.id = a.tech_id
+      WHERE a.job_id=$1 AND a.status IN ('offered','accepted')
+      ORDER BY a.offered_at ASC, a.id ASC`, [jobId]);
+    return r.rows;
+  }
+
+  async function isCrewMember(jobId, techId, statuses = ['accepted']){
+    const r = await pool.query(`SELECT 1 FROM job_assignments WHERE job_id=$1 AND tech_id=$2 AND status = ANY($3::text[])`, [jobId, techId, statuses]);
+    return r.rows.length > 0;
+  }
+
+  // Startup recovery: expire offers whose deadline passed and re-arm the ones still running
+  async function sweepExpiredOffers(){
+    const rows = (await pool.query(`SELECT job_id, tech_id, expires_at FROM job_assignments WHERE status='offered' AND expires_at IS NOT NULL`)).rows;
+    let expired = 0;
+    for(const row of rows){
+      const data = { jobId: row.job_id, techId: row.tech_id, expiresAt: new Date(row.expires_at).toISOString() };
+      const remainingMs = new Date(row.expires_at).getTime() - Date.now();
+      try{
+        if(remainingMs <= 0){
+          if(await handleAcceptExpiry({ jobId: data.jobId, techId: data.techId })) expired++;
+        } else {
+          await scheduleAcceptExpiry(data, remainingMs);
+        }
+      }catch(e){ console.error('sweepExpiredOffers job', row.job_id, e); }
+    }
+    return { checked: rows.length, expired };
+  }
+
+  return { findCandidates, searchCandidates, attemptAssign, respond, leaveCrew, handleAcceptExpiry, withdrawOffers, notifyWithdrawn, crewFor, isCrewMember, sweepExpiredOffers, publishJobStatus };
+}
+
+module.exports = { createAssignment };
@@ -0,0 +1,84 @@
+// Services/audit.js
+// Append-only audit trail of privileged actions (audit_log): KYC decisions, staff changes, dispute
+// handling, payout decisions, wallet adjustments, escrow retries, user suspensions, moderation and
+// price changes. Each entry has the actor, target, before/after snapshot, IP and time. A trigger
+// rejects UPDATE, DELETE and TRUNCATE on the table, so mistakes are corrected by new entries.
+//   action: '<target type>.<verb>', e.g. 'kyc.approved', 'staff.suspended', 'withdrawal.rejected'
+
+const CSV_COLUMNS = ['id', 'created_at', 'actor_id', 'actor_role', 'actor_staff_role', 'action', 'target_type', 'target_id', 'ip', 'note', 'before', 'after'];
+const EXPORT_BATCH = 1000;
+
+// "=cmd()" style cells are prefixed so spreadsheets don't evaluate them
+function csvCell(value){
+  if(value === null || value === undefined) return '';
+  let s = value instanceof Date ? value.toISOString() : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+  if(/^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+function createAuditLog({ pool }){
+
+  /**
+   * db: the pool or the transaction client making the change, so the entry commits (or rolls
+   * back) with it. actor: req.auth (null for the system).
+   */
+  async function record(db, { actor = null, action, targetType, targetId, before = null, after = null, ip = null, note = null }){
+    await (db || pool).query(
+      `INSERT INTO audit_log (actor_id, actor_role, actor_staff_role, action, target_type, target_id, before, after, ip, note)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)`,
+      [actor ? String(actor.id) : null, actor ? actor.role : 'system', (actor && actor.staffRole) || null,
+        action, targetType, targetId == null ? null : String(targetId),
+        before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null, ip || null, note || null]);
+  }
+
+  // filters: actor_id, actor_role, action ('staff.*' matches a prefix), target_type, target_id, from, to
+  function whereClause(filters = {}, params = []){
+    const where = [];
+    const add = (sql, value) => { params.push(value); where.push(sql.replace('?', `$${params.length}`)); };
+    if(filters.actor_id) add('actor_id = ?', String(filters.actor_id));
+    if(filters.actor_role) add('actor_role = ?', String(filters.actor_role));
+    if(filters.action){
+      const action = String(filters.action);
+      if(action.endsWith('.*')) add('action LIKE ?', action.slice(0, -1).replace(/[%_\\]/g, '\\$&') + '%');
+      else add('action = ?', action);
+    }
+    if(filters.target_type) add('target_type = ?', String(filters.target_type));
+    if(filters.target_id) add('target_id = ?', String(filters.target_id));
+    if(filters.from) add('created_at >= ?', new Date(filters.from).toISOString());
+    if(filters.to) add('created_at < ?', new Date(filters.to).toISOString());
+    return where;
+  }
+
+  async function list(filters = {}, { limit = 100, offset = 0, order = 'desc' } = {}){
+    const params = [];
+    const where = whereClause(filters, params);
+    params.push(limit, offset);
+    const r = await pool.query(
+      `SELECT * FROM audit_log ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+       ORDER BY id ${order === 'asc' ? 'ASC' : 'DESC'}
+       LIMIT $${params.length - 1} OFFSET $${params.length}`, params);
+    return r.rows;
+  }
+
+  // CSV export in id order, EXPORT_BATCH rows at a time; write(chunk) may return a promise
+  async function exportCsv(filters, write){
+    await write(CSV_COLUMNS.join(',') + '\r\n');
+    let lastId = 0;
+    for(;;){
+      const params = [];
+      const where = whereClause(filters, params);
+      params.push(lastId); where.push(`id > $${params.length}`);
+      params.push(EXPORT_BATCH);
+      const rows = (await pool.query(
+        `SELECT * FROM audit_log WHERE ${where.join(' AND ')} ORDER BY id ASC LIMIT $${params.length}`, params)).rows;
+      if(!rows.length) return;
+      await write(rows.map(row => CSV_COLUMNS.map(c => csvCell(row[c])).join(',')).join('\r\n') + '\r\n');
+      lastId = rows[rows.length - 1].id;
+      if(rows.length < EXPORT_BATCH) return;
+    }
+  }
+
+  return { record, list, exportCsv };
+}
+
+module.exports = { createAuditLog, csvCell };
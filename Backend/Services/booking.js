@@ -0,0 +1,112 @@
+// Services/booking.js
+// A client books a job: the job is created with a server-computed price (Services/pricing.js),
+// funded into escrow when priced, and offered to the best-matching technicians (Services/assignment.js)
+// once the escrow holds the money (straight away for an unpriced job). Results are
+// { ok, status?, message, ... } like the other services. Results are { ok, status?, message, ... } like the other services.
+const pricing = require('./pricing');
+const { SYSTEM, transitionJob, recordJobCreated } = require('./jobStateMachine');
+const { SEARCH_RADIUS, eligibleTechs } = require('./matching');
+const users = require('../Data/users');
+const jobs = require('../Data/jobs');
+
+function createBooking({ pool, assignment, escrow }){
+  // Insert a client's job (status 'created') with a server-computed price -> { ok, job, payment }
+  // body is the booking schema in Routes/jobs.js (state required); preferredTechId: see bookTechnician
+  async function createClientJob(clientId, body, preferredTechId = null){
+    const { state, lga, city, address, lat, lng, job_type, description } = body || {};
+
+    const workers_needed = pricing.toPositiveInt((body || {}).workers_needed, 1);
+    const estimated_days = pricing.toPositiveInt((body || {}).estimated_days, 1);
+
+    // price is always computed server-side; unpriced job types are left for negotiation
+    const quote = job_type ? await pricing.quote(pool, { job_type, workers_needed, estimated_days, state, city }) : null;
+    const price = quote ? quote.price : null;
+
+    const jobId = await jobs.insert(pool, { client_id: clientId, state, lga, city, address, lat, lng, job_type, description, price, workers_needed, estimated_days, preferred_tech_id: preferredTechId });
+    await recordJobCreated(pool, jobId, { id: clientId, role: 'client' });
+
+    const job = { id: jobId, state, lga, city, lat, lng, job_type, price, workers_needed, estimated_days, preferred_tech_id: preferredTechId };
+    // priced jobs are funded into escrow up front; a failed charge can be retried via /api/job/:id/fund
+    const payment = await escrow.openEscrow(job, await users.billingContact(pool, clientId));
+    return { ok: true, job, payment };
+  }
+
+  // a priced job goes to technicians only once its escrow holds the client's money
+  const awaitingPayment = payment => !!payment && payment.status !== 'held';
+
+  async function noTechnicians(jobId){
+    await transitionJob(pool, jobId, 'pending_assignment', SYSTEM, { from: ['created'] });
+    await assignment.publishJobStatus(jobId);
+  }
+
+  /**
+   * Offer the job to the best eligible technicians, searching outwards from it (Services/assignment.js
+   * searchCandidates). The client's chosen technician (job.preferred_tech_id) gets the first offer
+   * when they'd be eligible anyway: online, KYC approved, right specialization, within the widest
+   * search ring. -> { found, assigned, preferred }
+   */
+  async function offer(job){
+    const preferredId = job.preferred_tech_id || null;
+    let candidates = await assignment.searchCandidates(job, preferredId ? { excludeIds: [preferredId] } : {});
+    if(preferredId && (await eligibleTechs(pool, job, { ids: [preferredId], radiusM: SEARCH_RADIUS.max })).length > 0){
+      const tech = await users.technician(pool, preferredId);
+      candidates = [{ id: tech.id, lat: tech.lat, lng: tech.lng, distance: null }].concat(candidates);
+    }
+    if(candidates.length === 0){
+      await noTechnicians(job.id);
+      return { found: 0, assigned: false, preferred: false };
+    }
+    const assigned = await assignment.attemptAssign(job.id, candidates);
+    return { found: candidates.length, assigned, preferred: !!(assigned && preferredId && assigned.id === preferredId) };
+  }
+
+  // the job's escrow was funded (Services/escrow.js onFunded, POST /api/job/:id/fund): offer it,
+  // unless that has already happened
+  async function offerFunded(jobId){
+    const job = await jobs.findById(pool, jobId);
+    if(!job || job.status !== 'created') return null;
+    return offer(job);
+  }
+
+  function waitingForPayment(created, extra){
+    return Object.assign({
+      ok: true, message: 'Job created; it goes to technicians once the payment is confirmed',
+      jobId: created.job.id, price: created.job.price, payment: created.payment, awaiting_payment: true, assigned: false
+    }, extra);
+  }
+
+  async function book(clientId, body){
+    const created = await createClientJob(clientId, body);
+    if(!created.ok) return created;
+    if(awaitingPayment(created.payment)) return waitingForPayment(created);
+    const { id: jobId, price } = created.job;
+
+    const { found, assigned } = await offer(created.job);
+    const message = !found ? 'Job created but no technicians available' : (assigned ? 'Job created and assigned' : 'Job created, no immediate assignment');
+    return { ok: true, message, jobId, price, payment: created.payment, assigned };
+  }
+
+  // Book a specific technician (rebook / picked from search). The chosen tech gets the first offer
+  // through the normal pending_accept flow; if they decline or let it expire, matching falls
+  // through to the nearest available technicians.
+  async function bookTechnician(clientId, techId, body){
+    const tech = await users.technician(pool, techId);
+    if(!tech) return { ok: false, status: 404, message: 'Technician not found' };
+
+    const created = await createClientJob(clientId, body, tech.id);
+    if(!created.ok) return created;
+    if(awaitingPayment(created.payment)) return waitingForPayment(created, { preferred: false });
+    const job = created.job;
+
+    const { found, assigned, preferred } = await offer(job);
+    let message = 'Job created, no immediate assignment';
+    if(!found) message = 'Job created but no technicians available';
+    else if(preferred) message = 'Job created and offered to the selected technician';
+    else if(assigned) message = 'Selected technician unavailable; job assigned to the nearest technician';
+    return { ok: true, message, jobId: job.id, price: job.price, payment: created.payment, preferred, assigned };
+  }
+
+  return { createClientJob, book, bookTechnician, offerFunded };
+}
+
+module.exports = { createBooking };
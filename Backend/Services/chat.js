@@ -0,0 +1,81 @@
+// Services/chat.js
+// Job chat: messages between a job's client and its crew, with file attachments kept in storage
+// and handed out as signed links that expire. New messages are pushed to everyone on the job.
+const { withTransaction } = require('./ledger');
+const { createUploader, fromRow } = require('./storage');
+const { safePublish } = require('./realtime');
+const messages = require('../Data/messages');
+const jobs = require('../Data/jobs');
+
+const ATTACHMENT_URL_TTL_SECONDS = 60 * 60;
+// same kinds as dispute evidence: photos, pdf, short video/audio
+const ATTACHMENT_TYPES = /^(image\/(jpeg|png|webp|gif)|application\/pdf|video\/mp4|audio\/(mpeg|mp4|ogg))$/;
+
+function createChat({ pool, storage, assignment, events, urlTtlSeconds = ATTACHMENT_URL_TTL_SECONDS }){
+  // multipart `attachments` of POST /api/job/:id/message
+  const upload = createUploader(storage, {
+    prefix: req => `chat/${req.params.id}`,
+    limits: { fileSize: 20 * 1024 * 1024, files: 4 },
+    types: ATTACHMENT_TYPES,
+    typeError: 'Unsupported attachment type'
+  });
+
+  // messages with their attachments (fresh signed links) grouped on
+  async function withAttachments(list){
+    const rows = await messages.attachmentsFor(pool, list.map(m => m.id));
+    return list.map(m => Object.assign({}, m, {
+      attachments: rows.filter(a => a.message_id === m.id).map(a => ({
+        id: a.id, file_name: a.file_name, mimetype: a.mimetype, size: a.size == null ? null : Number(a.size),
+        url: a.storage === storage.name ? storage.signedUrl(fromRow(a), { expiresIn: urlTtlSeconds }) : null
+      }))
+    }));
+  }
+
+  async function list(jobId){
+    return withAttachments(await messages.listForJob(pool, jobId));
+  }
+
+  // may userId post in the job's chat (its client or a technician on its crew)? -> { ok, status?, message?, job }
+  async function participant(jobId, userId){
+    const job = await jobs.parties(pool, jobId);
+    if(!job) return { ok: false, status: 404, message: 'Job not found' };
+    const onCrew = job.assigned_tech_id === userId || await assignment.isCrewMember(jobId, userId);
+    if(job.client_id !== userId && !onCrew) return { ok: false, status: 403, message: 'Not a participant in this job' };
+    return { ok: true, job };
+  }
+
+  /**
+   * Post a message as senderId (the client or a crew member) -> { ok, status?, message }
+   * files: [{ originalname, stored }] from upload; they are deleted again unless the message is saved
+   */
+  async function send(jobId, senderId, { text, metadata, files = [] }){
+    let created;
+    try{
+      const check = await participant(jobId, senderId);
+      if(!check.ok){ await upload.discard(files); return check; }
+      const { job } = check;
+
+      created = await withTransaction(pool, async (db) => {
+        const msg = await messages.insert(db, { jobId, senderId, text, metadata });
+        for(const f of files){
+          await messages.insertAttachment(db, { messageId: msg.id, jobId, uploadedBy: senderId, fileName: f.originalname, file: f.stored });
+        }
+        return Object.assign(msg, { client_id: job.client_id, assigned_tech_id: job.assigned_tech_id });
+      });
+    }catch(e){
+      await upload.discard(files);
+      throw e;
+    }
+    const { client_id, assigned_tech_id, ...saved } = created;
+    const [message] = await withAttachments([saved]);
+
+    // push to everyone on the job (the sender's other tabs included)
+    const crew = await jobs.acceptedCrewIds(pool, jobId);
+    await safePublish(events, 'message.new', { message }, { users: [client_id, assigned_tech_id].concat(crew) });
+    return { ok: true, message };
+  }
+
+  return { upload, discard: upload.discard, participant, list, send, withAttachments };
+}
+
+module.exports = { createChat };
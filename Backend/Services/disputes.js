@@ -0,0 +1,295 @@
+// Services/disputes.js
+// Disputes raised by a job's client or crew against the other side.
+//   status: open -> under_review | awaiting_info -> resolved | dismissed
+// Parties and staff talk in dispute_messages; evidence is a chat excerpt (copied from the job's
+// messages so later edits can't change it) or an uploaded file. While a dispute is unresolved the
+// job's escrow is frozen (see Services/escrow.js); the resolution outcome decides where it goes.
+// Every step is written to dispute_events with the actor, before/after snapshot and IP.
+const crypto = require('crypto');
+const { withTransaction } = require('./ledger');
+const { has } = require('../Middleware/permissions');
+const { toRow } = require('./storage');
+const { safePublish } = require('./realtime');
+
+const OPEN_STATUSES = ['open', 'under_review', 'awaiting_info'];
+const OUTCOMES = ['refund', 'release', 'split', 'dismiss'];
+// a dispute can be raised once the job has a technician, and for a while after it closes
+const DISPUTABLE_JOB_STATUSES = ['accepted', 'en_route', 'in_progress', 'completed_by_tech', 'confirmed_by_client', 'cancelled'];
+const CLOSED_JOB_STATUSES = ['confirmed_by_client', 'cancelled'];
+const WINDOW_DAYS = Number(process.env.DISPUTE_WINDOW_DAYS || 14);
+// dispute_events entries that also go to the audit log (Services/audit.js)
+const STAFF_ACTIONS = ['assigned', 'updated', 'resolved'];
+
+// actor: req.auth after access.resolve() (carries the staff permissions)
+const isStaff = actor => has(actor, 'disputes:handle');
+const snapshot = d => d && {
+  status: d.status, assigned_to: d.assigned_to, admin_note: d.admin_note, outcome: d.outcome, outcome_detail: d.outcome_detail
+};
+
+function createDisputes({ pool, escrow, assignment, events = null, audit = null }){
+
+  function push(dispute, to){
+    if(!dispute) return Promise.resolve();
+    const users = [dispute.claimant_id, dispute.defendant_id, dispute.assigned_to].filter(Boolean);
+    return safePublish(events, 'dispute.updated', { id: dispute.id, jobId: dispute.job_id, status: dispute.status }, to || { users, roles: ['admin', 'staff'] });
+  }
+
+  async function record(db, disputeId, actor, action, before, after, ip){
+    await db.query(
+      `INSERT INTO dispute_events (dispute_id, actor_id, actor_role, action, before, after, ip)
+       VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+      [disputeId, actor ? String(actor.id) : null, actor ? actor.role : 'system', action,
+        before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null, ip || null]);
+    if(audit && STAFF_ACTIONS.includes(action)){
+      await audit.record(db, { actor, action: `dispute.${action}`, targetType: 'dispute', targetId: disputeId, before, after, ip });
+    }
+  }
+
+  async function load(db, id, lock = false){
+    const r = await db.query(`SELECT * FROM disputes WHERE id=$1 ${lock ? 'FOR UPDATE' : ''}`, [id]);
+    return r.rows[0] || null;
+  }
+
+  function isParty(dispute, actor){
+    return !!actor && (dispute.claimant_id === actor.id || dispute.defendant_id === actor.id);
+  }
+
+  // parties see their own disputes; staff with disputes:view see all
+  async function canView(dispute, actor){
+    if(has(actor, 'disputes:view') || isParty(dispute, actor)) return true;
+    return !!(actor && assignment && await assignment.isCrewMember(dispute.job_id, actor.id));
+  }
+
+  /**
+   * Raise a dispute against a job. actor: req.auth (client of the job or an accepted crew member).
+   */
+  async function open(jobId, actor, { reason, details } = {}, ip){
+    if(!reason || !String(reason).trim()) return { ok: false, status: 400, message: 'reason required' };
+    const job = (await pool.query(`SELECT * FROM jobs WHERE id=$1`, [jobId])).rows[0];
+    if(!job) return { ok: false, status: 404, message: 'Job not found' };
+
+    let defendantId = null;
+    if(job.client_id === actor.id) defendantId = job.assigned_tech_id;
+    else if(assignment && await assignment.isCrewMember(jobId, actor.id)) defendantId = job.client_id;
+    else return { ok: false, status: 403, message: 'Only the client or a technician on this job can raise a dispute' };
+
+    if(!DISPUTABLE_JOB_STATUSES.includes(job.status) || !defendantId){
+      return { ok: false, status: 409, message: `A job that is ${job.status} cannot be disputed` };
+    }
+    if(CLOSED_JOB_STATUSES.includes(job.status)){
+      const last = (await pool.query(`SELECT MAX(created_at) AS at FROM job_events WHERE job_id=$1`, [jobId])).rows[0];
+      if(last && last.at && Date.now() - new Date(last.at).getTime() > WINDOW_DAYS * 24 * 3600 * 1000){
+        return { ok: false, status: 409, message: `Disputes must be raised within ${WINDOW_DAYS} days of the job closing` };
+      }
+    }
+
+    try{
+      const row = await withTransaction(pool, async (db) => {
+        const ins = await db.query(
+          `INSERT INTO disputes (id, job_id, claimant_id, defendant_id, reason, details, status)
+           VALUES ($1,$2,$3,$4,$5,$6,'open') RETURNING *`,
+          [crypto.randomUUID(), jobId, actor.id, defendantId, String(reason).trim(), details || null]);
+        await record(db, ins.rows[0].id, actor, 'opened', null, snapshot(ins.rows[0]), ip);
+        return ins.rows[0];
+      });
+      await push(row);
+      return { ok: true, dispute: row };
+    }catch(e){
+      // disputes_one_open_per_job
+      if(e.code === '23505') return { ok: false, status: 409, message: 'This job already has an open dispute' };
+      throw e;
+    }
+  }
+
+  // dispute with its thread, evidence and history
+  async function detail(id){
+    const dispute = (await pool.query(`
+      SELECT d.*, c.fullname AS claimant_name, def.fullname AS defendant_name, j.job_type, j.status AS job_status, j.price
+      FROM disputes d
+      LEFT JOIN users c ON c.id = d.claimant_id
+      LEFT JOIN users def ON def.id = d.defendant_id
+      LEFT JOIN jobs j ON j.id = d.job_id
+      WHERE d.id=$1`, [id])).rows[0];
+    if(!dispute) return null;
+    const [messages, evidence, history] = await Promise.all([
+      pool.query(`SELECT id, author_id, author_role, body, created_at FROM dispute_messages WHERE dispute_id=$1 ORDER BY created_at ASC, id ASC`, [id]),
+      pool.query(`SELECT id, kind, uploaded_by, note, excerpt, file_name, mimetype, size, created_at FROM dispute_evidence WHERE dispute_id=$1 ORDER BY created_at ASC, id ASC`, [id]),
+      pool.query(`SELECT id, actor_id, actor_role, action, before, after, created_at FROM dispute_events WHERE dispute_id=$1 ORDER BY created_at ASC, id ASC`, [id])
+    ]);
+    return Object.assign(dispute, { messages: messages.rows, evidence: evidence.rows, history: history.rows });
+  }
+
+  // parties (and staff) can add to the thread until the dispute is closed
+  async function guardContribution(db, id, actor){
+    const dispute = await load(db, id, true);
+    if(!dispute) return { error: { status: 404, message: 'Dispute not found' } };
+    if(!isStaff(actor) && !isParty(dispute, actor)) return { error: { status: 403, message: 'Forbidden' } };
+    if(!OPEN_STATUSES.includes(dispute.status)) return { error: { status: 409, message: `Dispute is ${dispute.status}` } };
+    return { dispute };
+  }
+
+  async function addMessage(id, actor, body, ip){
+    if(!body || !String(body).trim()) return { ok: false, status: 400, message: 'body required' };
+    const out = await withTransaction(pool, async (db) => {
+      const { dispute, error } = await guardContribution(db, id, actor);
+      if(error) return { error };
+      const ins = await db.query(
+        `INSERT INTO dispute_messages (dispute_id, author_id, author_role, body) VALUES ($1,$2,$3,$4) RETURNING *`,
+        [id, String(actor.id), actor.role, String(body).trim()]);
+      await db.query(`UPDATE disputes SET updated_at=now() WHERE id=$1`, [id]);
+      await record(db, id, actor, 'message', null, { message_id: ins.rows[0].id }, ip);
+      return { dispute, message: ins.rows[0] };
+    });
+    if(out.error) return Object.assign({ ok: false }, out.error);
+    await push(out.dispute);
+    return { ok: true, message: out.message };
+  }
+
+  /**
+   * Attach evidence: chat excerpts (messageIds from the job's chat) and/or uploaded files
+   * (already in storage; files: [{ name, file }] with file a Services/storage descriptor).
+   */
+  async function addEvidence(id, actor, { messageIds = [], files = [], note } = {}, ip){
+    const ids = (Array.isArray(messageIds) ? messageIds : [messageIds]).map(Number).filter(Number.isInteger);
+    if(!ids.length && !files.length) return { ok: false, status: 400, message: 'message_ids or files required' };
+    const out = await withTransaction(pool, async (db) => {
+      const { dispute, error } = await guardContribution(db, id, actor);
+      if(error) return { error };
+      const added = [];
+      if(ids.length){
+        const msgs = (await db.query(
+          `SELECT id, sender_id, text, created_at FROM messages WHERE job_id=$1 AND id = ANY($2::int[]) ORDER BY created_at ASC, id ASC`,
+          [dispute.job_id, ids])).rows;
+        if(msgs.length !== new Set(ids).size) return { error: { status: 400, message: 'message_ids must be messages from this job' } };
+        const ins = await db.query(
+          `INSERT INTO dispute_evidence (dispute_id, kind, uploaded_by, note, excerpt) VALUES ($1,'chat',$2,$3,$4) RETURNING *`,
+          [id, String(actor.id), note || null, JSON.stringify(msgs)]);
+        added.push(ins.rows[0]);
+      }
+      for(const f of files){
+        const c = toRow(f.file);
+        const ins = await db.query(
+          `INSERT INTO dispute_evidence (dispute_id, kind, uploaded_by, note, file_name, mimetype, size, storage, storage_key, resource_type, format)
+           VALUES ($1,'file',$2,$3,$4,$5,$6,$7,$8,$9,$10) RETURNING *`,
+          [id, String(actor.id), note || null, f.name, c.mimetype, c.size, c.storage, c.storage_key, c.resource_type, c.format]);
+        added.push(ins.rows[0]);
+      }
+      await db.query(`UPDATE disputes SET updated_at=now() WHERE id=$1`, [id]);
+      await record(db, id, actor, 'evidence', null, { evidence_ids: added.map(e => e.id) }, ip);
+      return { dispute, added };
+    });
+    if(out.error) return Object.assign({ ok: false }, out.error);
+    await push(out.dispute);
+    return { ok: true, evidence: out.added.map(({ location, storage, storage_key, resource_type, format, ...e }) => e) };
+  }
+
+  async function evidenceFile(disputeId, evidenceId){
+    const r = await pool.query(`SELECT * FROM dispute_evidence WHERE id=$1 AND dispute_id=$2 AND kind='file'`, [evidenceId, disputeId]);
+    return r.rows[0] || null;
+  }
+
+  async function listForUser(userId){
+    const r = await pool.query(`
+      SELECT d.id, d.job_id, d.claimant_id, d.defendant_id, d.reason, d.status, d.outcome, d.created_at, d.updated_at
+      FROM disputes d
+      WHERE d.claimant_id=$1 OR d.defendant_id=$1
+      ORDER BY d.created_at DESC LIMIT 100`, [userId]);
+    return r.rows;
+  }
+
+  // staff queue: unassigned first, then oldest
+  async function list({ status, assignedTo, limit = 50, offset = 0 } = {}){
+    const where = [];
+    const params = [];
+    if(status){ params.push(status); where.push(`d.status = $${params.length}`); }
+    if(assignedTo){ params.push(String(assignedTo)); where.push(`d.assigned_to = $${params.length}`); }
+    params.push(limit, offset);
+    const r = await pool.query(`
+      SELECT d.id, d.job_id, d.claimant_id, d.defendant_id, d.reason, d.details, d.status, d.assigned_to, d.admin_note,
+             d.outcome, d.outcome_detail, d.resolved_at, d.created_at, d.updated_at,
+             c.fullname AS claimant_name, def.fullname AS defendant_name, j.price
+      FROM disputes d
+      LEFT JOIN users c ON c.id = d.claimant_id
+      LEFT JOIN users def ON def.id = d.defendant_id
+      LEFT JOIN jobs j ON j.id = d.job_id
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY (d.assigned_to IS NULL) DESC, d.created_at ASC
+      LIMIT $${params.length - 1} OFFSET $${params.length}`, params);
+    return r.rows;
+  }
+
+  // staff-side update of an open dispute: fn(db, current) returns the new row or { error }
+  async function staffUpdate(id, actor, action, ip, fn){
+    const out = await withTransaction(pool, async (db) => {
+      const cur = await load(db, id, true);
+      if(!cur) return { error: { status: 404, message: 'Dispute not found' } };
+      if(!OPEN_STATUSES.includes(cur.status)) return { error: { status: 409, message: `Dispute is ${cur.status}` } };
+      const next = await fn(db, cur);
+      if(next.error) return next;
+      await record(db, id, actor, action, snapshot(cur), snapshot(next), ip);
+      return { dispute: next };
+    });
+    if(out.error) return Object.assign({ ok: false }, out.error);
+    await push(out.dispute);
+    return { ok: true, dispute: out.dispute };
+  }
+
+  function assign(id, actor, staffId, ip){
+    const to = String(staffId || actor.id);
+    return staffUpdate(id, actor, 'assigned', ip, async (db) => (await db.query(
+      `UPDATE disputes SET assigned_to=$2, status=CASE WHEN status='open' THEN 'under_review' ELSE status END, updated_at=now()
+       WHERE id=$1 RETURNING *`, [id, to])).rows[0]);
+  }
+
+  function update(id, actor, { status, adminNote } = {}, ip){
+    if(status && !OPEN_STATUSES.includes(status)) return Promise.resolve({ ok: false, status: 400, message: `status must be one of ${OPEN_STATUSES.join(', ')}` });
+    if(!status && adminNote === undefined) return Promise.resolve({ ok: false, status: 400, message: 'status or admin_note required' });
+    return staffUpdate(id, actor, 'updated', ip, async (db, cur) => (await db.query(
+      `UPDATE disputes SET status=$2, admin_note=$3, updated_at=now() WHERE id=$1 RETURNING *`,
+      [id, status || cur.status, adminNote === undefined ? cur.admin_note : adminNote])).rows[0]);
+  }
+
+  /**
+   * Resolve with an outcome (refund | release | split | dismiss). The money moves while the dispute
+   * still blocks the automatic release/refund, in the same transaction that closes the dispute: a
+   * failure leaves both as they were and the dispute can be resolved again.
+   */
+  async function resolve(id, actor, { outcome, clientAmount, adminNote } = {}, ip){
+    if(!OUTCOMES.includes(outcome)) return { ok: false, status: 400, message: `outcome must be one of ${OUTCOMES.join(', ')}` };
+    if(outcome === 'split' && (clientAmount === undefined || clientAmount === null || clientAmount === '')) {
+      return { ok: false, status: 400, message: 'client_amount required for a split' };
+    }
+
+    const out = await withTransaction(pool, async (db) => {
+      // the row lock keeps two reviewers from resolving the same dispute at once
+      const before = await load(db, id, true);
+      if(!before) return { ok: false, status: 404, message: 'Dispute not found' };
+      if(!OPEN_STATUSES.includes(before.status)) return { ok: false, status: 409, message: `Dispute is ${before.status}` };
+
+      const money = await escrow.settleDispute(db, before.job_id, { outcome, clientAmount });
+      if(money.invalid) return { ok: false, status: 400, message: money.reason };
+
+      const final = outcome === 'dismiss' ? 'dismissed' : 'resolved';
+      const { settled, ...payment } = money;
+      const detailOut = Object.assign({ client_amount: clientAmount != null ? Number(clientAmount) : null }, payment);
+      const upd = await db.query(
+        `UPDATE disputes SET status=$2, outcome=$3, outcome_detail=$4, admin_note=COALESCE($5, admin_note),
+                resolved_by=$6, resolved_at=now(), updated_at=now()
+         WHERE id=$1 RETURNING *`,
+        [id, final, outcome, JSON.stringify(detailOut), adminNote || null, String(actor.id)]);
+      await record(db, id, actor, 'resolved', snapshot(before), snapshot(upd.rows[0]), ip);
+      return { ok: true, dispute: upd.rows[0], payment, settled };
+    });
+    if(!out.ok) return out;
+
+    const row = out.dispute;
+    if(out.settled) out.payment.refund_status = await out.settled();
+    if(outcome === 'dismiss') await escrow.resumeAfterDispute(row.job_id);
+    await push(row);
+    return { ok: true, dispute: row, payment: out.payment };
+  }
+
+  return { open, detail, canView, addMessage, addEvidence, evidenceFile, listForUser, list, assign, update, resolve };
+}
+
+module.exports = { createDisputes, OPEN_STATUSES, OUTCOMES };
@@ -0,0 +1,404 @@
+// Services/escrow.js
+// Job escrow on top of the transactions table, posted to the ledger (Services/ledger.js).
+//   kind='escrow'      client funds a job:  pending -> held -> released
+//                                           pending -> failed | cancelled,  held -> refunding -> refunded
+//                                           held -> refunding -> partially_refunded  (dispute split)
+//   kind='payout'      crew member's share credited to their wallet on release (parent_id = escrow)
+//   kind='commission'  platform fee taken on release (parent_id = escrow)
+//   kind='refund'      back to the client when cancelled (parent_id = escrow): pending -> succeeded | failed
+// Ledger: funding  provider:cash -> escrow:<job>;  release  escrow:<job> -> wallet:<tech> + platform:commission;
+//         refund   escrow:<job> -> provider:cash.  Technicians then withdraw from their wallet (Services/wallet.js).
+// Money only moves through the payment provider adapter (Services/paymentProviders); state changes
+// driven by the provider arrive as verified webhooks, which are de-duplicated in payment_webhooks.
+// Release/refund run as 'releasePayment' / 'refundPayment' queue jobs when a queue is configured.
+// While a job has an unresolved dispute neither runs; the dispute's outcome decides (settleDispute).
+const crypto = require('crypto');
+const { ACCOUNTS, cents, post, balance, withTransaction } = require('./ledger');
+const { safePublish } = require('./realtime');
+
+const COMMISSION_PERCENT = Number(process.env.PLATFORM_COMMISSION_PERCENT || 10);
+
+/**
+ * onFunded(jobId): called when a webhook has funded the escrow of a job still waiting for it
+ * (status 'created'); Services/booking.js offers the job to technicians then.
+ */
+function createEscrow({ pool, provider, queue = null, events = null, wallet = null, onFunded = null, commissionPercent = COMMISSION_PERCENT }){
+
+  async function escrowFor(db, jobId, lock = false){
+    const r = await db.query(
+      `SELECT * FROM transactions WHERE job_id=$1 AND kind='escrow' ORDER BY created_at DESC LIMIT 1 ${lock ? 'FOR UPDATE' : ''}`, [jobId]);
+    return r.rows[0] || null;
+  }
+
+  async function setStatus(db, id, status, from, extra = {}){
+    const r = await db.query(
+      `UPDATE transactions SET status=$2, provider_ref=COALESCE($4, provider_ref),
+              metadata=COALESCE(metadata,'{}'::jsonb) || $5::jsonb, updated_at=now()
+       WHERE id=$1 AND status = ANY($3::text[]) RETURNING *`,
+      [id, status, from, extra.providerRef || null, JSON.stringify(extra.metadata || {})]);
+    return r.rows[0] || null;
+  }
+
+  async function notifyClient(escrow){
+    if(escrow) await safePublish(events, 'payment.status', { jobId: escrow.job_id, reference: escrow.id, status: escrow.status }, { users: [escrow.client_id], roles: ['admin'] });
+  }
+
+  // funds arrived: escrow -> held and post provider:cash -> escrow:<job>
+  async function markHeld(id, from, extra){
+    return withTransaction(pool, async (db) => {
+      const row = await setStatus(db, id, 'held', from, extra);
+      if(row){
+        const amount = Number(row.amount);
+        await post(db, row.id, [
+          { account: ACCOUNTS.cash, amount },
+          { account: ACCOUNTS.escrow(row.job_id), amount: -amount }
+        ]);
+      }
+      return row;
+    });
+  }
+
+  /**
+   * Start (or resume) funding for a priced job. Returns the open escrow:
+   * { reference, status, amount, currency, checkoutUrl }
+   */
+  async function openEscrow(job, client){
+    if(job.price == null) return null;
+    const existing = await escrowFor(pool, job.id);
+    if(existing && existing.status !== 'failed' && existing.status !== 'cancelled') return describe(existing);
+
+    const id = crypto.randomUUID();
+    const amount = Number(job.price);
+    await pool.query(
+      `INSERT INTO transactions (id, job_id, client_id, amount, currency, method, status, kind, provider, metadata)
+       VALUES ($1,$2,$3,$4,'NGN','escrow','pending','escrow',$5,'{}'::jsonb)`,
+      [id, job.id, client.id, amount, provider.name]);
+
+    try{
+      const charge = await provider.createCharge({
+        reference: id, amount, currency: 'NGN', email: client.email,
+        metadata: { job_id: job.id }, callbackUrl: process.env.PAYMENT_CALLBACK_URL || undefined
+      });
+      const extra = { providerRef: charge.providerRef, metadata: { checkout_url: charge.checkoutUrl || null } };
+      const row = charge.status === 'succeeded'
+        ? await markHeld(id, ['pending'], extra)
+        : await setStatus(pool, id, 'pending', ['pending'], extra);
+      return describe(row);
+    }catch(e){
+      console.error('escrow createCharge failed', job.id, e.message || e);
+      const row = await setStatus(pool, id, 'failed', ['pending'], { metadata: { error: String(e.message || e) } });
+      return describe(row);
+    }
+  }
+
+  function describe(row){
+    if(!row) return null;
+    return {
+      reference: row.id,
+      status: row.status,
+      amount: Number(row.amount),
+      currency: row.currency,
+      checkoutUrl: row.status === 'pending' && row.metadata ? row.metadata.checkout_url || null : null
+    };
+  }
+
+  // escrow + payouts/commission/refunds for a job
+  async function jobPayments(jobId){
+    const escrow = await escrowFor(pool, jobId);
+    if(!escrow) return { escrow: null, movements: [] };
+    const r = await pool.query(
+      `SELECT id, kind, tech_id, amount, currency, status, provider_ref, metadata, created_at, updated_at
+       FROM transactions WHERE parent_id=$1 ORDER BY created_at ASC`, [escrow.id]);
+    return { escrow: Object.assign(describe(escrow), { created_at: escrow.created_at, updated_at: escrow.updated_at }), movements: r.rows };
+  }
+
+  function schedule(name, jobId){
+    if(queue){
+      // one release/refund per job; the handlers are idempotent so retries are safe
+      return queue.add(name, { jobId }, { jobId: `${name}-${jobId}`, removeOnComplete: true, removeOnFail: 100, attempts: 5, backoff: { type: 'exponential', delay: 30 * 1000 } });
+    }
+    const run = name === 'releasePayment' ? releaseJob : refundJob;
+    setImmediate(() => run(jobId).catch(e => console.error(name, jobId, e)));
+    return Promise.resolve();
+  }
+  const scheduleRelease = jobId => schedule('releasePayment', jobId);
+  const scheduleRefund = jobId => schedule('refundPayment', jobId);
+
+  // accepted crew, lead first (the lead gets any rounding remainder)
+  async function crewOf(db, jobId){
+    const crew = (await db.query(
+      `SELECT a.tech_id FROM job_assignments a JOIN jobs j ON j.id = a.job_id
+       WHERE a.job_id=$1 AND a.status='accepted'
+       ORDER BY (a.tech_id = j.assigned_tech_id) DESC, a.responded_at ASC NULLS LAST`, [jobId])).rows.map(r => r.tech_id);
+    if(crew.length) return crew;
+    const lead = (await db.query(`SELECT assigned_tech_id FROM jobs WHERE id=$1`, [jobId])).rows[0];
+    return lead && lead.assigned_tech_id ? [lead.assigned_tech_id] : [];
+  }
+
+  // The job's status, read under a share lock: a release/refund queued from inside a transition's
+  // transaction waits here until that transaction ends, and does nothing if it rolled back.
+  async function jobStatus(db, jobId){
+    const r = await db.query(`SELECT status FROM jobs WHERE id=$1 FOR SHARE`, [jobId]);
+    return r.rows[0] ? r.rows[0].status : null;
+  }
+
+  async function underDispute(db, jobId){
+    const r = await db.query(`SELECT 1 FROM disputes WHERE job_id=$1 AND status NOT IN ('resolved','dismissed') LIMIT 1`, [jobId]);
+    return r.rows.length > 0;
+  }
+
+  // credit `total` cents of a held escrow to the crew's wallets, less the platform commission
+  async function creditCrew(db, escrow, total){
+    const jobId = escrow.job_id;
+    const crew = await crewOf(db, jobId);
+    if(!crew.length) return null;
+    const fee = Math.round(total * commissionPercent / 100);
+    const net = total - fee;
+    const each = Math.floor(net / crew.length);
+    const shares = crew.map((techId, i) => ({ techId, amount: (i === 0 ? net - each * (crew.length - 1) : each) / 100 }));
+
+    for(const share of shares){
+      const id = crypto.randomUUID();
+      await db.query(
+        `INSERT INTO transactions (id, job_id, client_id, tech_id, amount, currency, method, status, kind, parent_id, metadata)
+         VALUES ($1,$2,$3,$4,$5,$6,'wallet','succeeded','payout',$7,'{}'::jsonb)`,
+        [id, jobId, escrow.client_id, share.techId, share.amount, escrow.currency, escrow.id]);
+      await post(db, id, [
+        { account: ACCOUNTS.escrow(jobId), amount: share.amount },
+        { account: ACCOUNTS.wallet(share.techId), amount: -share.amount }
+      ]);
+    }
+    if(fee > 0){
+      const id = crypto.randomUUID();
+      await db.query(
+        `INSERT INTO transactions (id, job_id, client_id, amount, currency, method, status, kind, parent_id, metadata)
+         VALUES ($1,$2,$3,$4,$5,'ledger','succeeded','commission',$6,$7)`,
+        [id, jobId, escrow.client_id, fee / 100, escrow.currency, escrow.id, JSON.stringify({ percent: commissionPercent })]);
+      await post(db, id, [
+        { account: ACCOUNTS.escrow(jobId), amount: fee / 100 },
+        { account: ACCOUNTS.commission, amount: -fee / 100 }
+      ]);
+    }
+    return shares;
+  }
+
+  async function notifyPayouts(jobId, shares){
+    for(const s of shares || []) await safePublish(events, 'payment.payout', { jobId, status: 'succeeded', amount: s.amount }, { users: [s.techId] });
+  }
+
+  /**
+   * Client confirmed: credit each crew member's wallet with their share of the escrow, less the
+   * platform commission. A released escrow is never released twice.
+   */
+  async function releaseJob(jobId){
+    const out = await withTransaction(pool, async (db) => {
+      const status = await jobStatus(db, jobId);
+      if(status !== 'confirmed_by_client') return { released: false, reason: `job is ${status || 'missing'}` };
+      const escrow = await escrowFor(db, jobId, true);
+      if(!escrow || escrow.status !== 'held') return { released: false, reason: escrow ? `escrow is ${escrow.status}` : 'no escrow' };
+      if(await underDispute(db, jobId)) return { released: false, reason: 'job is under dispute' };
+      const shares = await creditCrew(db, escrow, cents(escrow.amount));
+      if(!shares) return { released: false, reason: 'job has no technician' };
+      const released = await setStatus(db, escrow.id, 'released', ['held']);
+      return { released: true, escrow: released, shares };
+    });
+
+    if(out.released){
+      await notifyClient(out.escrow);
+      await notifyPayouts(jobId, out.shares);
+    }
+    return { released: out.released, reason: out.reason };
+  }
+
+  // held|refunding escrow -> refunding with a pending refund row for whatever is left in escrow:<job>
+  async function beginRefund(db, escrow){
+    if(escrow.status === 'held') escrow = await setStatus(db, escrow.id, 'refunding', ['held']);
+    let refundRow = (await db.query(`SELECT * FROM transactions WHERE parent_id=$1 AND kind='refund' ORDER BY created_at DESC LIMIT 1`, [escrow.id])).rows[0];
+    if(!refundRow || refundRow.status === 'failed'){
+      const remaining = await balance(db, ACCOUNTS.escrow(escrow.job_id));
+      refundRow = (await db.query(
+        `INSERT INTO transactions (id, job_id, client_id, amount, currency, method, status, kind, provider, parent_id, metadata)
+         VALUES ($1,$2,$3,$4,$5,'refund','pending','refund',$6,$7,'{}'::jsonb) RETURNING *`,
+        [crypto.randomUUID(), escrow.job_id, escrow.client_id, remaining, escrow.currency, provider.name, escrow.id])).rows[0];
+    }
+    return { escrow, refundRow };
+  }
+
+  async function sendRefund(escrow, refundRow){
+    if(refundRow.status !== 'pending' || refundRow.provider_ref) return { refunded: false, reason: `refund ${refundRow.status}` };
+    let result;
+    try{
+      result = await provider.refund({
+        reference: refundRow.id, chargeReference: escrow.id, chargeRef: escrow.provider_ref,
+        amount: Number(refundRow.amount), currency: refundRow.currency
+      });
+    }catch(e){
+      result = { status: 'failed', error: String(e.message || e) };
+    }
+    return settleRefund(refundRow.id, result.status, { providerRef: result.providerRef, metadata: result.error ? { error: result.error } : {} });
+  }
+
+  /**
+   * Give the client their money back (job cancelled/expired). An unpaid escrow is just cancelled.
+   */
+  async function refundJob(jobId){
+    const prep = await withTransaction(pool, async (db) => {
+      const status = await jobStatus(db, jobId);
+      if(!['cancelled', 'expired'].includes(status)) return { done: { refunded: false, reason: `job is ${status || 'missing'}` } };
+      let escrow = await escrowFor(db, jobId, true);
+      if(!escrow || !['pending', 'held', 'refunding'].includes(escrow.status)){
+        return { done: { refunded: false, reason: escrow ? `escrow is ${escrow.status}` : 'no escrow' } };
+      }
+      if(escrow.status !== 'refunding' && await underDispute(db, jobId)) return { done: { refunded: false, reason: 'job is under dispute' } };
+      if(escrow.status === 'pending'){
+        escrow = await setStatus(db, escrow.id, 'cancelled', ['pending']);
+        return { done: { refunded: false, reason: 'escrow was never funded' }, cancelled: escrow };
+      }
+      return beginRefund(db, escrow);
+    });
+    if(prep.cancelled) await notifyClient(prep.cancelled);
+    if(prep.done) return prep.done;
+    return sendRefund(prep.escrow, prep.refundRow);
+  }
+
+  /**
+   * Apply a dispute outcome to the job's held funds (Services/disputes.js calls this while the
+   * dispute is still open, so the automatic release/refund stays out of the way):
+   *   release  everything to the crew (less commission)
+   *   refund   everything back to the client
+   *   split    clientAmount back to the client, the rest to the crew (commission on that part only)
+   *   dismiss  no ruling on the money: carry on as the job status says (confirmed -> release, cancelled -> refund)
+   * Runs in the caller's transaction `db`, so the ledger entries commit together with the dispute's
+   * outcome. Returns { applied, invalid?, reason?, client_amount?, crew_amount?, settled? }; once the
+   * transaction has committed, settled() sends the notifications and the provider refund and
+   * resolves to the refund status when the refund did not go through.
+   */
+  async function settleDispute(db, jobId, { outcome, clientAmount } = {}){
+    if(outcome === 'dismiss') return { applied: false, reason: 'dismissed' };
+    const escrow = await escrowFor(db, jobId, true);
+    if(!escrow || escrow.status !== 'held') return { applied: false, reason: escrow ? `escrow is ${escrow.status}` : 'no escrow' };
+    const total = cents(escrow.amount);
+    const toClient = outcome === 'refund' ? total : outcome === 'release' ? 0 : cents(clientAmount);
+    if(!Number.isFinite(toClient) || toClient < 0 || toClient > total) return { applied: false, invalid: true, reason: 'client amount must be between 0 and the escrowed amount' };
+
+    let shares = null;
+    if(toClient < total){
+      shares = await creditCrew(db, escrow, total - toClient);
+      if(!shares) return { applied: false, invalid: true, reason: 'job has no technician to release to' };
+    }
+    const out = toClient === 0
+      ? { escrow: await setStatus(db, escrow.id, 'released', ['held']) }
+      : await beginRefund(db, escrow);
+
+    async function settled(){
+      await notifyPayouts(jobId, shares);
+      await notifyClient(out.escrow);
+      if(!out.refundRow) return undefined;
+      const r = await sendRefund(out.escrow, out.refundRow);
+      return r.refunded ? undefined : r.reason;
+    }
+    return { applied: true, client_amount: toClient / 100, crew_amount: (total - toClient) / 100, settled };
+  }
+
+  // funds that waited on a dismissed dispute follow the job's own outcome
+  async function resumeAfterDispute(jobId){
+    const job = (await pool.query(`SELECT status FROM jobs WHERE id=$1`, [jobId])).rows[0];
+    if(!job) return;
+    if(job.status === 'confirmed_by_client') await scheduleRelease(jobId);
+    if(['cancelled', 'expired'].includes(job.status)) await scheduleRefund(jobId);
+  }
+
+  // refund outcome; success posts escrow:<job> -> provider:cash and closes the escrow
+  async function settleRefund(refundId, status, extra = {}){
+    const out = await withTransaction(pool, async (db) => {
+      const r = await setStatus(db, refundId, status, ['pending'], extra);
+      if(!r) return { refunded: false, reason: 'refund already settled' };
+      if(status !== 'succeeded') return { refunded: false, reason: `refund ${status}` };
+      const amount = Number(r.amount);
+      await post(db, r.id, [
+        { account: ACCOUNTS.escrow(r.job_id), amount },
+        { account: ACCOUNTS.cash, amount: -amount }
+      ]);
+      // part of the escrow went to the crew (dispute split)
+      const parent = (await db.query(`SELECT amount FROM transactions WHERE id=$1`, [r.parent_id])).rows[0];
+      const final = cents(amount) < cents(parent.amount) ? 'partially_refunded' : 'refunded';
+      const escrow = await setStatus(db, r.parent_id, final, ['refunding']);
+      return { refunded: true, escrow };
+    });
+    if(out.escrow) await notifyClient(out.escrow);
+    return { refunded: out.refunded, reason: out.reason };
+  }
+
+  // apply a verified webhook event to the escrow / ledger
+  async function applyWebhookEvent(event){
+    const ref = event.reference ? String(event.reference) : null;
+    switch(event.type){
+      case 'charge.succeeded': {
+        const row = (await pool.query(`SELECT * FROM transactions WHERE id=$1 AND kind='escrow'`, [ref])).rows[0];
+        if(!row) break;
+        if(event.amount != null && Number(event.amount) < Number(row.amount)){
+          await setStatus(pool, row.id, row.status, [row.status], { metadata: { underpaid: event.amount } });
+          break;
+        }
+        const held = await markHeld(row.id, ['pending', 'failed', 'cancelled'], { providerRef: event.providerRef });
+        await notifyClient(held);
+        // paid after the job was already called off -> straight back to the client
+        const job = (await pool.query(`SELECT status FROM jobs WHERE id=$1`, [row.job_id])).rows[0];
+        if(held && job && ['cancelled', 'expired'].includes(job.status)) await scheduleRefund(row.job_id);
+        if(held && job && job.status === 'confirmed_by_client') await scheduleRelease(row.job_id);
+        // the job waited for its money; on a retried delivery the escrow is already held
+        if((held || row.status === 'held') && job && job.status === 'created' && onFunded) await onFunded(row.job_id);
+        break;
+      }
+      case 'charge.failed': {
+        await notifyClient(await setStatus(pool, ref, 'failed', ['pending']));
+        break;
+      }
+      case 'transfer.succeeded':
+      case 'transfer.failed': {
+        // transfers are wallet withdrawals
+        if(wallet) await wallet.applyTransferEvent(event);
+        break;
+      }
+      case 'refund.succeeded':
+      case 'refund.failed': {
+        // the reference is either the refund row or (Paystack) the original charge
+        const row = (await pool.query(
+          `SELECT id FROM transactions WHERE kind='refund' AND status='pending' AND (id=$1 OR parent_id=$1) ORDER BY created_at DESC LIMIT 1`, [ref])).rows[0];
+        if(row) await settleRefund(row.id, event.type === 'refund.succeeded' ? 'succeeded' : 'failed', { providerRef: event.providerRef });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Verify + apply a provider webhook. Returns { ok, status?, duplicate?, type? }.
+   * The event id is recorded first so a redelivery is answered as a duplicate; if applying the
+   * event fails the record is dropped again, so the provider's retry gets another go.
+   */
+  async function handleWebhook(rawBody, headers){
+    const event = provider.verifyWebhook(rawBody, headers || {});
+    if(!event) return { ok: false, status: 401, message: 'Invalid signature' };
+
+    const fresh = await pool.query(
+      `INSERT INTO payment_webhooks (provider, event_id, type, reference, payload) VALUES ($1,$2,$3,$4,$5)
+       ON CONFLICT (provider, event_id) DO NOTHING RETURNING id`,
+      [provider.name, String(event.id), event.type, event.reference || null, JSON.stringify(event.raw || {})]);
+    if(!fresh.rows.length) return { ok: true, duplicate: true, type: event.type };
+
+    try{
+      await applyWebhookEvent(event);
+    }catch(e){
+      await pool.query(`DELETE FROM payment_webhooks WHERE id=$1`, [fresh.rows[0].id])
+        .catch(err => console.error('payment webhook: could not drop record', event.id, err));
+      throw e;
+    }
+    return { ok: true, type: event.type };
+  }
+
+  return { openEscrow, jobPayments, releaseJob, refundJob, scheduleRelease, scheduleRefund, settleDispute, resumeAfterDispute, handleWebhook };
+}
+
+module.exports = { createEscrow };
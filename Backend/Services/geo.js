@@ -0,0 +1,97 @@
+// Services/geo.js
+// Geohashes and distances for technician matching. A technician's position is stored with its
+// geohash (users.geohash, written by Data/users.js setPresence) so a radius search can narrow the
+// workers down through an index on the cells around the job (cover()) and only then measure the
+// exact distance (distanceSql(), in the same query).
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const EARTH_RADIUS_M = 6371000;
+const METERS_PER_DEGREE = EARTH_RADIUS_M * Math.PI / 180;
+
+// precision of the stored hashes: cells of about 5m x 5m
+const STORED_PRECISION = 9;
+
+const toRad = v => v * Math.PI / 180;
+
+function distanceMeters(lat1, lon1, lat2, lon2){
+  if(lat1 == null || lon1 == null || lat2 == null || lon2 == null) return Number.POSITIVE_INFINITY;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat/2)**2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon/2)**2;
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return EARTH_RADIUS_M * c;
+}
+
+// the same great-circle distance in SQL, between columns/params given as SQL expressions
+function distanceSql(lat1, lng1, lat2, lng2){
+  return `(${EARTH_RADIUS_M} * 2 * asin(least(1, sqrt(
+    power(sin(radians(${lat2} - ${lat1}) / 2), 2) +
+    cos(radians(${lat1})) * cos(radians(${lat2})) * power(sin(radians(${lng2} - ${lng1}) / 2), 2)))))`;
+}
+
+function encode(lat, lng, precision = STORED_PRECISION){
+  let latLo = -90, latHi = 90, lngLo = -180, lngHi = 180;
+  let hash = '';
+  let bits = 0;
+  let ch = 0;
+  let lngBit = true; // bits alternate longitude, latitude, ... starting with longitude
+  while(hash.length < precision){
+    if(lngBit){
+      const mid = (lngLo + lngHi) / 2;
+      if(lng >= mid){ ch = ch * 2 + 1; lngLo = mid; } else { ch = ch * 2; lngHi = mid; }
+    }else{
+      const mid = (latLo + latHi) / 2;
+      if(lat >= mid){ ch = ch * 2 + 1; latLo = mid; } else { ch = ch * 2; latHi = mid; }
+    }
+    lngBit = !lngBit;
+    if(++bits === 5){ hash += BASE32[ch]; bits = 0; ch = 0; }
+  }
+  return hash;
+}
+
+// hash of a position, null when it has no (finite) coordinates
+function hashOf(lat, lng){
+  if(lat == null || lng == null || !Number.isFinite(Number(lat)) || !Number.isFinite(Number(lng))) return null;
+  return encode(Number(lat), Number(lng));
+}
+
+// size of a cell in degrees
+function cellSize(precision){
+  const bits = 5 * precision;
+  return { lat: 180 / 2 ** Math.floor(bits / 2), lng: 360 / 2 ** Math.ceil(bits / 2) };
+}
+
+// Longest precision whose cells are at least radiusM across (at the circle's edge nearest a pole),
+// so the cell holding the centre and its 8 neighbours contain the whole circle. 0 when even the
+// largest cells are too small.
+function precisionFor(lat, radiusM){
+  const edgeLat = Math.min(89, Math.abs(lat) + radiusM / METERS_PER_DEGREE);
+  for(let p = STORED_PRECISION; p >= 1; p--){
+    const size = cellSize(p);
+    const height = size.lat * METERS_PER_DEGREE;
+    const width = size.lng * METERS_PER_DEGREE * Math.cos(toRad(edgeLat));
+    if(Math.min(height, width) >= radiusM) return p;
+  }
+  return 0;
+}
+
+/**
+ * Geohash prefixes (the centre cell and its neighbours) covering the circle of radiusM around a
+ * point; every stored hash within the circle starts with one of them. null when the circle is too
+ * large to cover this way (search without the prefix filter).
+ */
+function cover(lat, lng, radiusM){
+  const precision = precisionFor(lat, radiusM);
+  if(!precision) return null;
+  const size = cellSize(precision);
+  const cells = new Set();
+  for(const dLat of [-1, 0, 1]){
+    for(const dLng of [-1, 0, 1]){
+      const cellLat = Math.max(-90, Math.min(90, lat + dLat * size.lat));
+      const cellLng = ((lng + dLng * size.lng + 540) % 360) - 180;
+      cells.add(encode(cellLat, cellLng, precision));
+    }
+  }
+  return Array.from(cells);
+}
+
+module.exports = { STORED_PRECISION, distanceMeters, distanceSql, encode, hashOf, precisionFor, cover };
@@ -0,0 +1,29 @@
+// Services/identityProviders/index.js
+// Identity-verification provider registry. Every provider implements the same adapter interface:
+//
+//   name
+//   verify({ reference, idType, idNumber, selfie: { data: Buffer, contentType }, fullname })
+//     -> { providerRef, status, score, raw }
+//        status: 'verified' (ID found and compared with the selfie) | 'not_found' (no such ID) | 'failed'
+//        score: selfie-to-ID-photo match, 0-100 (null when there was nothing to compare)
+//
+// idType is one of Services/kycChecks.js ID_TYPES (nin, bvn, voters_card, drivers_licence, passport)
+// and idNumber is already normalised. `reference` is our kyc_requests.id.
+const { createMockIdentityProvider } = require('./mock');
+const { createYouverifyProvider } = require('./youverify');
+
+const FACTORIES = {
+  mock: createMockIdentityProvider,
+  youverify: createYouverifyProvider
+};
+
+// KYC_IDV_PROVIDER=mock|youverify; unset (or 'none') leaves verification to reviewers
+function createIdentityProvider(name = process.env.KYC_IDV_PROVIDER || 'none', opts = {}){
+  const key = String(name).toLowerCase();
+  if(key === 'none' || key === '') return null;
+  const factory = FACTORIES[key];
+  if(!factory) throw new Error(`Unknown identity verification provider "${name}"`);
+  return factory(opts);
+}
+
+module.exports = { createIdentityProvider, PROVIDERS: Object.keys(FACTORIES) };
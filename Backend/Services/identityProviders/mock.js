@@ -0,0 +1,26 @@
+// Services/identityProviders/mock.js
+// Offline provider for development and tests. The answer depends only on the ID number, so the
+// same submission always gets the same result:
+//   - numbers ending in 0000 are not found
+//   - numbers ending in 9999 fail (provider error)
+//   - otherwise the match score is the last two digits ("...95" -> 95); numbers that don't end
+//     in digits get a score derived from their hash
+// A missing selfie gives status 'verified' with a null score, like a real lookup without a photo.
+const crypto = require('crypto');
+
+function createMockIdentityProvider(){
+  async function verify({ reference, idNumber, selfie }){
+    const id = String(idNumber || '');
+    const providerRef = 'mock_' + crypto.createHash('sha256').update(`${reference}:${id}`).digest('hex').slice(0, 16);
+    if(/0000$/.test(id)) return { providerRef, status: 'not_found', score: null, raw: { id, found: false } };
+    if(/9999$/.test(id)) return { providerRef, status: 'failed', score: null, raw: { id, error: 'mock provider failure' } };
+    if(!selfie || !selfie.data) return { providerRef, status: 'verified', score: null, raw: { id, found: true } };
+    const digits = /(\d{2})$/.exec(id);
+    const score = digits ? Number(digits[1]) : crypto.createHash('sha256').update(id).digest()[0] % 101;
+    return { providerRef, status: 'verified', score, raw: { id, found: true, score } };
+  }
+
+  return { name: 'mock', verify };
+}
+
+module.exports = { createMockIdentityProvider };
@@ -0,0 +1,46 @@
+// Services/identityProviders/youverify.js
+// Youverify adapter (https://doc.youverify.co): Nigerian ID lookups with selfie validation.
+// One endpoint per ID type; the selfie goes along as a base64 data URI and comes back as a
+// confidence level (0-100).
+// Env: YOUVERIFY_API_KEY, YOUVERIFY_BASE_URL (optional, e.g. https://api.sandbox.youverify.co)
+const PATHS = {
+  nin: '/v2/api/identity/ng/nin',
+  bvn: '/v2/api/identity/ng/bvn',
+  voters_card: '/v2/api/identity/ng/pvc',
+  drivers_licence: '/v2/api/identity/ng/drivers-license',
+  passport: '/v2/api/identity/ng/passport'
+};
+
+function createYouverifyProvider({ apiKey = process.env.YOUVERIFY_API_KEY, baseUrl = process.env.YOUVERIFY_BASE_URL || 'https://api.youverify.co' } = {}){
+  if(!apiKey) throw new Error('YOUVERIFY_API_KEY is required for the youverify identity provider');
+
+  async function verify({ reference, idType, idNumber, selfie, fullname }){
+    const path = PATHS[idType];
+    if(!path) return { providerRef: null, status: 'failed', score: null, raw: { error: `unsupported id type ${idType}` } };
+    const body = { id: idNumber, isSubjectConsent: true, metadata: { reference: String(reference) } };
+    // the passport lookup also needs the holder's surname
+    if(idType === 'passport' && fullname) body.lastName = String(fullname).trim().split(/\s+/).pop();
+    if(selfie && selfie.data) body.validations = { selfie: { image: `data:${selfie.contentType || 'image/jpeg'};base64,${selfie.data.toString('base64')}` } };
+
+    const r = await fetch(baseUrl + path, {
+      method: 'POST',
+      headers: { 'token': apiKey, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const js = await r.json().catch(() => null);
+    if(!r.ok || !js || js.success === false){
+      if(r.status === 404) return { providerRef: null, status: 'not_found', score: null, raw: js };
+      throw new Error(`youverify ${path} failed: ${(js && js.message) || r.status}`);
+    }
+    const data = js.data || {};
+    if(data.status === 'not_found') return { providerRef: data.id || null, status: 'not_found', score: null, raw: data };
+    const check = data.validations && data.validations.selfie && data.validations.selfie.selfieVerification;
+    const score = check && check.confidenceLevel != null ? Number(check.confidenceLevel) : null;
+    // the raw answer holds the ID record (photo included); keep only what explains the outcome
+    return { providerRef: data.id || null, status: 'verified', score, raw: { status: data.status, selfie: check || null } };
+  }
+
+  return { name: 'youverify', verify };
+}
+
+module.exports = { createYouverifyProvider };
@@ -0,0 +1,63 @@
+// Services/index.js
+// Builds every domain service around one pool, storage driver and (optional) Redis/queue, so the
+// API (app.js), the worker and tests wire them the same way.
+const { createAssignment } = require('./assignment');
+const { createRealtime } = require('./realtime');
+const { createEscrow } = require('./escrow');
+const { createWallet } = require('./wallet');
+const { createDisputes } = require('./disputes');
+const { createStaffAccounts } = require('./staff');
+const { createKycDocuments } = require('./kycDocuments');
+const { createKycReview } = require('./kycReview');
+const { createKycChecks } = require('./kycChecks');
+const { createKycVerification } = require('./kycVerification');
+const { createIdentityProvider } = require('./identityProviders');
+const { createAuditLog } = require('./audit');
+const { createReviews } = require('./reviews');
+const { createBooking } = require('./booking');
+const { createChat } = require('./chat');
+const { createUserAccounts } = require('./users');
+const { createAccessControl } = require('../Middleware/permissions');
+
+/**
+ * pool: pg Pool. storage: Services/storage driver. redis/queue: ioredis + BullMQ queue, or null
+ * (timers and in-process runs instead). subscribe: deliver realtime events to this process's
+ * streams (false in the worker, which only publishes). paymentProvider: required, resolved by the
+ * entry point (Services/paymentProviders createPaymentProvider(), PAYMENT_PROVIDER) so a missing
+ * setting stops it with a clear message. identityProvider defaults to the env-configured one
+ * (KYC_IDV_PROVIDER). legacyKycDir: see kycDocuments.privatizeLegacy.
+ */
+function createServices({ pool, storage, redis = null, queue = null, subscribe = true, paymentProvider, identityProvider = createIdentityProvider(), legacyKycDir = null }){
+  if(!paymentProvider) throw new Error('createServices needs a paymentProvider (Services/paymentProviders)');
+  // server push (SSE); fans out over Redis pub/sub when Redis is configured
+  const realtime = createRealtime({ redis, subscribe });
+  const audit = createAuditLog({ pool });
+  // matching + offer expiry (delayed queue jobs when Redis is configured, timers otherwise)
+  const assignment = createAssignment({ pool, queue, events: realtime });
+  const wallet = createWallet({ pool, provider: paymentProvider, events: realtime, audit });
+  // a priced job is offered to technicians once its escrow is funded
+  const escrow = createEscrow({ pool, provider: paymentProvider, queue, events: realtime, wallet, onFunded: (jobId) => booking.offerFunded(jobId) });
+  const disputes = createDisputes({ pool, escrow, assignment, events: realtime, audit });
+  const reviews = createReviews({ pool, events: realtime, audit });
+  // staff permissions (Middleware/permissions.js)
+  const access = createAccessControl({ pool });
+  const staffAccounts = createStaffAccounts({ pool, audit });
+  // KYC documents: private storage, signed expiring links, retention purge
+  const kycDocs = createKycDocuments({ pool, storage, legacyDir: legacyKycDir, audit });
+  // claims, per-document review, resubmissions, history and SLA ageing
+  const kycReview = createKycReview({ pool, kycDocs, events: realtime, audit });
+  // ID number + selfie to the identity-verification provider, auto-decided by score
+  const kycVerification = createKycVerification({ pool, storage, provider: identityProvider, review: kycReview, queue });
+  // ID-number format, duplicate ID numbers/images, real file types: risk flags for reviewers
+  const kycChecks = createKycChecks({ pool, storage, queue, afterRun: (requestId) => kycVerification.enqueue(requestId) });
+  const booking = createBooking({ pool, assignment, escrow });
+  const chat = createChat({ pool, storage, assignment, events: realtime });
+  const users = createUserAccounts({ pool, storage, events: realtime, audit });
+
+  return {
+    realtime, audit, paymentProvider, assignment, wallet, escrow, disputes, reviews, access, staffAccounts,
+    kycDocs, kycReview, kycChecks, kycVerification, booking, chat, users
+  };
+}
+
+module.exports = { createServices };
@@ -0,0 +1,137 @@
+// Services/jobStateMachine.js
+// Single source of truth for job status transitions. Every change goes through
+// transitionJob() so it is guarded against illegal moves and recorded in job_events.
+
+const SYSTEM = { id: null, role: 'system' };
+
+// from -> { to: [roles allowed to make that move] }
+// 'system' covers matching, timeouts and sweepers; it may take any edge listed here.
+const TRANSITIONS = {
+  created: {
+    pending_assignment: ['system'],
+    pending_accept: ['system'],
+    cancelled: ['client', 'admin']
+  },
+  pending_assignment: {
+    pending_accept: ['system'],
+    cancelled: ['client', 'admin'],
+    expired: ['system', 'admin']
+  },
+  pending_accept: {
+    accepted: ['worker'],
+    pending_assignment: ['worker', 'system'],
+    cancelled: ['client', 'admin'],
+    expired: ['system', 'admin']
+  },
+  // a crew member leaving (Services/assignment.js leaveCrew) sends the job back to matching;
+  // only the client or admin can cancel it outright
+  accepted: {
+    en_route: ['worker'],
+    in_progress: ['worker'],
+    pending_assignment: ['worker', 'system'],
+    cancelled: ['client', 'admin']
+  },
+  en_route: {
+    in_progress: ['worker'],
+    pending_assignment: ['worker', 'system'],
+    cancelled: ['client', 'admin']
+  },
+  in_progress: {
+    completed_by_tech: ['worker'],
+    cancelled: ['admin']
+  },
+  completed_by_tech: {
+    confirmed_by_client: ['client', 'admin']
+  },
+  confirmed_by_client: {},
+  cancelled: {},
+  expired: {}
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+const TERMINAL = STATUSES.filter(s => Object.keys(TRANSITIONS[s]).length === 0);
+
+function canTransition(from, to, role){
+  const edges = TRANSITIONS[from];
+  if (!edges || !edges[to]) return false;
+  return role === 'system' || edges[to].includes(role);
+}
+
+// states from which `role` may move a job into `to`
+function sourcesFor(to, role){
+  return STATUSES.filter(from => canTransition(from, to, role));
+}
+
+/**
+ * Atomically move a job to `to` and record the event.
+ * actor: { id, role } (use SYSTEM for background work)
+ * opts.from:  optional list further restricting the allowed source states
+ * opts.set:   extra columns to update alongside status, e.g. { assigned_tech_id: null }
+ * opts.where: extra equality guards, e.g. { assigned_tech_id: techId }
+ * opts.note:  free text stored on the event
+ * Returns the updated job row, or null when the job was missing or not in an allowed state.
+ */
+async function transitionJob(db, jobId, to, actor, opts = {}){
+  const who = actor || SYSTEM;
+  let from = sourcesFor(to, who.role);
+  if (Array.isArray(opts.from)) from = from.filter(s => opts.from.includes(s));
+  if (!from.length) return null;
+
+  const params = [jobId, to, from];
+  const sets = ['status=$2'];
+  Object.keys(opts.set || {}).forEach(col => {
+    if (!/^[a-z_]+$/.test(col)) throw new Error('invalid column ' + col);
+    params.push(opts.set[col]);
+    sets.push(`${col}=$${params.length}`);
+  });
+  const guards = [];
+  Object.keys(opts.where || {}).forEach(col => {
+    if (!/^[a-z_]+$/.test(col)) throw new Error('invalid column ' + col);
+    params.push(opts.where[col]);
+    guards.push(`j.${col}=$${params.length}`);
+  });
+  params.push(who.id, who.role, opts.note || null);
+  const a = params.length;
+
+  const r = await db.query(`
+    WITH prev AS (
+      SELECT id, status FROM jobs WHERE id=$1 FOR UPDATE
+    ), upd AS (
+      UPDATE jobs j SET ${sets.join(', ')}
+      FROM prev
+      WHERE j.id = prev.id AND prev.status = ANY($3::text[]) ${guards.length ? 'AND ' + guards.join(' AND ') : ''}
+      RETURNING j.*, prev.status AS previous_status
+    ), ev AS (
+      INSERT INTO job_events (job_id, from_status, to_status, actor_id, actor_role, note)
+      SELECT id, previous_status, status, $${a - 2}, $${a - 1}, $${a} FROM upd
+    )
+    SELECT * FROM upd`, params);
+
+  return r.rows[0] || null;
+}
+
+// initial event for a freshly inserted job (status 'created')
+async function recordJobCreated(db, jobId, actor){
+  const who = actor || SYSTEM;
+  await db.query(
+    `INSERT INTO job_events (job_id, from_status, to_status, actor_id, actor_role) VALUES ($1, NULL, 'created', $2, $3)`,
+    [jobId, who.id, who.role]);
+}
+
+async function jobEvents(db, jobId){
+  const r = await db.query(
+    `SELECT id, job_id, from_status, to_status, actor_id, actor_role, note, created_at
+     FROM job_events WHERE job_id=$1 ORDER BY created_at ASC, id ASC`, [jobId]);
+  return r.rows;
+}
+
+module.exports = {
+  SYSTEM,
+  TRANSITIONS,
+  STATUSES,
+  TERMINAL,
+  canTransition,
+  transitionJob,
+  recordJobCreated,
+  jobEvents
+};
@@ -0,0 +1,225 @@
+// Services/kycChecks.js
+// Automated KYC pre-checks, run as a queue job ('kycPrecheck') after every submit/resubmit and
+// before a reviewer picks the request up. Nothing here approves or declines: the outcome is a list
+// of risk flags on kyc_requests (shown in /api/kyc/pending) for the reviewer to weigh.
+//   - id_number format for the Nigerian ID type (NIN, BVN, voter's card, driver's licence, passport)
+//   - the same id_number on another account's request
+//   - the real file type (magic bytes, not the upload's Content-Type) and size of every document
+//   - images that look like an image in another account's submission (difference hash, compared
+//     by Hamming distance so re-encoded or resized copies still match)
+// Without a queue (no REDIS_URL) the checks run in-process, one after another.
+const sharp = require('sharp');
+const { fromRow } = require('./storage');
+
+const PHASH_MAX_DISTANCE = Number(process.env.KYC_PHASH_MAX_DISTANCE || 6);
+const MIN_IMAGE_BYTES = Number(process.env.KYC_MIN_IMAGE_BYTES || 10 * 1024);
+const MAX_IMAGE_BYTES = Number(process.env.KYC_MAX_IMAGE_BYTES || 10 * 1024 * 1024);
+const MIN_VIDEO_BYTES = Number(process.env.KYC_MIN_VIDEO_BYTES || 100 * 1024);
+const MAX_VIDEO_BYTES = Number(process.env.KYC_MAX_VIDEO_BYTES || 100 * 1024 * 1024);
+// shorter side, in pixels
+const MIN_IMAGE_SIDE = Number(process.env.KYC_MIN_IMAGE_SIDE || 300);
+
+const ID_TYPES = {
+  nin: { label: 'National Identification Number (NIN)', pattern: /^\d{11}$/, hint: '11 digits' },
+  bvn: { label: 'Bank Verification Number (BVN)', pattern: /^\d{11}$/, hint: '11 digits' },
+  voters_card: { label: "Voter's card (VIN)", pattern: /^[A-Z0-9]{19}$/, hint: '19 letters and digits' },
+  drivers_licence: { label: "Driver's licence", pattern: /^[A-Z]{3}[A-Z0-9]{9}$/, hint: '3 letters then 9 letters or digits, e.g. ABC12345AA12' },
+  passport: { label: 'International passport', pattern: /^[A-Z]\d{8}$/, hint: 'a letter then 8 digits, e.g. A12345678' }
+};
+// what older clients (and people) send for the types above
+const ID_TYPE_ALIASES = {
+  national_id: 'nin', national_id_card: 'nin', nin_slip: 'nin',
+  voter_card: 'voters_card', voters: 'voters_card', pvc: 'voters_card',
+  driver_license: 'drivers_licence', drivers_license: 'drivers_licence', driver_licence: 'drivers_licence',
+  international_passport: 'passport'
+};
+const SEVERITY = { high: 3, medium: 2, low: 1 };
+
+const normalizeIdType = t => {
+  const key = String(t || '').trim().toLowerCase().replace(/['’]/g, '').replace(/[\s-]+/g, '_');
+  return ID_TYPES[key] ? key : (ID_TYPE_ALIASES[key] || null);
+};
+const normalizeIdNumber = n => String(n || '').toUpperCase().replace(/[\s-]/g, '');
+// same normalisation in SQL, for the duplicate lookup (and its index)
+const SQL_ID_NUMBER = `upper(regexp_replace(id_number, '[\\s-]', '', 'g'))`;
+
+// content type from the first bytes of a file (null when it's none of the types KYC accepts)
+function sniff(buf){
+  if(!buf || buf.length < 12) return null;
+  const ascii = (from, to) => buf.toString('latin1', from, to);
+  if(buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'image/jpeg';
+  if(buf.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if(ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+  if(ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if(ascii(4, 8) === 'ftyp'){
+    const brand = ascii(8, 12);
+    if(['heic', 'heix', 'mif1', 'msf1', 'heim', 'heis'].includes(brand)) return 'image/heic';
+    if(brand === 'qt  ') return 'video/quicktime';
+    if(brand.startsWith('3g')) return 'video/3gpp';
+    return 'video/mp4';
+  }
+  if(buf[0] === 0x1a && buf[1] === 0x45 && buf[2] === 0xdf && buf[3] === 0xa3) return 'video/webm';
+  return null;
+}
+
+// 64-bit difference hash as a signed BIGINT string (what the kyc_documents.phash column holds)
+async function differenceHash(buf){
+  const px = await sharp(buf, { failOn: 'none' }).rotate().greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+  let bits = 0n;
+  for(let y = 0; y < 8; y++){
+    for(let x = 0; x < 8; x++) bits = (bits << 1n) | (px[y * 9 + x] > px[y * 9 + x + 1] ? 1n : 0n);
+  }
+  return BigInt.asIntN(64, bits).toString();
+}
+
+async function readAtMost(stream, limit){
+  const chunks = [];
+  let total = 0;
+  for await (const c of stream){
+    chunks.push(c);
+    total += c.length;
+    if(total >= limit) break;
+  }
+  if(stream.destroy) stream.destroy();
+  return Buffer.concat(chunks);
+}
+
+function riskLevel(flags){
+  const top = Math.max(0, ...flags.map(f => SEVERITY[f.severity] || 0));
+  return Object.keys(SEVERITY).find(s => SEVERITY[s] === top) || 'none';
+}
+
+// afterRun(requestId, result): called once a request's flags are stored (identity verification hooks in here)
+function createKycChecks({ pool, storage, queue = null, maxDistance = PHASH_MAX_DISTANCE, afterRun = null }){
+
+  // in-process checks run one at a time (each one reads the request's files)
+  let local = Promise.resolve();
+
+  // queue the pre-check for a request (after the transaction that created the documents committed)
+  async function enqueue(requestId){
+    await pool.query(`UPDATE kyc_requests SET precheck_status='queued' WHERE id=$1`, [requestId]);
+    if(queue){
+      await queue.add('kycPrecheck', { requestId }, { removeOnComplete: true, removeOnFail: 100 });
+      return;
+    }
+    local = local.then(() => run(requestId)).catch(async (e) => {
+      console.error('kyc precheck failed for request', requestId, e);
+      await pool.query(`UPDATE kyc_requests SET precheck_status='failed' WHERE id=$1`, [requestId]).catch(() => {});
+    });
+  }
+
+  function checkIdNumber(k){
+    const type = normalizeIdType(k.id_type);
+    if(!type) return [{ code: 'UNKNOWN_ID_TYPE', severity: 'medium', message: `Unrecognised ID type "${k.id_type}"` }];
+    const spec = ID_TYPES[type];
+    if(!spec.pattern.test(normalizeIdNumber(k.id_number))){
+      return [{ code: 'ID_NUMBER_FORMAT', severity: 'high', message: `Not a valid ${spec.label}: expected ${spec.hint}`, detail: { id_type: type } }];
+    }
+    return [];
+  }
+
+  async function checkDuplicateIdNumber(k){
+    const number = normalizeIdNumber(k.id_number);
+    if(!number) return [];
+    const others = (await pool.query(
+      `SELECT id, user_id, status FROM kyc_requests
+       WHERE ${SQL_ID_NUMBER} = $1 AND user_id <> $2 ORDER BY submitted_at DESC LIMIT 5`, [number, k.user_id])).rows;
+    if(!others.length) return [];
+    return [{
+      code: 'DUPLICATE_ID_NUMBER', severity: 'high', message: `ID number already used by ${new Set(others.map(o => o.user_id)).size} other account(s)`,
+      detail: { requests: others.map(o => ({ request_id: o.id, user_id: o.user_id, status: o.status })) }
+    }];
+  }
+
+  // real type, size and (images) hash of one document; writes what it found back to the row
+  async function inspect(doc){
+    const flags = [];
+    const wantsVideo = doc.kind === 'work_video';
+    const limits = wantsVideo ? [MIN_VIDEO_BYTES, MAX_VIDEO_BYTES] : [MIN_IMAGE_BYTES, MAX_IMAGE_BYTES];
+    const ref = { document_id: doc.id, kind: doc.kind };
+    const file = doc.storage === storage.name ? await storage.get(fromRow(doc)) : null;
+    if(!file) return { flags: [{ code: 'FILE_MISSING', severity: 'high', message: 'Document file could not be read', detail: ref }] };
+
+    // videos: the header is enough; images are read whole (bounded) to hash them
+    const buf = await readAtMost(file.stream, wantsVideo ? 4096 : limits[1] + 1);
+    const size = file.size != null ? Number(file.size) : (doc.size != null ? Number(doc.size) : buf.length);
+    const detected = sniff(buf);
+    const declared = doc.mimetype || null;
+    if(!detected || detected.startsWith('video/') !== wantsVideo){
+      flags.push({ code: 'MIME_MISMATCH', severity: 'high', message: `Content is ${detected || 'not a recognised image or video'}, expected ${wantsVideo ? 'a video' : 'an image'}`, detail: Object.assign({ declared, detected }, ref) });
+    } else if(declared && declared !== detected && !(wantsVideo && /^video\/(mp4|quicktime|3gpp)$/.test(declared) && /^video\/(mp4|quicktime|3gpp)$/.test(detected))){
+      flags.push({ code: 'MIME_LABEL_MISMATCH', severity: 'low', message: `Uploaded as ${declared} but is ${detected}`, detail: Object.assign({ declared, detected }, ref) });
+    }
+    if(size < limits[0]) flags.push({ code: 'FILE_TOO_SMALL', severity: 'medium', message: `${doc.kind} is only ${size} bytes`, detail: Object.assign({ size }, ref) });
+    if(size > limits[1]) flags.push({ code: 'FILE_TOO_LARGE', severity: 'medium', message: `${doc.kind} is ${size} bytes (limit ${limits[1]})`, detail: Object.assign({ size }, ref) });
+
+    let phash = null;
+    if(detected && detected.startsWith('image/') && buf.length <= limits[1]){
+      try{
+        const meta = await sharp(buf, { failOn: 'none' }).metadata();
+        const side = Math.min(meta.width || 0, meta.height || 0);
+        if(side < MIN_IMAGE_SIDE) flags.push({ code: 'IMAGE_TOO_SMALL', severity: 'medium', message: `Image is ${meta.width}x${meta.height}px`, detail: Object.assign({ width: meta.width, height: meta.height }, ref) });
+        phash = await differenceHash(buf);
+      }catch(e){
+        flags.push({ code: 'IMAGE_UNREADABLE', severity: 'high', message: 'Image could not be decoded', detail: ref });
+      }
+    }
+    await pool.query(`UPDATE kyc_documents SET detected_mimetype=$2, phash=$3 WHERE id=$1`, [doc.id, detected, phash]);
+    return { flags, phash };
+  }
+
+  // images in other accounts' submissions within maxDistance bits of this one
+  async function checkDuplicateImage(doc, phash){
+    const hits = (await pool.query(
+      `SELECT d.id, d.request_id, d.user_id, d.kind, length(replace(((d.phash # $1::bigint)::bit(64))::text, '0', '')) AS distance
+       FROM kyc_documents d
+       WHERE d.phash IS NOT NULL AND d.user_id <> $2
+         AND length(replace(((d.phash # $1::bigint)::bit(64))::text, '0', '')) <= $3
+       ORDER BY distance ASC LIMIT 5`, [phash, doc.user_id, maxDistance])).rows;
+    if(!hits.length) return [];
+    return [{
+      code: 'DUPLICATE_IMAGE', severity: 'high', message: `${doc.kind} matches an image submitted by another account`,
+      detail: { document_id: doc.id, kind: doc.kind, matches: hits.map(h => ({ document_id: h.id, request_id: h.request_id, user_id: h.user_id, kind: h.kind, distance: Number(h.distance) })) }
+    }];
+  }
+
+  /**
+   * Pre-check one request: -> { flags, risk_level }. Stored on kyc_requests.risk_flags / risk_level.
+   */
+  async function run(requestId){
+    const k = (await pool.query(`SELECT * FROM kyc_requests WHERE id=$1`, [requestId])).rows[0];
+    if(!k) return null;
+    await pool.query(`UPDATE kyc_requests SET precheck_status='running' WHERE id=$1`, [k.id]);
+    const flags = checkIdNumber(k).concat(await checkDuplicateIdNumber(k));
+    const docs = (await pool.query(
+      `SELECT * FROM kyc_documents WHERE request_id=$1 AND superseded_at IS NULL AND purged_at IS NULL ORDER BY created_at, id`, [k.id])).rows;
+    for(const doc of docs){
+      const found = await inspect(doc);
+      flags.push(...found.flags);
+      if(found.phash) flags.push(...await checkDuplicateImage(doc, found.phash));
+    }
+    const level = riskLevel(flags);
+    await pool.query(
+      `UPDATE kyc_requests SET risk_flags=$2, risk_level=$3, precheck_status='done', prechecked_at=now() WHERE id=$1`,
+      [k.id, JSON.stringify(flags), level]);
+    await pool.query(
+      `INSERT INTO kyc_request_events (request_id, actor_role, action, detail) VALUES ($1,'system','prechecked',$2)`,
+      [k.id, JSON.stringify({ risk_level: level, flags: flags.map(f => f.code) })]);
+    const result = { flags, risk_level: level };
+    if(afterRun) await Promise.resolve(afterRun(k.id, result)).catch(e => console.error('kyc precheck afterRun', k.id, e));
+    return result;
+  }
+
+  // pending requests that never got (or didn't finish) a pre-check, e.g. submitted before this existed
+  async function sweep(){
+    const rows = (await pool.query(
+      `SELECT id FROM kyc_requests WHERE status='pending' AND (precheck_status IS NULL OR precheck_status IN ('queued','running','failed'))
+       ORDER BY id LIMIT 200`)).rows;
+    for(const r of rows) await enqueue(r.id);
+    return rows.length;
+  }
+
+  return { enqueue, run, sweep };
+}
+
+module.exports = { createKycChecks, ID_TYPES, normalizeIdType, normalizeIdNumber, sniff, differenceHash, SQL_ID_NUMBER };
@@ -0,0 +1,172 @@
+// Services/kycDocuments.js
+// KYC files (ID images, selfie, work videos) go to the configured storage driver (Services/storage)
+// under kyc/<uuid><ext>. Nothing there is public: every driver hands files out only as signed links
+// that expire (a private_download_url on cloudinary, a presigned GET on s3, /api/files/... locally).
+// Every file is a kyc_documents row. The routes decide who may get a link (the owner and KYC
+// staff); the link itself is the credential, so it only lives KYC_URL_TTL_SECONDS.
+// Review state (accepted/rejected, reason code) lives on the row too; a document sent back for
+// resubmission is kept with superseded_at set when its replacement arrives (Services/kycReview.js).
+// Retention: files are deleted KYC_RETENTION_DAYS after the request is decided. The row stays
+// with purged_at set, and the purge is written to the audit log.
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { withTransaction } = require('./ledger');
+const { createUploader, fromRow, toRow, extOf } = require('./storage');
+
+const URL_TTL_SECONDS = Number(process.env.KYC_URL_TTL_SECONDS || 300);
+const RETENTION_DAYS = Number(process.env.KYC_RETENTION_DAYS || 90);
+// upload field -> kyc_documents.kind (id_images: front/back not told apart, as older clients send them)
+const KINDS = { id_front: 'id_front', id_back: 'id_back', id_images: 'id_image', selfie: 'selfie', work_videos: 'work_video' };
+const ID_KINDS = ['id_front', 'id_back', 'id_image'];
+// https://res.cloudinary.com/<cloud>/<resource_type>/upload/v123/<public_id>.<ext> (old public uploads)
+const CLOUDINARY_PUBLIC_URL = /^https?:\/\/res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+?)(?:\.([a-z0-9]+))?$/i;
+
+/**
+ * storage: a Services/storage driver. legacyDir: where uploads/kyc files from before kyc_documents
+ * live (only read by privatizeLegacy).
+ */
+function createKycDocuments({ pool, storage, legacyDir = null, audit = null, urlTtlSeconds = URL_TTL_SECONDS, retentionDays = RETENTION_DAYS }){
+  const upload = createUploader(storage, {
+    prefix: () => 'kyc',
+    limits: { fileSize: 100 * 1024 * 1024 },
+    typeError: 'KYC files must be images or videos, got'
+  });
+
+  const insertDoc = (db, id, requestId, userId, kind, file) => {
+    const c = toRow(file);
+    return db.query(
+      `INSERT INTO kyc_documents (id, request_id, user_id, kind, storage, storage_key, resource_type, format, mimetype, size)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10) RETURNING *`,
+      [id, requestId, userId, kind, c.storage, c.storage_key, c.resource_type, c.format, c.mimetype, c.size]);
+  };
+
+  // req.files ({ id_front, id_back, id_images, selfie, work_videos }, already stored by upload) -> kyc_documents rows
+  async function register(db, requestId, userId, files){
+    const rows = [];
+    for(const [field, kind] of Object.entries(KINDS)){
+      for(const f of (files && files[field]) || []){
+        rows.push((await insertDoc(db, crypto.randomUUID(), requestId, userId, kind, f.stored)).rows[0]);
+      }
+    }
+    return rows;
+  }
+
+  function signedUrl(doc, ttl = urlTtlSeconds){
+    if(doc.purged_at) return null;
+    return storage.signedUrl(fromRow(doc), { expiresIn: ttl });
+  }
+
+  async function forRequests(requestIds, includeSuperseded){
+    if(!requestIds.length) return [];
+    const r = await pool.query(
+      `SELECT * FROM kyc_documents WHERE request_id = ANY($1::int[]) ${includeSuperseded ? '' : 'AND superseded_at IS NULL'} ORDER BY created_at, id`,
+      [requestIds]);
+    return r.rows;
+  }
+
+  // kyc_requests rows with id_images / selfie / work_video swapped for fresh signed links
+  // (the shape the KYC pages already read) plus a documents list with each one's review state.
+  // Replaced documents are left out unless includeSuperseded.
+  async function present(requests, { includeSuperseded = false } = {}){
+    const list = Array.isArray(requests) ? requests : [requests];
+    const docs = await forRequests(list.filter(Boolean).map(r => r.id), includeSuperseded);
+    const expiresAt = new Date(Date.now() + urlTtlSeconds * 1000).toISOString();
+    const out = list.map(r => {
+      if(!r) return r;
+      const mine = docs.filter(d => d.request_id === r.id);
+      const current = mine.filter(d => !d.superseded_at);
+      const urls = kinds => current.filter(d => kinds.includes(d.kind)).map(d => signedUrl(d)).filter(Boolean);
+      return Object.assign({}, r, {
+        id_images: ID_KINDS.flatMap(kind => urls([kind])),
+        selfie: urls(['selfie'])[0] || null,
+        work_video: urls(['work_video'])[0] || null,
+        documents: mine.map(d => ({
+          id: d.id, kind: d.kind, mimetype: d.mimetype, size: d.size == null ? null : Number(d.size), purged_at: d.purged_at, url: signedUrl(d),
+          review_status: d.review_status, reason_code: d.reason_code, review_note: d.review_note, reviewed_at: d.reviewed_at,
+          superseded_at: d.superseded_at, replaces: d.replaces
+        })),
+        documents_expire_at: expiresAt,
+        documents_purged: mine.length > 0 && mine.every(d => d.purged_at)
+      });
+    });
+    return Array.isArray(requests) ? out : out[0];
+  }
+
+  // Deletes files of requests decided more than retentionDays ago
+  async function purgeExpired(){
+    const due = (await pool.query(
+      `SELECT d.* FROM kyc_documents d JOIN kyc_requests k ON k.id = d.request_id
+       WHERE d.purged_at IS NULL AND k.status IN ('approved','declined')
+         AND k.decided_at < now() - make_interval(days => $1)
+       ORDER BY d.request_id LIMIT 500`, [retentionDays])).rows;
+    const byRequest = {};
+    for(const doc of due){
+      try {
+        if(doc.storage !== storage.name) throw new Error(`stored with ${doc.storage}, but the ${storage.name} driver is configured`);
+        await storage.delete(fromRow(doc));
+        await pool.query(`UPDATE kyc_documents SET purged_at=now() WHERE id=$1`, [doc.id]);
+        (byRequest[doc.request_id] = byRequest[doc.request_id] || []).push(doc.id);
+      }catch(e){
+        console.error('kyc retention: could not delete', doc.id, e.message);
+      }
+    }
+    for(const [requestId, ids] of Object.entries(byRequest)){
+      if(audit) await audit.record(pool, { action: 'kyc.documents_purged', targetType: 'kyc_request', targetId: requestId, after: { documents: ids, retention_days: retentionDays } });
+    }
+    return due.length;
+  }
+
+  // Requests from before kyc_documents kept public Cloudinary URLs or timestamp-named disk paths
+  // in kyc_requests; move those files into storage (privately) and clear the old columns.
+  async function privatizeLegacy(){
+    const rows = (await pool.query(
+      `SELECT k.* FROM kyc_requests k
+       WHERE (cardinality(COALESCE(k.id_images, '{}')) > 0 OR k.selfie IS NOT NULL OR k.work_video IS NOT NULL)
+         AND NOT EXISTS (SELECT 1 FROM kyc_documents d WHERE d.request_id = k.id)
+       LIMIT 100`)).rows;
+    let moved = 0;
+    for(const k of rows){
+      const refs = (k.id_images || []).map(ref => ({ ref, kind: 'id_image' }));
+      if(k.selfie && !(k.id_images || []).includes(k.selfie)) refs.push({ ref: k.selfie, kind: 'selfie' });
+      if(k.work_video) refs.push({ ref: k.work_video, kind: 'work_video' });
+      const docs = [];
+      try {
+        for(const { ref, kind } of refs){
+          const id = crypto.randomUUID();
+          const m = CLOUDINARY_PUBLIC_URL.exec(ref);
+          if(m){
+            // public Cloudinary asset: flipped to private in place (only the cloudinary driver can)
+            if(storage.name !== 'cloudinary') throw new Error('public Cloudinary files need the cloudinary storage driver');
+            const resourceType = m[1].toLowerCase();
+            const res = await storage.client.uploader.rename(m[2], `kyc/${id}`, { resource_type: resourceType, type: 'upload', to_type: 'private', invalidate: true });
+            docs.push({ id, kind, file: { driver: 'cloudinary', key: res.public_id, resourceType, format: res.format || m[3] || null, size: res.bytes || null } });
+            continue;
+          }
+          const local = legacyDir && path.join(legacyDir, path.basename(String(ref)));
+          if(local && fs.existsSync(local)){
+            const file = await storage.put(`kyc/${id}${extOf(local)}`, { path: local }, {});
+            await fs.promises.unlink(local).catch(() => {});
+            docs.push({ id, kind, file });
+            continue;
+          }
+          console.warn('kyc legacy file not found, dropping reference', k.id, ref);
+        }
+      }catch(e){
+        console.error('kyc legacy move failed for request', k.id, e.message);
+        continue;
+      }
+      await withTransaction(pool, async (db) => {
+        for(const d of docs) await insertDoc(db, d.id, k.id, k.user_id, d.kind, d.file);
+        await db.query(`UPDATE kyc_requests SET id_images='{}', selfie=NULL, work_video=NULL WHERE id=$1`, [k.id]);
+        await db.query(`UPDATE users SET kyc_documents=NULL WHERE id=$1`, [k.user_id]);
+      });
+      moved++;
+    }
+    return moved;
+  }
+
+  return { upload, register, discard: upload.discard, signedUrl, present, purgeExpired, privatizeLegacy };
+}
+
+module.exports = { createKycDocuments, KINDS };
@@ -0,0 +1,364 @@
+// Services/kycReview.js
+// KYC review workflow on top of kyc_requests / kyc_documents (Services/kycDocuments.js).
+//   status: pending -> approved | declined
+//           pending -> resubmission_requested -> pending (the user replaced the rejected files)
+// A reviewer claims a pending request before working on it; the claim lapses after
+// KYC_CLAIM_TTL_MINUTES so an abandoned one goes back to the queue. Each document (ID front/back,
+// selfie, work video) is accepted or rejected with a reason code. Rejected documents can be sent
+// back to the user, who uploads only those again; the old files stay in the history as superseded.
+// Every step is written to kyc_request_events (shown to the user as their submission history);
+// reviewer actions also go to the audit log.
+// SLA: a request should be decided within KYC_SLA_HOURS of (re)entering the queue (queued_at).
+const { withTransaction } = require('./ledger');
+const { has } = require('../Middleware/permissions');
+const users = require('../Data/users');
+const kycRequests = require('../Data/kycRequests');
+const { safePublish } = require('./realtime');
+
+const CLAIM_TTL_MINUTES = Number(process.env.KYC_CLAIM_TTL_MINUTES || 30);
+const SLA_HOURS = Number(process.env.KYC_SLA_HOURS || 24);
+// share of the SLA after which a request shows as due soon
+const DUE_SOON_AT = 0.75;
+const DOCUMENT_STATUSES = ['accepted', 'rejected'];
+const REASON_CODES = {
+  BLURRY: 'Image is blurry or out of focus',
+  GLARE: 'Glare or reflection hides details',
+  CROPPED: 'Part of the document is cut off',
+  EXPIRED: 'Document has expired',
+  NAME_MISMATCH: 'Name does not match the account',
+  FACE_MISMATCH: 'Selfie does not match the ID photo',
+  NOT_ORIGINAL: 'Photocopy, screenshot or edited image',
+  WRONG_DOCUMENT: 'Not the requested document',
+  UNREADABLE: 'Details cannot be read',
+  VIDEO_INSUFFICIENT: 'Video does not show the work clearly',
+  OTHER: 'Other (see note)'
+};
+// upload field for each document kind when it has to be sent again (id_image: before front/back were split)
+const RESUBMIT_FIELDS = { id_front: 'id_front', id_back: 'id_back', id_image: 'id_images', selfie: 'selfie', work_video: 'work_videos' };
+// age buckets for the queue summary, in hours
+const AGE_BUCKETS = [['under_4h', 4], ['4_to_12h', 12], ['12_to_24h', 24], ['over_24h', Infinity]];
+// queue bookkeeping and automated check results, left out of the history users see
+const INTERNAL_EVENTS = ['claimed', 'released', 'prechecked', 'identity_checked'];
+
+const reasonLabel = code => (code && REASON_CODES[code]) || null;
+
+function createKycReview({ pool, kycDocs, events = null, audit = null, claimTtlMinutes = CLAIM_TTL_MINUTES, slaHours = SLA_HOURS }){
+  const claimTtlMs = claimTtlMinutes * 60 * 1000;
+
+  function push(request, type = 'kyc.updated'){
+    if(!request) return Promise.resolve();
+    return safePublish(events, type, { requestId: request.id, status: request.status }, { users: [request.user_id] });
+  }
+
+  async function record(db, requestId, actor, action, detail){
+    await db.query(
+      `INSERT INTO kyc_request_events (request_id, actor_id, actor_role, action, detail) VALUES ($1,$2,$3,$4,$5)`,
+      [requestId, actor ? String(actor.id) : null, actor ? actor.role : 'system', action, detail ? JSON.stringify(detail) : null]);
+  }
+
+  async function load(db, id, lock = false){
+    const r = await db.query(`SELECT * FROM kyc_requests WHERE id=$1 ${lock ? 'FOR UPDATE' : ''}`, [Number(id) || 0]);
+    return r.rows[0] || null;
+  }
+
+  const claimActive = k => !!k.claimed_by && !!k.claimed_at && new Date(k.claimed_at).getTime() + claimTtlMs > Date.now();
+  const claimExpiresAt = k => claimActive(k) ? new Date(new Date(k.claimed_at).getTime() + claimTtlMs).toISOString() : null;
+  const heldBy = (k, actor) => claimActive(k) && k.claimed_by === String(actor.id);
+
+  // reviewer actions on a pending request need the caller to hold its claim
+  function guardClaim(k, actor){
+    if(!k) return { status: 404, message: 'KYC request not found' };
+    if(k.status !== 'pending') return { status: 409, message: `KYC request is ${k.status}` };
+    if(!heldBy(k, actor)){
+      return claimActive(k)
+        ? { status: 409, message: 'Another reviewer has claimed this request', claimed_by: k.claimed_by, claim_expires_at: claimExpiresAt(k) }
+        : { status: 409, message: 'Claim this request first' };
+    }
+    return null;
+  }
+
+  const currentDocs = async (db, requestId) => (await db.query(
+    `SELECT * FROM kyc_documents WHERE request_id=$1 AND superseded_at IS NULL ORDER BY created_at, id`, [requestId])).rows;
+
+  /**
+   * Claim a pending request for actor (req.auth). Taking over an expired claim is allowed;
+   * re-claiming your own extends it.
+   */
+  async function claim(id, actor, ip){
+    const r = await pool.query(
+      `UPDATE kyc_requests SET claimed_by=$2, claimed_at=now()
+       WHERE id=$1 AND status='pending'
+         AND (claimed_by IS NULL OR claimed_by=$2 OR claimed_at < now() - make_interval(secs => $3))
+       RETURNING *`, [Number(id) || 0, String(actor.id), claimTtlMs / 1000]);
+    const k = r.rows[0];
+    if(!k){
+      const cur = await load(pool, id);
+      if(!cur) return { ok: false, status: 404, message: 'KYC request not found' };
+      if(cur.status !== 'pending') return { ok: false, status: 409, message: `KYC request is ${cur.status}` };
+      return { ok: false, status: 409, message: 'Another reviewer has claimed this request', claimed_by: cur.claimed_by, claim_expires_at: claimExpiresAt(cur) };
+    }
+    await record(pool, k.id, actor, 'claimed', { claim_expires_at: claimExpiresAt(k) });
+    if(audit) await audit.record(pool, { actor, action: 'kyc.claimed', targetType: 'kyc_request', targetId: k.id, after: { claimed_by: k.claimed_by }, ip });
+    return { ok: true, request: k, claim_expires_at: claimExpiresAt(k) };
+  }
+
+  // the holder gives a claim back; staff:manage can release anyone's
+  async function release(id, actor, ip){
+    const out = await withTransaction(pool, async (db) => {
+      const k = await load(db, id, true);
+      if(!k) return { error: { status: 404, message: 'KYC request not found' } };
+      if(!k.claimed_by) return { request: k };
+      if(k.claimed_by !== String(actor.id) && !has(actor, 'staff:manage')) return { error: { status: 403, message: 'Only the reviewer holding the claim can release it' } };
+      const upd = await db.query(`UPDATE kyc_requests SET claimed_by=NULL, claimed_at=NULL WHERE id=$1 RETURNING *`, [k.id]);
+      await record(db, k.id, actor, 'released', { claimed_by: k.claimed_by });
+      if(audit) await audit.record(db, { actor, action: 'kyc.released', targetType: 'kyc_request', targetId: k.id, before: { claimed_by: k.claimed_by }, after: { claimed_by: null }, ip });
+      return { request: upd.rows[0] };
+    });
+    if(out.error) return Object.assign({ ok: false }, out.error);
+    return { ok: true, request: out.request };
+  }
+
+  /**
+   * Accept or reject one document: { status: accepted|rejected, reasonCode, note }.
+   * Rejections need a reason code (OTHER also needs a note).
+   */
+  async function reviewDocument(id, docId, actor, { status, reasonCode, note } = {}, ip){
+    if(!DOCUMENT_STATUSES.includes(status)) return { ok: false, status: 400, message: `status must be one of ${DOCUMENT_STATUSES.join(', ')}` };
+    const code = reasonCode ? String(reasonCode).toUpperCase() : null;
+    if(status === 'rejected' && !REASON_CODES[code]) return { ok: false, status: 400, message: `reason_code must be one of ${Object.keys(REASON_CODES).join(', ')}` };
+    if(code === 'OTHER' && !(note && String(note).trim())) return { ok: false, status: 400, message: 'A note is required with reason OTHER' };
+    const out = await withTransaction(pool, async (db) => {
+      const k = await load(db, id, true);
+      const denied = guardClaim(k, actor);
+      if(denied) return { error: denied };
+      const doc = (await db.query(`SELECT * FROM kyc_documents WHERE id::text=$1 AND request_id=$2 FOR UPDATE`, [String(docId), k.id])).rows[0];
+      if(!doc) return { error: { status: 404, message: 'Document not found' } };
+      if(doc.superseded_at) return { error: { status: 409, message: 'This document has been replaced by a newer upload' } };
+      const upd = await db.query(
+        `UPDATE kyc_documents SET review_status=$2, reason_code=$3, review_note=$4, reviewed_by=$5, reviewed_at=now()
+         WHERE id=$1 RETURNING *`,
+        [doc.id, status, status === 'rejected' ? code : null, note ? String(note).trim() : null, String(actor.id)]);
+      const before = { review_status: doc.review_status, reason_code: doc.reason_code };
+      const after = { review_status: status, reason_code: upd.rows[0].reason_code };
+      await record(db, k.id, actor, 'document_reviewed', Object.assign({ document_id: doc.id, kind: doc.kind, note: upd.rows[0].review_note }, after));
+      if(audit) await audit.record(db, { actor, action: 'kyc.document_reviewed', targetType: 'kyc_document', targetId: doc.id, before, after, ip, note: upd.rows[0].review_note });
+      return { document: upd.rows[0] };
+    });
+    if(out.error) return Object.assign({ ok: false }, out.error);
+    return { ok: true, document: out.document };
+  }
+
+  /**
+   * Send the rejected documents back to the user. The request leaves the queue (and the claim
+   * is dropped) until the user uploads replacements through resubmit().
+   */
+  async function requestResubmission(id, actor, { note } = {}, ip){
+    const out = await withTransaction(pool, async (db) => {
+      const k = await load(db, id, true);
+      const denied = guardClaim(k, actor);
+      if(denied) return { error: denied };
+      const rejected = (await currentDocs(db, k.id)).filter(d => d.review_status === 'rejected');
+      if(!rejected.length) return { error: { status: 400, message: 'Reject at least one document first' } };
+      const kinds = [...new Set(rejected.map(d => d.kind))];
+      const upd = await db.query(
+        `UPDATE kyc_requests SET status='resubmission_requested', resubmit_kinds=$2, admin_note=$3,
+                claimed_by=NULL, claimed_at=NULL, reviewed_by=$4, reviewer_role=$5
+         WHERE id=$1 RETURNING *`,
+        [k.id, kinds, note || null, String(actor.id), actor.role]);
+      await db.query(`UPDATE users SET kyc_status='resubmission_requested' WHERE id=$1`, [k.user_id]);
+      const detail = { kinds, documents: rejected.map(d => ({ id: d.id, kind: d.kind, reason_code: d.reason_code, reason: reasonLabel(d.reason_code), note: d.review_note })), note: note || null };
+      await record(db, k.id, actor, 'resubmission_requested', detail);
+      if(audit) await audit.record(db, { actor, action: 'kyc.resubmission_requested', targetType: 'kyc_request', targetId: k.id, before: { status: k.status }, after: { status: 'resubmission_requested', kinds }, ip, note: note || null });
+      return { request: upd.rows[0] };
+    });
+    if(out.error) return Object.assign({ ok: false }, out.error);
+    await push(out.request);
+    return { ok: true, request: out.request };
+  }
+
+  /**
+   * A user's KYC submission (req.files from kycDocs.upload, already stored) -> a new pending request.
+   * An open request is continued through resubmit() instead of being replaced by a new one.
+   */
+  async function submit(userId, { idType, idNumber, notes }, files){
+    const out = await withTransaction(pool, async (db) => {
+      if(!(await users.lockForKyc(db, userId))) return { error: { status: 404, message: 'User not found' } };
+      const open = await kycRequests.openForUser(db, userId);
+      if(open){
+        return { error: {
+          status: 409,
+          message: open.status === 'pending' ? 'Your KYC request is already under review' : 'Upload the requested documents to your existing KYC request instead',
+          requestId: open.id,
+          requestStatus: open.status
+        } };
+      }
+      const k = await kycRequests.insert(db, { userId, idType, idNumber, notes });
+      const docs = await kycDocs.register(db, k.id, userId, files);
+      await users.markKycPending(db, userId, docs.map(d => d.id));
+      return { requestId: k.id, documents: docs };
+    });
+    if(out.error) return Object.assign({ ok: false }, out.error);
+    return { ok: true, requestId: out.requestId, documents: out.documents };
+  }
+
+  /**
+   * The owner uploads replacements for the requested documents (req.files from kycDocs.upload,
+   * already stored). Replaced documents are kept, marked superseded; the request goes back into
+   * the queue with a fresh SLA clock.
+   */
+  async function resubmit(id, actor, files){
+    const out = await withTransaction(pool, async (db) => {
+      const k = await load(db, id, true);
+      if(!k || k.user_id !== actor.id) return { error: { status: 404, message: 'KYC request not found' } };
+      if(k.status !== 'resubmission_requested') return { error: { status: 409, message: `KYC request is ${k.status}` } };
+      const wanted = k.resubmit_kinds || [];
+      const fields = Object.keys(files || {}).filter(f => (files[f] || []).length);
+      const extra = fields.filter(f => !wanted.some(kind => RESUBMIT_FIELDS[kind] === f));
+      if(extra.length) return { error: { status: 400, message: `Only ${wanted.map(kind => RESUBMIT_FIELDS[kind]).join(', ')} can be resubmitted` } };
+      const missing = wanted.filter(kind => !fields.includes(RESUBMIT_FIELDS[kind]));
+      if(missing.length) return { error: { status: 400, message: `Missing ${missing.map(kind => RESUBMIT_FIELDS[kind]).join(', ')}` } };
+
+      const old = (await db.query(
+        `UPDATE kyc_documents SET superseded_at=now()
+         WHERE request_id=$1 AND kind = ANY($2::text[]) AND review_status='rejected' AND superseded_at IS NULL
+         RETURNING id, kind`, [k.id, wanted])).rows;
+      const added = await kycDocs.register(db, k.id, k.user_id, files);
+      for(const d of added){
+        const replaced = old.find(o => o.kind === d.kind);
+        if(replaced){
+          await db.query(`UPDATE kyc_documents SET replaces=$2 WHERE id=$1`, [d.id, replaced.id]);
+          d.replaces = replaced.id;
+        }
+      }
+      const upd = await db.query(
+        `UPDATE kyc_requests SET status='pending', resubmit_kinds=NULL, queued_at=now(), claimed_by=NULL, claimed_at=NULL
+         WHERE id=$1 RETURNING *`, [k.id]);
+      const ids = (await currentDocs(db, k.id)).map(d => d.id);
+      await db.query(`UPDATE users SET kyc_status='pending', kyc_documents=$1, kyc_submitted_at=now() WHERE id=$2`, [ids, k.user_id]);
+      await record(db, k.id, actor, 'resubmitted', { documents: added.map(d => ({ id: d.id, kind: d.kind, replaces: d.replaces || null })) });
+      return { request: upd.rows[0], documents: added };
+    });
+    if(out.error) return Object.assign({ ok: false }, out.error);
+    await push(out.request);
+    return { ok: true, request: out.request, documents: out.documents };
+  }
+
+  /**
+   * approve | decline. Approving accepts any documents nobody has looked at yet, and is refused
+   * while a current document is rejected. A request claimed by someone else can't be decided.
+   */
+  async function decide(id, actor, { decision, adminNote } = {}, ip){
+    if(!['approve', 'decline'].includes(decision)) return { ok: false, status: 400, message: 'decision (approve|decline) required' };
+    const newStatus = decision === 'approve' ? 'approved' : 'declined';
+    const out = await withTransaction(pool, async (db) => {
+      const k = await load(db, id, true);
+      if(!k) return { error: { status: 404, message: 'KYC request not found' } };
+      // decided once; a requested resubmission is back to pending only when the files come in
+      if(k.status !== 'pending') return { error: { status: 409, message: `KYC request is ${k.status}` } };
+      if(claimActive(k) && k.claimed_by !== String(actor.id)){
+        return { error: { status: 409, message: 'Another reviewer has claimed this request', claimed_by: k.claimed_by, claim_expires_at: claimExpiresAt(k) } };
+      }
+      const docs = await currentDocs(db, k.id);
+      if(newStatus === 'approved'){
+        const rejected = docs.filter(d => d.review_status === 'rejected');
+        if(rejected.length) return { error: { status: 409, message: 'Some documents are rejected: request a resubmission or decline' } };
+        await db.query(
+          `UPDATE kyc_documents SET review_status='accepted', reviewed_by=$2, reviewed_at=now()
+           WHERE request_id=$1 AND superseded_at IS NULL AND review_status='pending'`, [k.id, String(actor.id)]);
+      }
+      const u = await db.query(`SELECT kyc_status FROM users WHERE id=$1 FOR UPDATE`, [k.user_id]);
+      // the reviewer is whoever holds the token (not a client-supplied adminId)
+      const upd = await db.query(
+        `UPDATE kyc_requests SET status=$1, admin_note=$2, decided_at=now(), reviewed_by=$4, reviewer_role=$5,
+                resubmit_kinds=NULL, claimed_by=NULL, claimed_at=NULL
+         WHERE id=$3 RETURNING *`,
+        [newStatus, adminNote || null, k.id, String(actor.id), actor.role]);
+      await db.query(`UPDATE users SET kyc_status=$1 WHERE id=$2`, [newStatus, k.user_id]);
+      await record(db, k.id, actor, newStatus, { note: adminNote || null });
+      if(audit){
+        await audit.record(db, {
+          actor, action: `kyc.${newStatus}`, targetType: 'kyc_request', targetId: k.id,
+          before: { status: k.status, user_id: k.user_id, user_kyc_status: u.rows[0] ? u.rows[0].kyc_status : null },
+          after: { status: newStatus, user_id: k.user_id, user_kyc_status: newStatus },
+          ip, note: adminNote || null
+        });
+      }
+      return { request: upd.rows[0] };
+    });
+    if(out.error) return Object.assign({ ok: false }, out.error);
+    await push(out.request);
+    return { ok: true, request: out.request };
+  }
+
+  function sla(k, now = Date.now()){
+    const queued = new Date(k.queued_at || k.submitted_at).getTime();
+    const age = (now - queued) / 3600000;
+    return {
+      age_hours: Math.round(age * 10) / 10,
+      sla_due_at: new Date(queued + slaHours * 3600000).toISOString(),
+      sla_state: age >= slaHours ? 'breached' : age >= slaHours * DUE_SOON_AT ? 'due_soon' : 'ok'
+    };
+  }
+
+  /**
+   * Review queue, oldest first. filter: 'mine' (claimed by actor) | 'unclaimed' | 'flagged' (medium or
+   * high pre-check risk, Services/kycChecks.js) | anything else for all.
+   * Each row gets its SLA ageing, claim and risk flags; summary counts the whole queue.
+   */
+  async function queue(actor, { filter } = {}){
+    const rows = (await pool.query(
+      `SELECT k.*, u.username, u.fullname, u.email FROM kyc_requests k JOIN users u ON u.id = k.user_id
+       WHERE k.status = 'pending' ORDER BY COALESCE(k.queued_at, k.submitted_at) ASC`)).rows;
+    const now = Date.now();
+    const summary = { total: rows.length, sla_hours: slaHours, ok: 0, due_soon: 0, breached: 0, claimed: 0, unclaimed: 0, oldest_age_hours: null, ages: {},
+      risk: { high: 0, medium: 0, low: 0, none: 0, unchecked: 0 } };
+    AGE_BUCKETS.forEach(([name]) => { summary.ages[name] = 0; });
+    const out = rows.map(k => {
+      const s = sla(k, now);
+      summary[s.sla_state]++;
+      summary.ages[AGE_BUCKETS.find(([, max]) => s.age_hours < max)[0]]++;
+      if(summary.oldest_age_hours == null) summary.oldest_age_hours = s.age_hours;
+      const active = claimActive(k);
+      summary[active ? 'claimed' : 'unclaimed']++;
+      summary.risk[k.risk_level || 'unchecked']++;
+      return Object.assign({}, k, s, {
+        risk_flags: k.risk_flags || [],
+        claimed_by: active ? k.claimed_by : null,
+        claimed_at: active ? k.claimed_at : null,
+        claim_expires_at: claimExpiresAt(k),
+        claimed_by_me: heldBy(k, actor)
+      });
+    });
+    summary.awaiting_resubmission = Number((await pool.query(`SELECT COUNT(*)::int AS n FROM kyc_requests WHERE status='resubmission_requested'`)).rows[0].n);
+    const requests = filter === 'mine' ? out.filter(k => k.claimed_by_me)
+      : filter === 'unclaimed' ? out.filter(k => !k.claimed_by)
+        : filter === 'flagged' ? out.filter(k => ['high', 'medium'].includes(k.risk_level))
+          : out;
+    return { requests, summary };
+  }
+
+  // every request a user has made, newest first, with all documents (replaced ones too) and their events
+  async function history(userId){
+    const requests = (await pool.query(
+      `SELECT id, user_id, id_type, id_number, notes, status, admin_note, resubmit_kinds, submitted_at, queued_at, decided_at
+       FROM kyc_requests WHERE user_id=$1 ORDER BY submitted_at DESC, id DESC`, [userId])).rows;
+    if(!requests.length) return [];
+    const ids = requests.map(k => k.id);
+    const [presented, evs] = await Promise.all([
+      kycDocs.present(requests, { includeSuperseded: true }),
+      pool.query(
+        `SELECT request_id, actor_role, action, detail, created_at FROM kyc_request_events
+         WHERE request_id = ANY($1::int[]) AND NOT (action = ANY($2::text[])) ORDER BY created_at ASC, id ASC`, [ids, INTERNAL_EVENTS])
+    ]);
+    return presented.map(k => Object.assign(k, {
+      documents: k.documents.map(d => Object.assign(d, { reason: reasonLabel(d.reason_code) })),
+      resubmit_fields: (k.resubmit_kinds || []).map(kind => RESUBMIT_FIELDS[kind]),
+      // staff ids stay internal; the user sees who acted by role only
+      events: evs.rows.filter(e => e.request_id === k.id).map(({ request_id, ...e }) => e)
+    }));
+  }
+
+  return { claim, release, reviewDocument, requestResubmission, submit, resubmit, decide, queue, history, sla };
+}
+
+module.exports = { createKycReview, REASON_CODES, RESUBMIT_FIELDS };
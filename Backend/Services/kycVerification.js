@@ -0,0 +1,107 @@
+// Services/kycVerification.js
+// Sends a KYC request's ID number and selfie to the identity-verification provider
+// (Services/identityProviders, KYC_IDV_PROVIDER) once its pre-checks are done, records the
+// match score on the kyc_requests row, and acts on it:
+//   score >= KYC_IDV_APPROVE_SCORE   -> approved, if the pre-checks found no medium/high risk
+//   score <  KYC_IDV_DECLINE_SCORE   -> declined (also when the provider doesn't know the ID)
+//   anything else                    -> left in the queue for a reviewer (idv_outcome 'manual')
+// Provider errors and missing selfies go to manual review too. A request a reviewer has claimed
+// is never decided automatically. Decisions go through Services/kycReview.js decide(), so they
+// are audited and pushed like a reviewer's, with a 'system' actor.
+const { fromRow } = require('./storage');
+const { normalizeIdType, normalizeIdNumber } = require('./kycChecks');
+
+const APPROVE_SCORE = Number(process.env.KYC_IDV_APPROVE_SCORE || 90);
+const DECLINE_SCORE = Number(process.env.KYC_IDV_DECLINE_SCORE || 40);
+const MAX_SELFIE_BYTES = 10 * 1024 * 1024;
+const SYSTEM_ACTOR = { id: 'identity-verification', role: 'system' };
+
+function outcomeFor(result, { approveScore, declineScore, riskLevel }){
+  if(result.status === 'not_found') return { outcome: 'decline', reason: 'ID number not found by the verification provider' };
+  if(result.status !== 'verified' || result.score == null) return { outcome: 'manual', reason: result.status === 'verified' ? 'No selfie to compare' : 'Verification failed' };
+  if(result.score < declineScore) return { outcome: 'decline', reason: `Selfie does not match the ID photo (score ${result.score})` };
+  if(result.score >= approveScore){
+    if(['high', 'medium'].includes(riskLevel)) return { outcome: 'manual', reason: `Score ${result.score}, but pre-checks flagged ${riskLevel} risk` };
+    return { outcome: 'approve', reason: `Identity verified (score ${result.score})` };
+  }
+  return { outcome: 'manual', reason: `Score ${result.score} needs a reviewer` };
+}
+
+function createKycVerification({ pool, storage, provider = null, review, queue = null, approveScore = APPROVE_SCORE, declineScore = DECLINE_SCORE }){
+  if(provider && !(declineScore <= approveScore)) throw new Error('KYC_IDV_DECLINE_SCORE must not be above KYC_IDV_APPROVE_SCORE');
+
+  let local = Promise.resolve();
+
+  async function enqueue(requestId){
+    if(!provider) return;
+    await pool.query(`UPDATE kyc_requests SET idv_status='queued' WHERE id=$1`, [requestId]);
+    if(queue){
+      await queue.add('kycVerifyIdentity', { requestId }, { removeOnComplete: true, removeOnFail: 100 });
+      return;
+    }
+    local = local.then(() => run(requestId)).catch(async (e) => {
+      console.error('identity verification failed for request', requestId, e);
+      await pool.query(`UPDATE kyc_requests SET idv_status='error', idv_outcome='manual' WHERE id=$1`, [requestId]).catch(() => {});
+    });
+  }
+
+  async function selfieOf(requestId){
+    const doc = (await pool.query(
+      `SELECT * FROM kyc_documents WHERE request_id=$1 AND kind='selfie' AND superseded_at IS NULL AND purged_at IS NULL
+       ORDER BY created_at DESC LIMIT 1`, [requestId])).rows[0];
+    if(!doc || doc.storage !== storage.name) return null;
+    const file = await storage.get(fromRow(doc));
+    if(!file) return null;
+    const chunks = [];
+    let total = 0;
+    for await (const c of file.stream){
+      total += c.length;
+      if(total > MAX_SELFIE_BYTES){ file.stream.destroy(); return null; }
+      chunks.push(c);
+    }
+    return { data: Buffer.concat(chunks), contentType: doc.detected_mimetype || doc.mimetype };
+  }
+
+  /**
+   * Verify one pending request -> { status, score, outcome, decided } (null when there's nothing to do)
+   */
+  async function run(requestId){
+    if(!provider) return null;
+    const k = (await pool.query(
+      `SELECT k.*, u.fullname FROM kyc_requests k JOIN users u ON u.id = k.user_id WHERE k.id=$1`, [requestId])).rows[0];
+    if(!k || k.status !== 'pending') return null;
+    const idType = normalizeIdType(k.id_type);
+    let result;
+    if(!idType){
+      result = { providerRef: null, status: 'failed', score: null, raw: { error: 'unrecognised id type' } };
+    } else {
+      try{
+        result = await provider.verify({ reference: k.id, idType, idNumber: normalizeIdNumber(k.id_number), selfie: await selfieOf(k.id), fullname: k.fullname });
+      }catch(e){
+        console.error('identity provider error for request', k.id, e.message);
+        result = { providerRef: null, status: 'failed', score: null, raw: { error: e.message } };
+      }
+    }
+    const { outcome, reason } = outcomeFor(result, { approveScore, declineScore, riskLevel: k.risk_level });
+
+    await pool.query(
+      `UPDATE kyc_requests SET idv_provider=$2, idv_reference=$3, idv_status=$4, idv_score=$5, idv_outcome=$6, idv_checked_at=now()
+       WHERE id=$1`, [k.id, provider.name, result.providerRef, result.status, result.score, outcome]);
+    await pool.query(
+      `INSERT INTO kyc_request_events (request_id, actor_role, action, detail) VALUES ($1,'system','identity_checked',$2)`,
+      [k.id, JSON.stringify({ provider: provider.name, status: result.status, score: result.score, outcome, reason, raw: result.raw })]);
+
+    let decided = false;
+    if(outcome !== 'manual'){
+      const out = await review.decide(k.id, SYSTEM_ACTOR, { decision: outcome, adminNote: reason });
+      decided = out.ok;
+      // claimed meanwhile, or a reviewer rejected a document: a person finishes it
+      if(!out.ok) await pool.query(`UPDATE kyc_requests SET idv_outcome='manual' WHERE id=$1`, [k.id]);
+    }
+    return { status: result.status, score: result.score, outcome: decided ? outcome : 'manual', decided };
+  }
+
+  return { enabled: !!provider, enqueue, run };
+}
+
+module.exports = { createKycVerification, outcomeFor };
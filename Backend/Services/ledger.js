@@ -0,0 +1,100 @@
+// Services/ledger.js
+// Double-entry ledger. Rows in `transactions` are the journal headers (what happened: an escrow
+// funding, a payout, a withdrawal...); `ledger_entries` holds their postings. Every journal balances:
+// the signed amounts of its entries sum to zero (debit positive, credit negative).
+// Accounts:
+//   provider:cash          money sitting at the payment provider (asset)
+//   escrow:<jobId>         client funds held for a job (liability)
+//   wallet:<techId>        earnings a technician can withdraw (liability)
+//   hold:<techId>          earnings reserved by a withdrawal under review / in flight (liability)
+//   platform:commission    platform fee taken on released jobs (revenue)
+//   platform:adjustments   manual corrections by admins
+// Liability and revenue accounts are credit-normal, so balance() reports -(sum of amounts).
+
+const ACCOUNTS = {
+  cash: 'provider:cash',
+  commission: 'platform:commission',
+  adjustments: 'platform:adjustments',
+  escrow: jobId => `escrow:${jobId}`,
+  wallet: techId => `wallet:${techId}`,
+  hold: techId => `hold:${techId}`
+};
+
+const cents = v => Math.round(Number(v) * 100);
+
+/**
+ * Post a balanced journal for an existing transactions row.
+ * lines: [{ account, amount }] with amount signed (debit +, credit -)
+ */
+async function post(db, transactionId, lines){
+  const rows = lines.filter(l => cents(l.amount) !== 0);
+  if(!rows.length) throw new Error('ledger: empty journal');
+  const total = rows.reduce((sum, l) => sum + cents(l.amount), 0);
+  if(total !== 0) throw new Error(`ledger: journal ${transactionId} does not balance (${total / 100})`);
+  const params = [transactionId];
+  const values = rows.map(l => {
+    params.push(l.account, cents(l.amount) / 100);
+    return `($1, $${params.length - 1}, $${params.length})`;
+  });
+  await db.query(`INSERT INTO ledger_entries (transaction_id, account, amount) VALUES ${values.join(', ')}`, params);
+}
+
+// credit-normal balance of an account
+async function balance(db, account){
+  const r = await db.query(`SELECT COALESCE(SUM(amount), 0) AS total FROM ledger_entries WHERE account=$1`, [account]);
+  return -Number(r.rows[0].total);
+}
+
+// serialize balance checks + postings on one account for the rest of the DB transaction
+async function lockAccount(db, account){
+  await db.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [account]);
+}
+
+async function withTransaction(pool, fn){
+  const client = await pool.connect();
+  try{
+    await client.query('BEGIN');
+    const out = await fn(client);
+    await client.query('COMMIT');
+    return out;
+  }catch(e){
+    await client.query('ROLLBACK').catch(()=>{});
+    throw e;
+  }finally{
+    client.release();
+  }
+}
+
+async function walletSummary(db, techId){
+  const r = await db.query(`
+    SELECT
+      COALESCE(SUM(-e.amount) FILTER (WHERE e.account = $1), 0) AS available,
+      COALESCE(SUM(-e.amount) FILTER (WHERE e.account = $2), 0) AS pending_withdrawal,
+      COALESCE(SUM(-e.amount) FILTER (WHERE e.account = $1 AND t.kind = 'payout'), 0) AS total_earned
+    FROM ledger_entries e JOIN transactions t ON t.id = e.transaction_id
+    WHERE e.account IN ($1, $2)`, [ACCOUNTS.wallet(techId), ACCOUNTS.hold(techId)]);
+  const w = (await db.query(
+    `SELECT COALESCE(SUM(amount), 0) AS total FROM transactions WHERE kind='withdrawal' AND tech_id=$1 AND status='paid'`, [techId])).rows[0];
+  const row = r.rows[0];
+  return {
+    currency: 'NGN',
+    available: Number(row.available),
+    pending_withdrawal: Number(row.pending_withdrawal),
+    total_earned: Number(row.total_earned),
+    total_withdrawn: Number(w.total)
+  };
+}
+
+// wallet movements, newest first; amount is from the technician's side (+ in, - out)
+async function walletHistory(db, techId, { limit = 50, offset = 0 } = {}){
+  const r = await db.query(`
+    SELECT e.id, e.transaction_id, t.kind, t.job_id, t.status, t.metadata->>'reason' AS reason,
+           -e.amount AS amount, e.created_at
+    FROM ledger_entries e JOIN transactions t ON t.id = e.transaction_id
+    WHERE e.account = $1
+    ORDER BY e.created_at DESC, e.id DESC
+    LIMIT $2 OFFSET $3`, [ACCOUNTS.wallet(techId), limit, offset]);
+  return r.rows.map(x => Object.assign(x, { amount: Number(x.amount) }));
+}
+
+module.exports = { ACCOUNTS, cents, post, balance, lockAccount, withTransaction, walletSummary, walletHistory };
@@ -0,0 +1,157 @@
+// Services/matching.js
+// Candidate filtering + weighted ranking for technician offers.
+// Candidates must be online workers with approved KYC and the specialization the job type
+// requires, within the search radius of the job (whatever the state borders) - found through the
+// geohash index (Services/geo.js), nearest first, at most MATCH_MAX_CANDIDATES of them. The radius
+// starts at MATCH_RADIUS_KM and widens in rings (x MATCH_RADIUS_GROWTH, up to MATCH_MAX_RADIUS_KM)
+// while nobody is left to offer (Services/assignment.js searchCandidates).
+// Whichever side has no coordinates is matched by area instead: same state and city or LGA.
+// Candidates are ranked by a weighted score (0..1) of:
+//   distance   1 / (1 + km / MATCH_DISTANCE_SCALE_KM)
+//   rating     rating_avg / 5, smoothed towards MATCH_DEFAULT_RATING while rating_count is low (Services/reviews.js)
+//   acceptance (offers_accepted + 1) / (offers_received + 2)
+//   workload   1 / (1 + active jobs)
+// Weights come from MATCH_WEIGHT_* env vars (or createAssignment({ weights })).
+const { smoothedRating } = require('./reviews');
+const { cover, distanceSql } = require('./geo');
+
+// built-in job types from book.html -> specialization names used at registration (index.html)
+const DEFAULT_SPECIALIZATIONS = {
+  conduit: 'Conduit Wiring',
+  solar: 'Solar Installation'
+};
+
+const ACTIVE_STATUSES = ['pending_accept', 'accepted', 'en_route', 'in_progress'];
+
+function envNumber(name, fallback){
+  const raw = process.env[name];
+  if(raw === undefined || raw === '') return fallback;
+  const v = Number(raw);
+  return Number.isFinite(v) ? v : fallback;
+}
+
+const DEFAULT_WEIGHTS = {
+  distance: envNumber('MATCH_WEIGHT_DISTANCE', 0.5),
+  rating: envNumber('MATCH_WEIGHT_RATING', 0.2),
+  acceptance: envNumber('MATCH_WEIGHT_ACCEPTANCE', 0.15),
+  workload: envNumber('MATCH_WEIGHT_WORKLOAD', 0.15)
+};
+const DISTANCE_SCALE_KM = envNumber('MATCH_DISTANCE_SCALE_KM', 10);
+const DEFAULT_RATING = envNumber('MATCH_DEFAULT_RATING', 3.5);
+const REQUIRE_KYC = process.env.MATCH_REQUIRE_KYC !== 'false';
+const MAX_CANDIDATES = envNumber('MATCH_MAX_CANDIDATES', 50);
+
+// search rings, in meters
+const RADIUS_M = envNumber('MATCH_RADIUS_KM', 5) * 1000;
+const SEARCH_RADIUS = {
+  initial: RADIUS_M,
+  max: Math.max(RADIUS_M, envNumber('MATCH_MAX_RADIUS_KM', 50) * 1000),
+  growth: Math.max(1.1, envNumber('MATCH_RADIUS_GROWTH', 2))
+};
+
+// the ring after radiusM, null once the search is as wide as it goes
+function nextRadius(radiusM){
+  if(radiusM >= SEARCH_RADIUS.max) return null;
+  return Math.min(SEARCH_RADIUS.max, Math.round(radiusM * SEARCH_RADIUS.growth));
+}
+
+const hasCoords = p => p.lat != null && p.lng != null && Number.isFinite(Number(p.lat)) && Number.isFinite(Number(p.lng));
+
+// specialization required for a job type: catalogue entry first, then the built-in map; null = any
+async function requiredSpecialization(db, jobType){
+  if(!jobType) return null;
+  const key = String(jobType).trim().toLowerCase();
+  const r = await db.query(`SELECT required_specialization FROM service_prices WHERE job_type=$1`, [key]);
+  if(r.rows.length && r.rows[0].required_specialization) return r.rows[0].required_specialization;
+  return DEFAULT_SPECIALIZATIONS[key] || null;
+}
+
+function scoreCandidate(c, weights){
+  const w = Object.assign({}, DEFAULT_WEIGHTS, weights || {});
+  const km = Number.isFinite(c.distance) ? c.distance / 1000 : Number.POSITIVE_INFINITY;
+  const parts = {
+    distance: Number.isFinite(km) ? 1 / (1 + km / DISTANCE_SCALE_KM) : 0,
+    rating: smoothedRating(c.rating_avg, c.rating_count, DEFAULT_RATING) / 5,
+    acceptance: ((Number(c.offers_accepted) || 0) + 1) / ((Number(c.offers_received) || 0) + 2),
+    workload: 1 / (1 + (Number(c.active_jobs) || 0))
+  };
+  const total = w.distance + w.rating + w.acceptance + w.workload;
+  if(total <= 0) return 0;
+  return (w.distance * parts.distance + w.rating * parts.rating + w.acceptance * parts.acceptance + w.workload * parts.workload) / total;
+}
+
+// the job's area, for matching without coordinates: same state and city or LGA (just the state
+// when the job names neither). `param` adds a query parameter and returns its placeholder.
+function areaClause(job, param){
+  const same = (column, value) => `lower(trim(u.${column})) = lower(trim(${param(String(value))}))`;
+  const places = [];
+  if(job.city) places.push(same('city', job.city));
+  if(job.lga) places.push(same('lga', job.lga));
+  const state = same('state', job.state || '');
+  return places.length ? `(${state} AND (${places.join(' OR ')}))` : state;
+}
+
+/**
+ * Eligible online technicians for a job, nearest first (unranked). Each row has `distance` in
+ * meters, null for those matched by area.
+ * job: { state, city?, lga?, lat?, lng?, job_type, search_radius_m? }
+ * opts: radiusM (default the job's search_radius_m, else the first ring), excludeIds, ids (only
+ * these technicians), limit, requireKyc, specialization
+ */
+async function eligibleTechs(db, job, opts = {}){
+  const params = [ACTIVE_STATUSES];
+  const param = v => { params.push(v); return `$${params.length}`; };
+  const clauses = [`u.role='worker'`, `u.online=true`, `u.suspended_at IS NULL`];
+  if(opts.requireKyc !== undefined ? opts.requireKyc : REQUIRE_KYC) clauses.push(`u.kyc_status='approved'`);
+  const spec = opts.specialization !== undefined ? opts.specialization : await requiredSpecialization(db, job.job_type);
+  if(spec) clauses.push(`EXISTS (SELECT 1 FROM unnest(u.specializations) s WHERE lower(s) = lower(${param(spec)}))`);
+  if(opts.ids) clauses.push(`u.id = ANY(${param(opts.ids)}::text[])`);
+  if(opts.excludeIds && opts.excludeIds.length) clauses.push(`NOT (u.id = ANY(${param(opts.excludeIds)}::text[]))`);
+
+  let distance = 'NULL::double precision';
+  if(hasCoords(job)){
+    const lat = Number(job.lat);
+    const lng = Number(job.lng);
+    const radius = opts.radiusM || Number(job.search_radius_m) || SEARCH_RADIUS.initial;
+    distance = distanceSql(`${param(lat)}::float8`, `${param(lng)}::float8`, 'u.lat', 'u.lng');
+    const within = [`u.geohash IS NOT NULL`, `${distance} <= ${param(radius)}`];
+    // the prefix match is what the index (users_worker_geohash_idx) serves
+    const cells = cover(lat, lng, radius);
+    if(cells) within.push(`(${cells.map(c => `u.geohash LIKE ${param(c + '%')}`).join(' OR ')})`);
+    clauses.push(`((${within.join(' AND ')}) OR (u.geohash IS NULL AND ${areaClause(job, param)}))`);
+  }else{
+    clauses.push(areaClause(job, param));
+  }
+
+  const r = await db.query(`
+    SELECT u.id, u.lat, u.lng, u.rating_avg, u.rating_count, u.offers_received, u.offers_accepted,
+           CASE WHEN u.geohash IS NULL THEN NULL ELSE ${distance} END AS distance,
+           (SELECT COUNT(*)::int FROM job_assignments a JOIN jobs j ON j.id = a.job_id
+            WHERE a.tech_id = u.id AND a.status IN ('offered','accepted') AND j.status = ANY($1::text[])) AS active_jobs
+    FROM users u
+    WHERE ${clauses.join(' AND ')}
+    ORDER BY distance ASC NULLS LAST, u.id
+    LIMIT ${param(opts.limit || MAX_CANDIDATES)}`, params);
+  return r.rows;
+}
+
+// acceptance-rate bookkeeping
+async function noteOffer(db, techId){
+  await db.query(`UPDATE users SET offers_received = COALESCE(offers_received,0) + 1 WHERE id=$1`, [techId]);
+}
+async function noteAccept(db, techId){
+  await db.query(`UPDATE users SET offers_accepted = COALESCE(offers_accepted,0) + 1 WHERE id=$1`, [techId]);
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  DEFAULT_SPECIALIZATIONS,
+  SEARCH_RADIUS,
+  nextRadius,
+  hasCoords,
+  requiredSpecialization,
+  scoreCandidate,
+  eligibleTechs,
+  noteOffer,
+  noteAccept
+};
@@ -0,0 +1,156 @@
+// Services/migrations.js
+// Versioned schema migrations. Each file in Migrations/ is NNNN_name.js exporting { up, down }: SQL
+// strings, or async (db) => {} for anything SQL alone can't do. Applied versions are rows in
+// schema_migrations (with a checksum of `up`, so status can point out a file edited after it ran).
+// Every migration runs in its own transaction together with its schema_migrations row; set
+// `transaction: false` in the file for statements Postgres won't run in one (CREATE INDEX CONCURRENTLY).
+// A session advisory lock is held for the whole run, so instances starting together apply each
+// migration once: the others wait, then find nothing pending.
+// Never edit a migration that has shipped; add a new one.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DIR = path.join(__dirname, '..', 'Migrations');
+const FILE = /^(\d+)_([\w-]+)\.js$/;
+// any constant bigint works, as long as nothing else uses it as an advisory lock key
+const LOCK_KEY = 7316209421;
+
+const checksum = m => crypto.createHash('sha256').update(typeof m.up === 'function' ? m.up.toString() : String(m.up)).digest('hex');
+
+function loadMigrations(dir = DIR){
+  const list = fs.readdirSync(dir).filter(f => FILE.test(f)).map(file => {
+    const [, version, name] = FILE.exec(file);
+    const m = require(path.join(dir, file));
+    if(m.up == null) throw new Error(`migration ${file} has no up`);
+    return { version: Number(version), name, file, up: m.up, down: m.down, transaction: m.transaction !== false, checksum: checksum(m) };
+  }).sort((a, b) => a.version - b.version);
+  list.forEach((m, i) => {
+    if(i && m.version === list[i - 1].version) throw new Error(`migrations ${list[i - 1].file} and ${m.file} share version ${m.version}`);
+  });
+  return list;
+}
+
+function createMigrator({ pool, dir = DIR, log = console.log }){
+  const migrations = loadMigrations(dir);
+
+  const ensureTable = db => db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+    )`);
+
+  async function applied(db){
+    return (await db.query(`SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`)).rows;
+  }
+
+  // fn(client) with the migration lock held on that client's session
+  async function withLock(fn){
+    const client = await pool.connect();
+    try{
+      if(!(await client.query(`SELECT pg_try_advisory_lock($1) AS ok`, [LOCK_KEY])).rows[0].ok){
+        log('Migrations: another instance is migrating, waiting for it to finish...');
+        await client.query(`SELECT pg_advisory_lock($1)`, [LOCK_KEY]);
+      }
+      try{
+        await ensureTable(client);
+        return await fn(client);
+      } finally {
+        await client.query(`SELECT pg_advisory_unlock($1)`, [LOCK_KEY]).catch(() => {});
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  async function step(db, m, direction){
+    const body = m[direction];
+    const run = async () => {
+      if(typeof body === 'function') await body(db);
+      else if(body) await db.query(body);
+      if(direction === 'up') await db.query(`INSERT INTO schema_migrations (version, name, checksum) VALUES ($1,$2,$3)`, [m.version, m.name, m.checksum]);
+      else await db.query(`DELETE FROM schema_migrations WHERE version=$1`, [m.version]);
+    };
+    if(!m.transaction) return run();
+    await db.query('BEGIN');
+    try{
+      await run();
+      await db.query('COMMIT');
+    }catch(e){
+      await db.query('ROLLBACK').catch(() => {});
+      throw e;
+    }
+  }
+
+  /**
+   * Apply pending migrations in order (up to and including `to`, default all) -> [{ version, name }]
+   * Stops at the first failure; the failing migration is rolled back, earlier ones stay applied.
+   */
+  function migrate({ to = Infinity } = {}){
+    return withLock(async (db) => {
+      const done = new Set((await applied(db)).map(r => r.version));
+      const ran = [];
+      for(const m of migrations){
+        if(m.version > to || done.has(m.version)) continue;
+        try{
+          await step(db, m, 'up');
+        }catch(e){
+          e.message = `migration ${m.file} failed: ${e.message}`;
+          throw e;
+        }
+        log(`Migrations: applied ${m.file}`);
+        ran.push({ version: m.version, name: m.name });
+      }
+      return ran;
+    });
+  }
+
+  /**
+   * Undo the last `steps` applied migrations (default 1), or every one above version `to`
+   * -> [{ version, name }]
+   */
+  function rollback({ steps = 1, to = null } = {}){
+    return withLock(async (db) => {
+      const rows = (await applied(db)).reverse();
+      const targets = to == null ? rows.slice(0, steps) : rows.filter(r => r.version > to);
+      const undone = [];
+      for(const r of targets){
+        const m = migrations.find(x => x.version === r.version);
+        if(!m) throw new Error(`migration ${r.version}_${r.name} is applied but its file is missing`);
+        if(m.down == null) throw new Error(`migration ${m.file} cannot be rolled back (no down)`);
+        try{
+          await step(db, m, 'down');
+        }catch(e){
+          e.message = `rollback of ${m.file} failed: ${e.message}`;
+          throw e;
+        }
+        log(`Migrations: rolled back ${m.file}`);
+        undone.push({ version: m.version, name: m.name });
+      }
+      return undone;
+    });
+  }
+
+  /**
+   * Every known version -> [{ version, name, state: applied|pending|changed|missing, applied_at }]
+   * changed: the file's `up` differs from what ran; missing: applied, but no file for it
+   */
+  async function status(){
+    await ensureTable(pool);
+    const rows = await applied(pool);
+    const out = migrations.map(m => {
+      const r = rows.find(x => x.version === m.version);
+      return { version: m.version, name: m.name, state: !r ? 'pending' : r.checksum === m.checksum ? 'applied' : 'changed', applied_at: r ? r.applied_at : null };
+    });
+    for(const r of rows){
+      if(!migrations.some(m => m.version === r.version)) out.push({ version: r.version, name: r.name, state: 'missing', applied_at: r.applied_at });
+    }
+    return out.sort((a, b) => a.version - b.version);
+  }
+
+  return { migrations, migrate, rollback, status };
+}
+
+module.exports = { createMigrator, loadMigrations };
@@ -0,0 +1,58 @@
+// Services/paymentProviders/fake.js
+// Offline provider for development and tests. Charges stay pending until a signed webhook
+// arrives (see signWebhook / POST /api/payments/fake/:reference/complete); transfers and
+// refunds succeed immediately. Webhooks are signed with HMAC-SHA256 of the raw body
+// (header x-fake-signature) so the verification path is the same as a real provider's.
+const crypto = require('crypto');
+
+function createFakeProvider({ secret = process.env.FAKE_PAYMENT_SECRET || 'fake-payment-secret', baseUrl = process.env.PUBLIC_API_BASE || '' } = {}){
+  let counter = 0;
+  const ref = prefix => `${prefix}_${Date.now().toString(36)}${(++counter).toString(36)}`;
+  const sign = raw => crypto.createHmac('sha256', secret).update(raw).digest('hex');
+
+  async function createCharge({ reference }){
+    return {
+      providerRef: ref('fch'),
+      status: 'pending',
+      checkoutUrl: `${baseUrl}/api/payments/fake/checkout/${encodeURIComponent(reference)}`
+    };
+  }
+
+  async function transfer({ account }){
+    if(!account || !account.account_number) return { providerRef: null, status: 'failed', error: 'missing account number' };
+    return { providerRef: ref('ftr'), status: 'succeeded' };
+  }
+
+  async function refund(){
+    return { providerRef: ref('frf'), status: 'succeeded' };
+  }
+
+  function verifyWebhook(rawBody, headers){
+    const given = headers && headers['x-fake-signature'];
+    if(!given || !rawBody) return null;
+    const expected = sign(rawBody);
+    const a = Buffer.from(String(given));
+    const b = Buffer.from(expected);
+    if(a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+    let body;
+    try{ body = JSON.parse(rawBody.toString()); }catch(e){ return null; }
+    return {
+      id: body.id,
+      type: body.type,
+      reference: body.reference,
+      providerRef: body.providerRef || null,
+      amount: body.amount != null ? Number(body.amount) : null,
+      raw: body
+    };
+  }
+
+  // build a signed webhook exactly as the fake "gateway" would send it
+  function signWebhook({ type, reference, amount, providerRef }){
+    const raw = Buffer.from(JSON.stringify({ id: ref('fev'), type, reference, amount, providerRef }));
+    return { rawBody: raw, headers: { 'x-fake-signature': sign(raw) } };
+  }
+
+  return { name: 'fake', createCharge, transfer, refund, verifyWebhook, signWebhook };
+}
+
+module.exports = { createFakeProvider };
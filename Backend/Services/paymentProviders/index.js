@@ -0,0 +1,35 @@
+// Services/paymentProviders/index.js
+// Payment provider registry. Every provider implements the same adapter interface:
+//
+//   name
+//   createCharge({ reference, amount, currency, email, metadata, callbackUrl })
+//     -> { providerRef, status: 'pending'|'succeeded', checkoutUrl }
+//   transfer({ reference, amount, currency, account: { bank, bank_code, account_number, account_name }, reason })
+//     -> { providerRef, status: 'pending'|'succeeded'|'failed' }
+//   refund({ reference, chargeReference, chargeRef, amount, currency })
+//     -> { providerRef, status: 'pending'|'succeeded'|'failed' }
+//   verifyWebhook(rawBody, headers)
+//     -> null when the signature doesn't check out, else a normalized event
+//        { id, type, reference, providerRef, amount, raw }
+//        type: charge.succeeded | charge.failed | transfer.succeeded | transfer.failed | refund.succeeded | refund.failed
+//
+// Amounts are always in major units (naira); adapters convert to whatever the provider expects.
+// `reference` is our transactions.id, so webhooks can be matched back without a lookup table.
+const { createFakeProvider } = require('./fake');
+const { createPaystackProvider } = require('./paystack');
+
+const FACTORIES = {
+  fake: createFakeProvider,
+  paystack: createPaystackProvider
+};
+
+// PAYMENT_PROVIDER=fake|paystack, required: there is no default, so a deployment can't end up on
+// the fake provider by leaving it out
+function createPaymentProvider(name = process.env.PAYMENT_PROVIDER, opts = {}){
+  if(!name) throw new Error(`PAYMENT_PROVIDER is not set (one of: ${Object.keys(FACTORIES).join(', ')})`);
+  const factory = FACTORIES[String(name).toLowerCase()];
+  if(!factory) throw new Error(`Unknown payment provider "${name}"`);
+  return factory(opts);
+}
+
+module.exports = { createPaymentProvider, PROVIDERS: Object.keys(FACTORIES) };
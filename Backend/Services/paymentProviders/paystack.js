@@ -0,0 +1,98 @@
+// Services/paymentProviders/paystack.js
+// Paystack adapter (https://paystack.com/docs/api). Amounts are sent in kobo.
+// Webhooks are verified with HMAC-SHA512 of the raw body using the secret key (x-paystack-signature).
+// Env: PAYSTACK_SECRET_KEY, PAYSTACK_BASE_URL (optional, for sandboxes/mocks)
+const crypto = require('crypto');
+
+const toKobo = amount => Math.round(Number(amount) * 100);
+const fromKobo = amount => amount == null ? null : Number(amount) / 100;
+
+function createPaystackProvider({ secretKey = process.env.PAYSTACK_SECRET_KEY, baseUrl = process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co' } = {}){
+  if(!secretKey) throw new Error('PAYSTACK_SECRET_KEY is required for the paystack payment provider');
+
+  async function api(method, path, body){
+    const r = await fetch(baseUrl + path, {
+      method,
+      headers: { 'Authorization': `Bearer ${secretKey}`, 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const js = await r.json().catch(() => null);
+    if(!r.ok || !js || js.status === false){
+      throw new Error(`paystack ${method} ${path} failed: ${(js && js.message) || r.status}`);
+    }
+    return js.data;
+  }
+
+  let banks = null;
+  async function bankCode(account){
+    if(account.bank_code) return account.bank_code;
+    if(!account.bank) return null;
+    if(!banks) banks = await api('GET', '/bank?country=nigeria&perPage=200');
+    const name = String(account.bank).trim().toLowerCase();
+    const hit = banks.find(b => String(b.name).toLowerCase() === name || String(b.slug).toLowerCase() === name);
+    return hit ? hit.code : null;
+  }
+
+  async function createCharge({ reference, amount, currency = 'NGN', email, metadata, callbackUrl }){
+    const data = await api('POST', '/transaction/initialize', {
+      reference, email, currency, amount: toKobo(amount), metadata, callback_url: callbackUrl
+    });
+    return { providerRef: data.access_code || data.reference, status: 'pending', checkoutUrl: data.authorization_url };
+  }
+
+  async function transfer({ reference, amount, currency = 'NGN', account, reason }){
+    const code = account ? await bankCode(account) : null;
+    if(!account || !account.account_number || !code) return { providerRef: null, status: 'failed', error: 'incomplete bank details' };
+    const recipient = await api('POST', '/transferrecipient', {
+      type: 'nuban', name: account.account_name || 'WireConnect technician', account_number: account.account_number, bank_code: code, currency
+    });
+    const data = await api('POST', '/transfer', {
+      source: 'balance', amount: toKobo(amount), recipient: recipient.recipient_code, reference, reason
+    });
+    const status = data.status === 'success' ? 'succeeded' : (data.status === 'failed' || data.status === 'reversed' ? 'failed' : 'pending');
+    return { providerRef: data.transfer_code, status };
+  }
+
+  async function refund({ chargeReference, amount }){
+    const data = await api('POST', '/refund', { transaction: chargeReference, amount: toKobo(amount) });
+    const status = data.status === 'processed' ? 'succeeded' : (data.status === 'failed' ? 'failed' : 'pending');
+    return { providerRef: data.id != null ? String(data.id) : null, status };
+  }
+
+  const EVENT_TYPES = {
+    'charge.success': 'charge.succeeded',
+    'charge.failed': 'charge.failed',
+    'transfer.success': 'transfer.succeeded',
+    'transfer.failed': 'transfer.failed',
+    'transfer.reversed': 'transfer.failed',
+    'refund.processed': 'refund.succeeded',
+    'refund.failed': 'refund.failed'
+  };
+
+  function verifyWebhook(rawBody, headers){
+    const given = headers && headers['x-paystack-signature'];
+    if(!given || !rawBody) return null;
+    const expected = crypto.createHmac('sha512', secretKey).update(rawBody).digest('hex');
+    const a = Buffer.from(String(given));
+    const b = Buffer.from(expected);
+    if(a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+    let body;
+    try{ body = JSON.parse(rawBody.toString()); }catch(e){ return null; }
+    const type = EVENT_TYPES[body.event];
+    if(!type) return { id: `${body.event}:${body.data && body.data.id}`, type: 'ignored', raw: body };
+    const d = body.data || {};
+    return {
+      id: `${body.event}:${d.id}`,
+      type,
+      // refunds point at the original charge; the escrow service resolves that to the refund row
+      reference: type.startsWith('refund.') ? (d.transaction_reference || (d.transaction && d.transaction.reference)) : d.reference,
+      providerRef: d.transfer_code || (d.id != null ? String(d.id) : null),
+      amount: fromKobo(d.amount),
+      raw: body
+    };
+  }
+
+  return { name: 'paystack', createCharge, transfer, refund, verifyWebhook };
+}
+
+module.exports = { createPaystackProvider };
@@ -0,0 +1,125 @@
+// Services/pricing.js
+// Service price catalogue + quote engine.
+//   labour     = base_price + per_day_rate * estimated_days
+//   crew       = 1 + (workers_needed - 1) * per_worker_multiplier
+//   subtotal   = labour * crew
+//   surcharge  = amount + subtotal * percent / 100   (city row wins over the state-wide row)
+//   price      = round(subtotal + surcharge)
+// Job types missing from the catalogue are not priced (quote returns null) and are negotiated.
+
+function normKey(v){ return v == null ? '' : String(v).trim().toLowerCase(); }
+
+function toPositiveInt(v, fallback){
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) && n >= 1 ? n : fallback;
+}
+
+async function listCatalogue(db, { includeInactive = false } = {}){
+  const r = await db.query(
+    `SELECT job_type, label, base_price, per_day_rate, per_worker_multiplier, required_specialization, active, updated_at
+     FROM service_prices ${includeInactive ? '' : 'WHERE active = true'} ORDER BY job_type ASC`);
+  return r.rows.map(row => Object.assign({}, row, {
+    base_price: Number(row.base_price),
+    per_day_rate: Number(row.per_day_rate),
+    per_worker_multiplier: Number(row.per_worker_multiplier)
+  }));
+}
+
+async function listSurcharges(db){
+  const r = await db.query(`SELECT id, state, city, amount, percent, updated_at FROM price_surcharges ORDER BY state ASC, city ASC`);
+  return r.rows.map(row => Object.assign({}, row, { amount: Number(row.amount), percent: Number(row.percent) }));
+}
+
+async function upsertServicePrice(db, p){
+  const r = await db.query(
+    `INSERT INTO service_prices (job_type, label, base_price, per_day_rate, per_worker_multiplier, required_specialization, active, updated_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,now())
+     ON CONFLICT (job_type) DO UPDATE SET
+       label=EXCLUDED.label, base_price=EXCLUDED.base_price, per_day_rate=EXCLUDED.per_day_rate,
+       per_worker_multiplier=EXCLUDED.per_worker_multiplier, required_specialization=EXCLUDED.required_specialization,
+       active=EXCLUDED.active, updated_at=now()
+     RETURNING *`,
+    [normKey(p.job_type), p.label || null, p.base_price, p.per_day_rate || 0, p.per_worker_multiplier == null ? 1 : p.per_worker_multiplier, p.required_specialization || null, p.active !== false]
+  );
+  return r.rows[0];
+}
+
+async function getServicePrice(db, jobType){
+  const r = await db.query(`SELECT * FROM service_prices WHERE job_type=$1`, [normKey(jobType)]);
+  return r.rows[0] || null;
+}
+
+// the removed row, or null
+async function deleteServicePrice(db, jobType){
+  const r = await db.query(`DELETE FROM service_prices WHERE job_type=$1 RETURNING *`, [normKey(jobType)]);
+  return r.rows[0] || null;
+}
+
+async function upsertSurcharge(db, s){
+  const r = await db.query(
+    `INSERT INTO price_surcharges (state, city, amount, percent, updated_at)
+     VALUES ($1,$2,$3,$4,now())
+     ON CONFLICT (state, city) DO UPDATE SET amount=EXCLUDED.amount, percent=EXCLUDED.percent, updated_at=now()
+     RETURNING *`,
+    [normKey(s.state), normKey(s.city), s.amount || 0, s.percent || 0]
+  );
+  return r.rows[0];
+}
+
+async function deleteSurcharge(db, id){
+  const r = await db.query(`DELETE FROM price_surcharges WHERE id=$1 RETURNING *`, [Number(id)]);
+  return r.rows[0] || null;
+}
+
+/**
+ * Compute the server-side price for a job.
+ * Returns null when job_type has no active catalogue entry.
+ */
+async function quote(db, { job_type, workers_needed, estimated_days, state, city }){
+  const r = await db.query(`SELECT * FROM service_prices WHERE job_type=$1 AND active=true`, [normKey(job_type)]);
+  if(!r.rows.length) return null;
+  const sp = r.rows[0];
+
+  const workers = toPositiveInt(workers_needed, 1);
+  const days = toPositiveInt(estimated_days, 1);
+  const base = Number(sp.base_price);
+  const perDay = Number(sp.per_day_rate);
+  const multiplier = Number(sp.per_worker_multiplier);
+
+  const labour = base + perDay * days;
+  const crew = 1 + (workers - 1) * multiplier;
+  const subtotal = labour * crew;
+
+  let surcharge = 0;
+  let surchargeRow = null;
+  if(state){
+    const sr = await db.query(
+      `SELECT * FROM price_surcharges WHERE state=$1 AND (city=$2 OR city='') ORDER BY (city = '') ASC LIMIT 1`,
+      [normKey(state), normKey(city)]
+    );
+    if(sr.rows.length){
+      surchargeRow = sr.rows[0];
+      surcharge = Number(surchargeRow.amount) + subtotal * Number(surchargeRow.percent) / 100;
+    }
+  }
+
+  return {
+    job_type: sp.job_type,
+    currency: 'NGN',
+    price: Math.round(subtotal + surcharge),
+    breakdown: {
+      base_price: base,
+      per_day_rate: perDay,
+      estimated_days: days,
+      workers_needed: workers,
+      per_worker_multiplier: multiplier,
+      labour,
+      crew_factor: crew,
+      subtotal: Math.round(subtotal),
+      surcharge: Math.round(surcharge),
+      surcharge_scope: surchargeRow ? (surchargeRow.city ? 'city' : 'state') : null
+    }
+  };
+}
+
+module.exports = { listCatalogue, listSurcharges, getServicePrice, upsertServicePrice, deleteServicePrice, upsertSurcharge, deleteSurcharge, quote, toPositiveInt };
@@ -0,0 +1,101 @@
+// Services/realtime.js
+// Server push over Server-Sent Events (GET /api/events).
+// publish() goes through Redis pub/sub when a connection is given, so every API instance behind
+// the load balancer delivers the event to the clients connected to it. Without Redis, events are
+// delivered in-process only (fine for a single instance).
+// Event shape on the wire: `event: <type>` + `data: <json>`; addressing is by user id and/or role.
+
+const CHANNEL = process.env.REALTIME_CHANNEL || 'wireconnect:events';
+const HEARTBEAT_MS = Number(process.env.REALTIME_HEARTBEAT_MS || 25 * 1000);
+
+/**
+ * createRealtime({ redis, subscribe })
+ * redis:     ioredis connection used to publish (a duplicate() is made for subscribing)
+ * subscribe: false for processes that only publish (e.g. the queue worker)
+ */
+function createRealtime({ redis = null, subscribe = true, channel = CHANNEL, heartbeatMs = HEARTBEAT_MS } = {}){
+  const connections = new Set(); // { userId, role, res }
+  let seq = 0;
+  let subscriber = null;
+
+  function deliver(evt){
+    if(!evt || !evt.type) return;
+    const users = (evt.to && evt.to.users || []).filter(Boolean).map(String);
+    const roles = (evt.to && evt.to.roles) || [];
+    const frame = `id: ${++seq}\nevent: ${evt.type}\ndata: ${JSON.stringify(evt.data || {})}\n\n`;
+    for(const c of connections){
+      if(users.includes(c.userId) || roles.includes(c.role)){
+        try{ c.res.write(frame); }catch(e){ connections.delete(c); }
+      }
+    }
+  }
+
+  if(redis && subscribe){
+    subscriber = redis.duplicate();
+    subscriber.subscribe(channel).catch(e => console.error('realtime subscribe error', e));
+    subscriber.on('message', (ch, raw) => {
+      if(ch !== channel) return;
+      try{ deliver(JSON.parse(raw)); }catch(e){ console.error('realtime bad message', e); }
+    });
+    subscriber.on('error', e => console.error('realtime subscriber error', e && e.message ? e.message : e));
+  }
+
+  /**
+   * Send an event to users and/or roles, e.g.
+   * publish('job.status', { jobId, status }, { users: [clientId, techId], roles: ['admin'] })
+   */
+  async function publish(type, data, to = {}){
+    const evt = { type, data, to: { users: (to.users || []).filter(Boolean).map(String), roles: to.roles || [] } };
+    if(redis){
+      try{
+        await redis.publish(channel, JSON.stringify(evt));
+        return;
+      }catch(e){
+        console.error('realtime publish error (delivering locally)', e && e.message ? e.message : e);
+      }
+    }
+    deliver(evt);
+  }
+
+  // Express handler; expects req.auth = { id, role }
+  function stream(req, res){
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // don't let proxies buffer the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: 5000\nevent: ready\ndata: ${JSON.stringify({ userId: req.auth.id, role: req.auth.role })}\n\n`);
+
+    const conn = { userId: String(req.auth.id), role: req.auth.role, res };
+    connections.add(conn);
+    const heartbeat = setInterval(() => {
+      try{ res.write(': ping\n\n'); }catch(e){ /* close handler cleans up */ }
+    }, heartbeatMs);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      connections.delete(conn);
+    });
+  }
+
+  async function close(){
+    for(const c of connections){ try{ c.res.end(); }catch(e){} }
+    connections.clear();
+    if(subscriber){ subscriber.disconnect(); subscriber = null; }
+  }
+
+  return { publish, stream, close, connectionCount: () => connections.size };
+}
+
+/**
+ * Publish on `events` (a createRealtime() instance; services get null when there is none) for
+ * pushes that must not fail the caller: errors are logged and the promise always resolves.
+ */
+function safePublish(events, type, data, to){
+  if(!events) return Promise.resolve();
+  return events.publish(type, data, to).catch(e => console.error('realtime push error', type, e));
+}
+
+module.exports = { createRealtime, safePublish };
@@ -0,0 +1,213 @@
+// Services/reviews.js
+// Two-sided ratings once a job is confirmed: the client rates each technician on the crew and each
+// technician rates the client, once per job (stars 1-5, tags from a fixed list, optional comment).
+//   status: published -> flagged (someone reported it) -> hidden | published (staff moderation)
+// users.rating_avg / rating_count are recomputed from non-hidden reviews on every change; they feed
+// /api/user/:id, matching (smoothedRating) and the rating-weighted leaderboard.
+const { withTransaction } = require('./ledger');
+const { safePublish } = require('./realtime');
+
+function envNumber(name, fallback){
+  const raw = process.env[name];
+  if(raw === undefined || raw === '') return fallback;
+  const v = Number(raw);
+  return Number.isFinite(v) ? v : fallback;
+}
+
+// tags a reviewer can pick, by who is being reviewed
+const TAGS = {
+  worker: ['punctual', 'professional', 'tidy', 'good_communication', 'fair_price', 'safety_conscious',
+    'late', 'untidy', 'rude', 'unfinished_work', 'overcharged'],
+  client: ['clear_brief', 'paid_promptly', 'respectful', 'site_ready',
+    'unclear_brief', 'rude', 'unsafe_site', 'changed_scope']
+};
+const WINDOW_DAYS = envNumber('REVIEW_WINDOW_DAYS', 30);
+const PRIOR_MEAN = envNumber('RATING_PRIOR_MEAN', 3.5);
+const PRIOR_COUNT = envNumber('RATING_PRIOR_COUNT', 5);
+const MAX_COMMENT = 1000;
+const isId = v => /^\d+$/.test(String(v));
+
+/**
+ * Rating pulled towards `mean` until there are enough reviews to trust it
+ * (a Bayesian average with PRIOR_COUNT imaginary reviews at `mean`).
+ */
+function smoothedRating(avg, count, mean = PRIOR_MEAN){
+  const n = Number(count) || 0;
+  const a = avg != null ? Number(avg) : mean;
+  return (mean * PRIOR_COUNT + a * n) / (PRIOR_COUNT + n);
+}
+
+async function refreshAggregate(db, userId){
+  await db.query(`
+    UPDATE users SET
+      rating_avg = (SELECT ROUND(AVG(stars)::numeric, 2) FROM reviews WHERE reviewee_id=$1 AND status <> 'hidden'),
+      rating_count = (SELECT COUNT(*)::int FROM reviews WHERE reviewee_id=$1 AND status <> 'hidden')
+    WHERE id=$1`, [userId]);
+}
+
+function createReviews({ pool, events = null, audit = null }){
+
+  // who `actor` may rate on this job (ids), given it is confirmed
+  async function rateable(db, job, actor){
+    const crew = (await db.query(
+      `SELECT tech_id FROM job_assignments WHERE job_id=$1 AND status='accepted'`, [job.id])).rows.map(r => r.tech_id);
+    if(!crew.length && job.assigned_tech_id) crew.push(job.assigned_tech_id);
+    if(actor.id === job.client_id) return crew;
+    if(crew.includes(actor.id)) return [job.client_id];
+    return null;
+  }
+
+  async function confirmedAt(db, jobId){
+    const r = await db.query(
+      `SELECT MAX(created_at) AS at FROM job_events WHERE job_id=$1 AND to_status='confirmed_by_client'`, [jobId]);
+    return r.rows[0] && r.rows[0].at ? new Date(r.rows[0].at) : null;
+  }
+
+  /**
+   * Rate the other side of a confirmed job. actor: req.auth.
+   * input: { revieweeId (required when the client rates a crew of several), stars, tags, comment }
+   */
+  async function submit(jobId, actor, { revieweeId, stars, tags, comment } = {}){
+    const n = Number(stars);
+    if(!Number.isInteger(n) || n < 1 || n > 5) return { ok: false, status: 400, message: 'stars must be a whole number from 1 to 5' };
+    if(comment != null && String(comment).length > MAX_COMMENT) return { ok: false, status: 400, message: `comment must be at most ${MAX_COMMENT} characters` };
+
+    const job = (await pool.query(`SELECT * FROM jobs WHERE id=$1`, [jobId])).rows[0];
+    if(!job) return { ok: false, status: 404, message: 'Job not found' };
+    const allowed = await rateable(pool, job, actor);
+    if(!allowed) return { ok: false, status: 403, message: 'Only the client and technicians on this job can review it' };
+    if(job.status !== 'confirmed_by_client') return { ok: false, status: 409, message: 'Reviews open once the client has confirmed the job' };
+    const at = await confirmedAt(pool, jobId);
+    if(at && Date.now() - at.getTime() > WINDOW_DAYS * 24 * 3600 * 1000) return { ok: false, status: 409, message: `Reviews close ${WINDOW_DAYS} days after the job` };
+
+    const target = revieweeId ? String(revieweeId) : (allowed.length === 1 ? allowed[0] : null);
+    if(!target) return { ok: false, status: 400, message: 'revieweeId required: choose which technician to review' };
+    if(!allowed.includes(target)) return { ok: false, status: 400, message: 'You can only review the other side of this job' };
+
+    const revieweeRole = target === job.client_id ? 'client' : 'worker';
+    const picked = Array.from(new Set((Array.isArray(tags) ? tags : (tags ? [tags] : [])).map(t => String(t).trim().toLowerCase()).filter(Boolean)));
+    const unknown = picked.filter(t => !TAGS[revieweeRole].includes(t));
+    if(unknown.length) return { ok: false, status: 400, message: `Unknown tags: ${unknown.join(', ')}`, allowed: TAGS[revieweeRole] };
+
+    try{
+      const row = await withTransaction(pool, async (db) => {
+        const ins = await db.query(
+          `INSERT INTO reviews (job_id, reviewer_id, reviewee_id, reviewee_role, stars, tags, comment)
+           VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING *`,
+          [jobId, actor.id, target, revieweeRole, n, picked, comment ? String(comment).trim() : null]);
+        await refreshAggregate(db, target);
+        return ins.rows[0];
+      });
+      await safePublish(events, 'review.new', { id: row.id, jobId, stars: row.stars }, { users: [target] });
+      return { ok: true, review: row };
+    }catch(e){
+      // reviews_job_id_reviewer_id_reviewee_id_key
+      if(e.code === '23505') return { ok: false, status: 409, message: 'You have already reviewed this person for this job' };
+      throw e;
+    }
+  }
+
+  // a job's reviews for its parties, plus who the caller still has to rate
+  async function forJob(jobId, actor){
+    const job = (await pool.query(`SELECT * FROM jobs WHERE id=$1`, [jobId])).rows[0];
+    if(!job) return null;
+    const allowed = (await rateable(pool, job, actor)) || [];
+    const rows = (await pool.query(
+      `SELECT id, reviewer_id, reviewee_id, reviewee_role, stars, tags, comment, status, created_at
+       FROM reviews WHERE job_id=$1 AND status <> 'hidden' ORDER BY created_at ASC`, [jobId])).rows;
+    const done = new Set(rows.filter(r => r.reviewer_id === actor.id).map(r => r.reviewee_id));
+    const pending = job.status === 'confirmed_by_client' ? allowed.filter(id => !done.has(id)) : [];
+    return { reviews: rows, pending };
+  }
+
+  // aggregate shown on profiles: { avg, count, distribution: {1..5}, top_tags: [{ tag, count }] }
+  async function summary(userId){
+    const r = await pool.query(`
+      SELECT u.rating_avg, COALESCE(u.rating_count, 0) AS rating_count,
+             (SELECT json_object_agg(stars, c) FROM (
+                SELECT stars, COUNT(*)::int AS c FROM reviews WHERE reviewee_id=$1 AND status <> 'hidden' GROUP BY stars) s) AS distribution,
+             (SELECT COALESCE(json_agg(json_build_object('tag', tag, 'count', c) ORDER BY c DESC, tag), '[]'::json) FROM (
+                SELECT t.tag, COUNT(*)::int AS c FROM reviews, unnest(tags) AS t(tag)
+                WHERE reviewee_id=$1 AND status <> 'hidden' GROUP BY t.tag ORDER BY c DESC, t.tag LIMIT 5) x) AS top_tags
+      FROM users u WHERE u.id=$1`, [userId]);
+    const row = r.rows[0];
+    if(!row) return null;
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    Object.entries(row.distribution || {}).forEach(([k, v]) => { distribution[k] = v; });
+    return {
+      avg: row.rating_avg != null ? Number(row.rating_avg) : null,
+      count: Number(row.rating_count),
+      distribution,
+      top_tags: row.top_tags
+    };
+  }
+
+  async function forUser(userId, { limit = 20, offset = 0 } = {}){
+    const r = await pool.query(`
+      SELECT r.id, r.job_id, r.stars, r.tags, r.comment, r.created_at, r.reviewee_role,
+             u.fullname AS reviewer_name, u.avatar_url AS reviewer_avatar
+      FROM reviews r LEFT JOIN users u ON u.id = r.reviewer_id
+      WHERE r.reviewee_id=$1 AND r.status <> 'hidden'
+      ORDER BY r.created_at DESC
+      LIMIT $2 OFFSET $3`, [userId, limit, offset]);
+    return r.rows;
+  }
+
+  // anyone but the author can report a review; it stays visible but goes to the staff queue
+  async function report(reviewId, actor, reason){
+    if(!reason || !String(reason).trim()) return { ok: false, status: 400, message: 'reason required' };
+    if(!isId(reviewId)) return { ok: false, status: 404, message: 'Review not found' };
+    const review = (await pool.query(`SELECT * FROM reviews WHERE id=$1`, [reviewId])).rows[0];
+    if(!review || review.status === 'hidden') return { ok: false, status: 404, message: 'Review not found' };
+    if(review.reviewer_id === actor.id) return { ok: false, status: 400, message: 'You cannot report your own review' };
+    const ins = await pool.query(
+      `INSERT INTO review_reports (review_id, reporter_id, reason) VALUES ($1,$2,$3)
+       ON CONFLICT (review_id, reporter_id) DO NOTHING RETURNING id`, [reviewId, actor.id, String(reason).trim()]);
+    if(!ins.rows.length) return { ok: false, status: 409, message: 'You have already reported this review' };
+    await pool.query(`UPDATE reviews SET status='flagged' WHERE id=$1 AND status='published'`, [reviewId]);
+    return { ok: true };
+  }
+
+  // staff moderation queue (flagged by default), most reported first
+  async function moderationQueue({ status = 'flagged', limit = 50, offset = 0 } = {}){
+    const r = await pool.query(`
+      SELECT r.*, a.fullname AS reviewer_name, b.fullname AS reviewee_name,
+             (SELECT COUNT(*)::int FROM review_reports p WHERE p.review_id = r.id) AS report_count,
+             (SELECT COALESCE(json_agg(json_build_object('reporter_id', p.reporter_id, 'reason', p.reason, 'created_at', p.created_at) ORDER BY p.created_at), '[]'::json)
+              FROM review_reports p WHERE p.review_id = r.id) AS reports
+      FROM reviews r
+      LEFT JOIN users a ON a.id = r.reviewer_id
+      LEFT JOIN users b ON b.id = r.reviewee_id
+      WHERE r.status=$1
+      ORDER BY report_count DESC, r.created_at ASC
+      LIMIT $2 OFFSET $3`, [status, limit, offset]);
+    return r.rows;
+  }
+
+  /**
+   * Staff decision: 'hide' takes the review out of listings and aggregates, 'restore' publishes it again.
+   */
+  async function moderate(reviewId, actor, action, note, ip){
+    if(!['hide', 'restore'].includes(action)) return { ok: false, status: 400, message: 'action must be hide or restore' };
+    if(!isId(reviewId)) return { ok: false, status: 404, message: 'Review not found' };
+    const row = await withTransaction(pool, async (db) => {
+      const cur = (await db.query(`SELECT * FROM reviews WHERE id=$1 FOR UPDATE`, [reviewId])).rows[0];
+      if(!cur) return null;
+      const upd = await db.query(
+        `UPDATE reviews SET status=$2, moderated_by=$3, moderated_at=now(), moderation_note=$4 WHERE id=$1 RETURNING *`,
+        [reviewId, action === 'hide' ? 'hidden' : 'published', String(actor.id), note || null]);
+      await refreshAggregate(db, cur.reviewee_id);
+      if(audit) await audit.record(db, {
+        actor, action: `review.${action === 'hide' ? 'hidden' : 'restored'}`, targetType: 'review', targetId: reviewId,
+        before: { status: cur.status }, after: { status: upd.rows[0].status }, ip, note
+      });
+      return upd.rows[0];
+    });
+    if(!row) return { ok: false, status: 404, message: 'Review not found' };
+    return { ok: true, review: row };
+  }
+
+  return { submit, forJob, summary, forUser, report, moderationQueue, moderate };
+}
+
+module.exports = { createReviews, smoothedRating, TAGS, MAX_COMMENT, PRIOR_MEAN, PRIOR_COUNT };
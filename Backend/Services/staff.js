@@ -0,0 +1,231 @@
+// Services/staff.js
+// Staff account lifecycle (the `staff` table; permissions come from Middleware/permissions.js).
+//   status: active <-> suspended,  active | suspended -> deleted
+// New accounts get a temporary password that expires and must be replaced at first sign-in.
+// Admin resets hand out a single-use, time-limited token instead of a password; only its
+// sha256 is stored (staff_password_resets). Deleting keeps the row (status='deleted') so the
+// staff id stays resolvable from dispute/KYC/withdrawal history; every change goes to the audit
+// log (Services/audit.js) as 'staff.<action>' with the actor, before/after snapshot and IP.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { withTransaction } = require('./ledger');
+const { ROLE_PERMISSIONS, normalizeStaffRole } = require('../Middleware/permissions');
+const { revokeAllRefreshTokens } = require('../Middleware/auth');
+
+const TEMP_PASSWORD_TTL_HOURS = Number(process.env.STAFF_TEMP_PASSWORD_TTL_HOURS || 72);
+const RESET_TTL_MINUTES = Number(process.env.STAFF_RESET_TTL_MINUTES || 60);
+// the token a first sign-in gets to set a real password
+const FIRST_LOGIN_TTL_MINUTES = 15;
+const MIN_PASSWORD_LENGTH = 8;
+
+const hashToken = t => crypto.createHash('sha256').update(String(t)).digest('hex');
+const snapshot = s => s && { fullname: s.fullname, email: s.email, role: s.role, status: s.status, suspended_reason: s.suspended_reason };
+const publicView = s => s && {
+  id: s.id, fullname: s.fullname, email: s.email, role: s.role, status: s.status,
+  must_change_password: s.must_change_password, last_login_at: s.last_login_at, last_login_ip: s.last_login_ip,
+  suspended_at: s.suspended_at, suspended_reason: s.suspended_reason, deleted_at: s.deleted_at,
+  created_at: s.created_at, updated_at: s.updated_at
+};
+
+function checkPassword(password){
+  if(typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  return null;
+}
+
+function createStaffAccounts({ pool, audit }){
+
+  function record(db, staffId, actor, action, before, after, ip){
+    return audit.record(db, { actor, action: `staff.${action}`, targetType: 'staff', targetId: staffId, before, after, ip });
+  }
+
+  async function load(db, id, lock = false){
+    const r = await db.query(`SELECT * FROM staff WHERE id=$1 ${lock ? 'FOR UPDATE' : ''}`, [id]);
+    return r.rows[0] || null;
+  }
+
+  // revokes outstanding tokens before issuing a new one, so only the latest link works
+  async function issueToken(db, staffId, purpose, ttlMinutes, actor){
+    await db.query(`UPDATE staff_password_resets SET revoked_at=now() WHERE staff_id=$1 AND used_at IS NULL AND revoked_at IS NULL`, [staffId]);
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+    await db.query(
+      `INSERT INTO staff_password_resets (id, staff_id, token_hash, purpose, expires_at, created_by)
+       VALUES ($1,$2,$3,$4,$5,$6)`,
+      [crypto.randomUUID(), staffId, hashToken(token), purpose, expiresAt.toISOString(), actor ? String(actor.id) : null]);
+    return { token, expiresAt };
+  }
+
+  async function list({ status = null } = {}){
+    const r = await pool.query(
+      `SELECT * FROM staff WHERE ${status ? 'status = $1' : `status <> 'deleted'`} ORDER BY created_at DESC`,
+      status ? [status] : []);
+    return r.rows.map(publicView);
+  }
+
+  function history(id, { limit = 500, offset = 0 } = {}){
+    return audit.list({ target_type: 'staff', target_id: id }, { limit, offset, order: 'asc' });
+  }
+
+  async function create({ fullname, email, role }, actor, ip){
+    role = normalizeStaffRole(role);
+    if(!fullname || !email || !role) return { ok: false, status: 400, message: 'fullname, email and role required' };
+    if(!ROLE_PERMISSIONS[role]) return { ok: false, status: 400, message: `Unknown staff role. Use one of: ${Object.keys(ROLE_PERMISSIONS).join(', ')}` };
+    const lcEmail = String(email).trim().toLowerCase();
+
+    const tempPassword = crypto.randomBytes(9).toString('base64url');
+    const hash = await bcrypt.hash(tempPassword, 10);
+    const expiresAt = new Date(Date.now() + TEMP_PASSWORD_TTL_HOURS * 60 * 60 * 1000);
+    const id = crypto.randomUUID();
+    try{
+      const staff = await withTransaction(pool, async (db) => {
+        const ins = await db.query(
+          `INSERT INTO staff (id, fullname, email, role, password_hash, status, must_change_password, temp_password_expires_at)
+           VALUES ($1,$2,$3,$4,$5,'active',true,$6) RETURNING *`,
+          [id, String(fullname).trim(), lcEmail, role, hash, expiresAt.toISOString()]);
+        await record(db, id, actor, 'created', null, snapshot(ins.rows[0]), ip);
+        return ins.rows[0];
+      });
+      return { ok: true, staff: publicView(staff), generatedPassword: tempPassword, expiresAt };
+    }catch(e){
+      if(e && e.code === '23505') return { ok: false, status: 400, message: 'Staff with that email already exists' };
+      throw e;
+    }
+  }
+
+  // Sign-in. Returns null when no live staff account has this email (the caller then tries users).
+  // A first sign-in on the temporary password gets a short-lived token to set a real one, not a session.
+  async function authenticate(email, password, ip){
+    const r = await pool.query(`SELECT * FROM staff WHERE email=$1 AND status <> 'deleted'`, [String(email).trim().toLowerCase()]);
+    const staff = r.rows[0];
+    if(!staff) return null;
+    const ok = await bcrypt.compare(String(password || ''), staff.password_hash || '');
+    if(!ok) return { ok: false, status: 401, message: 'Incorrect password' };
+    if(staff.status === 'suspended') return { ok: false, status: 403, message: 'This staff account is suspended' };
+
+    if(staff.must_change_password){
+      if(staff.temp_password_expires_at && new Date(staff.temp_password_expires_at) <= new Date()){
+        return { ok: false, status: 401, message: 'Temporary password has expired; ask an admin to reset it' };
+      }
+      const change = await issueToken(pool, staff.id, 'first_login', FIRST_LOGIN_TTL_MINUTES, null);
+      return { ok: true, changeRequired: true, staff: publicView(staff), changeToken: change.token, expiresAt: change.expiresAt };
+    }
+
+    const upd = await pool.query(`UPDATE staff SET last_login_at=now(), last_login_ip=$2 WHERE id=$1 RETURNING *`, [staff.id, ip || null]);
+    return { ok: true, staff: publicView(upd.rows[0]) };
+  }
+
+  // sets a new password from a reset / first-login token; the token works once
+  async function resetPassword(token, password, ip){
+    const invalid = checkPassword(password);
+    if(invalid) return { ok: false, status: 400, message: invalid };
+    if(!token) return { ok: false, status: 400, message: 'token required' };
+    const hash = await bcrypt.hash(password, 10);
+
+    const staff = await withTransaction(pool, async (db) => {
+      const claim = await db.query(
+        `UPDATE staff_password_resets SET used_at=now()
+         WHERE token_hash=$1 AND used_at IS NULL AND revoked_at IS NULL AND expires_at > now()
+         RETURNING staff_id, purpose`,
+        [hashToken(token)]);
+      if(!claim.rows.length) return null;
+      const { staff_id: staffId, purpose } = claim.rows[0];
+      const upd = await db.query(
+        `UPDATE staff SET password_hash=$2, must_change_password=false, temp_password_expires_at=NULL,
+                password_changed_at=now(), updated_at=now()
+         WHERE id=$1 AND status='active' RETURNING *`,
+        [staffId, hash]);
+      if(!upd.rows.length) return null;
+      await revokeAllRefreshTokens(db, staffId);
+      await record(db, staffId, { id: staffId, role: 'staff' }, purpose === 'first_login' ? 'password_set' : 'password_reset', null, null, ip);
+      return upd.rows[0];
+    });
+    if(!staff) return { ok: false, status: 400, message: 'This link is invalid or has expired' };
+    return { ok: true, staff: publicView(staff) };
+  }
+
+  async function changePassword(id, currentPassword, password, ip){
+    const invalid = checkPassword(password);
+    if(invalid) return { ok: false, status: 400, message: invalid };
+    const staff = await load(pool, id);
+    if(!staff || staff.status !== 'active') return { ok: false, status: 404, message: 'Staff not found' };
+    if(!(await bcrypt.compare(String(currentPassword || ''), staff.password_hash || ''))) return { ok: false, status: 401, message: 'Current password is incorrect' };
+    const hash = await bcrypt.hash(password, 10);
+    await withTransaction(pool, async (db) => {
+      await db.query(`UPDATE staff SET password_hash=$2, password_changed_at=now(), updated_at=now() WHERE id=$1`, [id, hash]);
+      await record(db, id, { id, role: 'staff' }, 'password_changed', null, null, ip);
+    });
+    return { ok: true };
+  }
+
+  // Runs fn(staff, db) on the locked row and records the change. fn returns { after } or an error result.
+  async function change(id, actor, ip, action, fn){
+    if(actor && String(actor.id) === String(id)) return { ok: false, status: 400, message: 'You cannot change your own staff account here' };
+    return withTransaction(pool, async (db) => {
+      const staff = await load(db, id, true);
+      if(!staff || staff.status === 'deleted') return { ok: false, status: 404, message: 'Staff not found' };
+      const result = await fn(staff, db);
+      if(!result.ok) return result;
+      await record(db, id, actor, action, snapshot(staff), snapshot(result.staff), ip);
+      return Object.assign(result, { staff: publicView(result.staff) });
+    });
+  }
+
+  function update(id, { fullname, role }, actor, ip){
+    return change(id, actor, ip, 'updated', async (staff, db) => {
+      const nextRole = role === undefined ? staff.role : normalizeStaffRole(role);
+      if(!ROLE_PERMISSIONS[nextRole]) return { ok: false, status: 400, message: `Unknown staff role. Use one of: ${Object.keys(ROLE_PERMISSIONS).join(', ')}` };
+      const nextName = fullname === undefined ? staff.fullname : String(fullname).trim();
+      if(!nextName) return { ok: false, status: 400, message: 'fullname cannot be empty' };
+      const upd = await db.query(`UPDATE staff SET role=$2, fullname=$3, updated_at=now() WHERE id=$1 RETURNING *`, [id, nextRole, nextName]);
+      return { ok: true, staff: upd.rows[0] };
+    });
+  }
+
+  function suspend(id, reason, actor, ip){
+    return change(id, actor, ip, 'suspended', async (staff, db) => {
+      if(staff.status === 'suspended') return { ok: false, status: 409, message: 'Staff is already suspended' };
+      const upd = await db.query(
+        `UPDATE staff SET status='suspended', suspended_at=now(), suspended_by=$2, suspended_reason=$3, updated_at=now()
+         WHERE id=$1 RETURNING *`,
+        [id, actor ? String(actor.id) : null, reason ? String(reason).trim() : null]);
+      await revokeAllRefreshTokens(db, id);
+      await db.query(`UPDATE staff_password_resets SET revoked_at=now() WHERE staff_id=$1 AND used_at IS NULL AND revoked_at IS NULL`, [id]);
+      return { ok: true, staff: upd.rows[0] };
+    });
+  }
+
+  function reactivate(id, actor, ip){
+    return change(id, actor, ip, 'reactivated', async (staff, db) => {
+      if(staff.status !== 'suspended') return { ok: false, status: 409, message: 'Staff is not suspended' };
+      const upd = await db.query(
+        `UPDATE staff SET status='active', suspended_at=NULL, suspended_by=NULL, suspended_reason=NULL, updated_at=now()
+         WHERE id=$1 RETURNING *`, [id]);
+      return { ok: true, staff: upd.rows[0] };
+    });
+  }
+
+  // admin-initiated reset: the token is returned once, for the admin to pass on
+  function issueReset(id, actor, ip){
+    return change(id, actor, ip, 'reset_issued', async (staff, db) => {
+      if(staff.status !== 'active') return { ok: false, status: 409, message: 'Reactivate the account before resetting its password' };
+      const reset = await issueToken(db, id, 'reset', RESET_TTL_MINUTES, actor);
+      return { ok: true, staff, token: reset.token, expiresAt: reset.expiresAt };
+    });
+  }
+
+  function remove(id, actor, ip){
+    return change(id, actor, ip, 'deleted', async (staff, db) => {
+      const upd = await db.query(
+        `UPDATE staff SET status='deleted', deleted_at=now(), deleted_by=$2, password_hash='', updated_at=now()
+         WHERE id=$1 RETURNING *`,
+        [id, actor ? String(actor.id) : null]);
+      await revokeAllRefreshTokens(db, id);
+      await db.query(`UPDATE staff_password_resets SET revoked_at=now() WHERE staff_id=$1 AND used_at IS NULL AND revoked_at IS NULL`, [id]);
+      return { ok: true, staff: upd.rows[0] };
+    });
+  }
+
+  return { list, history, create, authenticate, resetPassword, changePassword, update, suspend, reactivate, issueReset, remove };
+}
+
+module.exports = { createStaffAccounts, MIN_PASSWORD_LENGTH };
@@ -0,0 +1,121 @@
+// Services/storage/cloudinary.js
+// Cloudinary driver. Everything is uploaded with type 'private', so the plain delivery URLs don't work;
+// signedUrl returns a private_download_url that expires. Images/videos get their extension back as
+// `format` (public_id = key without it); other files are 'raw' and keep the extension in the key.
+// Audio is stored as resource_type video, as Cloudinary expects.
+// Env: CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET
+const path = require('path');
+const { Readable } = require('stream');
+const { descriptor, refKey } = require('./descriptor');
+
+const LARGE_UPLOAD = 20 * 1024 * 1024; // upload_large (chunked) above this
+
+function resourceTypeFor(contentType){
+  const t = String(contentType || '');
+  if(t.startsWith('image/')) return 'image';
+  if(t.startsWith('video/') || t.startsWith('audio/')) return 'video';
+  return 'raw';
+}
+
+function createCloudinaryStorage({
+  cloudName = process.env.CLOUDINARY_CLOUD_NAME,
+  apiKey = process.env.CLOUDINARY_API_KEY,
+  apiSecret = process.env.CLOUDINARY_API_SECRET,
+  cloudinary = null
+} = {}){
+  if(!cloudinary){
+    if(!cloudName || !apiKey || !apiSecret) throw new Error('CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET are required for the cloudinary storage driver');
+    cloudinary = require('cloudinary').v2;
+    cloudinary.config({ cloud_name: cloudName, api_key: apiKey, api_secret: apiSecret, secure: true });
+  }
+
+  // stored descriptor or bare key; a bare key is resolved the way put() named it
+  function locate(ref){
+    if(typeof ref === 'object' && (ref.resourceType || ref.resource_type)){
+      return { publicId: refKey(ref), resourceType: ref.resourceType || ref.resource_type, format: ref.format || '' };
+    }
+    const key = refKey(ref);
+    const contentType = typeof ref === 'object' ? (ref.contentType || ref.mimetype) : null;
+    const resourceType = resourceTypeFor(contentType);
+    const ext = path.extname(key);
+    return resourceType === 'raw' ? { publicId: key, resourceType, format: '' } : { publicId: key.slice(0, key.length - ext.length), resourceType, format: ext.slice(1) };
+  }
+
+  function toDescriptor(res, extra = {}){
+    return descriptor(Object.assign({
+      driver: 'cloudinary', key: res.public_id, size: res.bytes, resourceType: res.resource_type,
+      format: res.resource_type === 'raw' ? null : res.format, etag: res.etag
+    }, extra));
+  }
+
+  async function put(key, source, { contentType, size, originalName } = {}){
+    const resourceType = resourceTypeFor(contentType);
+    const ext = path.extname(key);
+    const options = {
+      type: 'private',
+      resource_type: resourceType,
+      public_id: resourceType === 'raw' ? key : key.slice(0, key.length - ext.length),
+      overwrite: false
+    };
+    let res;
+    if(source && source.path){
+      res = (size || 0) > LARGE_UPLOAD && resourceType !== 'image'
+        ? await cloudinary.uploader.upload_large(source.path, options)
+        : await cloudinary.uploader.upload(source.path, options);
+    } else {
+      res = await new Promise((resolve, reject) => {
+        const up = cloudinary.uploader.upload_stream(options, (err, out) => err ? reject(err) : resolve(out));
+        if(Buffer.isBuffer(source)) up.end(source);
+        else source.pipe(up);
+      });
+    }
+    return toDescriptor(res, { contentType, originalName });
+  }
+
+  function signedUrl(ref, { expiresIn = 300, downloadName } = {}){
+    const { publicId, resourceType, format } = locate(ref);
+    return cloudinary.utils.private_download_url(publicId, format, {
+      resource_type: resourceType, type: 'private', expires_at: Math.floor(Date.now() / 1000) + expiresIn, attachment: !!downloadName
+    });
+  }
+
+  async function metadata(ref){
+    const { publicId, resourceType } = locate(ref);
+    try {
+      const res = await cloudinary.api.resource(publicId, { type: 'private', resource_type: resourceType });
+      return toDescriptor(res, typeof ref === 'object' ? { contentType: ref.contentType || ref.mimetype, originalName: ref.originalName } : {});
+    } catch(e){
+      const code = e.http_code || (e.error && e.error.http_code);
+      if(code === 404) return null;
+      throw e;
+    }
+  }
+
+  async function get(ref){
+    const r = await fetch(signedUrl(ref, { expiresIn: 60 }));
+    if(r.status === 404) return null;
+    if(!r.ok) throw new Error(`cloudinary download of ${refKey(ref)} failed: ${r.status}`);
+    const size = r.headers.get('content-length');
+    return {
+      stream: Readable.fromWeb(r.body),
+      contentType: (typeof ref === 'object' && (ref.contentType || ref.mimetype)) || r.headers.get('content-type'),
+      size: size == null ? null : Number(size)
+    };
+  }
+
+  async function remove(ref){
+    const { publicId, resourceType } = locate(ref);
+    const res = await cloudinary.uploader.destroy(publicId, { type: 'private', resource_type: resourceType, invalidate: true });
+    if(res && res.result !== 'ok' && res.result !== 'not found') throw new Error(`cloudinary destroy of ${publicId} failed: ${res.result}`);
+    return true;
+  }
+
+  // credential check for the boot log (doesn't block start-up)
+  function check(){
+    return cloudinary.api.resources({ max_results: 1 });
+  }
+
+  return { name: 'cloudinary', client: cloudinary, put, get, signedUrl, delete: remove, metadata, check };
+}
+
+module.exports = { createCloudinaryStorage, resourceTypeFor };
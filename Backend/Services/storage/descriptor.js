@@ -0,0 +1,29 @@
+// Services/storage/descriptor.js
+// The one file descriptor every storage driver returns (see index.js), and its mapping to the
+// storage/storage_key/resource_type/format/mimetype/size columns used by tables that keep files.
+
+function descriptor(fields){
+  return {
+    driver: fields.driver,
+    key: fields.key,
+    contentType: fields.contentType || null,
+    size: fields.size == null ? null : Number(fields.size),
+    resourceType: fields.resourceType || null,
+    format: fields.format || null,
+    originalName: fields.originalName || null,
+    etag: fields.etag || null
+  };
+}
+
+// table columns (storage, storage_key, resource_type, format, mimetype, size) <-> descriptor
+function fromRow(row){
+  if(!row || !row.storage_key) return null;
+  return descriptor({ driver: row.storage, key: row.storage_key, contentType: row.mimetype, size: row.size, resourceType: row.resource_type, format: row.format });
+}
+function toRow(file){
+  return { storage: file.driver, storage_key: file.key, resource_type: file.resourceType, format: file.format, mimetype: file.contentType, size: file.size };
+}
+
+const refKey = ref => typeof ref === 'string' ? ref : (ref && (ref.key || ref.storage_key));
+
+module.exports = { descriptor, fromRow, toRow, refKey };
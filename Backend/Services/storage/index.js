@@ -0,0 +1,98 @@
+// Services/storage/index.js
+// File storage registry. Every driver implements the same interface, keyed by a path-like key
+// ('kyc/<uuid>.jpg', 'disputes/<uuid>.pdf', 'avatars/<user>/<uuid>.png', 'chat/<job>/<uuid>.mp4'):
+//
+//   name
+//   put(key, source, { contentType, size, originalName })  source: { path } | Buffer | Readable
+//     -> descriptor
+//   get(ref)        -> { stream, contentType, size } or null when missing
+//   signedUrl(ref, { expiresIn, contentType, downloadName }) -> URL that works without a session until it expires
+//   delete(ref)     -> true (missing objects count as deleted)
+//   metadata(ref)   -> descriptor or null when missing
+//
+// ref is a descriptor (or a row with storage/storage_key/... columns, see fromRow) or a bare key.
+// Descriptor, the same whatever the driver:
+//   { driver, key, contentType, size, resourceType, format, originalName, etag }
+// resourceType/format only matter to cloudinary (image|video|raw and the extension it stored).
+// Nothing here is public: files are handed out through signedUrl only.
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const multer = require('multer');
+const { createLocalStorage } = require('./local');
+const { createCloudinaryStorage } = require('./cloudinary');
+const { createS3Storage } = require('./s3');
+const { descriptor, fromRow, toRow, refKey } = require('./descriptor');
+
+const FACTORIES = {
+  local: createLocalStorage,
+  cloudinary: createCloudinaryStorage,
+  s3: createS3Storage
+};
+
+// STORAGE_DRIVER=local|cloudinary|s3 (default cloudinary when its env vars are set, else local)
+function createStorage(name = process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local'), opts = {}){
+  const factory = FACTORIES[String(name).toLowerCase()];
+  if(!factory) throw new Error(`Unknown storage driver "${name}"`);
+  return factory(opts);
+}
+
+// extension from the uploaded name, limited to something safe to put in a key
+const extOf = name => path.extname(name || '').toLowerCase().replace(/[^.a-z0-9]/g, '').slice(0, 10);
+
+/**
+ * multer in front of a storage driver: files land in a temp dir, then go to storage under
+ * `${prefix(req, file)}/<uuid><ext>`; each req.files entry gets `stored` (the descriptor).
+ * If anything fails, files already stored for the request are deleted again.
+ * Returns { fields(spec), array(name, max), discard(files) } -> express middleware like multer's.
+ */
+function createUploader(storage, { prefix, limits, types = /^(image|video)\//, typeError = 'Unsupported file type' }){
+  const tmp = path.join(os.tmpdir(), 'wireconnect-uploads');
+  try { fs.mkdirSync(tmp, { recursive: true }); } catch(e){ /* ignore */ }
+  const upload = multer({
+    storage: multer.diskStorage({ destination: (req, file, cb) => cb(null, tmp) }),
+    limits,
+    fileFilter: (req, file, cb) => {
+      if(types.test(file.mimetype || '')) return cb(null, true);
+      const err = new Error(`${typeError}: ${file.mimetype}`);
+      err.code = 'UNSUPPORTED_TYPE';
+      return cb(err);
+    }
+  });
+
+  const all = files => Array.isArray(files) ? files : Object.values(files || {}).flat();
+  const unlinkTemp = files => Promise.all(all(files).map(f => f.path && fs.promises.unlink(f.path).catch(() => {})));
+
+  async function discard(files){
+    await unlinkTemp(files);
+    await Promise.all(all(files).filter(f => f.stored).map(f =>
+      storage.delete(f.stored).catch(e => console.error('storage discard', f.stored.key, e.message))));
+  }
+
+  async function store(req){
+    for(const f of all(req.files)){
+      const key = `${prefix(req, f)}/${crypto.randomUUID()}${extOf(f.originalname)}`;
+      f.stored = await storage.put(key, { path: f.path }, { contentType: f.mimetype, size: f.size, originalName: f.originalname });
+    }
+  }
+
+  const wrap = mw => (req, res, next) => mw(req, res, async (err) => {
+    if(err){ await discard(req.files); return next(err); }
+    try { await store(req); }
+    catch(e){ await discard(req.files); return next(e); }
+    await unlinkTemp(req.files);
+    // used by the error middleware (Middleware/errors.js) when the request fails after this point
+    const stored = req.files;
+    req.discardUploads = () => discard(stored);
+    return next();
+  });
+
+  return {
+    fields: spec => wrap(upload.fields(spec)),
+    array: (name, max) => wrap(upload.array(name, max)),
+    discard
+  };
+}
+
+module.exports = { createStorage, createUploader, descriptor, fromRow, toRow, refKey, extOf, DRIVERS: Object.keys(FACTORIES) };
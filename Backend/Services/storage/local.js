@@ -0,0 +1,102 @@
+// Services/storage/local.js
+// Local filesystem driver: <root>/<key>. Nothing under root is served statically; signedUrl returns
+// /api/files/<key>?expires=&type=&name=&sig= (HMAC over all of those) which GET /api/files/* checks
+// with openSigned before streaming the file.
+// Env: STORAGE_LOCAL_DIR (default Backend/uploads), FILE_URL_SECRET (falls back to JWT_SECRET)
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { descriptor, refKey } = require('./descriptor');
+
+// the type recorded in the descriptor is preferred; this only covers files put without one
+const TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp', '.gif': 'image/gif',
+  '.mp4': 'video/mp4', '.mov': 'video/quicktime', '.webm': 'video/webm', '.pdf': 'application/pdf',
+  '.mp3': 'audio/mpeg', '.m4a': 'audio/mp4', '.ogg': 'audio/ogg' };
+
+function createLocalStorage({ root = process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', '..', 'uploads'), secret = process.env.FILE_URL_SECRET || process.env.JWT_SECRET, urlPrefix = '/api/files/' } = {}){
+  if(!secret){
+    console.warn('FILE_URL_SECRET not set: signed file links will not survive a restart.');
+    secret = crypto.randomBytes(32).toString('hex');
+  }
+  root = path.resolve(root);
+
+  // keys are relative paths; anything that would escape root is refused
+  function fileFor(ref){
+    const key = refKey(ref);
+    const full = path.resolve(root, String(key || ''));
+    if(!key || !full.startsWith(root + path.sep)) throw new Error('Invalid storage key: ' + key);
+    return full;
+  }
+
+  async function put(key, source, { contentType, originalName } = {}){
+    const file = fileFor(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    if(Buffer.isBuffer(source)) await fs.promises.writeFile(file, source);
+    else if(source && source.path){
+      try { await fs.promises.rename(source.path, file); }
+      catch(e){
+        if(e.code !== 'EXDEV') throw e;
+        await fs.promises.copyFile(source.path, file);
+        await fs.promises.unlink(source.path).catch(() => {});
+      }
+    } else await pipeline(source, fs.createWriteStream(file));
+    const st = await fs.promises.stat(file);
+    return descriptor({ driver: 'local', key, contentType: contentType || TYPES[path.extname(file).toLowerCase()], size: st.size, originalName });
+  }
+
+  async function metadata(ref){
+    try {
+      const st = await fs.promises.stat(fileFor(ref));
+      const known = typeof ref === 'object' ? ref : {};
+      return descriptor(Object.assign({}, known, { driver: 'local', key: refKey(ref), size: st.size,
+        contentType: known.contentType || known.mimetype || TYPES[path.extname(refKey(ref)).toLowerCase()] }));
+    } catch(e){
+      if(e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  async function get(ref){
+    const meta = await metadata(ref);
+    if(!meta) return null;
+    return { stream: fs.createReadStream(fileFor(ref)), contentType: meta.contentType, size: meta.size };
+  }
+
+  async function remove(ref){
+    try { await fs.promises.unlink(fileFor(ref)); }
+    catch(e){ if(e.code !== 'ENOENT') throw e; }
+    return true;
+  }
+
+  const sign = (key, expires, type, name) =>
+    crypto.createHmac('sha256', secret).update([key, expires, type, name].join('\n')).digest('base64url');
+
+  function signedUrl(ref, { expiresIn = 300, contentType, downloadName } = {}){
+    const key = refKey(ref);
+    const type = contentType || (typeof ref === 'object' && (ref.contentType || ref.mimetype)) || '';
+    const name = downloadName || '';
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const qs = new URLSearchParams({ expires: String(expires) });
+    if(type) qs.set('type', type);
+    if(name) qs.set('name', name);
+    qs.set('sig', sign(key, expires, type, name));
+    return urlPrefix + key.split('/').map(encodeURIComponent).join('/') + '?' + qs.toString();
+  }
+
+  // GET /api/files/<key>: { stream, contentType, size, downloadName } when the link is genuine and unexpired
+  async function openSigned(key, { expires, type = '', name = '', sig } = {}){
+    const exp = Number(expires);
+    if(!Number.isFinite(exp) || exp < Date.now() / 1000 || typeof sig !== 'string') return null;
+    const expected = Buffer.from(sign(key, exp, type, name));
+    const given = Buffer.from(sig);
+    if(expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+    const file = await get(key);
+    if(!file) return null;
+    return Object.assign(file, { contentType: type || file.contentType, downloadName: name || null });
+  }
+
+  return { name: 'local', root, put, get, signedUrl, delete: remove, metadata, openSigned };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,142 @@
+// Services/storage/s3.js
+// S3-compatible driver (AWS S3, MinIO, R2, a local stand-in...). Requests are signed with AWS
+// Signature V4 directly, like the payment adapters talk to their APIs without an SDK; signedUrl is a
+// presigned GET. The bucket should block public access: links from signedUrl are the only way in.
+// Env: S3_BUCKET, S3_REGION (default us-east-1), S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+//      S3_ENDPOINT (for non-AWS services; implies path-style URLs unless S3_FORCE_PATH_STYLE=false)
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { descriptor, refKey } = require('./descriptor');
+
+const UNSIGNED = 'UNSIGNED-PAYLOAD';
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+// RFC 3986 encoding as SigV4 wants it
+const enc = s => encodeURIComponent(s).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+const amzDate = d => d.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+function createS3Storage({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  endpoint = process.env.S3_ENDPOINT || null,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE !== 'false' : null
+} = {}){
+  if(!bucket || !accessKeyId || !secretAccessKey) throw new Error('S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY are required for the s3 storage driver');
+
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  if(forcePathStyle == null) forcePathStyle = !!endpoint;
+  const host = forcePathStyle ? base.host : `${bucket}.${base.host}`;
+  const objectPath = key => (forcePathStyle ? `/${enc(bucket)}/` : '/') + String(key).split('/').map(enc).join('/');
+
+  function signingKey(date){
+    return hmac(hmac(hmac(hmac('AWS4' + secretAccessKey, date), region), 's3'), 'aws4_request');
+  }
+
+  // -> signature over the canonical request; headers must already include host (and x-amz-* for header auth)
+  function signature(method, pathname, query, headers, payloadHash, now){
+    const date = amzDate(now).slice(0, 8);
+    const names = Object.keys(headers).map(h => h.toLowerCase()).sort();
+    const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()]));
+    const canonicalQuery = Object.keys(query).sort().map(k => `${enc(k)}=${enc(query[k])}`).join('&');
+    const canonical = [method, pathname, canonicalQuery, names.map(n => `${n}:${lower[n]}\n`).join(''), names.join(';'), payloadHash].join('\n');
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const toSign = ['AWS4-HMAC-SHA256', amzDate(now), scope, sha256(canonical)].join('\n');
+    return { scope, signedHeaders: names.join(';'), value: hmac(signingKey(date), toSign).toString('hex') };
+  }
+
+  // one signed request; body: Buffer | Readable | null. Resolves with the response (body unread for GET).
+  function request(method, key, { headers = {}, body = null, payloadHash = UNSIGNED } = {}){
+    const now = new Date();
+    const pathname = objectPath(key);
+    const all = Object.assign({ host, 'x-amz-date': amzDate(now), 'x-amz-content-sha256': payloadHash }, headers);
+    const sig = signature(method, pathname, {}, all, payloadHash, now);
+    all.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${sig.scope}, SignedHeaders=${sig.signedHeaders}, Signature=${sig.value}`;
+    const lib = base.protocol === 'http:' ? http : https;
+    return new Promise((resolve, reject) => {
+      const req = lib.request({ method, hostname: base.hostname, port: base.port || undefined, path: pathname, headers: all }, resolve);
+      req.on('error', reject);
+      if(!body) req.end();
+      else if(Buffer.isBuffer(body)) req.end(body);
+      else body.on('error', reject).pipe(req);
+    });
+  }
+
+  const drain = res => new Promise(resolve => { res.resume(); res.on('end', resolve); });
+  async function failed(res, what){
+    const chunks = [];
+    for await (const c of res) chunks.push(c);
+    const text = Buffer.concat(chunks).toString();
+    const code = (/<Code>([^<]+)<\/Code>/.exec(text) || [])[1];
+    return new Error(`s3 ${what} failed: ${res.statusCode}${code ? ' ' + code : ''}`);
+  }
+
+  async function put(key, source, { contentType, size, originalName } = {}){
+    let body = source;
+    let length = size;
+    let payloadHash = UNSIGNED;
+    if(Buffer.isBuffer(source)){ length = source.length; payloadHash = sha256(source); }
+    else if(source && source.path){ length = (await fs.promises.stat(source.path)).size; body = fs.createReadStream(source.path); }
+    else if(length == null) throw new Error('s3 put of a stream needs its size');
+    const headers = { 'content-type': contentType || 'application/octet-stream', 'content-length': length };
+    const res = await request('PUT', key, { headers, body, payloadHash });
+    if(res.statusCode !== 200) throw await failed(res, `PUT ${key}`);
+    await drain(res);
+    return descriptor({ driver: 's3', key, contentType, size: length, originalName, etag: String(res.headers.etag || '').replace(/"/g, '') || null });
+  }
+
+  async function metadata(ref){
+    const key = refKey(ref);
+    const res = await request('HEAD', key);
+    await drain(res);
+    if(res.statusCode === 404) return null;
+    if(res.statusCode !== 200) throw new Error(`s3 HEAD ${key} failed: ${res.statusCode}`);
+    return descriptor({ driver: 's3', key, contentType: res.headers['content-type'], size: res.headers['content-length'],
+      etag: String(res.headers.etag || '').replace(/"/g, '') || null, originalName: typeof ref === 'object' ? ref.originalName : null });
+  }
+
+  async function get(ref){
+    const key = refKey(ref);
+    const res = await request('GET', key);
+    if(res.statusCode === 404){ await drain(res); return null; }
+    if(res.statusCode !== 200) throw await failed(res, `GET ${key}`);
+    const size = res.headers['content-length'];
+    return { stream: res, contentType: res.headers['content-type'], size: size == null ? null : Number(size) };
+  }
+
+  async function remove(ref){
+    const key = refKey(ref);
+    const res = await request('DELETE', key);
+    if(res.statusCode !== 204 && res.statusCode !== 200 && res.statusCode !== 404) throw await failed(res, `DELETE ${key}`);
+    await drain(res);
+    return true;
+  }
+
+  // presigned GET (query-string auth); at most 7 days, as S3 allows
+  function signedUrl(ref, { expiresIn = 300, contentType, downloadName } = {}){
+    const key = refKey(ref);
+    const now = new Date();
+    const pathname = objectPath(key);
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${accessKeyId}/${amzDate(now).slice(0, 8)}/${region}/s3/aws4_request`,
+      'X-Amz-Date': amzDate(now),
+      'X-Amz-Expires': String(Math.min(expiresIn, 604800)),
+      'X-Amz-SignedHeaders': 'host'
+    };
+    const type = contentType || (typeof ref === 'object' && (ref.contentType || ref.mimetype));
+    if(type) query['response-content-type'] = type;
+    if(downloadName) query['response-content-disposition'] = `attachment; filename="${String(downloadName).replace(/["\\\r\n]/g, '')}"`;
+    const sig = signature('GET', pathname, query, { host }, UNSIGNED, now);
+    query['X-Amz-Signature'] = sig.value;
+    const qs = Object.keys(query).map(k => `${enc(k)}=${enc(query[k])}`).join('&');
+    return `${base.protocol}//${host}${pathname}?${qs}`;
+  }
+
+  return { name: 's3', bucket, put, get, signedUrl, delete: remove, metadata };
+}
+
+module.exports = { createS3Storage };
@@ -0,0 +1,168 @@
+// Services/users.js
+// Client and technician accounts: registration, sign-in checks, profile and avatar, technician
+// presence, and admin suspension. Staff accounts are Services/staff.js. Results are
+// { ok, status?, message?, ... } like the other services; queries live in Data/users.js.
+const bcrypt = require('bcryptjs');
+const { withTransaction } = require('./ledger');
+const { revokeAllRefreshTokens } = require('../Middleware/auth');
+const { safePublish } = require('./realtime');
+const users = require('../Data/users');
+const jobs = require('../Data/jobs');
+
+// self-registration may only create clients and technicians; staff/admin come from the admin console
+const SELF_SERVICE_ROLES = ['client', 'worker', 'technician'];
+// 'technician' is the word the sign-up form uses; matching and the location index only know 'worker'
+const STORED_ROLE = { technician: 'worker' };
+
+// what a signed-in user gets back about themselves
+function safeUser(user){
+  return {
+    id: user.id,
+    role: user.role,
+    email: user.email,
+    phone: user.phone,
+    fullname: user.fullname,
+    username: user.username,
+    state: user.state,
+    lga: user.lga,
+    city: user.city,
+    gender: user.gender,
+    specializations: user.specializations,
+    kyc_status: user.kyc_status,
+    avatar_url: user.avatar_url,
+    profile_complete: user.profile_complete,
+    account_details: user.account_details,
+    online: user.online,
+    lat: user.lat,
+    lng: user.lng,
+    created_at: user.created_at
+  };
+}
+
+// simple rule: avatar + payout account present
+const isProfileComplete = (avatar, account) => !!(avatar && account && account.bank && account.account_number);
+const finiteOrNull = v => { const n = (v === null || v === undefined) ? null : Number(v); return Number.isFinite(n) ? n : null; };
+
+function createUserAccounts({ pool, storage, events, audit }){
+
+  function dropFile(file){
+    if(file) storage.delete(file).catch(e => console.error('old avatar delete', e.message));
+  }
+
+  // body is checked by the registration schema (Routes/auth.js); the role rule is enforced here as well
+  async function register(body){
+    const {
+      role, email, phone, fullname, username,
+      state, lga, city, gender, specializations, password
+    } = body || {};
+
+    const asked = String(role || 'client').toLowerCase();
+    if(!SELF_SERVICE_ROLES.includes(asked)) return { ok: false, status: 400, message: 'Invalid role' };
+
+    if(await users.findDuplicate(pool, { email, username, phone })){
+      return { ok: false, status: 409, message: 'Email, username or phone already exists' };
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const user = await users.insert(pool, {
+      id: users.uid(),
+      role: STORED_ROLE[asked] || asked,
+      email, phone, fullname, username,
+      state, lga, city,
+      gender: gender || 'other',
+      specializations: Array.isArray(specializations) ? specializations : [],
+      password_hash: await bcrypt.hash(password, salt),
+      kyc_status: 'not_required'
+    });
+    return { ok: true, userId: user.id };
+  }
+
+  // email, username or phone + password -> { ok, user (safe fields), role }
+  async function signIn(login, password){
+    const user = await users.findByLogin(pool, login);
+    if(!user) return { ok: false, status: 404, message: 'User not found' };
+    if(!(await bcrypt.compare(password, user.password_hash))) return { ok: false, status: 401, message: 'Incorrect password' };
+    if(user.suspended_at) return { ok: false, status: 403, message: 'This account is suspended' };
+
+    const roleRaw = (user.role || '').toString().toLowerCase();
+    // staff accounts were moved to the staff table (Migrations/0008_staff_from_users.js) and sign in with their email there
+    if(roleRaw === 'staff') return { ok: false, status: 403, message: 'Staff sign in with their staff email address' };
+    const role = (roleRaw === 'worker' || roleRaw === 'technician') ? 'worker' : (roleRaw || 'client');
+    return { ok: true, user: safeUser(user), role };
+  }
+
+  // { avatarUrl, fullname, account: { bank, account_number, account_name } }, all optional
+  async function updateProfile(userId, { avatarUrl, fullname, account } = {}){
+    const row = await users.findById(pool, userId);
+    if(!row) return { ok: false, status: 404, message: 'User not found' };
+
+    const newAvatar = avatarUrl || row.avatar_url;
+    const newAccount = account ? account : row.account_details;
+    // an explicit avatarUrl replaces an uploaded avatar
+    const replacesFile = !!(avatarUrl && avatarUrl !== row.avatar_url && row.avatar_file);
+    const user = await users.updateProfile(pool, userId, {
+      fullname: fullname || row.fullname,
+      avatarUrl: newAvatar,
+      accountDetails: newAccount,
+      profileComplete: isProfileComplete(newAvatar, newAccount),
+      dropAvatarFile: replacesFile
+    });
+    if(replacesFile) dropFile(row.avatar_file);
+    return { ok: true, user };
+  }
+
+  // file: the stored upload; url: the stable link to it (GET /api/users/:id/avatar)
+  async function setAvatar(userId, file, url){
+    const row = await users.findById(pool, userId);
+    if(!row) return { ok: false, status: 404, message: 'User not found' };
+    const user = await users.setAvatar(pool, userId, { file, url, profileComplete: isProfileComplete(url, row.account_details || {}) });
+    dropFile(row.avatar_file);
+    return { ok: true, user };
+  }
+
+  /**
+   * Technician goes on/offline with their position. Clients whose job they're working on follow the
+   * location live; admins get the presence change. Suspended technicians can only go offline.
+   */
+  async function setPresence(techId, { online, lat, lng } = {}){
+    const location = { techId, online: !!online, lat: finiteOrNull(lat), lng: finiteOrNull(lng) };
+    if(!(await users.setPresence(pool, techId, location))) return { ok: false, status: 403, message: 'This account is suspended' };
+
+    for(const j of await jobs.activeForTech(pool, techId)){
+      await safePublish(events, 'tech.location', Object.assign({ jobId: j.id }, location), { users: [j.client_id] });
+    }
+    await safePublish(events, 'presence', { userId: techId, role: 'worker', online: !!online }, { roles: ['admin'] });
+    return { ok: true };
+  }
+
+  /**
+   * Suspend / reactivate a client or technician. Suspension signs them out (refresh tokens
+   * revoked), blocks sign-in and takes a technician offline and out of matching.
+   */
+  async function setSuspension(userId, actor, suspend, reason, ip){
+    const out = await withTransaction(pool, async (db) => {
+      const cur = await users.lockForSuspension(db, userId);
+      if(!cur) return { error: { status: 404, message: 'User not found' } };
+      if(!!cur.suspended_at === suspend) return { error: { status: 409, message: suspend ? 'User is already suspended' : 'User is not suspended' } };
+      const user = suspend
+        ? await users.suspend(db, cur.id, { by: String(actor.id), reason: reason ? String(reason).trim() : null })
+        : await users.reactivate(db, cur.id);
+      if(suspend) await revokeAllRefreshTokens(db, cur.id);
+      await audit.record(db, {
+        actor, action: suspend ? 'user.suspended' : 'user.reactivated', targetType: 'user', targetId: cur.id,
+        before: cur, after: user, ip, note: reason || null
+      });
+      return { user };
+    });
+    if(out.error) return Object.assign({ ok: false }, out.error);
+    if(suspend && out.user.role === 'worker') await safePublish(events, 'presence', { userId: out.user.id, role: 'worker', online: false }, { roles: ['admin'] });
+    return { ok: true, user: out.user };
+  }
+
+  // a suspended (or deleted) user's access token stops working at once, see Middleware/auth.js
+  const isActive = userId => users.isActive(pool, userId);
+
+  return { register, signIn, updateProfile, setAvatar, setPresence, setSuspension, isActive };
+}
+
+module.exports = { createUserAccounts, SELF_SERVICE_ROLES };
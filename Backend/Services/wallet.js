@@ -0,0 +1,176 @@
+// Services/wallet.js
+// Technician withdrawals out of the ledger wallet (Services/ledger.js).
+//   kind='withdrawal'  requested -> approved -> processing -> paid
+//                      requested -> rejected,  approved|processing -> failed
+// A request moves the amount wallet -> hold so it can't be spent twice; paying it moves
+// hold -> provider cash, and a rejection or failed transfer puts it back in the wallet.
+// Requests are reviewed by the transaction-review staff queue before any money moves.
+// kind='adjustment' rows are manual credits/debits by admins (platform:adjustments <-> wallet).
+const crypto = require('crypto');
+const { ACCOUNTS, cents, post, balance, lockAccount, withTransaction } = require('./ledger');
+const { safePublish } = require('./realtime');
+
+const MIN_WITHDRAWAL = Number(process.env.WALLET_MIN_WITHDRAWAL || 1000);
+
+function createWallet({ pool, provider, events = null, audit = null, minWithdrawal = MIN_WITHDRAWAL }){
+
+  async function requestWithdrawal(techId, amount){
+    const value = cents(amount) / 100;
+    if(!Number.isFinite(value) || value <= 0) return { ok: false, status: 400, message: 'amount must be a positive number' };
+    if(value < minWithdrawal) return { ok: false, status: 400, message: `Minimum withdrawal is ${minWithdrawal}` };
+
+    const user = (await pool.query(`SELECT id, account_details FROM users WHERE id=$1`, [techId])).rows[0];
+    const account = user && user.account_details;
+    if(!account || !account.account_number) return { ok: false, status: 400, message: 'Add your bank account details before withdrawing' };
+
+    const row = await withTransaction(pool, async (db) => {
+      await lockAccount(db, ACCOUNTS.wallet(techId));
+      const available = await balance(db, ACCOUNTS.wallet(techId));
+      if(cents(value) > cents(available)) return null;
+      const id = crypto.randomUUID();
+      const ins = await db.query(
+        `INSERT INTO transactions (id, tech_id, amount, currency, method, status, kind, provider, metadata)
+         VALUES ($1,$2,$3,'NGN','transfer','requested','withdrawal',$4,$5) RETURNING *`,
+        [id, techId, value, provider.name, JSON.stringify({ account })]);
+      await post(db, id, [
+        { account: ACCOUNTS.wallet(techId), amount: value },
+        { account: ACCOUNTS.hold(techId), amount: -value }
+      ]);
+      return ins.rows[0];
+    });
+    if(!row) return { ok: false, status: 400, message: 'Insufficient balance' };
+    await safePublish(events, 'wallet.withdrawal', { id: row.id, status: row.status, amount: value }, { users: [techId], roles: ['admin', 'staff'] });
+    return { ok: true, withdrawal: row };
+  }
+
+  async function listWithdrawals(techId){
+    const r = await pool.query(
+      `SELECT id, amount, currency, status, provider_ref, metadata, created_at, updated_at
+       FROM transactions WHERE kind='withdrawal' AND tech_id=$1 ORDER BY created_at DESC LIMIT 100`, [techId]);
+    return r.rows;
+  }
+
+  // transaction-review queue (oldest first so nothing starves)
+  async function reviewQueue({ status = 'requested', limit = 50, offset = 0 } = {}){
+    const r = await pool.query(`
+      SELECT t.id, t.tech_id, t.amount, t.currency, t.status, t.provider_ref, t.metadata, t.created_at, t.updated_at,
+             u.fullname AS tech_name, u.username AS tech_username, u.kyc_status,
+             COALESCE((SELECT -SUM(e.amount) FROM ledger_entries e WHERE e.account = 'wallet:' || t.tech_id), 0) AS wallet_available
+      FROM transactions t LEFT JOIN users u ON u.id = t.tech_id
+      WHERE t.kind='withdrawal' AND t.status=$1
+      ORDER BY t.created_at ASC
+      LIMIT $2 OFFSET $3`, [status, limit, offset]);
+    return r.rows.map(x => Object.assign(x, { wallet_available: Number(x.wallet_available) }));
+  }
+
+  // close a withdrawal: 'paid' moves hold -> cash, 'rejected'/'failed' returns hold -> wallet
+  async function settle(db, row, status, extra = {}){
+    const meta = Object.assign({}, extra.metadata || {});
+    const upd = await db.query(
+      `UPDATE transactions SET status=$2, provider_ref=COALESCE($3, provider_ref),
+              metadata=COALESCE(metadata,'{}'::jsonb) || $4::jsonb, updated_at=now()
+       WHERE id=$1 RETURNING *`, [row.id, status, extra.providerRef || null, JSON.stringify(meta)]);
+    const amount = Number(row.amount);
+    await post(db, row.id, status === 'paid'
+      ? [{ account: ACCOUNTS.hold(row.tech_id), amount }, { account: ACCOUNTS.cash, amount: -amount }]
+      : [{ account: ACCOUNTS.hold(row.tech_id), amount }, { account: ACCOUNTS.wallet(row.tech_id), amount: -amount }]);
+    return upd.rows[0];
+  }
+
+  /**
+   * Staff decision on a requested withdrawal. reviewer: { id, role }.
+   * Approval sends the transfer to the technician's bank account right away.
+   */
+  async function decide(id, reviewer, decision, note, ip){
+    if(!['approve', 'reject'].includes(decision)) return { ok: false, status: 400, message: 'decision must be approve or reject' };
+    const review = { reviewed_by: reviewer.id, reviewer_role: reviewer.role, reviewed_at: new Date().toISOString(), review_note: note || null };
+
+    const row = await withTransaction(pool, async (db) => {
+      const cur = (await db.query(`SELECT * FROM transactions WHERE id=$1 AND kind='withdrawal' FOR UPDATE`, [id])).rows[0];
+      if(!cur) return { missing: true };
+      if(cur.status !== 'requested') return { conflict: cur.status };
+      const next = decision === 'reject'
+        ? await settle(db, cur, 'rejected', { metadata: review })
+        : (await db.query(
+          `UPDATE transactions SET status='approved', metadata=COALESCE(metadata,'{}'::jsonb) || $2::jsonb, updated_at=now()
+           WHERE id=$1 RETURNING *`, [id, JSON.stringify(review)])).rows[0];
+      if(audit) await audit.record(db, {
+        actor: reviewer, action: `withdrawal.${next.status}`, targetType: 'withdrawal', targetId: id,
+        before: { status: cur.status, amount: Number(cur.amount), tech_id: cur.tech_id },
+        after: { status: next.status, amount: Number(next.amount), tech_id: next.tech_id }, ip, note
+      });
+      return next;
+    });
+    if(row.missing) return { ok: false, status: 404, message: 'Withdrawal not found' };
+    if(row.conflict) return { ok: false, status: 409, message: `Withdrawal is already ${row.conflict}` };
+
+    const final = decision === 'approve' ? await sendTransfer(row) : row;
+    await safePublish(events, 'wallet.withdrawal', { id: final.id, status: final.status, amount: Number(final.amount) }, { users: [final.tech_id] });
+    return { ok: true, withdrawal: final };
+  }
+
+  async function sendTransfer(row){
+    let result;
+    try{
+      result = await provider.transfer({
+        reference: row.id, amount: Number(row.amount), currency: row.currency,
+        account: (row.metadata && row.metadata.account) || null, reason: 'WireConnect wallet withdrawal'
+      });
+    }catch(e){
+      result = { status: 'failed', error: String(e.message || e) };
+    }
+    return withTransaction(pool, async (db) => {
+      const cur = (await db.query(`SELECT * FROM transactions WHERE id=$1 FOR UPDATE`, [row.id])).rows[0];
+      if(!['approved', 'processing'].includes(cur.status)) return cur; // a webhook got there first
+      if(result.status === 'succeeded') return settle(db, cur, 'paid', { providerRef: result.providerRef });
+      if(result.status === 'failed') return settle(db, cur, 'failed', { providerRef: result.providerRef, metadata: { error: result.error || 'transfer failed' } });
+      const upd = await db.query(
+        `UPDATE transactions SET status='processing', provider_ref=COALESCE($2, provider_ref), updated_at=now() WHERE id=$1 RETURNING *`,
+        [row.id, result.providerRef || null]);
+      return upd.rows[0];
+    });
+  }
+
+  // transfer.succeeded / transfer.failed webhooks (reference = withdrawal id); returns true when handled
+  async function applyTransferEvent(event){
+    const status = event.type === 'transfer.succeeded' ? 'paid' : 'failed';
+    const row = await withTransaction(pool, async (db) => {
+      const cur = (await db.query(`SELECT * FROM transactions WHERE id=$1 AND kind='withdrawal' FOR UPDATE`, [String(event.reference)])).rows[0];
+      if(!cur || !['approved', 'processing'].includes(cur.status)) return null;
+      return settle(db, cur, status, { providerRef: event.providerRef });
+    });
+    if(row) await safePublish(events, 'wallet.withdrawal', { id: row.id, status: row.status, amount: Number(row.amount) }, { users: [row.tech_id] });
+    return !!row;
+  }
+
+  // manual credit (+) / debit (-) by an admin
+  async function adjust(techId, amount, reason, actor, ip){
+    const value = cents(amount) / 100;
+    if(!Number.isFinite(value) || value === 0) return { ok: false, status: 400, message: 'amount must be a non-zero number' };
+    if(!reason) return { ok: false, status: 400, message: 'reason required' };
+    const row = await withTransaction(pool, async (db) => {
+      await lockAccount(db, ACCOUNTS.wallet(techId));
+      if(value < 0 && cents(await balance(db, ACCOUNTS.wallet(techId))) < cents(-value)) return null;
+      const id = crypto.randomUUID();
+      const ins = await db.query(
+        `INSERT INTO transactions (id, tech_id, amount, currency, method, status, kind, metadata)
+         VALUES ($1,$2,$3,'NGN','ledger','succeeded','adjustment',$4) RETURNING *`,
+        [id, techId, value, JSON.stringify({ reason, actor_id: actor && actor.id, actor_role: actor && actor.role })]);
+      await post(db, id, [
+        { account: ACCOUNTS.wallet(techId), amount: -value },
+        { account: ACCOUNTS.adjustments, amount: value }
+      ]);
+      if(audit) await audit.record(db, {
+        actor, action: 'wallet.adjusted', targetType: 'wallet', targetId: techId,
+        after: { transaction_id: id, amount: value }, ip, note: reason
+      });
+      return ins.rows[0];
+    });
+    if(!row) return { ok: false, status: 400, message: 'Adjustment would make the wallet negative' };
+    return { ok: true, adjustment: row };
+  }
+
+  return { requestWithdrawal, listWithdrawals, reviewQueue, decide, applyTransferEvent, adjust };
+}
+
+module.exports = { createWallet };
@@ -1,20 +1,38 @@
-const { Worker } = require('bullmq');
-const redis = require('../config/redis');
+// Workers/job worker.js
+// Standalone queue worker (npm run worker): runs the same job handlers as the API's in-process
+// worker (Queues/jobHandlers.js) against the same DATABASE_URL, REDIS_URL, STORAGE_DRIVER,
+// PAYMENT_PROVIDER and KYC_IDV_* settings.
+require('dotenv').config();
+const { createPool } = require('../Config/db');
+const { REDIS_URL, createRedis, createQueue, createWorker } = require('../Config/redis');
+const { createStorage } = require('../Services/storage');
+const { createPaymentProvider } = require('../Services/paymentProviders');
+const { createServices } = require('../Services');
+const { createJobProcessor } = require('../Queues/jobHandlers');
 
-const worker = new Worker(
-  'jobQueue',
-  async (job) => {
-    console.log('Processing job:', job.name);
+if (!REDIS_URL) {
+  console.error('Worker needs REDIS_URL (or REDIS_HOST/REDIS_PORT).');
+  process.exit(1);
+}
 
-    if (job.name === 'notifyTechnician') {
-      console.log('Notifying technician:', job.data);
-    }
+let paymentProvider;
+try {
+  paymentProvider = createPaymentProvider();
+} catch (err) {
+  console.error('Payment provider setup failed:', err.message);
+  process.exit(1);
+}
 
-    if (job.name === 'releasePayment') {
-      console.log('Releasing payment:', job.data);
-    }
-  },
-  { connection: redis }
-);
+const pool = createPool();
+const redis = createRedis(REDIS_URL);
+const queue = createQueue(redis);
+// publish-only: the API instances deliver the pushed events to connected clients
+const services = createServices({ pool, storage: createStorage(), redis, queue, paymentProvider, subscribe: false });
+const processJob = createJobProcessor(services);
 
-console.log('Worker started...');
\ No newline at end of file
+createWorker(redis, async (job) => {
+  console.log('Processing job:', job.name);
+  return processJob(job);
+});
+
+console.log('Worker started...');
@@ -0,0 +1,93 @@
+// app.js
+// The Express application: middleware, metrics and every router (Routes/), around services built
+// by Services/index.js. server.js builds the real pool/Redis/storage and listens; tests can mount
+// createApp() with their own pool, storage and fakes.
+const Sentry = require('@sentry/node'); // optional - set SENTRY_DSN in env
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+const express = require('express');
+const cors = require('cors');
+const { createServices } = require('./Services');
+const { createRouters } = require('./Routes');
+const { authenticate, authenticateStream, requireRole } = require('./Middleware/auth');
+const { countRequests, metricsHandler } = require('./monitoring/prometheus');
+const { HttpError, notFound, errorHandler } = require('./Middleware/errors');
+const { createOpenApiRouter } = require('./Routes/openapi');
+
+/**
+ * pool: pg Pool. storage: Services/storage driver. redis/queue: optional (see Config/redis.js).
+ * services: prebuilt services (Services/index.js createServices); built from the above when left out.
+ * The services are also on app.locals.services.
+ */
+function createApp({ pool, storage, redis = null, queue = null, services = null }){
+  services = services || createServices({ pool, storage, redis, queue });
+  const app = express();
+  app.locals.services = services;
+
+  // Sentry request/tracing handlers early (if enabled)
+  if (process.env.SENTRY_DSN) {
+    app.use(Sentry.Handlers.requestHandler());
+    app.use(Sentry.Handlers.tracingHandler());
+  }
+
+  // ---------- Security & rate limiting ----------
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        scriptSrc: ["'self'"],
+        objectSrc: ["'none'"],
+        upgradeInsecureRequests: [],
+      },
+    },
+  }));
+
+  app.use(rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: Number(process.env.RATE_LIMIT_MAX || 200), // limit each IP
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res, next) => next(new HttpError(429, 'Too many requests, please try again later'))
+  }));
+
+  // ---------- CORS + body parsing ----------
+  app.use(cors({
+    origin: ['https://ezehebubechidubem.github.io'],
+    methods: ['GET','POST','PUT','PATCH','DELETE'],
+    credentials: true
+  }));
+  // keep the raw body around: payment webhooks are signed over the exact bytes received
+  app.use(express.json({ limit: '10mb', verify: (req, res, buf) => { req.rawBody = buf; } })); // allow some room for base64 if demo
+
+  // ---------- Prometheus metrics ----------
+  app.use(countRequests);
+  app.get('/metrics', metricsHandler);
+
+  // Server push stream (SSE). Events: job.offer, job.offer.expired, job.offer.withdrawn, job.status,
+  // message.new, tech.location and (admins) presence. EventSource can't set headers, so the access
+  // token may be passed as ?access_token=
+  app.get('/api/events', authenticateStream, (req, res) => services.realtime.stream(req, res));
+
+  // All /api/admin/* routes need the admin or a staff token, plus the permission on each route
+  app.use('/api/admin', authenticate, requireRole('admin', 'staff'));
+
+  for (const router of createRouters({ pool, storage, services })) app.use(router);
+  // the request schemas above as an OpenAPI document: GET /api/openapi.json
+  app.use(createOpenApiRouter(app));
+
+  // root
+  app.get('/', (req,res)=> res.send('WireConnect backend (with Profile & KYC + infra) running'));
+
+  // Sentry error handler (if enabled) AFTER all routes
+  if (process.env.SENTRY_DSN) {
+    app.use(Sentry.Handlers.errorHandler());
+  }
+
+  // unknown /api routes, then every error as { success:false, code, message, fields }
+  app.use('/api', notFound);
+  app.use(errorHandler());
+
+  return app;
+}
+
+module.exports = { createApp };
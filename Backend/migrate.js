@@ -0,0 +1,49 @@
+// migrate.js: schema migrations from the command line (Services/migrations.js, files in Migrations/)
+//   node migrate.js [up] [--to N]        apply pending migrations (npm run migrate)
+//   node migrate.js rollback [--steps N | --to N]   undo the last N (default 1), or all above version N
+//   node migrate.js status               list versions: applied / pending / changed / missing
+// Uses DATABASE_URL like the API. The API also applies pending migrations when it starts,
+// unless MIGRATE_ON_START=false.
+require('dotenv').config();
+const { createPool } = require('./Config/db');
+const { createMigrator } = require('./Services/migrations');
+
+function option(args, name){
+  const i = args.indexOf(`--${name}`);
+  if(i === -1) return null;
+  const n = Number(args[i + 1]);
+  if(!Number.isInteger(n) || n < 0) throw new Error(`--${name} needs a whole number`);
+  return n;
+}
+
+async function main(){
+  const [command = 'up', ...args] = process.argv.slice(2);
+  const pool = createPool();
+  const migrator = createMigrator({ pool });
+  try{
+    if(command === 'up' || command === 'migrate'){
+      const to = option(args, 'to');
+      const ran = await migrator.migrate(to == null ? {} : { to });
+      console.log(ran.length ? `Applied ${ran.length} migration(s).` : 'Nothing to migrate.');
+    } else if(command === 'rollback' || command === 'down'){
+      const to = option(args, 'to');
+      const steps = option(args, 'steps');
+      const undone = await migrator.rollback(to != null ? { to } : { steps: steps == null ? 1 : steps });
+      console.log(undone.length ? `Rolled back ${undone.length} migration(s).` : 'Nothing to roll back.');
+    } else if(command === 'status'){
+      for(const m of await migrator.status()){
+        const when = m.applied_at ? new Date(m.applied_at).toISOString() : '';
+        console.log(`${String(m.version).padStart(4, '0')}  ${m.state.padEnd(8)} ${m.name}  ${when}`);
+      }
+    } else {
+      throw new Error(`unknown command "${command}" (use up, rollback or status)`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -1,5 +1,34 @@
+// monitoring/prometheus.js
+// Prometheus metrics: process defaults plus an HTTP request counter (scraped at GET /metrics)
 const client = require('prom-client');
 
-client.collectDefaultMetrics();
+client.collectDefaultMetrics({
+  // prefix if you want: prefix: 'wireconnect_',
+  timeout: 5000
+});
 
-module.exports = client;
\ No newline at end of file
+const httpRequestCounter = new client.Counter({
+  name: 'wireconnect_http_requests_total',
+  help: 'Total number of HTTP requests',
+  labelNames: ['method', 'route', 'status_code']
+});
+
+// middleware counting every response
+function countRequests(req, res, next){
+  res.on('finish', () => {
+    const route = req.path || req.originalUrl || 'unknown';
+    httpRequestCounter.inc({ method: req.method, route, status_code: res.statusCode }, 1);
+  });
+  next();
+}
+
+async function metricsHandler(req, res){
+  try {
+    res.set('Content-Type', client.register.contentType);
+    res.end(await client.register.metrics());
+  } catch (err) {
+    res.status(500).end(err.message);
+  }
+}
+
+module.exports = { client, countRequests, metricsHandler };
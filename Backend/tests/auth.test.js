@@ -0,0 +1,134 @@
+// Registration, sign-in, token refresh and logout (Routes/auth.js, Services/users.js), and the
+// access check on every request (Middleware/auth.js)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const { ADMIN, PASSWORD, PLACES } = require('./support/fixtures');
+
+describe('auth', () => {
+  let h;
+  before(async () => { h = await startHarness(); });
+  after(() => h && h.stop());
+
+  const form = (overrides = {}) => Object.assign({
+    email: 'ada@example.com', phone: '08031234567', fullname: 'Ada Obi', username: 'adaobi',
+    state: PLACES.ikeja.state, lga: PLACES.ikeja.lga, city: PLACES.ikeja.city, password: PASSWORD
+  }, overrides);
+
+  it('registers a client and signs in with username, email or phone', async () => {
+    const reg = await h.request('POST', '/api/register', { body: form() });
+    assert.equal(reg.status, 200);
+    assert.ok(reg.body.userId);
+
+    for(const login of ['adaobi', 'ada@example.com', '08031234567']){
+      const res = await h.request('POST', '/api/login', { body: { login, password: PASSWORD } });
+      assert.equal(res.status, 200, login);
+      assert.equal(res.body.role, 'client');
+      assert.equal(res.body.user.id, reg.body.userId);
+      assert.equal(res.body.user.password_hash, undefined);
+      assert.ok(res.body.token && res.body.refreshToken);
+    }
+
+    const me = await h.request('GET', `/api/user/${reg.body.userId}`, { token: (await h.factories.signIn('adaobi')).token });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.user.username, 'adaobi');
+  });
+
+  it('signs technicians in with the worker role', async () => {
+    const tech = await h.factories.technician({ online: false });
+    assert.equal(tech.role, 'worker');
+    assert.deepEqual(tech.user.specializations, ['Conduit Wiring', 'Solar Installation']);
+  });
+
+  it('stores a technician sign-up with the worker role', async () => {
+    const reg = await h.request('POST', '/api/register', { body: form({ role: 'technician', username: 'tundeb', email: 'tunde@example.com', phone: '08033333333' }) });
+    assert.equal(reg.status, 200);
+    assert.equal((await h.pool.query(`SELECT role FROM users WHERE id=$1`, [reg.body.userId])).rows[0].role, 'worker');
+    assert.equal((await h.request('POST', '/api/login', { body: { login: 'tundeb', password: PASSWORD } })).body.role, 'worker');
+  });
+
+  it('rejects a taken email, username or phone', async () => {
+    await h.factories.client({ username: 'taken', email: 'taken@example.com', phone: '08099999999' });
+    for(const clash of [{ username: 'taken' }, { email: 'taken@example.com' }, { phone: '08099999999' }]){
+      const n = Object.keys(clash)[0];
+      const res = await h.request('POST', '/api/register', { body: form(Object.assign({ username: `u_${n}`, email: `${n}@example.com`, phone: '08011111111' }, clash)) });
+      assert.equal(res.status, 409, n);
+      assert.equal(res.body.code, 'conflict');
+    }
+  });
+
+  it('validates the form with the error envelope', async () => {
+    const res = await h.request('POST', '/api/register', { body: form({ email: 'not-an-email', password: '123' }) });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.code, 'validation_failed');
+    assert.equal(res.body.message, 'Invalid email');
+    assert.deepEqual(Object.keys(res.body.fields).sort(), ['email', 'password']);
+  });
+
+  it('does not let anyone register as admin or staff', async () => {
+    for(const role of ['admin', 'staff']){
+      const res = await h.request('POST', '/api/register', { body: form({ role, username: `want_${role}`, email: `${role}@example.com`, phone: '08022222222' }) });
+      assert.equal(res.status, 400, role);
+      assert.equal(res.body.fields.role, 'Invalid role');
+    }
+  });
+
+  it('refuses wrong passwords and unknown users', async () => {
+    const user = await h.factories.client();
+    const wrong = await h.request('POST', '/api/login', { body: { login: user.username, password: 'nope' } });
+    assert.equal(wrong.status, 401);
+    const unknown = await h.request('POST', '/api/login', { body: { login: 'nobody', password: PASSWORD } });
+    assert.equal(unknown.status, 404);
+    const admin = await h.request('POST', '/api/login', { body: { login: ADMIN.username, password: 'nope' } });
+    assert.equal(admin.status, 401);
+  });
+
+  it('signs the env admin in', async () => {
+    const res = await h.request('POST', '/api/login', { body: { login: ADMIN.username, password: ADMIN.password } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.role, 'admin');
+    const users = await h.request('GET', '/api/admin/users', { token: res.body.token });
+    assert.equal(users.status, 200);
+  });
+
+  it('rotates refresh tokens and revokes them on logout', async () => {
+    const user = await h.factories.client();
+    const refreshed = await h.request('POST', '/api/auth/refresh', { body: { refreshToken: user.refreshToken } });
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.body.refreshToken, user.refreshToken);
+
+    // the old one was used up
+    const reused = await h.request('POST', '/api/auth/refresh', { body: { refreshToken: user.refreshToken } });
+    assert.equal(reused.status, 401);
+    assert.equal(reused.body.code, 'invalid_token');
+
+    await h.request('POST', '/api/logout', { body: { refreshToken: refreshed.body.refreshToken } });
+    const afterLogout = await h.request('POST', '/api/auth/refresh', { body: { refreshToken: refreshed.body.refreshToken } });
+    assert.equal(afterLogout.status, 401);
+  });
+
+  it('needs a valid token for protected routes', async () => {
+    assert.equal((await h.request('GET', '/api/assigned-jobs')).status, 401);
+    const bad = await h.request('GET', '/api/assigned-jobs', { token: 'garbage' });
+    assert.equal(bad.status, 401);
+    assert.equal(bad.body.code, 'invalid_token');
+    const client = await h.factories.client();
+    assert.equal((await h.request('GET', '/api/assigned-jobs', { token: client.token })).status, 403);
+  });
+
+  it('locks a suspended user out at once and lets them back in on reactivation', async () => {
+    const client = await h.factories.client();
+    const admin = await h.factories.admin();
+    assert.equal((await h.request('GET', '/api/disputes', { token: client.token })).status, 200);
+
+    assert.equal((await h.request('POST', `/api/admin/users/${client.id}/suspend`, { token: admin.token, body: { reason: 'chargebacks' } })).status, 200);
+    const locked = await h.request('GET', '/api/disputes', { token: client.token });
+    assert.equal(locked.status, 401);
+    assert.equal(locked.body.code, 'account_suspended');
+    assert.equal((await h.request('POST', '/api/auth/refresh', { body: { refreshToken: client.refreshToken } })).status, 401);
+
+    assert.equal((await h.request('POST', `/api/admin/users/${client.id}/reactivate`, { token: admin.token })).status, 200);
+    assert.equal((await h.request('GET', '/api/disputes', { token: client.token })).status, 200);
+  });
+});
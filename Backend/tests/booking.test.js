@@ -0,0 +1,311 @@
+// Booking and technician offers: POST /api/book, offer expiry (Services/assignment.js attemptAssign
+// and its accept timer), accept/decline through POST /api/job/:id/respond, and what a cancellation
+// takes back with it
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const { PLACES } = require('./support/fixtures');
+
+describe('booking and offers', () => {
+  let h;
+  let make;
+  before(async () => { h = await startHarness(); make = h.factories; });
+  after(() => h && h.stop());
+  // every test starts with nobody online, so earlier technicians don't get offers
+  beforeEach(() => h.pool.query(`UPDATE users SET online=false WHERE role='worker'`));
+  afterEach(() => mock.timers.reset());
+
+  const offers = async (jobId) => (await h.pool.query(
+    `SELECT tech_id, status, offered_at, expires_at FROM job_assignments WHERE job_id=$1 ORDER BY id`, [jobId])).rows;
+  const offerOf = async (jobId, techId) => (await offers(jobId)).find(o => o.tech_id === techId);
+  const jobStatus = async (jobId) => (await h.pool.query(`SELECT status, assigned_tech_id FROM jobs WHERE id=$1`, [jobId])).rows[0];
+  const respond = (tech, jobId, action) => h.request('POST', `/api/job/${jobId}/respond`, { token: tech.token, body: { action } });
+
+  it('prices the job and offers it to the nearest technician', async () => {
+    const far = await make.technician({ offset: 0.05 });
+    const near = await make.technician({ offset: 0.001 });
+    const client = await make.client();
+
+    const booked = await make.booking(client, { estimated_days: 2 });
+    assert.equal(booked.assigned.id, near.id);
+    assert.equal(booked.price, 30000); // 20000 + 5000 * 2 days, one worker
+
+    const rows = await offers(booked.jobId);
+    assert.deepEqual(rows.map(r => [r.tech_id, r.status]), [[near.id, 'offered']]);
+    assert.notEqual(rows[0].tech_id, far.id);
+    assert.deepEqual(await jobStatus(booked.jobId), { status: 'pending_accept', assigned_tech_id: near.id });
+
+    const open = await h.request('GET', '/api/assigned-jobs', { token: near.token });
+    assert.deepEqual(open.body.jobs.map(j => j.id), [booked.jobId]);
+  });
+
+  it('offers a priced job only once the client has paid for it', async () => {
+    const tech = await make.technician();
+    const client = await make.client();
+    const booked = await make.booking(client, {}, { paid: false });
+    assert.equal(booked.awaiting_payment, true);
+    assert.equal(booked.assigned, false);
+    assert.equal(booked.payment.status, 'pending');
+    assert.deepEqual(await offers(booked.jobId), []);
+    assert.equal((await jobStatus(booked.jobId)).status, 'created');
+
+    const paid = await h.request('POST', `/api/payments/fake/${booked.payment.reference}/complete`, { body: { outcome: 'success' } });
+    assert.equal(paid.status, 200);
+    assert.equal((await offerOf(booked.jobId, tech.id)).status, 'offered');
+    assert.deepEqual(await jobStatus(booked.jobId), { status: 'pending_accept', assigned_tech_id: tech.id });
+  });
+
+  it('keeps the chosen technician first in line until the job is paid for', async () => {
+    const near = await make.technician({ offset: 0.001 });
+    const chosen = await make.technician({ offset: 0.02 });
+    const client = await make.client();
+    const place = PLACES.ikeja;
+    const res = await h.request('POST', '/api/book-assign', {
+      token: client.token,
+      body: { techId: chosen.id, state: place.state, city: place.city, lat: place.lat, lng: place.lng, job_type: 'conduit' }
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.awaiting_payment, true);
+    assert.deepEqual(await offers(res.body.jobId), []);
+
+    await h.request('POST', `/api/payments/fake/${res.body.payment.reference}/complete`, { body: { outcome: 'success' } });
+    assert.deepEqual((await offers(res.body.jobId)).map(o => [o.tech_id, o.status]), [[chosen.id, 'offered']]);
+    assert.notEqual((await offerOf(res.body.jobId, near.id) || {}).status, 'offered');
+  });
+
+  it('skips technicians who are offline, unapproved or out of reach', async () => {
+    await make.technician({ online: false });
+    await make.technician({ kyc: 'pending' });
+    await make.technician({ at: PLACES.wuse });
+    // no coordinates, and in another part of Lagos
+    await make.technician({ at: Object.assign({}, PLACES.lekki, { lat: null, lng: null }) });
+    const client = await make.client();
+
+    const booked = await make.booking(client);
+    assert.equal(booked.assigned, false);
+    assert.equal((await offers(booked.jobId)).length, 0);
+    assert.equal((await jobStatus(booked.jobId)).status, 'pending_assignment');
+  });
+
+  it('offers a crew job to as many technicians as it needs', async () => {
+    const techs = [await make.technician({ offset: 0.001 }), await make.technician({ offset: 0.002 }), await make.technician({ offset: 0.003 })];
+    const client = await make.client();
+
+    const booked = await make.booking(client, { workers_needed: 2 });
+    const rows = await offers(booked.jobId);
+    assert.deepEqual(rows.map(r => r.tech_id), [techs[0].id, techs[1].id]);
+
+    assert.equal((await respond(techs[0], booked.jobId, 'accept')).body.message, 'Offer accepted; waiting for the rest of the crew');
+    assert.equal((await jobStatus(booked.jobId)).status, 'pending_accept');
+    assert.equal((await respond(techs[1], booked.jobId, 'accept')).body.message, 'Job accepted');
+    assert.deepEqual(await jobStatus(booked.jobId), { status: 'accepted', assigned_tech_id: techs[0].id });
+  });
+
+  describe('POST /api/job/:id/respond', () => {
+    it('accepts an offer', async () => {
+      const tech = await make.technician();
+      const booked = await make.booking(await make.client());
+
+      const res = await respond(tech, booked.jobId, 'accept');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.message, 'Job accepted');
+      assert.equal(res.body.job.status, 'accepted');
+      assert.equal((await offerOf(booked.jobId, tech.id)).status, 'accepted');
+
+      // an answered offer can't be answered again
+      const again = await respond(tech, booked.jobId, 'decline');
+      assert.equal(again.status, 409);
+      assert.equal(again.body.message, 'Offer is no longer open (accepted)');
+    });
+
+    it('passes a declined offer on to the next technician', async () => {
+      const first = await make.technician({ offset: 0.001 });
+      const second = await make.technician({ offset: 0.01 });
+      const booked = await make.booking(await make.client());
+      assert.equal((await offerOf(booked.jobId, first.id)).status, 'offered');
+
+      const res = await respond(first, booked.jobId, 'decline');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.message, 'Job declined; assigning next technician');
+      assert.equal((await offerOf(booked.jobId, first.id)).status, 'declined');
+      assert.equal((await offerOf(booked.jobId, second.id)).status, 'offered');
+      assert.deepEqual(await jobStatus(booked.jobId), { status: 'pending_accept', assigned_tech_id: second.id });
+
+      // nobody left: the job waits for assignment
+      await respond(second, booked.jobId, 'decline');
+      assert.deepEqual(await jobStatus(booked.jobId), { status: 'pending_assignment', assigned_tech_id: null });
+    });
+
+    it('refuses technicians the job was not offered to', async () => {
+      await make.technician({ offset: 0.001 });
+      const booked = await make.booking(await make.client());
+      const other = await make.technician({ online: false });
+
+      const res = await respond(other, booked.jobId, 'accept');
+      assert.equal(res.status, 403);
+      assert.equal(res.body.message, 'Not assigned to this technician');
+    });
+
+    it('validates the action and the caller', async () => {
+      const tech = await make.technician();
+      const client = await make.client();
+      const booked = await make.booking(client);
+
+      const bad = await respond(tech, booked.jobId, 'maybe');
+      assert.equal(bad.status, 400);
+      assert.equal(bad.body.code, 'validation_failed');
+      assert.equal((await respond(client, booked.jobId, 'accept')).status, 403);
+      assert.equal((await respond(tech, 'no-such-job', 'accept')).status, 404);
+    });
+  });
+
+  describe('offer expiry', () => {
+    it('expires an unanswered offer after the accept timeout and offers the next technician', async () => {
+      const first = await make.technician({ offset: 0.001 });
+      const second = await make.technician({ offset: 0.01 });
+      const client = await make.client();
+
+      // job.offer is pushed after the offer's timer is set, so it tells us when to move the clock
+      const secondFeed = await h.stream(second.token);
+
+      mock.timers.enable({ apis: ['setTimeout'] });
+      const booked = await make.booking(client);
+      const offer = await offerOf(booked.jobId, first.id);
+      const timeoutMs = new Date(offer.expires_at) - new Date(offer.offered_at);
+      assert.ok(timeoutMs > 0);
+
+      mock.timers.tick(timeoutMs - 1);
+      assert.equal((await offerOf(booked.jobId, first.id)).status, 'offered');
+
+      mock.timers.tick(1);
+      const pushed = await secondFeed.next('job.offer');
+      assert.equal(pushed.data.job.id, booked.jobId);
+      secondFeed.close();
+      assert.equal((await offerOf(booked.jobId, first.id)).status, 'expired');
+      assert.deepEqual(await jobStatus(booked.jobId), { status: 'pending_accept', assigned_tech_id: second.id });
+
+      // the second offer runs out too: nobody left to ask
+      mock.timers.tick(timeoutMs);
+      await h.eventually(async () => (await offerOf(booked.jobId, second.id)).status === 'expired', { message: 'second offer expired' });
+      await h.eventually(async () => (await jobStatus(booked.jobId)).status === 'pending_assignment', { message: 'job back to pending_assignment' });
+    });
+
+    it('leaves an accepted offer alone when its timer fires', async () => {
+      const tech = await make.technician({ offset: 0.001 });
+      await make.technician({ offset: 0.01 });
+      const client = await make.client();
+
+      mock.timers.enable({ apis: ['setTimeout'] });
+      const booked = await make.booking(client);
+      const offer = await offerOf(booked.jobId, tech.id);
+      assert.equal((await respond(tech, booked.jobId, 'accept')).status, 200);
+
+      mock.timers.tick(new Date(offer.expires_at) - new Date(offer.offered_at));
+      // give the (no-op) expiry handler time to run
+      await h.settle(200);
+      assert.equal((await offerOf(booked.jobId, tech.id)).status, 'accepted');
+      assert.equal((await offers(booked.jobId)).length, 1);
+      assert.equal((await jobStatus(booked.jobId)).status, 'accepted');
+    });
+
+    it('does not let a technician accept once the offer has expired', async () => {
+      const tech = await make.technician();
+      const client = await make.client();
+
+      mock.timers.enable({ apis: ['setTimeout'] });
+      const booked = await make.booking(client);
+      const offer = await offerOf(booked.jobId, tech.id);
+      mock.timers.tick(new Date(offer.expires_at) - new Date(offer.offered_at));
+      await h.eventually(async () => (await jobStatus(booked.jobId)).status === 'pending_assignment', { message: 'offer expired' });
+      assert.equal((await offerOf(booked.jobId, tech.id)).status, 'expired');
+
+      const res = await respond(tech, booked.jobId, 'accept');
+      assert.equal(res.status, 409);
+      assert.equal(res.body.message, 'Offer is no longer open (expired)');
+    });
+  });
+
+  describe('POST /api/job/:id/cancel', () => {
+    const escrowStatus = async (jobId) => (await h.pool.query(`SELECT status FROM transactions WHERE job_id=$1 AND kind='escrow'`, [jobId])).rows[0].status;
+    const cancel = (client, jobId) => h.request('POST', `/api/job/${jobId}/cancel`, { token: client.token, body: { reason: 'Changed my mind' } });
+
+    it('withdraws the offers and refunds the escrow', async () => {
+      const tech = await make.technician();
+      const client = await make.client();
+      const booked = await make.booking(client);
+
+      assert.equal((await cancel(client, booked.jobId)).status, 200);
+      assert.equal((await offerOf(booked.jobId, tech.id)).status, 'withdrawn');
+      await h.eventually(async () => (await escrowStatus(booked.jobId)) === 'refunded', { message: 'escrow refunded' });
+    });
+
+    it('takes only the technician who cancels off the crew and offers their slot again', async () => {
+      const area = { state: 'Crew State', lat: null, lng: null };
+      const [staying, leaving] = [await make.technician({ at: area }), await make.technician({ at: area })];
+      const { jobId, client } = await make.acceptedJob({ technician: staying, workers_needed: 2 });
+      assert.equal((await respond(leaving, jobId, 'accept')).status, 200);
+      assert.equal((await jobStatus(jobId)).status, 'accepted');
+      const next = await make.technician({ at: area });
+
+      const res = await cancel(leaving, jobId);
+      assert.equal(res.status, 200);
+      assert.equal((await offerOf(jobId, leaving.id)).status, 'withdrawn');
+      assert.equal((await offerOf(jobId, staying.id)).status, 'accepted');
+      assert.equal((await offerOf(jobId, next.id)).status, 'offered');
+      assert.deepEqual(await jobStatus(jobId), { status: 'pending_accept', assigned_tech_id: staying.id });
+      assert.equal((await cancel(client, jobId)).status, 200);
+    });
+
+    it('lets only accepted crew move the job along', async () => {
+      const tech = await make.technician();
+      const booked = await make.booking(await make.client());
+      assert.equal((await offerOf(booked.jobId, tech.id)).status, 'offered');
+      for(const step of ['en-route', 'start', 'cancel']){
+        assert.equal((await h.request('POST', `/api/job/${booked.jobId}/${step}`, { token: tech.token, body: {} })).status, 403, step);
+      }
+      assert.equal((await jobStatus(booked.jobId)).status, 'pending_accept');
+    });
+
+    it('tells technicians their offer was withdrawn only once the cancellation has gone through', async () => {
+      const tech = await make.technician();
+      const client = await make.client();
+      const booked = await make.booking(client);
+      const stream = await h.stream(tech.token);
+      const failing = mock.method(h.services.escrow, 'scheduleRefund', async () => { throw new Error('queue unavailable'); });
+      try{
+        assert.equal((await cancel(client, booked.jobId)).status, 500);
+      }finally{
+        failing.mock.restore();
+      }
+      await h.settle(200);
+      assert.equal((await offerOf(booked.jobId, tech.id)).status, 'offered');
+      assert.ok(!stream.events.some(e => e.type === 'job.offer.withdrawn'));
+
+      assert.equal((await cancel(client, booked.jobId)).status, 200);
+      assert.equal((await stream.next('job.offer.withdrawn')).data.jobId, booked.jobId);
+      stream.close();
+    });
+
+    it('leaves the job, its offers and the escrow alone when the cancellation fails part way', async () => {
+      const tech = await make.technician();
+      const client = await make.client();
+      const booked = await make.booking(client);
+      await h.pool.query(`
+        CREATE FUNCTION fail_withdraw() RETURNS trigger AS $$ BEGIN RAISE EXCEPTION 'offers unavailable'; END $$ LANGUAGE plpgsql;
+        CREATE TRIGGER fail_withdraw BEFORE UPDATE ON job_assignments FOR EACH ROW
+          WHEN (NEW.status = 'withdrawn') EXECUTE FUNCTION fail_withdraw();`);
+      try{
+        assert.equal((await cancel(client, booked.jobId)).status, 500);
+      }finally{
+        await h.pool.query(`DROP TRIGGER fail_withdraw ON job_assignments; DROP FUNCTION fail_withdraw();`);
+      }
+      await h.settle(200);
+      assert.equal((await jobStatus(booked.jobId)).status, 'pending_accept');
+      assert.equal((await offerOf(booked.jobId, tech.id)).status, 'offered');
+      assert.equal(await escrowStatus(booked.jobId), 'held');
+
+      assert.equal((await cancel(client, booked.jobId)).status, 200);
+      await h.eventually(async () => (await escrowStatus(booked.jobId)) === 'refunded', { message: 'escrow refunded' });
+    });
+  });
+});
@@ -0,0 +1,70 @@
+// Dispute resolution (Routes/disputes.js, Services/disputes.js resolve, Services/escrow.js
+// settleDispute): the escrow moves and the dispute closes together, or neither does
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+
+describe('dispute resolution', () => {
+  let h;
+  let make;
+  let support;
+  before(async () => {
+    h = await startHarness();
+    make = h.factories;
+    support = await make.staff({ role: 'customer-support' });
+  });
+  after(() => h && h.stop());
+
+  const escrow = async (jobId) => (await h.pool.query(`SELECT id, status FROM transactions WHERE job_id=$1 AND kind='escrow'`, [jobId])).rows[0];
+  const disputeStatus = async (id) => (await h.pool.query(`SELECT status FROM disputes WHERE id=$1`, [id])).rows[0].status;
+  const resolve = (id, body) => h.request('POST', `/api/staff/disputes/${id}/resolve`, { token: support.token, body });
+
+  // an accepted (so paid-for) job with a dispute raised by the client -> { jobId, dispute }
+  async function disputedJob(){
+    const { jobId, client } = await make.acceptedJob();
+    assert.equal((await escrow(jobId)).status, 'held');
+    const raised = await h.request('POST', `/api/job/${jobId}/dispute`, { token: client.token, body: { reason: 'Work not done' } });
+    assert.equal(raised.status, 200);
+    return { jobId, dispute: raised.body.dispute };
+  }
+
+  it('releases the escrow and closes the dispute', async () => {
+    const { jobId, dispute } = await disputedJob();
+    const res = await resolve(dispute.id, { outcome: 'release', admin_note: 'Work verified' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.dispute.status, 'resolved');
+    assert.equal(res.body.payment.applied, true);
+    assert.equal((await escrow(jobId)).status, 'released');
+
+    const again = await resolve(dispute.id, { outcome: 'refund' });
+    assert.equal(again.status, 409);
+  });
+
+  it('leaves the dispute open and the escrow held when resolving fails part way', async () => {
+    const { jobId, dispute } = await disputedJob();
+    await h.pool.query(`
+      CREATE FUNCTION fail_dispute_update() RETURNS trigger AS $$ BEGIN RAISE EXCEPTION 'disputes unavailable'; END $$ LANGUAGE plpgsql;
+      CREATE TRIGGER fail_dispute_update BEFORE UPDATE ON disputes FOR EACH ROW
+        WHEN (NEW.status IN ('resolved', 'dismissed')) EXECUTE FUNCTION fail_dispute_update();`);
+    try{
+      assert.equal((await resolve(dispute.id, { outcome: 'release' })).status, 500);
+    }finally{
+      await h.pool.query(`DROP TRIGGER fail_dispute_update ON disputes; DROP FUNCTION fail_dispute_update();`);
+    }
+    assert.equal(await disputeStatus(dispute.id), dispute.status);
+    assert.equal((await escrow(jobId)).status, 'held');
+
+    const retry = await resolve(dispute.id, { outcome: 'release' });
+    assert.equal(retry.status, 200);
+    assert.equal(await disputeStatus(dispute.id), 'resolved');
+    assert.equal((await escrow(jobId)).status, 'released');
+  });
+
+  it('rejects a split larger than the escrow without touching the dispute', async () => {
+    const { jobId, dispute } = await disputedJob();
+    const res = await resolve(dispute.id, { outcome: 'split', client_amount: 10000000 });
+    assert.equal(res.status, 400);
+    assert.equal(await disputeStatus(dispute.id), dispute.status);
+    assert.equal((await escrow(jobId)).status, 'held');
+  });
+});
@@ -0,0 +1,169 @@
+// KYC submission to local disk storage, the automated pre-check and the reviewer's decision
+// (Routes/kyc.js, Services/kycReview.js, Services/kycChecks.js, Services/storage/local.js)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startHarness } = require('./support/harness');
+
+describe('kyc', () => {
+  let h;
+  let make;
+  let reviewer;
+  before(async () => {
+    h = await startHarness();
+    make = h.factories;
+    reviewer = await make.staff({ role: 'kyc' });
+  });
+  after(() => h && h.stop());
+
+  const request = async (id) => (await h.pool.query(`SELECT * FROM kyc_requests WHERE id=$1`, [id])).rows[0];
+  const kycStatus = async (userId) => (await h.pool.query(`SELECT kyc_status FROM users WHERE id=$1`, [userId])).rows[0].kyc_status;
+  // the pre-check runs in-process after the response; wait for it before looking at (or deleting) anything
+  const prechecked = (id) => h.eventually(async () => {
+    const k = await request(id);
+    return k.precheck_status === 'done' && k;
+  }, { timeoutMs: 15000, message: `pre-check of request ${id}` });
+
+  it('stores the documents on disk and queues the request for review', async () => {
+    const tech = await make.technician({ kyc: null, online: false });
+    const res = await make.kycSubmission(tech);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.deepEqual(res.body.documents.map(d => d.kind).sort(), ['id_back', 'id_front', 'selfie']);
+    assert.ok(res.body.documents.every(d => d.mimetype === 'image/png' && d.size > 0));
+
+    const docs = (await h.pool.query(`SELECT storage, storage_key FROM kyc_documents WHERE request_id=$1`, [res.body.requestId])).rows;
+    for(const d of docs){
+      assert.equal(d.storage, 'local');
+      assert.ok(fs.existsSync(path.join(h.filesDir, d.storage_key)), d.storage_key);
+    }
+
+    const k = await prechecked(res.body.requestId);
+    assert.equal(k.status, 'pending');
+    assert.deepEqual(k.risk_flags.filter(f => f.severity === 'high'), []);
+    assert.equal(await kycStatus(tech.id), 'pending');
+  });
+
+  it('hands the files out through signed links only', async () => {
+    const tech = await make.technician({ kyc: null, online: false });
+    const { body } = await make.kycSubmission(tech);
+    await prechecked(body.requestId);
+
+    const links = await h.request('GET', `/api/kyc/requests/${body.requestId}/documents`, { token: tech.token });
+    assert.equal(links.status, 200);
+    const doc = links.body.documents.find(d => d.kind === 'selfie');
+    const signed = new URL(doc.url, h.url);
+    const file = await h.request('GET', signed.pathname + signed.search);
+    assert.equal(file.status, 200);
+    assert.equal(file.headers['content-type'], 'image/png');
+
+    // without the signature
+    assert.equal((await h.request('GET', signed.pathname)).status, 403);
+    // someone else's request
+    const other = await make.client();
+    assert.equal((await h.request('GET', `/api/kyc/requests/${body.requestId}/documents`, { token: other.token })).status, 403);
+  });
+
+  it('needs the ID pictures and allows one open request', async () => {
+    const tech = await make.technician({ kyc: null, online: false });
+    const missing = await make.kycSubmission(tech, { files: ['selfie'] });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.code, 'validation_failed');
+    assert.ok(missing.body.fields.id_front);
+
+    const first = await make.kycSubmission(tech);
+    assert.equal(first.status, 200);
+    const second = await make.kycSubmission(tech);
+    assert.equal(second.status, 409);
+    assert.equal(second.body.requestId, first.body.requestId);
+    assert.equal(second.body.status, 'pending');
+    await prechecked(first.body.requestId);
+  });
+
+  it('lets a KYC reviewer approve a request', async () => {
+    const tech = await make.technician({ kyc: null, online: false });
+    const { body } = await make.kycSubmission(tech);
+    await prechecked(body.requestId);
+
+    const queue = await h.request('GET', '/api/kyc/pending', { token: reviewer.token });
+    assert.equal(queue.status, 200);
+    assert.ok(queue.body.requests.some(r => r.id === body.requestId));
+
+    assert.equal((await h.request('POST', `/api/kyc/${body.requestId}/claim`, { token: reviewer.token })).status, 200);
+    const decided = await h.request('POST', `/api/kyc/${body.requestId}/decision`, { token: reviewer.token, body: { decision: 'approve' } });
+    assert.equal(decided.status, 200);
+    assert.equal(decided.body.message, 'KYC approved');
+
+    const k = await request(body.requestId);
+    assert.equal(k.status, 'approved');
+    assert.equal(k.reviewed_by, reviewer.id);
+    assert.equal(await kycStatus(tech.id), 'approved');
+    const status = await h.request('GET', `/api/kyc/status/${tech.id}`, { token: tech.token });
+    assert.equal(status.body.user.kyc_status, 'approved');
+  });
+
+  it('records a decline with the reviewer\'s note', async () => {
+    const tech = await make.technician({ kyc: null, online: false });
+    const { body } = await make.kycSubmission(tech);
+    await prechecked(body.requestId);
+
+    const decided = await h.request('POST', `/api/kyc/${body.requestId}/decision`, { token: reviewer.token, body: { decision: 'decline', adminNote: 'blurry ID' } });
+    assert.equal(decided.status, 200);
+    const k = await request(body.requestId);
+    assert.equal(k.status, 'declined');
+    assert.equal(k.admin_note, 'blurry ID');
+    assert.equal(await kycStatus(tech.id), 'declined');
+  });
+
+  it('keeps decisions to reviewers, and to the one holding the claim', async () => {
+    const tech = await make.technician({ kyc: null, online: false });
+    const { body } = await make.kycSubmission(tech);
+    await prechecked(body.requestId);
+
+    const self = await h.request('POST', `/api/kyc/${body.requestId}/decision`, { token: tech.token, body: { decision: 'approve' } });
+    assert.equal(self.status, 403);
+    const support = await make.staff({ role: 'customer-support' });
+    assert.equal((await h.request('POST', `/api/kyc/${body.requestId}/decision`, { token: support.token, body: { decision: 'approve' } })).status, 403);
+
+    const colleague = await make.staff({ role: 'kyc' });
+    await h.request('POST', `/api/kyc/${body.requestId}/claim`, { token: colleague.token });
+    const blocked = await h.request('POST', `/api/kyc/${body.requestId}/decision`, { token: reviewer.token, body: { decision: 'approve' } });
+    assert.equal(blocked.status, 409);
+    assert.equal(blocked.body.claimed_by, colleague.id);
+    assert.equal(await kycStatus(tech.id), 'pending');
+  });
+
+  const decide = (id, decision) => h.request('POST', `/api/kyc/${id}/decision`, { token: reviewer.token, body: { decision } });
+
+  it('decides a request only once', async () => {
+    const tech = await make.technician({ kyc: null, online: false });
+    const { body } = await make.kycSubmission(tech);
+    await prechecked(body.requestId);
+    assert.equal((await decide(body.requestId, 'decline')).status, 200);
+
+    const again = await decide(body.requestId, 'approve');
+    assert.equal(again.status, 409);
+    assert.equal(again.body.message, 'KYC request is declined');
+    assert.equal((await request(body.requestId)).status, 'declined');
+    assert.equal(await kycStatus(tech.id), 'declined');
+    const audited = await h.pool.query(`SELECT action FROM audit_log WHERE target_id=$1 AND action LIKE 'kyc.%'`, [String(body.requestId)]);
+    assert.deepEqual(audited.rows.map(r => r.action), ['kyc.declined']);
+  });
+
+  it('does not approve a request while a resubmission is outstanding', async () => {
+    const tech = await make.technician({ kyc: null, online: false });
+    const { body } = await make.kycSubmission(tech);
+    await prechecked(body.requestId);
+    assert.equal((await h.request('POST', `/api/kyc/${body.requestId}/claim`, { token: reviewer.token })).status, 200);
+    const doc = (await h.pool.query(`SELECT id FROM kyc_documents WHERE request_id=$1 AND kind='selfie'`, [body.requestId])).rows[0];
+    assert.equal((await h.request('POST', `/api/kyc/${body.requestId}/documents/${doc.id}/review`, {
+      token: reviewer.token, body: { status: 'rejected', reason_code: 'BLURRY' }
+    })).status, 200);
+    assert.equal((await h.request('POST', `/api/kyc/${body.requestId}/request-resubmission`, { token: reviewer.token, body: {} })).status, 200);
+
+    const approved = await decide(body.requestId, 'approve');
+    assert.equal(approved.status, 409);
+    assert.equal((await request(body.requestId)).status, 'resubmission_requested');
+    assert.equal(await kycStatus(tech.id), 'resubmission_requested');
+  });
+});
@@ -0,0 +1,110 @@
+// Technician search (Services/matching.js, Services/geo.js): the geohash radius search, its rings
+// widening when nobody in reach takes the job, and the city/LGA fallback without coordinates
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const { PLACES } = require('./support/fixtures');
+const geo = require('../Services/geo');
+const { SEARCH_RADIUS } = require('../Services/matching');
+
+describe('geohashes', () => {
+  it('encodes positions', () => {
+    assert.equal(geo.encode(57.64911, 10.40744, 11), 'u4pruydqqvj');
+    assert.equal(geo.hashOf(PLACES.ikeja.lat, PLACES.ikeja.lng).length, geo.STORED_PRECISION);
+    assert.equal(geo.hashOf(null, PLACES.ikeja.lng), null);
+  });
+
+  it('covers every point within the radius with the cells around the centre', () => {
+    const { lat, lng } = PLACES.ikeja;
+    for(const radius of [500, 5000, 50000]){
+      const cells = geo.cover(lat, lng, radius);
+      assert.ok(cells.length <= 9);
+      for(let bearing = 0; bearing < 360; bearing += 15){
+        const b = bearing * Math.PI / 180;
+        const d = radius * 0.999 / 111195;
+        const point = [lat + d * Math.cos(b), lng + d * Math.sin(b) / Math.cos(lat * Math.PI / 180)];
+        assert.ok(geo.distanceMeters(lat, lng, ...point) <= radius);
+        const hash = geo.hashOf(...point);
+        assert.ok(cells.some(c => hash.startsWith(c)), `${radius}m at ${bearing}deg`);
+      }
+    }
+  });
+});
+
+describe('technician search', () => {
+  let h;
+  let make;
+  before(async () => { h = await startHarness(); make = h.factories; });
+  after(() => h && h.stop());
+  beforeEach(() => h.pool.query(`UPDATE users SET online=false WHERE role='worker'`));
+
+  const offered = async (jobId) => (await h.pool.query(
+    `SELECT tech_id FROM job_assignments WHERE job_id=$1 AND status='offered'`, [jobId])).rows.map(r => r.tech_id);
+  const job = async (jobId) => (await h.pool.query(`SELECT status, search_radius_m FROM jobs WHERE id=$1`, [jobId])).rows[0];
+  const decline = (tech, jobId) => h.request('POST', `/api/job/${jobId}/respond`, { token: tech.token, body: { action: 'decline' } });
+
+  it('keeps the stored geohash in step with the technician\'s position', async () => {
+    const tech = await make.technician();
+    const stored = async () => (await h.pool.query(`SELECT geohash FROM users WHERE id=$1`, [tech.id])).rows[0].geohash;
+    assert.equal(await stored(), geo.hashOf(tech.lat, tech.lng));
+    await h.request('POST', '/api/tech/status', { token: tech.token, body: { online: true, lat: null, lng: null } });
+    assert.equal(await stored(), null);
+  });
+
+  it('looks across state borders', async () => {
+    const neighbour = await make.technician({ at: { state: 'Ogun', lga: 'Ifo', city: 'Ifo' }, offset: 0.01 });
+    const booked = await make.booking(await make.client());
+    assert.equal(booked.assigned.id, neighbour.id);
+  });
+
+  it('widens the search until someone is in reach, but not without limit', async () => {
+    const away = await make.technician({ offset: 0.1 }); // about 15.6km
+    await make.technician({ at: PLACES.wuse });
+    const booked = await make.booking(await make.client());
+
+    assert.equal(booked.assigned.id, away.id);
+    const { search_radius_m } = await job(booked.jobId);
+    assert.ok(search_radius_m > SEARCH_RADIUS.initial && search_radius_m >= 15600, String(search_radius_m));
+
+    await decline(away, booked.jobId);
+    assert.deepEqual(await job(booked.jobId), { status: 'pending_assignment', search_radius_m: SEARCH_RADIUS.max });
+  });
+
+  it('widens the search when the technicians in reach decline', async () => {
+    const near = await make.technician({ offset: 0.001 });
+    const away = await make.technician({ offset: 0.1 });
+    const booked = await make.booking(await make.client());
+    assert.deepEqual(await offered(booked.jobId), [near.id]);
+    assert.equal((await job(booked.jobId)).search_radius_m, SEARCH_RADIUS.initial);
+
+    await decline(near, booked.jobId);
+    assert.deepEqual(await offered(booked.jobId), [away.id]);
+    assert.ok((await job(booked.jobId)).search_radius_m > SEARCH_RADIUS.initial);
+  });
+
+  it('matches technicians without coordinates by area, on booking and on decline alike', async () => {
+    const near = await make.technician({ offset: 0.001 });
+    const local = await make.technician({ at: { lat: null, lng: null } });
+    await make.technician({ at: Object.assign({}, PLACES.lekki, { lat: null, lng: null }) });
+    const booked = await make.booking(await make.client());
+    // the one with a known distance goes first
+    assert.deepEqual(await offered(booked.jobId), [near.id]);
+
+    await decline(near, booked.jobId);
+    assert.deepEqual(await offered(booked.jobId), [local.id]);
+    await decline(local, booked.jobId);
+    assert.equal((await job(booked.jobId)).status, 'pending_assignment');
+  });
+
+  it('matches a job without coordinates by city or LGA', async () => {
+    const lekki = await make.technician({ at: PLACES.lekki });
+    await make.technician();
+    const client = await make.client();
+
+    const byCity = await make.booking(client, { city: 'lekki', lat: null, lng: null });
+    assert.equal(byCity.assigned.id, lekki.id);
+
+    const byLga = await make.booking(client, { city: undefined, lga: 'ETI-OSA', lat: null, lng: null });
+    assert.deepEqual(await offered(byLga.jobId), [lekki.id]);
+  });
+});
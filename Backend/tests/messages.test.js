@@ -0,0 +1,123 @@
+// Job chat between the client and the crew (Routes/chat.js, Services/chat.js): messages,
+// attachments and the message.new push (through Redis pub/sub, here the in-memory stand-in)
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startHarness } = require('./support/harness');
+const { image } = require('./support/fixtures');
+
+describe('messages', () => {
+  let h;
+  let make;
+  before(async () => { h = await startHarness(); make = h.factories; });
+  after(() => h && h.stop());
+
+  const post = (user, jobId, body) => h.request('POST', `/api/job/${jobId}/message`, { token: user.token, body });
+  const list = (user, jobId) => h.request('GET', `/api/job/${jobId}/messages`, { token: user.token });
+
+  it('delivers messages between the client and the technician', async () => {
+    const { jobId, client, technician } = await make.acceptedJob();
+
+    const sent = await post(client, jobId, { text: 'Gate code is 4412', metadata: { kind: 'note' } });
+    assert.equal(sent.status, 200);
+    assert.equal(sent.body.message.text, 'Gate code is 4412');
+    assert.equal(sent.body.message.sender_id, client.id);
+    assert.equal((await post(technician, jobId, { text: 'On my way' })).status, 200);
+
+    for(const reader of [client, technician]){
+      const res = await list(reader, jobId);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.messages.map(m => m.text), ['Gate code is 4412', 'On my way']);
+    }
+  });
+
+  it('pushes new messages to the other party', async () => {
+    const { jobId, client, technician } = await make.acceptedJob();
+    const feed = await h.stream(technician.token);
+    try {
+      await post(client, jobId, { text: 'Are you close?' });
+      const evt = await feed.next('message.new');
+      assert.equal(evt.data.message.job_id, jobId);
+      assert.equal(evt.data.message.text, 'Are you close?');
+    } finally {
+      feed.close();
+    }
+  });
+
+  it('keeps a sent message when the push fails', async () => {
+    const { jobId, client, technician } = await make.acceptedJob();
+    const down = mock.method(h.services.realtime, 'publish', async () => { throw new Error('redis down'); });
+    try{
+      assert.equal((await post(client, jobId, { text: 'Still there?' })).status, 200);
+      assert.equal((await h.request('POST', '/api/tech/status', { token: technician.token, body: { online: false } })).status, 200);
+    }finally{
+      down.mock.restore();
+    }
+    assert.deepEqual((await list(technician, jobId)).body.messages.map(m => m.text), ['Still there?']);
+  });
+
+  it('keeps attachments in storage behind signed links', async () => {
+    const { jobId, client, technician } = await make.acceptedJob();
+    const form = new FormData();
+    form.append('text', 'Photo of the meter');
+    form.append('attachments', new Blob([await image()], { type: 'image/png' }), 'meter.png');
+    const sent = await h.request('POST', `/api/job/${jobId}/message`, { token: technician.token, form });
+    assert.equal(sent.status, 200, JSON.stringify(sent.body));
+    const [attachment] = sent.body.message.attachments;
+    assert.equal(attachment.file_name, 'meter.png');
+    assert.equal(attachment.mimetype, 'image/png');
+
+    const row = (await h.pool.query(`SELECT storage_key FROM message_attachments WHERE id=$1`, [attachment.id])).rows[0];
+    assert.ok(row.storage_key.startsWith(`chat/${jobId}/`));
+    assert.ok(fs.existsSync(path.join(h.filesDir, row.storage_key)));
+
+    const { messages } = (await list(client, jobId)).body;
+    const signed = new URL(messages[0].attachments[0].url, h.url);
+    const file = await h.request('GET', signed.pathname + signed.search);
+    assert.equal(file.status, 200);
+    assert.equal(file.headers['content-type'], 'image/png');
+  });
+
+  it('refuses an unsupported attachment without keeping it', async () => {
+    const { jobId, client } = await make.acceptedJob();
+    const form = new FormData();
+    form.append('attachments', new Blob(['#!/bin/sh'], { type: 'application/x-sh' }), 'run.sh');
+    const res = await h.request('POST', `/api/job/${jobId}/message`, { token: client.token, form });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'upload_error');
+    const dir = path.join(h.filesDir, 'chat', jobId);
+    assert.ok(!fs.existsSync(dir) || fs.readdirSync(dir).length === 0);
+  });
+
+  it('needs text or an attachment', async () => {
+    const { jobId, client } = await make.acceptedJob();
+    const empty = await post(client, jobId, {});
+    assert.equal(empty.status, 400);
+    assert.deepEqual(empty.body.fields, { text: 'text required' });
+    const long = await post(client, jobId, { text: 'x'.repeat(5001) });
+    assert.equal(long.status, 400);
+    assert.ok(long.body.fields.text);
+  });
+
+  it('keeps the chat to the people on the job', async () => {
+    const { jobId } = await make.acceptedJob();
+    const outsider = await make.client();
+    const otherTech = await make.technician({ online: false });
+    for(const user of [outsider, otherTech]){
+      assert.equal((await post(user, jobId, { text: 'hello' })).status, 403);
+      assert.equal((await list(user, jobId)).status, 403);
+    }
+    assert.equal((await list(outsider, 'no-such-job')).status, 404);
+
+    // an outsider's attachment is refused before it reaches storage
+    const form = new FormData();
+    form.append('attachments', new Blob([await image()], { type: 'image/png' }), 'meter.png');
+    assert.equal((await h.request('POST', `/api/job/${jobId}/message`, { token: outsider.token, form })).status, 403);
+    assert.equal(fs.existsSync(path.join(h.filesDir, 'chat', jobId)), false);
+
+    // admins can read along
+    const admin = await make.admin();
+    assert.equal((await list(admin, jobId)).status, 200);
+  });
+});
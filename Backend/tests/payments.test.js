@@ -0,0 +1,102 @@
+// Provider webhooks (Routes/payments.js, Services/escrow.js handleWebhook): signed events move the
+// escrow, redeliveries are ignored, and an event that failed to apply is taken again on retry
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const http = require('http');
+const { createApp } = require('../app');
+const { createPaymentProvider } = require('../Services/paymentProviders');
+
+describe('payment webhooks', () => {
+  let h;
+  let make;
+  before(async () => { h = await startHarness(); make = h.factories; });
+  after(() => h && h.stop());
+
+  // signs with the same (default) secret as the harness's fake provider
+  const gateway = createPaymentProvider('fake');
+  const deliver = (hook) => h.request('POST', '/api/payments/webhook/fake', { body: hook.rawBody.toString(), headers: hook.headers });
+  const escrowStatus = async (reference) => (await h.pool.query(`SELECT status FROM transactions WHERE id=$1`, [reference])).rows[0].status;
+  const paid = (payment) => gateway.signWebhook({ type: 'charge.succeeded', reference: payment.reference, amount: payment.amount });
+
+  it('funds the escrow once, however often the event is delivered', async () => {
+    const { payment } = await make.booking(await make.client(), {}, { paid: false });
+    assert.equal(payment.status, 'pending');
+    const hook = paid(payment);
+
+    const first = await deliver(hook);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.duplicate, false);
+    assert.equal(await escrowStatus(payment.reference), 'held');
+
+    const again = await deliver(hook);
+    assert.equal(again.status, 200);
+    assert.equal(again.body.duplicate, true);
+  });
+
+  it('refuses an event with a bad signature', async () => {
+    const { payment } = await make.booking(await make.client(), {}, { paid: false });
+    const hook = paid(payment);
+    const res = await deliver({ rawBody: hook.rawBody, headers: { 'x-fake-signature': 'f'.repeat(64) } });
+    assert.equal(res.status, 401);
+    assert.equal(await escrowStatus(payment.reference), 'pending');
+  });
+
+  it('applies an event on the provider\'s retry when the first delivery failed', async () => {
+    const { payment } = await make.booking(await make.client(), {}, { paid: false });
+    const hook = paid(payment);
+    await h.pool.query(`
+      CREATE FUNCTION fail_escrow_update() RETURNS trigger AS $$ BEGIN RAISE EXCEPTION 'ledger unavailable'; END $$ LANGUAGE plpgsql;
+      CREATE TRIGGER fail_escrow_update BEFORE UPDATE ON transactions FOR EACH ROW EXECUTE FUNCTION fail_escrow_update();`);
+    try{
+      assert.equal((await deliver(hook)).status, 500);
+    }finally{
+      await h.pool.query(`DROP TRIGGER fail_escrow_update ON transactions; DROP FUNCTION fail_escrow_update();`);
+    }
+    assert.equal(await escrowStatus(payment.reference), 'pending');
+
+    const retry = await deliver(hook);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.duplicate, false);
+    assert.equal(await escrowStatus(payment.reference), 'held');
+  });
+
+  it('settles a fake checkout through the signed webhook path', async () => {
+    const { payment } = await make.booking(await make.client(), {}, { paid: false });
+    const res = await h.request('POST', `/api/payments/fake/${payment.reference}/complete`, { body: { outcome: 'success' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.type, 'charge.succeeded');
+    assert.equal(await escrowStatus(payment.reference), 'held');
+  });
+
+  it('mounts the fake checkout only in test and development', async () => {
+    const { payment } = await make.booking(await make.client(), {}, { paid: false });
+    const env = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'staging';
+    let app;
+    try { app = createApp({ pool: h.pool, storage: h.storage, redis: h.redis, services: h.services }); } finally { process.env.NODE_ENV = env; }
+    const server = await new Promise((resolve) => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+    try{
+      const status = await new Promise((resolve, reject) => {
+        const req = http.request(`http://127.0.0.1:${server.address().port}/api/payments/fake/${payment.reference}/complete`, { method: 'POST', agent: false }, (res) => { res.resume(); resolve(res.statusCode); });
+        req.on('error', reject);
+        req.end();
+      });
+      assert.equal(status, 404);
+      assert.equal(await escrowStatus(payment.reference), 'pending');
+    }finally{
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('needs the provider to be named', () => {
+    const name = process.env.PAYMENT_PROVIDER;
+    delete process.env.PAYMENT_PROVIDER;
+    try{
+      assert.throws(() => createPaymentProvider(), /PAYMENT_PROVIDER is not set/);
+    }finally{
+      if(name !== undefined) process.env.PAYMENT_PROVIDER = name;
+    }
+    assert.throws(() => createPaymentProvider('paypal'), /Unknown payment provider/);
+  });
+});
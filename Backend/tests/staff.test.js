@@ -0,0 +1,133 @@
+// Staff accounts managed by the admin (Routes/staff.js, Services/staff.js)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+
+describe('staff accounts', () => {
+  let h;
+  let make;
+  let admin;
+  before(async () => {
+    h = await startHarness();
+    make = h.factories;
+    admin = await make.admin();
+  });
+  after(() => h && h.stop());
+
+  const asAdmin = (method, urlPath, body) => h.request(method, urlPath, { token: admin.token, body });
+  const login = (email, password) => h.request('POST', '/api/login', { body: { login: email, password } });
+
+  it('creates a staff account whose temporary password must be replaced at first sign-in', async () => {
+    const created = await asAdmin('POST', '/api/admin/staff/create', { name: 'Kemi Ade', email: 'kemi@example.com', role: 'kyc' });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.staff.fullname, 'Kemi Ade');
+    assert.equal(created.body.staff.role, 'kyc');
+    assert.ok(created.body.staff.permissions.includes('kyc:review'));
+    assert.ok(created.body.generated_password);
+    assert.equal(created.body.staff.password_hash, undefined);
+
+    const first = await login('kemi@example.com', created.body.generated_password);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.password_change_required, true);
+    assert.equal(first.body.token, undefined);
+
+    const reset = await h.request('POST', '/api/staff/password/reset', { body: { token: first.body.change_token, password: 'short' } });
+    assert.equal(reset.status, 400);
+    assert.equal(reset.body.code, 'validation_failed');
+    assert.equal((await h.request('POST', '/api/staff/password/reset', { body: { token: first.body.change_token, password: 'kemi-new-password' } })).status, 200);
+
+    const session = await login('kemi@example.com', 'kemi-new-password');
+    assert.equal(session.status, 200);
+    assert.equal(session.body.role, 'staff');
+    assert.equal(session.body.user.staff_role, 'kyc');
+    assert.ok(session.body.token);
+  });
+
+  it('rejects a bad or taken email', async () => {
+    const bad = await asAdmin('POST', '/api/admin/staff/create', { fullname: 'No Mail', email: 'nope', role: 'kyc' });
+    assert.equal(bad.status, 400);
+    assert.ok(bad.body.fields.email);
+
+    await make.staff({ email: 'taken@example.com' });
+    const taken = await asAdmin('POST', '/api/admin/staff/create', { fullname: 'Again', email: 'taken@example.com', role: 'kyc' });
+    assert.equal(taken.status, 400);
+    assert.equal(taken.body.message, 'Staff with that email already exists');
+  });
+
+  it('lists and edits staff', async () => {
+    const member = await make.staff({ role: 'log' });
+    const list = await asAdmin('GET', '/api/admin/staff/list');
+    assert.equal(list.status, 200);
+    assert.ok(list.body.staff.some(s => s.id === member.id && s.role === 'log'));
+
+    const edited = await asAdmin('PATCH', `/api/admin/staff/${member.id}`, { role: 'fraud', fullname: 'Renamed Member' });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.staff.role, 'fraud');
+    assert.equal(edited.body.staff.fullname, 'Renamed Member');
+
+    // the new role's permissions apply to the existing session
+    assert.equal((await h.request('GET', '/api/admin/audit', { token: member.token })).status, 200);
+
+    // the admin pages are on another origin: the browser asks first
+    const preflight = await h.request('OPTIONS', `/api/admin/staff/${member.id}`, {
+      headers: { Origin: 'https://ezehebubechidubem.github.io', 'Access-Control-Request-Method': 'PATCH' }
+    });
+    assert.ok(preflight.headers['access-control-allow-methods'].split(',').includes('PATCH'));
+
+    const history = await asAdmin('GET', `/api/admin/staff/${member.id}/history`);
+    const actions = history.body.events.map(e => e.action);
+    assert.equal(actions[0], 'staff.created');
+    assert.ok(actions.includes('staff.updated'));
+  });
+
+  it('suspends and reactivates staff', async () => {
+    const member = await make.staff();
+    const suspended = await asAdmin('POST', `/api/admin/staff/${member.id}/suspend`, { reason: 'on leave' });
+    assert.equal(suspended.status, 200);
+    assert.equal(suspended.body.staff.status, 'suspended');
+    assert.equal((await login(member.email, member.password)).status, 403);
+    // and the session they had stops working
+    assert.equal((await h.request('GET', '/api/kyc/pending', { token: member.token })).status, 401);
+
+    const again = await asAdmin('POST', `/api/admin/staff/${member.id}/suspend`, {});
+    assert.equal(again.status, 409);
+
+    assert.equal((await asAdmin('POST', `/api/admin/staff/${member.id}/reactivate`)).body.staff.status, 'active');
+    assert.equal((await login(member.email, member.password)).status, 200);
+  });
+
+  it('resets a staff password with a single-use token', async () => {
+    const member = await make.staff();
+    const issued = await asAdmin('POST', `/api/admin/staff/${member.id}/reset-password`);
+    assert.equal(issued.status, 200);
+
+    const body = { token: issued.body.reset_token, password: 'brand-new-password' };
+    assert.equal((await h.request('POST', '/api/staff/password/reset', { body })).status, 200);
+    assert.notEqual((await h.request('POST', '/api/staff/password/reset', { body })).status, 200);
+    assert.equal((await login(member.email, member.password)).status, 401);
+    assert.equal((await login(member.email, 'brand-new-password')).status, 200);
+  });
+
+  it('removes staff but keeps the row', async () => {
+    const member = await make.staff();
+    assert.equal((await asAdmin('DELETE', `/api/admin/staff/${member.id}`)).status, 200);
+    assert.notEqual((await login(member.email, member.password)).status, 200);
+
+    const active = await asAdmin('GET', '/api/admin/staff/list');
+    assert.ok(!active.body.staff.some(s => s.id === member.id));
+    const deleted = await asAdmin('GET', '/api/admin/staff/list?status=deleted');
+    assert.ok(deleted.body.staff.some(s => s.id === member.id));
+  });
+
+  it('keeps staff management to holders of staff:manage', async () => {
+    const member = await make.staff({ role: 'kyc' });
+    const res = await h.request('POST', '/api/admin/staff/create', { token: member.token, body: { fullname: 'Sneaky', email: 'sneaky@example.com', role: 'super-admin' } });
+    assert.equal(res.status, 403);
+    assert.equal((await h.request('GET', '/api/admin/staff/list', { token: member.token })).status, 403);
+    const client = await make.client();
+    assert.equal((await h.request('GET', '/api/admin/staff/list', { token: client.token })).status, 403);
+
+    const boss = await make.staff({ role: 'super-admin' });
+    assert.equal((await h.request('GET', '/api/admin/staff/list', { token: boss.token })).status, 200);
+  });
+});
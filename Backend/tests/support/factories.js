@@ -0,0 +1,124 @@
+// tests/support/factories.js
+// Factories for the actors and records tests need, built on a harness (h.factories). They go
+// through the API like the frontends do, except for what has no API of its own (a technician's
+// KYC status is set directly; use kycSubmission() to go through review instead).
+// Every factory takes overrides; names, emails and phones are unique per harness.
+const { ADMIN, PASSWORD, PLACES, image } = require('./fixtures');
+
+function createFactories(h){
+  let seq = 0;
+  let adminToken = null;
+
+  function ok(res, what){
+    if(res.status !== 200 || !res.body || !res.body.success){
+      throw new Error(`${what} failed: HTTP ${res.status} ${JSON.stringify(res.body)}`);
+    }
+    return res.body;
+  }
+
+  async function signIn(login, password = PASSWORD){
+    return ok(await h.request('POST', '/api/login', { body: { login, password } }), `sign in as ${login}`);
+  }
+
+  // -> { id, role, username, email, phone, token, refreshToken, user }
+  async function account(role, overrides = {}){
+    const n = ++seq;
+    const place = PLACES.ikeja;
+    const body = Object.assign({
+      role,
+      email: `${role}${n}@example.com`,
+      phone: `080${String(n).padStart(8, '0')}`,
+      fullname: `Test ${role} ${n}`,
+      username: `${role}${n}`,
+      state: place.state, lga: place.lga, city: place.city,
+      password: PASSWORD
+    }, overrides);
+    const created = ok(await h.request('POST', '/api/register', { body }), `register ${body.username}`);
+    const session = await signIn(body.username, body.password);
+    return {
+      id: created.userId, role: session.role, username: body.username, email: body.email, phone: body.phone,
+      token: session.token, refreshToken: session.refreshToken, user: session.user
+    };
+  }
+
+  const client = (overrides = {}) => account('client', overrides);
+
+  /**
+   * An approved, online technician. at: a PLACES entry, or changes to Ikeja ({ state }, { lat: null, lng: null });
+   * offset: degrees added to its coordinates; kyc: the users.kyc_status to give them; online: false to leave them offline.
+   */
+  async function technician({ at = PLACES.ikeja, offset = 0, kyc = 'approved', online = true, ...overrides } = {}){
+    const place = Object.assign({}, PLACES.ikeja, at);
+    const tech = await account('worker', Object.assign({
+      state: place.state, lga: place.lga, city: place.city,
+      specializations: ['Conduit Wiring', 'Solar Installation']
+    }, overrides));
+    if(kyc) await h.pool.query(`UPDATE users SET kyc_status=$1 WHERE id=$2`, [kyc, tech.id]);
+    const position = { lat: place.lat == null ? null : place.lat + offset, lng: place.lng == null ? null : place.lng + offset };
+    if(online) ok(await h.request('POST', '/api/tech/status', { token: tech.token, body: Object.assign({ online: true }, position) }), 'go online');
+    return Object.assign(tech, position);
+  }
+
+  async function admin(){
+    if(!adminToken) adminToken = (await signIn(ADMIN.username, ADMIN.password)).token;
+    return { id: 'admin', role: 'admin', token: adminToken };
+  }
+
+  /**
+   * A staff account created by the admin that has been through its first sign-in.
+   * -> { id, role: 'staff', staffRole, email, password, token }
+   */
+  async function staff({ role = 'kyc', password = `${PASSWORD}-staff`, ...overrides } = {}){
+    const n = ++seq;
+    const body = Object.assign({ fullname: `Staff ${n}`, email: `staff${n}@example.com`, role }, overrides);
+    const created = ok(await h.request('POST', '/api/admin/staff/create', { token: (await admin()).token, body }), 'create staff');
+    const first = await signIn(body.email, created.generated_password);
+    ok(await h.request('POST', '/api/staff/password/reset', { body: { token: first.change_token, password } }), 'set staff password');
+    const session = await signIn(body.email, password);
+    return { id: created.staff.id, role: 'staff', staffRole: created.staff.role, email: body.email, password, token: session.token };
+  }
+
+  /**
+   * POST /api/book as the client (a conduit job in Ikeja unless overridden), then pay through the
+   * fake checkout so the job goes to technicians -> the response body ({ jobId, price, payment, ... })
+   * with assigned: the first technician offered the job ({ id }) or false.
+   * paid: false leaves the escrow pending (the job waits in 'created').
+   */
+  async function booking(owner, overrides = {}, { paid = true } = {}){
+    const place = PLACES.ikeja;
+    const body = Object.assign({ state: place.state, city: place.city, lat: place.lat, lng: place.lng, job_type: 'conduit', address: '1 Allen Avenue' }, overrides);
+    const booked = ok(await h.request('POST', '/api/book', { token: owner.token, body }), 'book');
+    if(!paid || !booked.awaiting_payment) return booked;
+    ok(await h.request('POST', `/api/payments/fake/${booked.payment.reference}/complete`, { body: { outcome: 'success' } }), 'pay');
+    const lead = (await h.pool.query(`SELECT assigned_tech_id FROM jobs WHERE id=$1`, [booked.jobId])).rows[0].assigned_tech_id;
+    return Object.assign(booked, { assigned: lead ? { id: lead } : false });
+  }
+
+  /**
+   * A job the technician has accepted -> { jobId, client, technician }. Either party is made when
+   * not given; a new technician gets a state of their own and no coordinates (so the job is matched
+   * by area, see Services/matching.js), and nobody else is offered the job.
+   */
+  async function acceptedJob({ client: owner, technician: tech, ...overrides } = {}){
+    owner = owner || await client();
+    tech = tech || await technician({ at: { state: `Test State ${++seq}`, lat: null, lng: null } });
+    const booked = await booking(owner, Object.assign({ state: tech.user.state, lat: tech.lat, lng: tech.lng }, overrides));
+    ok(await h.request('POST', `/api/job/${booked.jobId}/respond`, { token: tech.token, body: { action: 'accept' } }), 'accept');
+    return { jobId: booked.jobId, client: owner, technician: tech };
+  }
+
+  /**
+   * POST /api/kyc/submit with generated ID pictures and a selfie -> the response
+   * ({ status, body }, so tests can look at failures too).
+   */
+  async function kycSubmission(user, { id_type = 'nin', id_number = String(10000000000 + (++seq)), files = ['id_front', 'id_back', 'selfie'], ...fields } = {}){
+    const form = new FormData();
+    for(const [k, v] of Object.entries(Object.assign({ id_type, id_number }, fields))) form.append(k, String(v));
+    for(const name of files) form.append(name, new Blob([await image()], { type: 'image/png' }), `${name}.png`);
+    return h.request('POST', '/api/kyc/submit', { token: user.token, form });
+  }
+
+  return { signIn, client, technician, admin, staff, booking, acceptedJob, kycSubmission };
+}
+
+module.exports = { createFactories };
@@ -0,0 +1,39 @@
+// tests/support/fixtures.js
+// Seed data every test database starts with (seed(), run by the harness) and the constants tests
+// build on. Add catalogue rows etc. here rather than in individual tests.
+const crypto = require('crypto');
+const sharp = require('sharp');
+const pricing = require('../../Services/pricing');
+
+// the env admin (ADMIN_USERNAME / ADMIN_PASSWORD_HASH are set from this by the harness)
+const ADMIN = { username: 'admin', password: 'admin-password' };
+
+// password for every user the factories create
+const PASSWORD = 'secret-password';
+
+// job locations; technicians are placed relative to these
+const PLACES = {
+  ikeja: { state: 'Lagos', lga: 'Ikeja', city: 'Ikeja', lat: 6.6018, lng: 3.3515 },
+  lekki: { state: 'Lagos', lga: 'Eti-Osa', city: 'Lekki', lat: 6.4698, lng: 3.5852 },
+  wuse: { state: 'FCT', lga: 'AMAC', city: 'Wuse', lat: 9.0765, lng: 7.4813 }
+};
+
+// price catalogue (Services/pricing.js); the job types book.html offers
+const SERVICE_PRICES = [
+  { job_type: 'conduit', label: 'Conduit wiring', base_price: 20000, per_day_rate: 5000, per_worker_multiplier: 0.8, required_specialization: 'Conduit Wiring' },
+  { job_type: 'solar', label: 'Solar installation', base_price: 50000, per_day_rate: 10000, per_worker_multiplier: 0.5, required_specialization: 'Solar Installation' }
+];
+
+async function seed(pool){
+  for(const p of SERVICE_PRICES) await pricing.upsertServicePrice(pool, p);
+}
+
+/**
+ * A PNG of random pixels: passes the KYC file checks (real image, big enough) and never matches
+ * another upload's perceptual hash.
+ */
+function image({ width = 400, height = 400 } = {}){
+  return sharp(crypto.randomBytes(width * height * 3), { raw: { width, height, channels: 3 } }).png().toBuffer();
+}
+
+module.exports = { ADMIN, PASSWORD, PLACES, SERVICE_PRICES, seed, image };
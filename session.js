@@ -0,0 +1,69 @@
+// session.js
+// The signed-in session, shared by the pages (Admin pages load it with data-admin, so the admin
+// token is preferred there). authFetch() attaches the stored access token; when the API answers
+// 401 it trades the refresh token for a new pair (POST /api/auth/refresh, on the same API as the
+// request) and retries once. A refresh the API turns down clears the stored tokens, and the 401 is
+// handed back for the page to send the user to login.html as before.
+(function(){
+  const script = document.currentScript;
+  const TOKEN_KEYS = script && script.hasAttribute('data-admin') ? ['wc_admin_token', 'wc_token'] : ['wc_token'];
+
+  function read(key){ try { return localStorage.getItem(key); } catch(e){ return null; } }
+  function write(key, value){ try { localStorage.setItem(key, value); } catch(e){} }
+
+  // -> { key, token } of the access token in use
+  function current(){
+    for(const key of TOKEN_KEYS){
+      const token = read(key);
+      if(token) return { key, token };
+    }
+    return { key: TOKEN_KEYS[TOKEN_KEYS.length - 1], token: null };
+  }
+
+  function clearSession(){
+    ['wc_admin_token', 'wc_token', 'wc_refresh_token'].forEach(k => { try { localStorage.removeItem(k); } catch(e){} });
+  }
+
+  // one rotation at a time: requests that fail together wait for the same refresh
+  let refreshing = null;
+  function refreshSession(apiOrigin){
+    if(refreshing) return refreshing;
+    const refreshToken = read('wc_refresh_token');
+    if(!refreshToken) return Promise.resolve(false);
+    const key = current().key;
+    refreshing = fetch(apiOrigin + '/api/auth/refresh', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    }).then(async (res) => {
+      const data = await res.json().catch(() => null);
+      if(res.ok && data && data.token && data.refreshToken){
+        write(key, data.token);
+        write('wc_refresh_token', data.refreshToken);
+        return true;
+      }
+      // rejected (expired, revoked or already used): the session is over
+      if(res.status === 400 || res.status === 401) clearSession();
+      return false;
+    }).catch(() => false) // offline: keep the tokens for the next try
+      .finally(() => { refreshing = null; });
+    return refreshing;
+  }
+
+  function send(url, opts){
+    const o = Object.assign({}, opts || {});
+    const token = current().token;
+    o.headers = Object.assign({}, o.headers || {}, token ? { 'Authorization': 'Bearer ' + token } : {});
+    return fetch(url, o);
+  }
+
+  async function authFetch(url, opts){
+    const res = await send(url, opts);
+    if(res.status !== 401 || !current().token) return res;
+    const origin = new URL(url, location.href).origin;
+    return (await refreshSession(origin)) ? send(url, opts) : res;
+  }
+
+  window.authFetch = authFetch;
+  window.clearSession = clearSession;
+})();